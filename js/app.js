@@ -3,8 +3,10 @@
     const chatHistory = []; // Chatbot conversation
     const CHAT_MAX_LENGTH = 400;
     const MAX_CHAT_TURNS = 12;
+    const CHAT_HISTORY_KEY = Profiles.key('cpsa_chat_history');
     let chatTypingCancelled = false; // Flag to cancel typing animation
     let chatIsTyping = false; // Flag to track if LLM is currently typing
+    let chatStreamController = null; // Aborts the reply being streamed
 
     // ==================== CHART.JS MANAGER ====================
     const ChartManager = {
@@ -301,6 +303,206 @@
             return this.charts[canvasId];
         },
 
+        // datasets: [{ label, data, color, emphasis }]; null data points are skipped
+        createMultiLineChart(canvasId, labels, datasets) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return null;
+
+            this.destroyChart(canvasId);
+            const colors = this.getChartColors();
+
+            this.charts[canvasId] = new Chart(canvas, {
+                type: 'line',
+                data: {
+                    labels,
+                    datasets: datasets.map(dataset => ({
+                        label: dataset.label,
+                        data: dataset.data,
+                        borderColor: dataset.color,
+                        backgroundColor: dataset.color,
+                        borderWidth: dataset.emphasis ? 3 : 1.5,
+                        pointRadius: dataset.emphasis ? 4 : 2,
+                        spanGaps: true,
+                        tension: 0.2
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        x: {
+                            grid: { display: false },
+                            ticks: { color: colors.muted }
+                        },
+                        y: {
+                            min: 0,
+                            max: 100,
+                            grid: { color: colors.border },
+                            ticks: { color: colors.muted, callback: (value) => value + '%' }
+                        }
+                    },
+                    plugins: {
+                        legend: {
+                            position: 'bottom',
+                            labels: { color: colors.text, boxWidth: 12 }
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: (ctx) => `${ctx.dataset.label}: ${ctx.raw}%`
+                            }
+                        }
+                    },
+                    animation: false
+                }
+            });
+
+            return this.charts[canvasId];
+        },
+
+        // Typical seconds per question as bars, with the target pace drawn across them
+        createPacingChart(canvasId, labels, seconds, targetSeconds) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return null;
+
+            this.destroyChart(canvasId);
+            const colors = this.getChartColors();
+
+            this.charts[canvasId] = new Chart(canvas, {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: [
+                        {
+                            label: 'Typical time',
+                            data: seconds,
+                            backgroundColor: seconds.map(value => {
+                                if (value <= targetSeconds) return colors.green;
+                                if (value <= targetSeconds * 1.5) return colors.yellow;
+                                return colors.red;
+                            }),
+                            borderRadius: 4,
+                            maxBarThickness: 40
+                        },
+                        {
+                            type: 'line',
+                            label: 'Exam pace',
+                            data: labels.map(() => targetSeconds),
+                            borderColor: colors.muted,
+                            borderDash: [6, 4],
+                            borderWidth: 1.5,
+                            pointRadius: 0
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            grid: { color: colors.border },
+                            ticks: { color: colors.muted, callback: (value) => value + 's' }
+                        },
+                        x: {
+                            grid: { display: false },
+                            ticks: { color: colors.muted }
+                        }
+                    },
+                    plugins: {
+                        legend: {
+                            position: 'bottom',
+                            labels: { color: colors.text, boxWidth: 12 }
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: (ctx) => `${ctx.dataset.label}: ${ctx.raw}s per question`
+                            }
+                        }
+                    },
+                    animation: false
+                }
+            });
+
+            return this.charts[canvasId];
+        },
+
+        // Requests per day as stacked bars (answered / failed), with tokens as a line on a
+        // second axis
+        createUsageChart(canvasId, labels, ok, failed, tokens) {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return null;
+
+            this.destroyChart(canvasId);
+            const colors = this.getChartColors();
+
+            this.charts[canvasId] = new Chart(canvas, {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: [
+                        {
+                            label: 'Answered',
+                            data: ok,
+                            backgroundColor: colors.teal,
+                            borderRadius: 4,
+                            maxBarThickness: 24,
+                            stack: 'requests'
+                        },
+                        {
+                            label: 'Failed',
+                            data: failed,
+                            backgroundColor: colors.red,
+                            borderRadius: 4,
+                            maxBarThickness: 24,
+                            stack: 'requests'
+                        },
+                        {
+                            type: 'line',
+                            label: 'Tokens',
+                            data: tokens,
+                            borderColor: colors.purple,
+                            backgroundColor: colors.purple,
+                            borderWidth: 1.5,
+                            pointRadius: 2,
+                            yAxisID: 'tokens'
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            stacked: true,
+                            grid: { color: colors.border },
+                            ticks: { color: colors.muted, precision: 0 }
+                        },
+                        tokens: {
+                            position: 'right',
+                            beginAtZero: true,
+                            grid: { display: false },
+                            ticks: { color: colors.muted }
+                        },
+                        x: {
+                            stacked: true,
+                            grid: { display: false },
+                            ticks: { color: colors.muted }
+                        }
+                    },
+                    plugins: {
+                        legend: {
+                            position: 'bottom',
+                            labels: { color: colors.text, boxWidth: 12 }
+                        }
+                    },
+                    animation: false
+                }
+            });
+
+            return this.charts[canvasId];
+        },
+
         updateChart(id, newData) {
             if (this.charts[id]) {
                 this.charts[id].data.datasets[0].data = newData;
@@ -315,6 +517,28 @@
     const Router = {
         currentRoute: { type: null, value: null },
         isNavigating: false,
+        changeListeners: [],
+
+        // Register a callback for route changes: callback(to, from)
+        // Used by the question loaders to stop generating for an appendix the learner has left
+        onChange(callback) {
+            if (typeof callback === 'function') {
+                this.changeListeners.push(callback);
+            }
+        },
+
+        // Set the current route and tell the change listeners
+        setCurrentRoute(route) {
+            const from = this.currentRoute;
+            this.currentRoute = route;
+            this.changeListeners.forEach(listener => {
+                try {
+                    listener(route, from);
+                } catch (e) {
+                    console.error('Router: Change listener failed:', e);
+                }
+            });
+        },
 
         // Parse the current URL hash into a route object
         parseHash() {
@@ -355,7 +579,7 @@
                 history.pushState({ type, value }, '', hash || window.location.pathname);
             }
 
-            this.currentRoute = { type, value };
+            this.setCurrentRoute({ type, value });
 
             // Update breadcrumbs
             this.updateBreadcrumbs(type, value);
@@ -446,7 +670,7 @@
             // Handle browser back/forward buttons
             window.addEventListener('popstate', (event) => {
                 const route = event.state || this.parseHash();
-                this.currentRoute = route;
+                this.setCurrentRoute(route);
                 this.updateBreadcrumbs(route.type, route.value);
                 this.handleRoute(route);
             });
@@ -498,63 +722,91 @@
     let searchDebounceTimer = null; // For debouncing search input
 
     // ==================== PROGRESS PERSISTENCE ====================
-    const STORAGE_KEY = 'cpsa_quiz_progress';
-    const STREAK_KEY = 'cpsa_quiz_streak';
-    const BADGES_KEY = 'cpsa_quiz_badges';
-    const STUDY_TIME_KEY = 'cpsa_study_time';
+    // Saved progress lives in ProgressStore (IndexedDB); it must finish loading before any of it is read
+    const PROGRESS = ProgressStore.TYPES;
+    const progressReady = ProgressStore.init();
     let sessionStartTime = Date.now();
 
-    // Load saved progress from localStorage
+    // Load saved progress
     function loadProgress() {
-        try {
-            const saved = localStorage.getItem(STORAGE_KEY);
-            if (saved) {
-                const data = JSON.parse(saved);
-                score = data.score || 0;
-                Object.assign(answerState, data.answerState || {});
-                data.flagged?.forEach(id => flaggedQuestions.add(id));
-                return data;
+        const data = ProgressStore.get(PROGRESS.PROGRESS);
+        score = data.score;
+        Object.assign(answerState, data.answerState);
+        data.flagged.forEach(id => flaggedQuestions.add(id));
+        migrateLegacyQuestionIds();
+        QuizDataLoader.registerSavedQuestionIds([...Object.keys(answerState), ...flaggedQuestions]);
+        return data;
+    }
+
+    // Practice questions used to get per-session counter IDs ("0", "1", ...) that
+    // pointed at different questions after a reload. Re-key saved answers by the
+    // question + answer ID (saved answers don't record the source chunk); flags and
+    // schedules on IDs that can't be resolved are dropped since their target is unknown.
+    const LEGACY_QUESTION_ID = /^\d+$/;
+
+    function migrateLegacyQuestionIds() {
+        const idMap = {};
+        const droppedIds = [];
+
+        Object.keys(answerState).forEach(oldId => {
+            if (!LEGACY_QUESTION_ID.test(oldId)) return;
+            const state = answerState[oldId];
+            delete answerState[oldId];
+
+            if (!state || !state.questionText || !state.correctAnswer) {
+                droppedIds.push(oldId);
+                return;
             }
-        } catch (e) {
-            console.error('Error loading progress:', e);
-        }
-        return null;
+            const newId = QuizDataLoader.getLegacyQuestionId({ question: state.questionText, answer: state.correctAnswer });
+            idMap[oldId] = newId;
+            // Keep the newest answer if two old IDs were the same question
+            if (!answerState[newId] || (answerState[newId].timestamp || 0) < (state.timestamp || 0)) {
+                answerState[newId] = state;
+            }
+        });
+
+        Array.from(flaggedQuestions).forEach(oldId => {
+            if (!LEGACY_QUESTION_ID.test(oldId)) return;
+            flaggedQuestions.delete(oldId);
+            if (idMap[oldId]) {
+                flaggedQuestions.add(idMap[oldId]);
+            } else if (!droppedIds.includes(oldId)) {
+                droppedIds.push(oldId);
+            }
+        });
+
+        const migrated = Object.keys(idMap).length;
+        if (migrated === 0 && droppedIds.length === 0) return;
+
+        SpacedRepetition.renameCards(idMap);
+        SpacedRepetition.removeCards(droppedIds);
+        AttemptLog.renameQuestions(idMap);
+        AttemptLog.removeQuestions(droppedIds);
+        saveProgress();
+        console.log(`Migrated ${migrated} saved answers to stable question IDs (${droppedIds.length} unresolvable entries dropped)`);
     }
 
-    // Save progress to localStorage
+    // Save progress
     function saveProgress() {
-        try {
-            const data = {
-                score,
-                answerState,
-                flagged: Array.from(flaggedQuestions),
-                lastUpdated: Date.now()
-            };
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-            scheduleUIUpdate();
-        } catch (e) {
-            console.error('Error saving progress:', e);
-        }
+        ProgressStore.set(PROGRESS.PROGRESS, {
+            score,
+            answerState,
+            flagged: Array.from(flaggedQuestions)
+        });
+        scheduleUIUpdate();
     }
 
     // ==================== STUDY TIME TRACKING ====================
     function getStudyTime() {
-        try {
-            return parseInt(localStorage.getItem(STUDY_TIME_KEY) || '0');
-        } catch (e) {
-            return 0;
-        }
+        return ProgressStore.get(PROGRESS.STUDY_TIME).seconds;
     }
 
     function saveStudyTime() {
-        try {
-            const currentSession = Math.floor((Date.now() - sessionStartTime) / 1000);
-            const totalTime = getStudyTime() + currentSession;
-            localStorage.setItem(STUDY_TIME_KEY, totalTime.toString());
-            sessionStartTime = Date.now();
-        } catch (e) {
-            console.error('Error saving study time:', e);
-        }
+        // Time before the store has loaded stays in the current session
+        if (!ProgressStore.isReady()) return;
+        const currentSession = Math.floor((Date.now() - sessionStartTime) / 1000);
+        ProgressStore.set(PROGRESS.STUDY_TIME, { seconds: getStudyTime() + currentSession });
+        sessionStartTime = Date.now();
     }
 
     // Save study time periodically and on page unload
@@ -566,15 +818,7 @@
 
     // ==================== STREAK TRACKING ====================
     function loadStreak() {
-        try {
-            const saved = localStorage.getItem(STREAK_KEY);
-            if (saved) {
-                return JSON.parse(saved);
-            }
-        } catch (e) {
-            console.error('Error loading streak:', e);
-        }
-        return { count: 0, lastDate: null, history: [] };
+        return ProgressStore.get(PROGRESS.STREAK);
     }
 
     function updateStreak() {
@@ -607,11 +851,7 @@
             }
         }
 
-        try {
-            localStorage.setItem(STREAK_KEY, JSON.stringify(streak));
-        } catch (e) {
-            console.error('Error saving streak:', e);
-        }
+        ProgressStore.set(PROGRESS.STREAK, streak);
 
         return streak;
     }
@@ -658,20 +898,11 @@
     ];
 
     function loadBadges() {
-        try {
-            const saved = localStorage.getItem(BADGES_KEY);
-            return saved ? JSON.parse(saved) : [];
-        } catch (e) {
-            return [];
-        }
+        return ProgressStore.get(PROGRESS.BADGES);
     }
 
     function saveBadges(badges) {
-        try {
-            localStorage.setItem(BADGES_KEY, JSON.stringify(badges));
-        } catch (e) {
-            console.error('Error saving badges:', e);
-        }
+        ProgressStore.set(PROGRESS.BADGES, badges);
     }
 
     function checkAndAwardBadges() {
@@ -704,23 +935,28 @@
     }
 
         function calculateStats() {
-            const attempted = Object.keys(answerState).length;
-            const correct = Object.values(answerState).filter(a => a.correct).length;
+            // Read from the attempt log: the latest attempt decides correctness, earlier ones show improvement
+            const summaries = Object.entries(AttemptLog.getSummaries());
+            const attempted = summaries.length;
+            const correct = summaries.filter(([, summary]) => summary.latestCorrect).length;
             const accuracy = attempted > 0 ? Math.round((correct / attempted) * 100) : 0;
+            const totalAttempts = summaries.reduce((sum, [, summary]) => sum + summary.attempts, 0);
+            const firstTryCorrect = summaries.filter(([, summary]) => summary.firstCorrect).length;
+            const improved = summaries.filter(([, summary]) => !summary.firstCorrect && summary.latestCorrect).length;
 
             // Calculate category stats (includes both practice and exam questions)
             const categoryStats = {};
-            Object.entries(answerState).forEach(([qId, state]) => {
+            summaries.forEach(([qId, summary]) => {
                 const question = getQuestionById(qId);
-                const isExam = isExamQuestion(qId);
-                // Use 'Exam' category for exam questions, otherwise use appendix-based category
-                const category = isExam ? 'Exam' : (question ? categorizeQuestion(question) : 'Unknown');
+                // Mapped exam-bank questions count towards their syllabus appendix
+                const category = question ? categorizeQuestion(question) : 'Unknown';
 
                 if (!categoryStats[category]) {
-                    categoryStats[category] = { attempted: 0, correct: 0 };
+                    categoryStats[category] = { attempted: 0, correct: 0, attempts: 0 };
                 }
                 categoryStats[category].attempted++;
-                if (state.correct) {
+                categoryStats[category].attempts += summary.attempts;
+                if (summary.latestCorrect) {
                     categoryStats[category].correct++;
                 }
             });
@@ -730,7 +966,17 @@
                 cat => cat.attempted >= 5 && cat.correct === cat.attempted
             ).length;
 
-            return { attempted, correct, accuracy, categoriesAttempted, perfectCategories, categoryStats };
+            return {
+                attempted,
+                correct,
+                accuracy,
+                totalAttempts,
+                firstTryCorrect,
+                improved,
+                categoriesAttempted,
+                perfectCategories,
+                categoryStats
+            };
         }
 
     // Calculate exam-specific stats (for Practice vs Exam comparison)
@@ -1068,18 +1314,17 @@
             categorizedQuestions[category].push(id);
         });
 
+        // Answered exam-bank questions join their mapped appendix, or 'Exam Questions' until mapped
         const examAnsweredIds = Object.keys(answerState).filter(qId => isExamQuestion(qId));
-        if (examAnsweredIds.length > 0 || (typeof examQuizData !== 'undefined' && Object.keys(examQuizData).length > 0)) {
-            const examCategory = 'Exam Questions';
+        examAnsweredIds.forEach(qId => {
+            const examCategory = getCategoryForQuestion(qId);
             if (!categorizedQuestions[examCategory]) {
                 categorizedQuestions[examCategory] = [];
             }
-            examAnsweredIds.forEach(qId => {
-                if (!categorizedQuestions[examCategory].includes(qId)) {
-                    categorizedQuestions[examCategory].push(qId);
-                }
-            });
-        }
+            if (!categorizedQuestions[examCategory].includes(qId)) {
+                categorizedQuestions[examCategory].push(qId);
+            }
+        });
 
         grid.innerHTML = '';
 
@@ -1108,8 +1353,7 @@
                 resetBtn.addEventListener('click', (e) => {
                     e.stopPropagation();
                     const cat = e.target.dataset.category;
-                    resetCategoryProgress(cat);
-                    updateProgressGridPanel();
+                    resetCategoryProgress(cat).then(updateProgressGridPanel);
                 });
             }
 
@@ -1228,8 +1472,11 @@ Practice at: https://sudosuraj.github.io/crest-cpsa/`;
     }
 
     // ==================== RESET PROGRESS ====================
-        function resetProgress() {
-            if (!confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
+        async function resetProgress() {
+            if (!confirm('Are you sure you want to reset all progress? A snapshot is saved first, so you can undo this from Progress > Snapshots.')) {
+                return;
+            }
+            if (!await takeSafetySnapshot('reset')) {
                 return;
             }
 
@@ -1240,21 +1487,28 @@ Practice at: https://sudosuraj.github.io/crest-cpsa/`;
             Object.keys(examAnswerState).forEach(key => delete examAnswerState[key]);
             flaggedQuestions.clear();
 
-            // Clear localStorage (both practice and exam)
-            localStorage.removeItem(STORAGE_KEY);
-            localStorage.removeItem(EXAM_STORAGE_KEY);
-            localStorage.removeItem(STREAK_KEY);
-            localStorage.removeItem(BADGES_KEY);
+            // Clear saved progress (both practice and exam)
+            ProgressStore.remove(PROGRESS.PROGRESS);
+            ProgressStore.remove(PROGRESS.EXAM_PROGRESS);
+            ProgressStore.remove(PROGRESS.STREAK);
+            ProgressStore.remove(PROGRESS.BADGES);
+            SpacedRepetition.reset();
+            AttemptLog.reset();
+            Misconceptions.reset();
 
-            // Reload page to reset UI
-            location.reload();
+            // Reload page to reset UI once the deletes are written
+            ProgressStore.flush().then(() => location.reload());
         }
 
     // Reset progress for a specific category
-    function resetCategoryProgress(categoryName) {
+    async function resetCategoryProgress(categoryName) {
         if (!confirm(`Reset progress for "${categoryName}"? This will clear your answers and flags for this category.`)) {
             return;
         }
+        const snapshot = await takeSafetySnapshot('category-reset', categoryName);
+        if (!snapshot) {
+            return;
+        }
 
         const categorizedQuestions = {};
         Object.keys(quizData).forEach(key => {
@@ -1351,86 +1605,625 @@ Practice at: https://sudosuraj.github.io/crest-cpsa/`;
             attemptedEl.textContent = Object.keys(answerState).length;
         }
 
+        // Drop review schedules for the reset questions
+        SpacedRepetition.removeCards(questions.map(({ key }) => key));
+        AttemptLog.removeQuestions(questions.map(({ key }) => key));
+
         // Save progress and update UI
         saveProgress();
         updateReviewStats();
 
-        showToast(`Reset ${resetCount} question${resetCount === 1 ? '' : 's'} in "${categoryName}"`);
+        showToast(`Reset ${resetCount} question${resetCount === 1 ? '' : 's'} in "${escapeHtml(categoryName)}"`, {
+            action: snapshot.id ? { id: 'undo', label: 'Undo', onClick: () => restoreSnapshot(snapshot.id) } : undefined
+        });
     }
 
-    // ==================== UPDATE COUNTS ====================
-    function updateCounts() {
-        const visibleCategories = document.querySelectorAll('.category-section:not([style*="display: none"])').length;
-        const visibleQuestions = document.querySelectorAll('.question-container:not([style*="display: none"])').length;
-
-        const categoryChip = document.getElementById('category-count-chip');
-        const questionChip = document.getElementById('question-count-chip');
+    // ==================== PROGRESS BACKUP ====================
+    // Backup file read and checked, waiting for the learner to pick merge or replace
+    let pendingImport = null;
+
+    function setupProgressBackup() {
+        const exportBtn = document.getElementById('export-progress-btn');
+        const importBtn = document.getElementById('import-progress-btn');
+        const fileInput = document.getElementById('import-progress-file');
+        const confirmBtn = document.getElementById('import-progress-confirm');
+        const cancelBtn = document.getElementById('import-progress-cancel');
+
+        if (exportBtn) exportBtn.addEventListener('click', exportProgressFile);
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                // Clear the input so picking the same file again still fires change
+                fileInput.value = '';
+                if (file) previewProgressImport(file);
+            });
+        }
+        if (confirmBtn) confirmBtn.addEventListener('click', confirmProgressImport);
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                pendingImport = null;
+                closeModal('import-progress-modal');
+            });
+        }
+    }
 
-        if (categoryChip) categoryChip.textContent = `Categories: ${visibleCategories}`;
-        if (questionChip) questionChip.textContent = `Questions: ${visibleQuestions}`;
+    async function exportProgressFile() {
+        // Fold the current session into the saved study time first
+        saveStudyTime();
+        try {
+            const backup = await ProgressBackup.createBackup();
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `cpsa-progress-${backup.exportedAt.split('T')[0]}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            showToast('Progress exported', { variant: 'success' });
+        } catch (e) {
+            console.error('Error exporting progress:', e);
+            showToast(`Export failed: ${escapeHtml(e.message)}`, { variant: 'error' });
+        }
     }
 
-    // ==================== CENTRALIZED UI UPDATE ====================
-    let uiUpdateTimer = null;
+    async function previewProgressImport(file) {
+        try {
+            const backup = await ProgressBackup.parseBackup(await file.text());
+            pendingImport = backup;
+            renderImportPreview(ProgressBackup.describeBackup(backup), file.name);
+            openModal('import-progress-modal');
+        } catch (e) {
+            pendingImport = null;
+            showToast(`Cannot import ${escapeHtml(file.name)}: ${escapeHtml(e.message)}`, { variant: 'error' });
+        }
+    }
+
+    function renderImportPreview(summary, fileName) {
+        const preview = document.getElementById('import-progress-preview');
+        if (!preview) return;
+
+        const minutes = Math.floor(summary.studySeconds / 60);
+        const studyTime = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+        const exported = summary.exportedAt ? new Date(summary.exportedAt).toLocaleString() : 'unknown date';
+        const rows = [
+            ['Answered questions', `${summary.answers} (${summary.correct} correct)`],
+            ['Exam-bank answers', summary.examAnswers],
+            ['Flagged', summary.flagged],
+            ['Streak', `${summary.streak} day${summary.streak === 1 ? '' : 's'}`],
+            ['Badges', summary.badges],
+            ['XP', `${summary.xp} (level ${summary.level})`],
+            ['Study time', studyTime],
+            ['Days with activity', summary.activeDays],
+            ['Mock exams', summary.exams],
+            ['Logged attempts', summary.attempts],
+            ['Scheduled reviews', summary.scheduled],
+            ['Misconception notes', summary.notes]
+        ];
 
-        function updateAllUI() {
-            updateCounts();
-            updateProgressGridPanel();
-            updateInsightsSummary();
-            updateReviewStats();
-            updateMobileSidebarStats();
-            updateSidebarStats(); // Update desktop sidebar stats (event-driven, not polling)
-            renderStreak();
-            renderXP();
-            updateAdditionalVisualizations(); // Update new KPIs and charts
+        preview.innerHTML = `
+            <p class="import-preview-source">${escapeHtml(fileName)} &middot; exported ${escapeHtml(exported)}</p>
+            <dl class="import-preview-stats">
+                ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(String(value))}</dd>`).join('')}
+            </dl>
+            <p class="import-preview-conflicts">
+                Compared with this browser: ${summary.newQuestions} question${summary.newQuestions === 1 ? '' : 's'} only in the file,
+                ${summary.newerInFile} answered more recently in the file, ${summary.newerHere} answered more recently here.
+                Merging keeps the newest answer for each question.
+            </p>
+        `;
 
-            // Update nav bar stats
-            const stats = calculateStats();
-            const percentageElement = document.getElementById("percentage");
-            const accuracyBar = document.getElementById("accuracy-bar");
-            const attemptedCount = document.getElementById("attempted-count");
+        const mergeInput = document.querySelector('input[name="import-progress-mode"][value="merge"]');
+        if (mergeInput) mergeInput.checked = true;
+    }
 
-            if (percentageElement) {
-                const percentage = stats.attempted > 0 ? Math.round((stats.correct / stats.attempted) * 100) : 0;
-                percentageElement.textContent = percentage;
-            }
-            if (accuracyBar) {
-                const percentage = stats.attempted > 0 ? Math.round((stats.correct / stats.attempted) * 100) : 0;
-                accuracyBar.style.width = `${percentage}%`;
-            }
-            if (attemptedCount) {
-                attemptedCount.textContent = stats.attempted;
-            }
+    async function confirmProgressImport() {
+        if (!pendingImport) return;
+        const modeInput = document.querySelector('input[name="import-progress-mode"]:checked');
+        const mode = modeInput ? modeInput.value : 'merge';
+        if (mode === 'replace' && !confirm('Replace all progress in this browser with the backup? A snapshot is saved first, so you can undo this from Progress > Snapshots.')) {
+            return;
         }
+        if (!await takeSafetySnapshot('import', mode)) return;
+        if (!pendingImport) return;
 
-    function scheduleUIUpdate() {
-        if (uiUpdateTimer) {
-            clearTimeout(uiUpdateTimer);
-        }
-        uiUpdateTimer = setTimeout(() => {
-            updateAllUI();
-            uiUpdateTimer = null;
-        }, 100);
+        ProgressBackup.applyBackup(pendingImport, mode);
+        pendingImport = null;
+        closeModal('import-progress-modal');
+        showToast('Progress imported, reloading...', { variant: 'success' });
+        ProgressStore.flush().then(() => location.reload());
     }
 
-    const sanitizeUserMessage = (input) => (input || "")
-        .replace(/[\u0000-\u001F\u007F]/g, " ")
-        .replace(/\s+/g, " ")
-        .trim();
+    // ==================== PROGRESS SNAPSHOTS ====================
+    const SNAPSHOT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
 
-    const isUnsafeMessage = (text) => blockedPhrases.some((pattern) => pattern.test(text));
-
-    // Function to shuffle options randomly
-    function shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+    // Snapshot taken before a destructive action; resolves to its metadata, or to {} when it
+    // failed and the learner chose to go ahead anyway, or to null to cancel the action
+    async function takeSafetySnapshot(reason, label) {
+        saveStudyTime();
+        try {
+            const snapshot = await ProgressSnapshots.take(reason, label);
+            renderSnapshots();
+            return snapshot;
+        } catch (e) {
+            console.error('Error saving progress snapshot:', e);
+            return confirm('A snapshot of your progress could not be saved, so this cannot be undone. Continue anyway?') ? {} : null;
         }
     }
 
-    // Appendix-based categorization for progress tracking
-    const APPENDIX_TITLES = {
-        'A': 'Appendix A: Soft Skills & Assessment',
+    function setupProgressSnapshots() {
+        const takeBtn = document.getElementById('snapshot-take-btn');
+        const list = document.getElementById('snapshot-list');
+        const closeBtn = document.getElementById('snapshot-diff-close');
+        if (!list || typeof ProgressSnapshots === 'undefined') return;
+
+        renderSnapshots();
+
+        if (takeBtn) {
+            takeBtn.addEventListener('click', async () => {
+                saveStudyTime();
+                try {
+                    await ProgressSnapshots.take('manual');
+                    showToast('Snapshot saved', { variant: 'success' });
+                } catch (e) {
+                    showToast(`Could not save a snapshot: ${escapeHtml(e.message)}`, { variant: 'error' });
+                }
+                renderSnapshots();
+            });
+        }
+        if (closeBtn) closeBtn.addEventListener('click', () => closeModal('snapshot-diff-modal'));
+
+        list.addEventListener('click', async (e) => {
+            const btn = e.target.closest('[data-snapshot-action]');
+            if (!btn) return;
+            const snapshotId = btn.dataset.snapshotId;
+            try {
+                if (btn.dataset.snapshotAction === 'restore') {
+                    await restoreSnapshot(snapshotId);
+                } else if (btn.dataset.snapshotAction === 'diff') {
+                    renderSnapshotDiff(await ProgressSnapshots.diff(snapshotId));
+                    openModal('snapshot-diff-modal');
+                } else if (btn.dataset.snapshotAction === 'delete') {
+                    if (!confirm('Delete this snapshot?')) return;
+                    await ProgressSnapshots.remove(snapshotId);
+                    renderSnapshots();
+                }
+            } catch (err) {
+                showToast(escapeHtml(err.message), { variant: 'error' });
+                renderSnapshots();
+            }
+        });
+
+        // Automatic snapshots: checked at startup and hourly, taken at most once a day
+        const takePeriodic = async () => {
+            saveStudyTime();
+            try {
+                if (await ProgressSnapshots.takePeriodic()) renderSnapshots();
+            } catch (e) {
+                console.error('Error taking automatic snapshot:', e);
+            }
+        };
+        setTimeout(takePeriodic, 5000);
+        setInterval(takePeriodic, SNAPSHOT_CHECK_INTERVAL_MS);
+    }
+
+    async function renderSnapshots() {
+        const list = document.getElementById('snapshot-list');
+        if (!list || typeof ProgressSnapshots === 'undefined') return;
+
+        let snapshots;
+        try {
+            snapshots = await ProgressSnapshots.list();
+        } catch (e) {
+            console.error('Error listing progress snapshots:', e);
+            list.innerHTML = '<li class="snapshot-empty">Snapshots are not available in this browser.</li>';
+            return;
+        }
+        if (!snapshots.length) {
+            list.innerHTML = '<li class="snapshot-empty">No snapshots yet. One is saved before every reset or import, and once a day while you study.</li>';
+            return;
+        }
+
+        list.innerHTML = snapshots.map(snapshot => {
+            const stats = snapshot.stats;
+            const reason = ProgressSnapshots.describeReason(snapshot.reason);
+            const id = escapeHtml(snapshot.id);
+            return `
+                <li class="snapshot-item">
+                    <div class="snapshot-item-info">
+                        <span class="snapshot-item-date">${escapeHtml(new Date(snapshot.createdAt).toLocaleString())}</span>
+                        <span class="snapshot-item-reason">${escapeHtml(reason)}${snapshot.label ? ` &middot; ${escapeHtml(snapshot.label)}` : ''}</span>
+                        <span class="snapshot-item-stats">${stats.answers} answered (${stats.correct} correct) &middot; ${stats.flagged} flagged &middot; ${stats.xp} XP &middot; ${stats.streak}-day streak</span>
+                    </div>
+                    <span class="snapshot-item-actions">
+                        <button class="action-btn small" data-snapshot-action="diff" data-snapshot-id="${id}">Compare</button>
+                        <button class="action-btn small" data-snapshot-action="restore" data-snapshot-id="${id}">Restore</button>
+                        <button class="action-btn small danger" data-snapshot-action="delete" data-snapshot-id="${id}">Delete</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    function renderSnapshotDiff(diff) {
+        const body = document.getElementById('snapshot-diff-body');
+        if (!body) return;
+
+        const before = diff.stats.snapshot;
+        const now = diff.stats.current;
+        const rows = [
+            ['Answered', 'answers'],
+            ['Correct', 'correct'],
+            ['Exam-bank answers', 'examAnswers'],
+            ['Flagged', 'flagged'],
+            ['XP', 'xp'],
+            ['Level', 'level'],
+            ['Streak', 'streak'],
+            ['Badges', 'badges'],
+            ['Attempts logged', 'attempts'],
+            ['Review cards', 'scheduled']
+        ].map(([label, key]) => {
+            const delta = (now[key] || 0) - (before[key] || 0);
+            const deltaText = delta === 0 ? '' : `${delta > 0 ? '+' : ''}${delta}`;
+            return `<tr><th scope="row">${label}</th><td>${before[key] || 0}</td><td>${now[key] || 0}</td><td class="snapshot-diff-delta">${deltaText}</td></tr>`;
+        }).join('');
+
+        const MAX_LISTED = 8;
+        const questionList = (title, ids) => {
+            if (!ids.length) return '';
+            const items = ids.slice(0, MAX_LISTED).map(qId => {
+                const question = getQuestionById(qId);
+                const text = question ? question.question : qId;
+                return `<li>${escapeHtml(text.length > 90 ? `${text.substring(0, 90)}...` : text)}</li>`;
+            }).join('');
+            const more = ids.length > MAX_LISTED ? `<li class="snapshot-diff-more">and ${ids.length - MAX_LISTED} more</li>` : '';
+            return `<h3>${title} (${ids.length})</h3><ul class="snapshot-diff-questions">${items}${more}</ul>`;
+        };
+
+        const changes = [
+            questionList('Answered since the snapshot', diff.answers.added),
+            questionList('Answer changed since the snapshot', diff.answers.changed),
+            questionList('Answered in the snapshot but not now', diff.answers.removed),
+            questionList('Flagged since the snapshot', diff.flags.added),
+            questionList('Flagged in the snapshot but not now', diff.flags.removed)
+        ].join('');
+
+        body.innerHTML = `
+            <p class="snapshot-diff-source">${escapeHtml(ProgressSnapshots.describeReason(diff.snapshot.reason))} &middot; ${escapeHtml(new Date(diff.snapshot.createdAt).toLocaleString())}</p>
+            <table class="snapshot-diff-table">
+                <thead><tr><th></th><th scope="col">Snapshot</th><th scope="col">Now</th><th scope="col">Change</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${changes || '<p class="snapshot-diff-none">No answers or flags differ from the snapshot.</p>'}
+        `;
+    }
+
+    async function restoreSnapshot(snapshotId) {
+        if (!confirm('Restore this snapshot? Your current progress is saved as a new snapshot first.')) return;
+        try {
+            await ProgressSnapshots.restore(snapshotId);
+        } catch (e) {
+            showToast(`Could not restore the snapshot: ${escapeHtml(e.message)}`, { variant: 'error' });
+            return;
+        }
+        showToast('Snapshot restored, reloading...', { variant: 'success' });
+        location.reload();
+    }
+
+    // ==================== PROGRESS SYNC ====================
+    function setupProgressSync() {
+        const passphraseInput = document.getElementById('progress-sync-passphrase');
+        const relaysInput = document.getElementById('progress-sync-relays');
+        const enableBtn = document.getElementById('progress-sync-enable');
+        const syncNowBtn = document.getElementById('progress-sync-now');
+        const disableBtn = document.getElementById('progress-sync-disable');
+        if (!enableBtn || typeof ProgressSync === 'undefined') return;
+
+        const relays = P2PSync.getRelays();
+        if (relaysInput && relays !== P2PSync.DEFAULT_RELAY_SERVERS) {
+            relaysInput.value = relays.join(', ');
+        }
+
+        enableBtn.addEventListener('click', async () => {
+            const passphrase = passphraseInput.value;
+            if (passphrase.length < ProgressSync.MIN_PASSPHRASE_LENGTH) {
+                showToast(`Use a passphrase of at least ${ProgressSync.MIN_PASSPHRASE_LENGTH} characters`, { variant: 'error' });
+                return;
+            }
+            const relayResult = P2PSync.setRelays(relaysInput ? relaysInput.value.split(/[\s,]+/) : []);
+            if (!relayResult.success) {
+                showToast(escapeHtml(relayResult.error), { variant: 'error' });
+                return;
+            }
+
+            enableBtn.disabled = true;
+            enableBtn.textContent = 'Turning on...';
+            try {
+                await ProgressSync.enable(passphrase);
+                passphraseInput.value = '';
+                showToast('Sync is on. Use the same passphrase on your other devices.', { variant: 'success' });
+            } catch (e) {
+                showToast(escapeHtml(e.message), { variant: 'error' });
+            } finally {
+                enableBtn.disabled = false;
+                enableBtn.textContent = 'Turn On Sync';
+                renderProgressSyncStatus();
+            }
+        });
+
+        syncNowBtn.addEventListener('click', async () => {
+            const written = await ProgressSync.syncNow();
+            const error = ProgressSync.getStatus().error;
+            if (error) {
+                showToast(escapeHtml(error), { variant: 'error' });
+            } else {
+                showToast(written > 0 ? `Sent ${written} update${written === 1 ? '' : 's'}` : 'Everything is already synced');
+            }
+            renderProgressSyncStatus();
+        });
+
+        disableBtn.addEventListener('click', () => {
+            ProgressSync.disable();
+            showToast('Sync is off on this device. Progress already synced is kept.');
+            renderProgressSyncStatus();
+        });
+
+        ProgressSync.onRemoteChange(applySyncedProgress);
+        ProgressSync.start().then(renderProgressSyncStatus);
+        setInterval(renderProgressSyncStatus, 5000);
+        renderProgressSyncStatus();
+    }
+
+    function renderProgressSyncStatus() {
+        const statusEl = document.getElementById('progress-sync-status');
+        const setupEl = document.getElementById('progress-sync-setup');
+        const activeEl = document.getElementById('progress-sync-active');
+        if (!statusEl) return;
+
+        const status = ProgressSync.getStatus();
+        if (setupEl) setupEl.hidden = status.enabled;
+        if (activeEl) activeEl.hidden = !status.enabled;
+
+        let text;
+        if (!status.enabled) {
+            text = 'Off. Progress stays on this device.';
+        } else if (status.error) {
+            text = status.error;
+        } else if (!status.connected) {
+            text = 'Connecting...';
+        } else if (status.lastSync) {
+            text = `On. Last synced ${new Date(status.lastSync).toLocaleTimeString()} (${status.recordsSent} sent, ${status.recordsReceived} received)`;
+        } else {
+            text = 'On. Waiting for your other devices.';
+        }
+        statusEl.textContent = text;
+        statusEl.classList.toggle('active', status.enabled && status.connected && !status.error);
+        statusEl.classList.toggle('error', status.enabled && !!status.error);
+    }
+
+    // ProgressSync or ProgressTabs has merged another device's or tab's progress into the store;
+    // reload the in-memory copies
+    function applySyncedProgress(change) {
+        if (change.types.includes(PROGRESS.PROGRESS) || change.types.includes(PROGRESS.EXAM_PROGRESS)) {
+            const data = ProgressStore.get(PROGRESS.PROGRESS);
+            const exam = ProgressStore.get(PROGRESS.EXAM_PROGRESS);
+            score = data.score;
+            examScore = exam.score;
+            Object.keys(answerState).forEach(key => delete answerState[key]);
+            Object.assign(answerState, data.answerState, exam.answerState);
+            Object.keys(examAnswerState).forEach(key => delete examAnswerState[key]);
+            Object.assign(examAnswerState, exam.answerState);
+            flaggedQuestions.clear();
+            data.flagged.forEach(id => flaggedQuestions.add(id));
+            // Schedule reviews for questions first answered on the other device or tab
+            SpacedRepetition.seedFromAnswers(answerState);
+            restoreUIState();
+        }
+        if (change.types.includes(PROGRESS.XP)) {
+            setupXPSystem();
+        }
+        scheduleUIUpdate();
+    }
+
+    // Other open tabs of this profile send their changes here instead of overwriting ours
+    function setupProgressTabs() {
+        if (typeof ProgressTabs === 'undefined') return;
+        ProgressTabs.onRemoteChange(applySyncedProgress);
+        ProgressTabs.start();
+    }
+
+    // ==================== LEARNER PROFILES ====================
+    function setupProfiles() {
+        const select = document.getElementById('profile-select');
+        const manageBtn = document.getElementById('profile-manage-btn');
+        const closeBtn = document.getElementById('profile-modal-close');
+        const createBtn = document.getElementById('profile-create-btn');
+        const nameInput = document.getElementById('profile-new-name');
+        const list = document.getElementById('profile-list');
+        if (!select) return;
+
+        renderProfiles();
+
+        select.addEventListener('change', () => switchProfile(select.value));
+        if (manageBtn) {
+            manageBtn.addEventListener('click', () => {
+                renderProfiles();
+                openModal('profile-modal');
+            });
+        }
+        if (closeBtn) closeBtn.addEventListener('click', () => closeModal('profile-modal'));
+
+        if (createBtn && nameInput) {
+            const createProfile = () => {
+                try {
+                    const profile = Profiles.create(nameInput.value);
+                    nameInput.value = '';
+                    renderProfiles();
+                    showToast(`Profile "${escapeHtml(profile.name)}" created`, {
+                        variant: 'success',
+                        action: { id: 'switch', label: 'Switch', onClick: () => switchProfile(profile.id) }
+                    });
+                } catch (e) {
+                    showToast(escapeHtml(e.message), { variant: 'error' });
+                }
+            };
+            createBtn.addEventListener('click', createProfile);
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    createProfile();
+                }
+            });
+        }
+
+        if (list) {
+            list.addEventListener('click', async (e) => {
+                const btn = e.target.closest('[data-profile-action]');
+                if (!btn) return;
+                const profileId = btn.dataset.profileId;
+                const profile = Profiles.list().find(p => p.id === profileId);
+                if (!profile) return;
+
+                try {
+                    if (btn.dataset.profileAction === 'switch') {
+                        switchProfile(profileId);
+                    } else if (btn.dataset.profileAction === 'rename') {
+                        const name = prompt('New name for this profile:', profile.name);
+                        if (name === null) return;
+                        Profiles.rename(profileId, name);
+                        renderProfiles();
+                    } else if (btn.dataset.profileAction === 'delete') {
+                        if (!confirm(`Delete the profile "${profile.name}" and all of its progress? This cannot be undone.`)) return;
+                        await Profiles.remove(profileId);
+                        renderProfiles();
+                        showToast(`Profile "${escapeHtml(profile.name)}" deleted`);
+                    }
+                } catch (err) {
+                    showToast(escapeHtml(err.message), { variant: 'error' });
+                }
+            });
+        }
+    }
+
+    function renderProfiles() {
+        const profiles = Profiles.list();
+        const activeId = Profiles.getActiveId();
+
+        const select = document.getElementById('profile-select');
+        if (select) {
+            select.innerHTML = profiles.map(profile =>
+                `<option value="${escapeHtml(profile.id)}"${profile.id === activeId ? ' selected' : ''}>${escapeHtml(profile.name)}</option>`
+            ).join('');
+        }
+
+        const list = document.getElementById('profile-list');
+        if (list) {
+            list.innerHTML = profiles.map(profile => {
+                const isActive = profile.id === activeId;
+                const canDelete = !isActive && profile.id !== Profiles.DEFAULT_ID;
+                return `
+                    <li class="profile-item${isActive ? ' active' : ''}">
+                        <span class="profile-item-name">${escapeHtml(profile.name)}${isActive ? ' <span class="profile-item-tag">Active</span>' : ''}</span>
+                        <span class="profile-item-actions">
+                            ${isActive ? '' : `<button class="action-btn small" data-profile-action="switch" data-profile-id="${escapeHtml(profile.id)}">Switch</button>`}
+                            <button class="action-btn small" data-profile-action="rename" data-profile-id="${escapeHtml(profile.id)}">Rename</button>
+                            ${canDelete ? `<button class="action-btn small danger" data-profile-action="delete" data-profile-id="${escapeHtml(profile.id)}">Delete</button>` : ''}
+                        </span>
+                    </li>
+                `;
+            }).join('');
+        }
+    }
+
+    // Every module reads its profile's keys at load, so switching reloads the page
+    function switchProfile(profileId) {
+        if (profileId === Profiles.getActiveId()) return;
+        try {
+            Profiles.switchTo(profileId);
+        } catch (e) {
+            showToast(escapeHtml(e.message), { variant: 'error' });
+            renderProfiles();
+            return;
+        }
+        saveStudyTime();
+        ProgressStore.flush().then(() => location.reload());
+    }
+
+    // ==================== UPDATE COUNTS ====================
+    function updateCounts() {
+        const visibleCategories = document.querySelectorAll('.category-section:not([style*="display: none"])').length;
+        const visibleQuestions = document.querySelectorAll('.question-container:not([style*="display: none"])').length;
+
+        const categoryChip = document.getElementById('category-count-chip');
+        const questionChip = document.getElementById('question-count-chip');
+
+        if (categoryChip) categoryChip.textContent = `Categories: ${visibleCategories}`;
+        if (questionChip) questionChip.textContent = `Questions: ${visibleQuestions}`;
+    }
+
+    // ==================== CENTRALIZED UI UPDATE ====================
+    let uiUpdateTimer = null;
+
+        function updateAllUI() {
+            updateCounts();
+            updateProgressGridPanel();
+            updateInsightsSummary();
+            updateReviewStats();
+            updateMobileSidebarStats();
+            updateSidebarStats(); // Update desktop sidebar stats (event-driven, not polling)
+            renderStreak();
+            renderXP();
+            updateAdditionalVisualizations(); // Update new KPIs and charts
+
+            // Update nav bar stats
+            const stats = calculateStats();
+            const percentageElement = document.getElementById("percentage");
+            const accuracyBar = document.getElementById("accuracy-bar");
+            const attemptedCount = document.getElementById("attempted-count");
+
+            if (percentageElement) {
+                const percentage = stats.attempted > 0 ? Math.round((stats.correct / stats.attempted) * 100) : 0;
+                percentageElement.textContent = percentage;
+            }
+            if (accuracyBar) {
+                const percentage = stats.attempted > 0 ? Math.round((stats.correct / stats.attempted) * 100) : 0;
+                accuracyBar.style.width = `${percentage}%`;
+            }
+            if (attemptedCount) {
+                attemptedCount.textContent = stats.attempted;
+            }
+        }
+
+    function scheduleUIUpdate() {
+        if (uiUpdateTimer) {
+            clearTimeout(uiUpdateTimer);
+        }
+        uiUpdateTimer = setTimeout(() => {
+            updateAllUI();
+            uiUpdateTimer = null;
+        }, 100);
+    }
+
+    const sanitizeUserMessage = (input) => (input || "")
+        .replace(/[\u0000-\u001F\u007F]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+
+    const isUnsafeMessage = (text) => blockedPhrases.some((pattern) => pattern.test(text));
+
+    // Function to shuffle options randomly
+    function shuffleArray(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+    }
+
+    // Appendix-based categorization for progress tracking
+    const APPENDIX_TITLES = {
+        'A': 'Appendix A: Soft Skills & Assessment',
         'B': 'Appendix B: Core Technical Skills',
         'C': 'Appendix C: Background Info & Open Source',
         'D': 'Appendix D: Networking Equipment',
@@ -1444,6 +2237,10 @@ Practice at: https://sudosuraj.github.io/crest-cpsa/`;
     };
 
     function categorizeQuestion(questionObj) {
+        // Exam-bank questions without a syllabus mapping yet
+        if (questionObj.appendix === 'Exam') {
+            return 'Exam Questions';
+        }
         // Use appendix metadata if available (preferred)
         if (questionObj.appendix) {
             return APPENDIX_TITLES[questionObj.appendix] || `Appendix ${questionObj.appendix}`;
@@ -1462,6 +2259,117 @@ Practice at: https://sudosuraj.github.io/crest-cpsa/`;
         return qId && qId.startsWith('exam_');
     }
 
+    // ==================== ATTEMPT LOG ====================
+    // Every answer is appended to AttemptLog; answerState keeps only the latest one
+    let lastAnswerAt = 0;
+    let challengeActive = false;
+
+    // Time on a card: since it was shown or since the previous answer, whichever is later
+    function getAnswerTime(shownAt) {
+        const now = Date.now();
+        const elapsed = now - Math.max(shownAt, lastAnswerAt);
+        lastAnswerAt = now;
+        return elapsed;
+    }
+
+    // List view builds a whole page of cards at once, so a card's clock restarts whenever it
+    // scrolls (back) into view rather than running from when it was created
+    const dwellObserver = typeof IntersectionObserver !== 'undefined'
+        ? new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) entry.target.dataset.shownAt = Date.now();
+            });
+        }, { threshold: 0.6 })
+        : null;
+
+    function trackCardDwell(card) {
+        card.dataset.shownAt = Date.now();
+        if (dwellObserver) dwellObserver.observe(card);
+    }
+
+    // Dwell time for a card that has just been answered
+    function getCardAnswerTime(card) {
+        if (dwellObserver) dwellObserver.unobserve(card);
+        return getAnswerTime(Number(card.dataset.shownAt) || Date.now());
+    }
+
+    function getAnswerMode() {
+        if (challengeActive) return 'challenge';
+        if (sprintActive) return 'sprint';
+        return 'practice';
+    }
+
+    function logAttempt(qId, selectedAnswer, isCorrect, options = {}) {
+        AttemptLog.record(qId, {
+            selected: selectedAnswer,
+            correct: isCorrect,
+            timeTaken: options.timeTaken ?? null,
+            mode: options.mode || getAnswerMode(),
+            confidence: options.confidence || null
+        });
+    }
+
+    // ==================== CONFIDENCE RATING ====================
+    // Optional "how sure are you" rating, picked before answering and stored with the attempt
+    const CONFIDENCE_LEVELS = [
+        { value: 'sure', label: 'Sure' },
+        { value: 'unsure', label: 'Unsure' },
+        { value: 'guess', label: 'Guess' }
+    ];
+
+    function createConfidencePicker() {
+        const picker = document.createElement('div');
+        picker.classList.add('confidence-picker');
+        picker.setAttribute('role', 'group');
+        picker.setAttribute('aria-label', 'How confident are you? (optional)');
+
+        const label = document.createElement('span');
+        label.classList.add('confidence-label');
+        label.textContent = 'Confidence';
+        picker.appendChild(label);
+
+        CONFIDENCE_LEVELS.forEach(level => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.classList.add('confidence-option');
+            button.dataset.confidence = level.value;
+            button.setAttribute('aria-pressed', 'false');
+            button.textContent = level.label;
+            button.addEventListener('click', () => {
+                if (picker.classList.contains('locked')) return;
+                const active = button.getAttribute('aria-pressed') === 'true';
+                picker.querySelectorAll('.confidence-option').forEach(opt => opt.setAttribute('aria-pressed', 'false'));
+                // Clicking the active rating again clears it
+                if (!active) {
+                    button.setAttribute('aria-pressed', 'true');
+                }
+            });
+            picker.appendChild(button);
+        });
+
+        return picker;
+    }
+
+    function lockConfidencePicker(picker) {
+        picker.classList.add('locked');
+        picker.querySelectorAll('.confidence-option').forEach(opt => {
+            opt.disabled = true;
+        });
+    }
+
+    // Locks the picker once the question is answered and returns the rating, or null if none was picked
+    function takePickedConfidence(picker) {
+        if (!picker) return null;
+        const active = picker.querySelector('.confidence-option[aria-pressed="true"]');
+        lockConfidencePicker(picker);
+        return active ? active.dataset.confidence : null;
+    }
+
+    // A correct guess is scheduled like a hard recall so it comes back soon instead of being trusted
+    function getConfidenceReviewOptions(confidence, isCorrect) {
+        return confidence === 'guess' && isCorrect ? { quality: SpacedRepetition.Quality.HARD } : {};
+    }
+
     // Get the base ID for an exam question (strips 'exam_' prefix)
     function getBaseExamId(qId) {
         return isExamQuestion(qId) ? qId.substring(5) : qId;
@@ -1478,11 +2386,15 @@ Practice at: https://sudosuraj.github.io/crest-cpsa/`;
             const baseId = getBaseExamId(qId);
             const examQ = examQuizData[baseId];
             if (examQ) {
-                // Return with exam-specific metadata
+                // Return with exam-specific metadata, using the syllabus mapping once available
+                const mapping = typeof ExamMapping !== 'undefined' ? ExamMapping.getMapping(baseId) : null;
                 return {
                     ...examQ,
-                    appendix: examQ.appendix || 'Exam',
-                    appendix_title: examQ.appendix_title || 'Exam Questions',
+                    appendix: mapping ? mapping.appendix : 'Exam',
+                    appendix_title: mapping ? mapping.appendixTitle : 'Exam Questions',
+                    section_id: mapping ? mapping.sectionId : undefined,
+                    section_title: mapping ? mapping.sectionTitle : undefined,
+                    mapping,
                     isExam: true
                 };
             }
@@ -1494,17 +2406,15 @@ Practice at: https://sudosuraj.github.io/crest-cpsa/`;
     function getCategoryForQuestion(qId) {
         const question = getQuestionById(qId);
         if (!question) return 'Unknown';
-        if (isExamQuestion(qId) && !question.appendix) {
-            return 'Exam Questions';
-        }
         return categorizeQuestion(question);
     }
 
     // Function to call LLM API(no key required) - Now with CONDITIONAL RAG support
     // For explain buttons: uses source_chunk_id directly if provided (more accurate, fewer tokens)
     // For general queries: only attaches RAG if query is CPSA-specific OR has high BM25 score
+    // Pass onToken (and optionally signal) to stream the answer as it is generated
     async function callOpenAI(prompt, options = {}) {
-        const { useRAG = false, ragQuery = null, topK = 5, sourceChunkId = null, scoreThreshold = 5.0 } = options;
+        const { useRAG = false, ragQuery = null, topK = 5, sourceChunkId = null, scoreThreshold = 5.0, onToken = null, signal = null } = options;
 
         try {
             let systemContent = 'You are CPSA Copilot, the AI tutor for the CREST CPSA Practice Quiz app created by Suraj Sharma (@sudosuraj). Be concise. Plain text only, no markdown.';
@@ -1550,14 +2460,18 @@ Practice at: https://sudosuraj.github.io/crest-cpsa/`;
                 throw new Error('LLMClient not available - ensure llm-client.js is loaded before app.js');
             }
 
-            const data = await LLMClient.requestHighPriority({
+            const payload = {
                 messages: [
                     { role: 'system', content: systemContent },
                     { role: 'user', content: userContent }
                 ],
                 max_tokens: 400,
-                temperature: 0.7
-            });
+                temperature: 0.7,
+                task: LLMClient.TASKS.EXPLANATIONS
+            };
+            const data = onToken
+                ? await LLMClient.requestStream(payload, { onToken, signal })
+                : await LLMClient.requestHighPriority(payload);
 
             const answer = data.choices?.[0]?.message?.content?.trim() || 'No explanation available.';
 
@@ -1567,6 +2481,7 @@ Practice at: https://sudosuraj.github.io/crest-cpsa/`;
             }
             return answer;
         } catch (error) {
+            if (error.name === 'AbortError') return '';
             console.error('OpenAI API Error:', error);
             return `Error: Unable to fetch explanation. ${error.message}`;
         }
@@ -1822,7 +2737,8 @@ Behavior:
     }
 
     // Help chatbot API wrapper (keeps conversation history) - Simplified without RAG for faster responses
-    async function callTutor(messages) {
+    // Streams the reply through onToken; resolves to '' if the signal cancels it
+    async function callTutor(messages, { onToken = null, signal = null } = {}) {
         const systemContent = getCopilotSystemPrompt();
 
         // Build payload - simple system message + conversation
@@ -1840,16 +2756,17 @@ Behavior:
                 throw new Error('LLMClient not available - ensure llm-client.js is loaded before app.js');
             }
 
-            const data = await LLMClient.requestHighPriority({
+            const data = await LLMClient.requestStream({
                 messages: payload,
                 max_tokens: 400,
-                temperature: 0.5
-            });
+                temperature: 0.5,
+                task: LLMClient.TASKS.CHAT
+            }, { onToken, signal });
 
             return data.choices?.[0]?.message?.content?.trim() || 'No reply received.';
         } catch (error) {
             if (error.name === 'AbortError') {
-                return 'Sorry, the tutor timed out. Please try again.';
+                return '';
             }
             console.error('Chatbot API Error:', error);
             return `Sorry, I could not fetch a reply. ${error.message}`;
@@ -1883,8 +2800,14 @@ Correct Answer: "${correctAnswer}"
 
 Provide background context and key concepts/terms that are relevant to understanding this question. Focus on explaining the foundational knowledge, important terms, and context needed to answer it. Keep it concise (3-4 sentences).`;
 
-        // Call without RAG for faster response
-        const result = await callOpenAI(prompt, { useRAG: false });
+        // Call without RAG for faster response, showing the text as it arrives
+        const result = await callOpenAI(prompt, {
+            useRAG: false,
+            onToken: (token, text) => {
+                explanationDiv.classList.remove('loading');
+                explanationDiv.textContent = text;
+            }
+        });
 
         explanationDiv.classList.remove('loading');
         explanationDiv.textContent = result || 'Unable to generate explanation.';
@@ -1924,6 +2847,42 @@ Provide background context and key concepts/terms that are relevant to understan
         });
     }
 
+    // Streams an answer explanation into its panel. The button is enabled again once text
+    // arrives, so clicking it to hide the panel also cancels the request.
+    // Resolves to the explanation, or null if it was cancelled.
+    async function streamExplanation(explanationDiv, button, key, prompt) {
+        const controller = new AbortController();
+        const typing = { cancelled: false, controller };
+        activeExplanationTyping[key] = typing;
+
+        const result = await callOpenAI(prompt, {
+            useRAG: false,
+            signal: controller.signal,
+            onToken: (token, text) => {
+                if (explanationDiv.classList.contains('loading')) {
+                    explanationDiv.classList.remove('loading');
+                    button.innerHTML = getGeminiIconFilled(key);
+                    button.title = 'Hide explanation';
+                    button.disabled = false;
+                }
+                explanationDiv.textContent = text;
+            }
+        });
+
+        if (activeExplanationTyping[key] === typing) {
+            delete activeExplanationTyping[key];
+        }
+        return typing.cancelled ? null : result;
+    }
+
+    // Hides an answer explanation, stopping its typing animation or request
+    function cancelExplanation(key) {
+        const typing = activeExplanationTyping[key];
+        if (!typing) return;
+        typing.cancelled = true;
+        if (typing.controller) typing.controller.abort();
+    }
+
     // Function to explain answer on demand - simplified to only explain why selected answer is right/wrong
     async function explainAnswer(questionId) {
         const state = answerState[questionId];
@@ -1939,10 +2898,8 @@ Provide background context and key concepts/terms that are relevant to understan
 
         // Toggle: if already showing and not loading, hide it (no LLM call needed)
         if (explanationDiv.classList.contains('show') && !explanationDiv.classList.contains('loading')) {
-            // Cancel any active typing animation
-            if (activeExplanationTyping[questionId]) {
-                activeExplanationTyping[questionId].cancelled = true;
-            }
+            // Cancel any active typing animation or streaming request
+            cancelExplanation(questionId);
             explanationDiv.classList.remove('show');
             // Restore the icon-only button
             button.innerHTML = getGeminiIcon(questionId);
@@ -2000,8 +2957,10 @@ Correct Answer: "${correctAnswer}"
 You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and why "${correctAnswer}" is correct in 2-3 sentences.`;
             }
 
-            // Call without RAG for faster response
-            const result = await callOpenAI(prompt, { useRAG: false });
+            // Call without RAG for faster response, streaming tokens into the panel
+            const result = await streamExplanation(explanationDiv, button, questionId, prompt);
+            // Hidden while it was still streaming; nothing to cache
+            if (result === null) return;
             const explanation = result || 'Unable to generate explanation.';
 
             // Cache the result
@@ -2011,14 +2970,11 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             };
 
             explanationDiv.classList.remove('loading');
-            explanationDiv.textContent = '';
+            explanationDiv.textContent = explanation;
 
             // Update button to show "hide" state with filled icon
             button.innerHTML = getGeminiIconFilled(questionId);
             button.title = 'Hide explanation';
-
-            // Type out explanation character by character (like chatbot)
-            await typeExplanationText(explanationDiv, explanation, questionId);
         } catch (error) {
             console.error('Error explaining answer:', error);
             explanationDiv.classList.remove('loading');
@@ -2418,8 +3374,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
                 streamingIndicator.remove();
             }
 
-            // Automatically continue generating more questions if available
-            if (result.hasMore && !result.exhausted) {
+            // Automatically continue generating more questions if available (not if the
+            // learner has already left this appendix and generation was cancelled)
+            if (result.hasMore && !result.exhausted && !result.cancelled) {
                 continuouslyGenerateMoreQuestions(appendixLetter);
             }
 
@@ -2448,6 +3405,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
 
         // Create question card matching existing structure
         const questionCard = document.createElement('div');
+        trackCardDwell(questionCard);
         questionCard.classList.add('question-card', 'fade-in');
         questionCard.dataset.questionId = id;
 
@@ -2499,6 +3457,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         questionText.classList.add('question-card-text');
         questionText.textContent = question.question;
 
+        // Optional confidence rating, read when an option is picked
+        const confidencePicker = createConfidencePicker();
+
         // Options
         const optionsDiv = document.createElement('div');
         optionsDiv.classList.add('question-card-options');
@@ -2557,6 +3518,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
                     correctAnswer: question.answer,
                     isCorrect: isCorrect
                 };
+                const confidence = takePickedConfidence(confidencePicker);
+                SpacedRepetition.recordAnswer(id, isCorrect, getConfidenceReviewOptions(confidence, isCorrect));
+                logAttempt(id, selectedAnswer, isCorrect, { timeTaken: getCardAnswerTime(questionCard), confidence });
 
                 // Update score
                 if (isCorrect) {
@@ -2582,6 +3546,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         // Assemble the card
         questionCard.appendChild(questionHeader);
         questionCard.appendChild(questionText);
+        questionCard.appendChild(confidencePicker);
         questionCard.appendChild(optionsDiv);
         questionCard.appendChild(answerExplanation);
 
@@ -2913,6 +3878,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
 
             // Create modern question card
             const questionCard = document.createElement("div");
+            trackCardDwell(questionCard);
             questionCard.classList.add("question-card");
             questionCard.dataset.questionId = key;
 
@@ -2965,6 +3931,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             questionText.classList.add("question-card-text");
             questionText.textContent = questionObj.question;
 
+            // Optional confidence rating, read when an option is picked
+            const confidencePicker = createConfidencePicker();
+
             // Options container
             const optionsDiv = document.createElement("div");
             optionsDiv.classList.add("question-card-options");
@@ -3023,6 +3992,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
                         correctAnswer: questionObj.answer,
                         isCorrect: isCorrect
                     };
+                    const confidence = takePickedConfidence(confidencePicker);
+                    SpacedRepetition.recordAnswer(key, isCorrect, getConfidenceReviewOptions(confidence, isCorrect));
+                    logAttempt(key, selectedAnswer, isCorrect, { timeTaken: getCardAnswerTime(questionCard), confidence });
 
                     // Update score
                     if (isCorrect) {
@@ -3050,6 +4022,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             // Assemble the card
             questionCard.appendChild(questionHeader);
             questionCard.appendChild(questionText);
+            questionCard.appendChild(confidencePicker);
             questionCard.appendChild(optionsDiv);
             questionCard.appendChild(answerExplanation);
 
@@ -3084,40 +4057,25 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
     // Exam panel uses pre-loaded questions from examQuizData (CREST repo)
     // Questions are shuffled on every load for variety
 
-    const EXAM_STORAGE_KEY = 'cpsa_exam_progress';
     const examAnswerState = {};
     let examScore = 0;
     let examLoaded = false;
 
         function loadExamProgress() {
-            try {
-                const saved = localStorage.getItem(EXAM_STORAGE_KEY);
-                if (saved) {
-                    const data = JSON.parse(saved);
-                    examScore = data.score || 0;
-                    Object.assign(examAnswerState, data.answerState || {});
-                    // Sync exam answers to main answerState for unified tracking across all pages
-                    Object.assign(answerState, data.answerState || {});
-                    return data;
-                }
-            } catch (e) {
-                console.error('Error loading exam progress:', e);
-            }
-            return null;
+            const data = ProgressStore.get(PROGRESS.EXAM_PROGRESS);
+            examScore = data.score;
+            Object.assign(examAnswerState, data.answerState);
+            // Sync exam answers to main answerState for unified tracking across all pages
+            Object.assign(answerState, data.answerState);
+            return data;
         }
 
     function saveExamProgress() {
-        try {
-            const data = {
-                score: examScore,
-                answerState: examAnswerState,
-                lastUpdated: Date.now()
-            };
-            localStorage.setItem(EXAM_STORAGE_KEY, JSON.stringify(data));
-            scheduleUIUpdate();
-        } catch (e) {
-            console.error('Error saving exam progress:', e);
-        }
+        ProgressStore.set(PROGRESS.EXAM_PROGRESS, {
+            score: examScore,
+            answerState: examAnswerState
+        });
+        scheduleUIUpdate();
     }
 
     function loadExamQuiz() {
@@ -3153,6 +4111,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         infoEl.innerHTML = `
             <span class="page-counter">${totalQuestions} questions available</span>
             <span class="chunk-progress">Attempted: ${examAttempted} | Correct: ${examCorrect} | Accuracy: ${examAccuracy}%</span>
+            <span class="chunk-progress" id="exam-mapping-summary"></span>
         `;
         header.appendChild(infoEl);
 
@@ -3163,6 +4122,22 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         shuffleBtn.addEventListener('click', () => loadExamQuiz());
         header.appendChild(shuffleBtn);
 
+        // Timed mock exam under CPSA conditions
+        const mockExamBtn = document.createElement('button');
+        mockExamBtn.className = 'action-btn primary';
+        mockExamBtn.innerHTML = '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="13" r="8"/><path d="M12 9v4l2 2M9 2h6"/></svg> Mock Exam';
+        mockExamBtn.addEventListener('click', openExamConfig);
+        header.appendChild(mockExamBtn);
+
+        const historyBtn = document.createElement('button');
+        historyBtn.className = 'action-btn';
+        historyBtn.textContent = 'Exam History';
+        historyBtn.addEventListener('click', () => {
+            examHistorySelection = [];
+            renderExamHistory();
+        });
+        header.appendChild(historyBtn);
+
         examContainer.appendChild(header);
 
         // Create questions container
@@ -3176,6 +4151,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             const examKey = `exam_${key}`;
 
             const questionCard = document.createElement('div');
+            trackCardDwell(questionCard);
             questionCard.classList.add('question-card');
             questionCard.dataset.questionId = examKey;
 
@@ -3225,6 +4201,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             questionActions.appendChild(flagBtn);
             questionActions.appendChild(explainBtn);
             questionHeader.appendChild(questionBadge);
+            questionHeader.appendChild(createExamSectionBadge(key));
             questionHeader.appendChild(questionActions);
 
             // Question text
@@ -3232,6 +4209,10 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             questionText.classList.add('question-card-text');
             questionText.textContent = questionObj.question;
 
+            // Optional confidence rating, read when an option is picked
+            const confidencePicker = createConfidencePicker();
+            if (examAnswerState[examKey]) lockConfidencePicker(confidencePicker);
+
             // Options container
             const optionsDiv = document.createElement('div');
             optionsDiv.classList.add('question-card-options');
@@ -3297,6 +4278,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
 
                     // Also update main answerState for unified progress tracking
                     answerState[examKey] = examAnswerState[examKey];
+                    const confidence = takePickedConfidence(confidencePicker);
+                    SpacedRepetition.recordAnswer(examKey, isCorrect, getConfidenceReviewOptions(confidence, isCorrect));
+                    logAttempt(examKey, selectedAnswer, isCorrect, { timeTaken: getCardAnswerTime(questionCard), mode: 'exam', confidence });
 
                     if (isCorrect) {
                         examScore++;
@@ -3323,6 +4307,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
 
             questionCard.appendChild(questionHeader);
             questionCard.appendChild(questionText);
+            questionCard.appendChild(confidencePicker);
             questionCard.appendChild(optionsDiv);
             questionCard.appendChild(answerExplanation);
 
@@ -3334,11 +4319,102 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
 
         // Update stats
         updateExamStats();
+        updateExamMappingSummary();
         examLoaded = true;
     }
 
-    function updateExamStats() {
-        const examAttempted = Object.keys(examAnswerState).length;
+    // ==================== EXAM BANK SYLLABUS MAPPING ====================
+    function setupExamMapping() {
+        if (typeof ExamMapping === 'undefined') return;
+
+        ExamMapping.onChange(() => {
+            document.querySelectorAll('.exam-section-badge').forEach(badge => {
+                renderExamSectionBadge(badge, badge.dataset.examKey);
+            });
+            updateExamMappingSummary();
+            scheduleUIUpdate();
+        });
+        ExamMapping.ensureMapped();
+    }
+
+    function updateExamMappingSummary() {
+        const summaryEl = document.getElementById('exam-mapping-summary');
+        if (!summaryEl || typeof ExamMapping === 'undefined') return;
+
+        const summary = ExamMapping.getSummary();
+        summaryEl.textContent = summary.mapped < summary.total
+            ? `Mapping to syllabus: ${summary.mapped}/${summary.total}`
+            : `Mapped to syllabus | ${summary.lowConfidence} low confidence | ${summary.overrides} manual`;
+    }
+
+    function createExamSectionBadge(key) {
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.className = 'exam-section-badge';
+        badge.dataset.examKey = key;
+        renderExamSectionBadge(badge, key);
+        badge.addEventListener('click', () => openExamSectionPicker(badge, key));
+        return badge;
+    }
+
+    function renderExamSectionBadge(badge, key) {
+        const mapping = typeof ExamMapping !== 'undefined' ? ExamMapping.getMapping(key) : null;
+        badge.classList.toggle('low-confidence', !!mapping && ExamMapping.isLowConfidence(mapping));
+        badge.classList.toggle('manual', !!mapping && mapping.source === 'manual');
+
+        if (!mapping) {
+            badge.textContent = 'Unmapped';
+            badge.title = 'Not mapped to a syllabus section yet. Click to choose one.';
+            return;
+        }
+        badge.textContent = mapping.sectionTitle;
+        badge.title = mapping.source === 'manual'
+            ? 'Section set manually. Click to change.'
+            : `Auto-mapped with ${Math.round(mapping.confidence * 100)}% confidence. Click to change.`;
+    }
+
+    // Swaps the badge for a section picker; choosing "Automatic" removes the manual override
+    async function openExamSectionPicker(badge, key) {
+        if (typeof ExamMapping === 'undefined') return;
+
+        const appendices = await ExamMapping.getSectionCatalog();
+        if (appendices.length === 0) {
+            showToast('Syllabus sections could not be loaded', { variant: 'error' });
+            return;
+        }
+
+        const mapping = ExamMapping.getMapping(key);
+        const select = document.createElement('select');
+        select.className = 'exam-section-select';
+        select.setAttribute('aria-label', 'Syllabus section');
+        select.innerHTML = '<option value="">Automatic</option>' + appendices.map(appendix => `
+            <optgroup label="${escapeHtml(appendix.title)}">
+                ${appendix.sections.map(section => `<option value="${escapeHtml(section.id)}">${escapeHtml(section.title)}</option>`).join('')}
+            </optgroup>
+        `).join('');
+        select.value = mapping && mapping.source === 'manual' ? mapping.sectionId : '';
+
+        const restoreBadge = () => {
+            if (select.isConnected) select.replaceWith(badge);
+            renderExamSectionBadge(badge, key);
+        };
+
+        select.addEventListener('change', async () => {
+            if (select.value) {
+                await ExamMapping.setOverride(key, select.value);
+            } else {
+                ExamMapping.clearOverride(key);
+            }
+            restoreBadge();
+        });
+        select.addEventListener('blur', restoreBadge);
+
+        badge.replaceWith(select);
+        select.focus();
+    }
+
+    function updateExamStats() {
+        const examAttempted = Object.keys(examAnswerState).length;
         const examCorrect = Object.values(examAnswerState).filter(a => a.correct).length;
         const examAccuracy = examAttempted > 0 ? Math.round((examCorrect / examAttempted) * 100) : 0;
 
@@ -3369,10 +4445,8 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
 
         // Toggle: if already showing and not loading, hide it (no LLM call needed)
         if (explanationDiv.classList.contains('show') && !explanationDiv.classList.contains('loading')) {
-            // Cancel any active typing animation
-            if (activeExplanationTyping[examKey]) {
-                activeExplanationTyping[examKey].cancelled = true;
-            }
+            // Cancel any active typing animation or streaming request
+            cancelExplanation(examKey);
             explanationDiv.classList.remove('show');
             // Restore the icon-only button
             button.innerHTML = getGeminiIcon(examKey);
@@ -3428,8 +4502,10 @@ Correct Answer: "${correctAnswer}"
 You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and why "${correctAnswer}" is correct in 2-3 sentences.`;
             }
 
-            // Call without RAG for faster response
-            const result = await callOpenAI(prompt, { useRAG: false });
+            // Call without RAG for faster response, streaming tokens into the panel
+            const result = await streamExplanation(explanationDiv, button, examKey, prompt);
+            // Hidden while it was still streaming; nothing to cache
+            if (result === null) return;
             const explanation = result || 'Unable to generate explanation.';
 
             // Cache the result
@@ -3439,14 +4515,11 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             };
 
             explanationDiv.classList.remove('loading');
-            explanationDiv.textContent = '';
+            explanationDiv.textContent = explanation;
 
             // Update button to show "hide" state with filled icon
             button.innerHTML = getGeminiIconFilled(examKey);
             button.title = 'Hide explanation';
-
-            // Type out explanation character by character (like chatbot)
-            await typeExplanationText(explanationDiv, explanation, examKey);
         } catch (error) {
             console.error('Error explaining exam answer:', error);
             explanationDiv.classList.remove('loading');
@@ -3502,14 +4575,14 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             // Setup sidebar collapse
         const sideNavCollapse = document.getElementById("side-nav-collapse");
         if (sideNavCollapse && sideNav) {
-            const savedCollapsed = localStorage.getItem('cpsa_sidebar_collapsed') === 'true';
+            const savedCollapsed = localStorage.getItem(Profiles.key('cpsa_sidebar_collapsed')) === 'true';
             if (savedCollapsed) {
                 sideNav.classList.add('collapsed');
             }
             sideNavCollapse.addEventListener("click", () => {
                 sideNav.classList.toggle('collapsed');
                 const isCollapsed = sideNav.classList.contains('collapsed');
-                localStorage.setItem('cpsa_sidebar_collapsed', isCollapsed);
+                localStorage.setItem(Profiles.key('cpsa_sidebar_collapsed'), isCollapsed);
                 sideNavCollapse.setAttribute('aria-expanded', !isCollapsed);
             });
         }
@@ -3576,9 +4649,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         // Reset all progress button
         const resetAllBtn = document.getElementById('reset-all-progress-btn');
         if (resetAllBtn) {
-            resetAllBtn.addEventListener('click', () => {
+            resetAllBtn.addEventListener('click', async () => {
                 if (confirm('Are you sure you want to reset ALL progress? This will clear all answers, XP, badges, and streaks.')) {
-                    resetProgress();
+                    await resetProgress();
                     updateProgressGridPanel();
                     showToast('All progress has been reset');
                 }
@@ -3641,6 +4714,12 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
                 showToast(`Showing ${incorrectIds.length} incorrect questions`);
             });
         }
+
+        // Lucky guesses and confident mistakes from the calibration panel
+        const reviewCalibrationBtn = document.getElementById('review-calibration-btn');
+        if (reviewCalibrationBtn) {
+            reviewCalibrationBtn.addEventListener('click', reviewCalibrationQuestions);
+        }
     }
 
     // Update insights summary
@@ -3674,6 +4753,20 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         if (totalCorrectEl) totalCorrectEl.textContent = correct;
         if (studyTimeEl) studyTimeEl.textContent = studyTimeStr;
 
+        // Improvement over time, from the attempt log
+        const logStats = calculateStats();
+        const firstTryRateEl = document.getElementById('first-try-rate');
+        const improvedEl = document.getElementById('improved-count');
+        if (firstTryRateEl) {
+            firstTryRateEl.textContent = logStats.attempted > 0
+                ? `${Math.round((logStats.firstTryCorrect / logStats.attempted) * 100)}%`
+                : '0%';
+        }
+        if (improvedEl) {
+            improvedEl.textContent = logStats.improved;
+            improvedEl.title = 'Questions answered wrong at first and correctly on the latest attempt';
+        }
+
         // Update score status badge
         if (scoreStatusEl) {
             if (accuracy >= 80) {
@@ -3719,6 +4812,8 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         // Render Chart.js visualizations for Insights
         renderInsightsCharts(accuracy, masteryLevel, correct, incorrect);
         renderInsightsRecommendations();
+        renderCalibration();
+        renderPacing();
         renderAchievementsBadges();
         renderRecentActivity();
     }
@@ -3786,8 +4881,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         // Activity Trend Line Chart
         const history = getPerformanceHistory();
         if (history.length >= 2) {
-            const trendLabels = history.slice(-7).map((_, i) => 'Day ' + (i + 1));
-            ChartManager.createLineChart('activity-chart', trendLabels, history.slice(-7));
+            ChartManager.createLineChart('activity-chart', history.map(formatHistoryLabel), history.map(day => day.accuracy));
         }
 
         // Practice vs Exam Comparison
@@ -3916,7 +5010,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         const correctCount = allAnswers.filter(([, s]) => s.correct).length;
         const incorrectCount = attempted - correctCount;
         const flaggedCount = flaggedQuestions.size;
-        const totalReviewCount = incorrectCount + flaggedCount;
+        const calibration = getCalibrationStats();
+        const luckyGuessCount = calibration.luckyGuesses.filter(qId => !flaggedQuestions.has(qId)).length;
+        const totalReviewCount = incorrectCount + flaggedCount + luckyGuessCount;
         const accuracy = attempted > 0 ? Math.round((correctCount / attempted) * 100) : 0;
 
         // Update dashboard elements
@@ -3937,6 +5033,16 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         if (filterAllCount) filterAllCount.textContent = totalReviewCount;
         if (filterIncorrectCount) filterIncorrectCount.textContent = incorrectCount;
         if (filterFlaggedCount) filterFlaggedCount.textContent = flaggedCount;
+
+        const filterConfidenceCount = document.getElementById('filter-confidence-count');
+        if (filterConfidenceCount) {
+            filterConfidenceCount.textContent = calibration.luckyGuesses.length + calibration.confidentWrong.length;
+        }
+
+        const filterMisconceptionsCount = document.getElementById('filter-misconceptions-count');
+        if (filterMisconceptionsCount) {
+            filterMisconceptionsCount.textContent = Misconceptions.collect(getQuestionById).filter(m => !m.resolved).length;
+        }
         if (queueCount) queueCount.textContent = totalReviewCount + ' items';
         if (alertCount) alertCount.textContent = getWeakAreasCount() + ' areas need attention';
 
@@ -3962,6 +5068,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             }
         }
 
+        // Spaced repetition due queue
+        updateDueQueueSummary();
+
         // Render Chart.js visualizations
         renderReviewCharts(accuracy);
         renderWeakAreasAlerts();
@@ -3998,8 +5107,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         // Performance Trend Line Chart
         const history = getPerformanceHistory();
         if (history.length >= 2) {
-            const trendLabels = history.map((_, i) => 'Day ' + (i + 1));
-            ChartManager.createLineChart('trend-chart', trendLabels, history);
+            ChartManager.createLineChart('trend-chart', history.map(formatHistoryLabel), history.map(day => day.accuracy));
         }
     }
 
@@ -4017,9 +5125,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         const categoryStats = {};
         Object.entries(answerState).forEach(([qId, state]) => {
             const question = getQuestionById(qId);
-            const isExam = isExamQuestion(qId);
-            const category = isExam ? 'Exam' : (question?.appendix || 'Unknown');
-            const categoryTitle = isExam ? 'Exam Questions' : (question?.appendix_title || category);
+            const category = question?.appendix || 'Unknown';
+            const categoryTitle = question?.appendix_title || category;
+            const isExam = category === 'Exam';
 
             if (!categoryStats[category]) {
                 categoryStats[category] = { title: categoryTitle, attempted: 0, correct: 0, isExam };
@@ -4030,21 +5138,13 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         return categoryStats;
     }
 
-    // Get performance history(simulated from current data)
+    // Daily accuracy over every attempt, for the last 7 days with activity
     function getPerformanceHistory() {
-        const allAnswers = Object.entries(answerState);
-        if (allAnswers.length < 5) return [];
-
-        const chunkSize = Math.ceil(allAnswers.length / 7);
-        const history = [];
-
-        for (let i = 0; i < 7 && i * chunkSize < allAnswers.length; i++) {
-            const chunk = allAnswers.slice(0, (i + 1) * chunkSize);
-            const correct = chunk.filter(([, s]) => s.correct).length;
-            history.push(Math.round((correct / chunk.length) * 100));
-        }
+        return AttemptLog.getDailyAccuracy(7);
+    }
 
-        return history;
+    function formatHistoryLabel(day) {
+        return new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
     }
 
     // Render Weak Areas Alerts
@@ -4090,6 +5190,108 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
     }
 
     // Render questions into the review panel's #review-list container
+    let activeReviewFilter = 'all';
+
+    function setupReviewFilters() {
+        const tabs = document.querySelectorAll('.review-filter-tabs .filter-tab');
+        const appendixFilter = document.getElementById('review-appendix-filter');
+
+        if (appendixFilter && appendixFilter.options.length <= 1) {
+            Object.entries(APPENDIX_TITLES).forEach(([letter, title]) => {
+                const option = document.createElement('option');
+                option.value = letter;
+                option.textContent = title;
+                appendixFilter.appendChild(option);
+            });
+            const examOption = document.createElement('option');
+            examOption.value = 'Exam';
+            examOption.textContent = 'Exam bank (not yet mapped)';
+            appendixFilter.appendChild(examOption);
+        }
+
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                activeReviewFilter = tab.dataset.filter;
+                tabs.forEach(t => t.classList.toggle('active', t === tab));
+                renderFilteredReviewQueue();
+            });
+        });
+
+        if (appendixFilter) {
+            appendixFilter.addEventListener('change', renderFilteredReviewQueue);
+        }
+    }
+
+    // Review queue for the active filter tab, narrowed to one appendix (exam-bank questions included)
+    function renderFilteredReviewQueue() {
+        const appendixFilter = document.getElementById('review-appendix-filter');
+        const appendix = appendixFilter ? appendixFilter.value : 'all';
+        if (activeReviewFilter === 'misconceptions') {
+            renderMisconceptions(appendix);
+            return;
+        }
+
+        const incorrectIds = Object.entries(answerState)
+            .filter(([, state]) => !state.correct)
+            .map(([id]) => id);
+        const flaggedIds = Array.from(flaggedQuestions);
+        const calibration = getCalibrationStats();
+
+        let questionIds;
+        let title;
+        if (activeReviewFilter === 'incorrect') {
+            questionIds = incorrectIds;
+            title = 'Incorrect Questions';
+        } else if (activeReviewFilter === 'flagged') {
+            questionIds = flaggedIds;
+            title = 'Flagged Questions';
+        } else if (activeReviewFilter === 'confidence') {
+            questionIds = [...calibration.confidentWrong, ...calibration.luckyGuesses];
+            title = 'False Confidence';
+        } else {
+            // Lucky guesses were marked correct, so they are re-asked alongside the mistakes
+            questionIds = [...new Set([...incorrectIds, ...flaggedIds, ...calibration.luckyGuesses])];
+            title = 'Review Queue';
+        }
+
+        if (appendix !== 'all') {
+            questionIds = questionIds.filter(id => getQuestionById(id)?.appendix === appendix);
+            title += appendix === 'Exam' ? ' - Unmapped Exam Questions' : ` - Appendix ${appendix}`;
+        }
+
+        renderReviewQuestions(questionIds, title);
+    }
+
+    // One dot per logged attempt, oldest first, with how long it took to get right
+    function renderAttemptTrail(qId) {
+        const attempts = AttemptLog.getAttempts(qId);
+        if (attempts.length === 0) return '';
+
+        const summary = AttemptLog.getSummary(qId);
+        const dots = attempts.map((attempt, index) => {
+            const when = new Date(attempt.timestamp).toLocaleString();
+            const took = attempt.timeTaken !== null ? `, ${Math.round(attempt.timeTaken / 1000)}s` : '';
+            const label = `Attempt ${index + 1} (${attempt.mode}, ${when}${took}): ${attempt.correct ? 'correct' : 'incorrect'} - ${attempt.selected}`;
+            return `<span class="attempt-dot ${attempt.correct ? 'correct' : 'incorrect'}" title="${escapeHtml(label)}"></span>`;
+        }).join('');
+
+        let note;
+        if (summary.firstCorrectAttempt === null) {
+            note = `Not answered correctly yet in ${summary.attempts} attempt${summary.attempts === 1 ? '' : 's'}`;
+        } else if (summary.firstCorrectAttempt === 1) {
+            note = `Correct first time${summary.attempts > 1 ? `, ${summary.correctAttempts} of ${summary.attempts} correct` : ''}`;
+        } else {
+            note = `First correct on attempt ${summary.firstCorrectAttempt} of ${summary.attempts}`;
+        }
+
+        return `
+            <div class="attempt-trail">
+                <span class="attempt-dots">${dots}</span>
+                <span class="attempt-note">${note}</span>
+            </div>
+        `;
+    }
+
     function renderReviewQuestions(questionIds, title) {
         const reviewList = document.getElementById('review-list');
         if (!reviewList) return;
@@ -4100,6 +5302,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         }
 
         let html = `<h3 class="review-section-title">${escapeHtml(title)} (${questionIds.length})</h3>`;
+        const slowIds = new Set(getPacingStats().slowQuestions.map(slow => slow.qId));
 
         questionIds.forEach((qId, index) => {
             // Use unified getQuestionById to resolve from both quizData and examQuizData
@@ -4114,18 +5317,23 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             const selectedAnswer = state?.selectedAnswer || 'N/A';
             const isCorrect = state?.correct || false;
             const explanation = question?.explanation || '';
-            const appendix = isExam ? 'Exam' : (question?.appendix || '');
-            const appendixTitle = question?.appendix_title || '';
+            const appendix = question?.appendix && question.appendix !== 'Exam' ? question.appendix : '';
+            const attemptsHtml = renderAttemptTrail(qId);
+            const latestAttempt = AttemptLog.getAttempts(qId).pop();
+            const isLuckyGuess = !!latestAttempt && latestAttempt.confidence === 'guess' && latestAttempt.correct;
 
             html += `
                 <div class="review-question-card ${isCorrect ? 'correct' : 'incorrect'} ${isFlagged ? 'flagged' : ''}" data-question-id="${qId}">
                     <div class="review-question-header">
                         <span class="review-question-number">#${index + 1}</span>
-                        ${appendix ? `<span class="review-question-appendix">${isExam ? 'Exam' : 'Appendix ' + appendix}</span>` : ''}
+                        ${appendix || isExam ? `<span class="review-question-appendix">${appendix ? 'Appendix ' + appendix : 'Exam'}${appendix && isExam ? ' &middot; Exam bank' : ''}</span>` : ''}
                         <span class="review-question-status ${isCorrect ? 'correct' : 'incorrect'}">${isCorrect ? 'Correct' : 'Incorrect'}</span>
                         ${isFlagged ? '<span class="review-question-flag">Flagged</span>' : ''}
+                        ${isLuckyGuess ? '<span class="review-question-flag lucky-guess" title="Answered correctly on a guess">Lucky guess</span>' : ''}
+                        ${slowIds.has(qId) ? '<span class="review-question-flag slow" title="Consistently slower than your usual pace">Slow</span>' : ''}
                     </div>
                     <div class="review-question-text">${escapeHtml(questionText)}</div>
+                    ${attemptsHtml}
                     <div class="review-answer-section">
                         <div class="review-answer ${isCorrect ? 'correct' : 'incorrect'}">
                             <span class="review-answer-label">Your answer:</span>
@@ -4154,6 +5362,415 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         reviewList.innerHTML = html;
     }
 
+    // ==================== MISCONCEPTIONS ====================
+    // Wrong options picked, grouped by the answer they were confused with (see Misconceptions)
+    let misconceptionEntries = [];
+
+    function renderMisconceptions(appendix = 'all') {
+        const reviewList = document.getElementById('review-list');
+        if (!reviewList) return;
+
+        misconceptionEntries = Misconceptions.collect(getQuestionById, { appendix: appendix !== 'all' ? appendix : null });
+        const scope = appendix === 'all' ? '' : (appendix === 'Exam' ? ' - Unmapped Exam Questions' : ` - Appendix ${appendix}`);
+
+        if (misconceptionEntries.length === 0) {
+            reviewList.innerHTML = '<p class="placeholder-text">No misconceptions yet. Wrong answers will show up here, grouped by the option you picked.</p>';
+            return;
+        }
+
+        reviewList.innerHTML = `
+            <h3 class="review-section-title">Misconceptions${escapeHtml(scope)} (${misconceptionEntries.length})</h3>
+            ${misconceptionEntries.map((entry, index) => {
+                const questions = entry.questionIds.map(id => getQuestionById(id)).filter(Boolean);
+                const appendices = entry.appendices.filter(letter => letter !== 'Exam').map(letter => `Appendix ${letter}`);
+                const lastSeen = getTimeAgo(new Date(entry.lastAt));
+                const meta = [
+                    ...appendices,
+                    `${entry.questionIds.length} question${entry.questionIds.length === 1 ? '' : 's'}`,
+                    lastSeen === 'now' ? 'last just now' : `last ${lastSeen} ago`
+                ].join(' &middot; ');
+                return `
+                    <div class="review-question-card misconception-card${entry.resolved ? ' resolved' : ''}">
+                        <div class="review-question-header">
+                            <span class="misconception-count">${entry.count}&times;</span>
+                            <span class="review-question-status ${entry.resolved ? 'correct' : 'incorrect'}">${entry.resolved ? 'Since corrected' : 'Still confusing'}</span>
+                        </div>
+                        <div class="review-question-text">
+                            Picked <strong>${escapeHtml(entry.chosen)}</strong> when the answer was <strong>${escapeHtml(entry.correct)}</strong>
+                        </div>
+                        <div class="misconception-meta">${meta}</div>
+                        <details class="misconception-questions">
+                            <summary>Questions</summary>
+                            <ul>${questions.map(q => `<li>${escapeHtml(q.question)}</li>`).join('')}</ul>
+                        </details>
+                        <div class="misconception-note" id="misconception-note-${index}"${entry.note ? '' : ' hidden'}>${entry.note ? renderMisconceptionNote(entry.note) : ''}</div>
+                        <div class="review-question-actions">
+                            <button class="action-btn small" data-misconception-explain="${index}">${entry.note ? 'Explain again' : 'Explain the difference'}</button>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+
+        reviewList.querySelectorAll('[data-misconception-explain]').forEach(btn => {
+            btn.addEventListener('click', () => explainMisconception(parseInt(btn.dataset.misconceptionExplain, 10), btn));
+        });
+    }
+
+    function renderMisconceptionNote(note) {
+        const sources = (note.sources || []).map(source =>
+            `Appendix ${source.appendix} &rsaquo; ${escapeHtml(source.sectionTitle || source.sectionId || '')}`);
+        return `
+            <p>${escapeHtml(note.text)}</p>
+            ${sources.length > 0 ? `<span class="misconception-source">Source: ${sources.join('; ')}</span>` : ''}
+        `;
+    }
+
+    // Generated questions carry their chunk; exam-bank questions use the best chunk in their mapped section
+    function getQuestionSourceChunkId(question) {
+        if (question.source_chunk_id) return question.source_chunk_id;
+        if (typeof RAG === 'undefined' || !RAG.isReady()) return null;
+
+        const results = RAG.searchWithScores(`${question.question} ${question.answer}`, 10);
+        const inSection = question.section_id ? results.find(r => r.chunk.section_id === question.section_id) : null;
+        const best = inSection || results[0];
+        return best ? best.chunk.id : null;
+    }
+
+    async function explainMisconception(index, button) {
+        const entry = misconceptionEntries[index];
+        const noteEl = document.getElementById(`misconception-note-${index}`);
+        if (!entry || !noteEl) return;
+
+        // The most recently answered question stands in for the confusion
+        const questions = entry.questionIds.map(id => getQuestionById(id)).filter(Boolean);
+        if (questions.length === 0) {
+            showToast('Question data not available - please reload the appendix', { variant: 'error' });
+            return;
+        }
+
+        button.disabled = true;
+        noteEl.hidden = false;
+        noteEl.innerHTML = '<span class="ai-dots"><span>.</span><span>.</span><span>.</span></span>';
+
+        try {
+            if (typeof RAG !== 'undefined') await RAG.initialize();
+            const sourceChunkId = getQuestionSourceChunkId(questions[questions.length - 1]);
+            const prompt = `A CPSA student keeps picking "${entry.chosen}" when the correct answer is "${entry.correct}".
+Questions where this happened:
+${questions.slice(0, 3).map(q => `- ${q.question}`).join('\n')}
+
+Explain the difference between "${entry.chosen}" and "${entry.correct}", why "${entry.chosen}" is a tempting but wrong choice here, and give one tip to tell them apart. 4-6 sentences.`;
+
+            const result = await callOpenAI(prompt, {
+                useRAG: true,
+                sourceChunkId,
+                ragQuery: `${entry.chosen} ${entry.correct}`
+            });
+            const text = typeof result === 'string' ? result : result.answer;
+            const sources = typeof result === 'string' ? [] : result.sources;
+
+            if (text.startsWith('Error:')) {
+                noteEl.innerHTML = `<p>${escapeHtml(text)}</p>`;
+                return;
+            }
+            entry.note = Misconceptions.saveNote(entry.key, text, sources);
+            noteEl.innerHTML = renderMisconceptionNote(entry.note);
+            button.textContent = 'Explain again';
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // ==================== CONFIDENCE CALIBRATION ====================
+    // Accuracy a well-calibrated learner would have at each rating (a guess among four options is 25%)
+    const CALIBRATION_TARGETS = { guess: 25, unsure: 60, sure: 90 };
+    // How far accuracy may drift from the target before a rating is called out
+    const CALIBRATION_TOLERANCE = 20;
+
+    function createConfidenceTally() {
+        const tally = {};
+        CONFIDENCE_LEVELS.forEach(level => {
+            tally[level.value] = { attempts: 0, correct: 0 };
+        });
+        return tally;
+    }
+
+    function getTallyAccuracy(entry) {
+        return entry.attempts > 0 ? Math.round((entry.correct / entry.attempts) * 100) : null;
+    }
+
+    /**
+     * Compares confidence ratings with results across the attempt log
+     * Only rated attempts count towards accuracy. A question is a lucky guess while its latest
+     * attempt is a correct guess, and confident-but-wrong while its latest attempt is a wrong "sure".
+     * @returns {{rated: number, levels: Object, appendices: Object, luckyGuesses: string[], confidentWrong: string[]}}
+     */
+    function getCalibrationStats() {
+        const stats = { rated: 0, levels: createConfidenceTally(), appendices: {}, luckyGuesses: [], confidentWrong: [] };
+
+        AttemptLog.getQuestionIds().forEach(qId => {
+            const attempts = AttemptLog.getAttempts(qId);
+            const rated = attempts.filter(attempt => attempt.confidence);
+            if (rated.length === 0) return;
+
+            const appendix = getQuestionById(qId)?.appendix || 'Exam';
+            if (!stats.appendices[appendix]) {
+                stats.appendices[appendix] = createConfidenceTally();
+            }
+            rated.forEach(attempt => {
+                [stats.levels, stats.appendices[appendix]].forEach(tally => {
+                    tally[attempt.confidence].attempts++;
+                    if (attempt.correct) tally[attempt.confidence].correct++;
+                });
+            });
+            stats.rated += rated.length;
+
+            const latest = attempts[attempts.length - 1];
+            if (latest.confidence === 'guess' && latest.correct) {
+                stats.luckyGuesses.push(qId);
+            } else if (latest.confidence === 'sure' && !latest.correct) {
+                stats.confidentWrong.push(qId);
+            }
+        });
+
+        return stats;
+    }
+
+    function renderCalibration() {
+        const stats = getCalibrationStats();
+        renderCalibrationSummary(stats);
+        renderCalibrationChart(stats);
+        renderCalibrationTable(stats);
+        renderCalibrationList('lucky-guess', stats.luckyGuesses, 'No lucky guesses to re-ask');
+        renderCalibrationList('confident-wrong', stats.confidentWrong, 'No confident mistakes');
+
+        const reviewBtn = document.getElementById('review-calibration-btn');
+        if (reviewBtn) reviewBtn.disabled = stats.luckyGuesses.length + stats.confidentWrong.length === 0;
+    }
+
+    function renderCalibrationSummary(stats) {
+        const summaryEl = document.getElementById('calibration-summary');
+        if (!summaryEl) return;
+
+        if (stats.rated === 0) {
+            summaryEl.textContent = 'Rate your confidence before answering to see how well it matches your results.';
+            return;
+        }
+
+        const sure = getTallyAccuracy(stats.levels.sure);
+        const guess = getTallyAccuracy(stats.levels.guess);
+        const parts = [`${stats.rated} rated answer${stats.rated === 1 ? '' : 's'}.`];
+        if (sure !== null && sure < CALIBRATION_TARGETS.sure - CALIBRATION_TOLERANCE) {
+            parts.push(`Only ${sure}% of "sure" answers were right - slow down on questions that feel familiar.`);
+        }
+        if (guess !== null && guess > CALIBRATION_TARGETS.guess + CALIBRATION_TOLERANCE) {
+            parts.push(`${guess}% of guesses were right - you know more than you think.`);
+        }
+        summaryEl.textContent = parts.join(' ');
+    }
+
+    function renderCalibrationChart(stats) {
+        if (!ChartManager.isReady()) {
+            requestAnimationFrame(() => renderCalibrationChart(stats));
+            return;
+        }
+        const colors = ChartManager.getChartColors();
+        // Least to most confident, so a calibrated learner's line rises left to right
+        const levels = [...CONFIDENCE_LEVELS].reverse();
+
+        ChartManager.createMultiLineChart('calibration-chart', levels.map(level => level.label), [
+            {
+                label: 'Your accuracy',
+                data: levels.map(level => getTallyAccuracy(stats.levels[level.value])),
+                color: colors.purple,
+                emphasis: true
+            },
+            {
+                label: 'Well calibrated',
+                data: levels.map(level => CALIBRATION_TARGETS[level.value]),
+                color: colors.muted
+            }
+        ]);
+    }
+
+    function renderCalibrationTable(stats) {
+        const tableEl = document.getElementById('calibration-appendix-table');
+        if (!tableEl) return;
+
+        const appendices = Object.keys(stats.appendices).sort();
+        if (appendices.length === 0) {
+            tableEl.innerHTML = '<p class="placeholder-text">No rated answers yet</p>';
+            return;
+        }
+
+        const cell = (entry, level) => {
+            const accuracy = getTallyAccuracy(entry);
+            if (accuracy === null) return '<td class="calibration-empty">-</td>';
+            let state = '';
+            if (level === 'sure' && accuracy < CALIBRATION_TARGETS.sure - CALIBRATION_TOLERANCE) state = ' overconfident';
+            if (level === 'guess' && accuracy > CALIBRATION_TARGETS.guess + CALIBRATION_TOLERANCE) state = ' underconfident';
+            return `<td class="calibration-cell${state}" title="${entry.correct} of ${entry.attempts} correct">${accuracy}% <small>(${entry.attempts})</small></td>`;
+        };
+
+        tableEl.innerHTML = `
+            <table class="calibration-table">
+                <thead>
+                    <tr>
+                        <th>Appendix</th>
+                        ${CONFIDENCE_LEVELS.map(level => `<th>${level.label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${appendices.map(appendix => `
+                        <tr>
+                            <th>${appendix === 'Exam' ? 'Exam bank' : `Appendix ${escapeHtml(appendix)}`}</th>
+                            ${CONFIDENCE_LEVELS.map(level => cell(stats.appendices[appendix][level.value], level.value)).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    function renderCalibrationList(prefix, questionIds, emptyText) {
+        const listEl = document.getElementById(`${prefix}-list`);
+        const countEl = document.getElementById(`${prefix}-count`);
+        if (countEl) countEl.textContent = questionIds.length;
+        if (!listEl) return;
+
+        if (questionIds.length === 0) {
+            listEl.innerHTML = `<li class="placeholder-text">${emptyText}</li>`;
+            return;
+        }
+
+        listEl.innerHTML = questionIds.slice(0, 5).map(qId => {
+            const question = getQuestionById(qId);
+            const appendix = question?.appendix && question.appendix !== 'Exam' ? `Appendix ${question.appendix}` : 'Exam bank';
+            return `
+                <li class="calibration-item">
+                    <span class="calibration-item-text">${escapeHtml(question?.question || 'Question data not available')}</span>
+                    <span class="calibration-item-meta">${escapeHtml(appendix)}</span>
+                </li>
+            `;
+        }).join('') + (questionIds.length > 5 ? `<li class="calibration-item more">and ${questionIds.length - 5} more</li>` : '');
+    }
+
+    // Opens the review queue on the questions whose confidence did not match the result
+    function reviewCalibrationQuestions() {
+        switchPanel('review');
+        const tab = document.getElementById('filter-confidence-btn');
+        if (tab) tab.click();
+    }
+
+    // ==================== PACING ====================
+    // The CPSA paper allows two hours for 120 questions
+    const TARGET_PACE_SECONDS = 60;
+    // An answer is slow when it takes this much longer than the appendix's typical time (or the exam pace)
+    const SLOW_ANSWER_FACTOR = 1.5;
+    // A question is consistently slow when each of its last few timed attempts was slow
+    const SLOW_RECENT_ATTEMPTS = 3;
+    const SLOW_MIN_ATTEMPTS = 2;
+
+    function getMedian(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    /**
+     * Time per question from the attempt log, per appendix and per question
+     * Self-graded reviews are left out: flipping a card is not comparable to answering a question.
+     * @returns {{appendices: Object, slowQuestions: Array<{qId: string, appendix: string, median: number, attempts: number}>}}
+     *   appendices maps appendix -> { attempts, median } with times in seconds
+     */
+    function getPacingStats() {
+        const timesByAppendix = {};
+        const questions = [];
+
+        AttemptLog.getQuestionIds().forEach(qId => {
+            const times = AttemptLog.getAttempts(qId)
+                .filter(attempt => attempt.timeTaken !== null && attempt.mode !== 'review')
+                .map(attempt => attempt.timeTaken / 1000);
+            if (times.length === 0) return;
+
+            const appendix = getQuestionById(qId)?.appendix || 'Exam';
+            if (!timesByAppendix[appendix]) timesByAppendix[appendix] = [];
+            timesByAppendix[appendix].push(...times);
+            questions.push({ qId, appendix, times });
+        });
+
+        const appendices = {};
+        Object.entries(timesByAppendix).forEach(([appendix, times]) => {
+            appendices[appendix] = { attempts: times.length, median: Math.round(getMedian(times)) };
+        });
+
+        const slowQuestions = questions
+            .filter(({ appendix, times }) => {
+                const limit = Math.max(TARGET_PACE_SECONDS, appendices[appendix].median * SLOW_ANSWER_FACTOR);
+                const recent = times.slice(-SLOW_RECENT_ATTEMPTS);
+                return recent.length >= SLOW_MIN_ATTEMPTS && recent.every(time => time > limit);
+            })
+            .map(({ qId, appendix, times }) => ({ qId, appendix, median: Math.round(getMedian(times)), attempts: times.length }))
+            .sort((a, b) => b.median - a.median);
+
+        return { appendices, slowQuestions };
+    }
+
+    function renderPacing() {
+        const stats = getPacingStats();
+        const appendices = Object.keys(stats.appendices).sort();
+
+        const summaryEl = document.getElementById('pacing-summary');
+        if (summaryEl) {
+            if (appendices.length === 0) {
+                summaryEl.textContent = 'Answer some questions to see how long each appendix takes you.';
+            } else {
+                const slowest = appendices.reduce((a, b) => (stats.appendices[b].median > stats.appendices[a].median ? b : a));
+                const label = slowest === 'Exam' ? 'exam-bank questions' : `Appendix ${slowest}`;
+                summaryEl.textContent = `Exam pace is ${TARGET_PACE_SECONDS}s per question. You are slowest on ${label} at ${stats.appendices[slowest].median}s.`;
+            }
+        }
+
+        renderPacingChart(appendices, stats);
+        renderSlowQuestions(stats.slowQuestions);
+    }
+
+    function renderPacingChart(appendices, stats) {
+        if (!ChartManager.isReady()) {
+            requestAnimationFrame(() => renderPacingChart(appendices, stats));
+            return;
+        }
+        ChartManager.createPacingChart(
+            'pacing-chart',
+            appendices,
+            appendices.map(appendix => stats.appendices[appendix].median),
+            TARGET_PACE_SECONDS
+        );
+    }
+
+    function renderSlowQuestions(slowQuestions) {
+        const listEl = document.getElementById('slow-question-list');
+        const countEl = document.getElementById('slow-question-count');
+        if (countEl) countEl.textContent = `${slowQuestions.length} question${slowQuestions.length === 1 ? '' : 's'}`;
+        if (!listEl) return;
+
+        if (slowQuestions.length === 0) {
+            listEl.innerHTML = '<li class="placeholder-text">No consistently slow questions</li>';
+            return;
+        }
+
+        listEl.innerHTML = slowQuestions.slice(0, 8).map(({ qId, appendix, median, attempts }) => {
+            const question = getQuestionById(qId);
+            return `
+                <li class="calibration-item">
+                    <span class="calibration-item-text">${escapeHtml(question?.question || 'Question data not available')}</span>
+                    <span class="calibration-item-meta">${appendix === 'Exam' ? 'Exam bank' : `Appendix ${escapeHtml(appendix)}`} &middot; ${median}s over ${attempts} attempts</span>
+                </li>
+            `;
+        }).join('') + (slowQuestions.length > 8 ? `<li class="calibration-item more">and ${slowQuestions.length - 8} more</li>` : '');
+    }
+
     // Render category performance stats for insights panel
     function renderCategoryStats() {
         const categoryStatsEl = document.getElementById('category-stats');
@@ -4164,9 +5781,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         Object.entries(answerState).forEach(([qId, state]) => {
             // Use unified getQuestionById to resolve from both quizData and examQuizData
             const question = getQuestionById(qId);
-            const isExam = isExamQuestion(qId);
-            const category = isExam ? 'Exam' : (question?.appendix || 'Unknown');
-            const categoryTitle = isExam ? 'Exam Questions' : (question?.appendix_title || category);
+            const category = question?.appendix || 'Unknown';
+            const categoryTitle = question?.appendix_title || category;
+            const isExam = category === 'Exam';
 
             if (!categoryStats[category]) {
                 categoryStats[category] = {
@@ -4230,9 +5847,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         Object.entries(answerState).forEach(([qId, state]) => {
             // Use unified getQuestionById to resolve from both quizData and examQuizData
             const question = getQuestionById(qId);
-            const isExam = isExamQuestion(qId);
-            const category = isExam ? 'Exam' : (question?.appendix || 'Unknown');
-            const categoryTitle = isExam ? 'Exam Questions' : (question?.appendix_title || category);
+            const category = question?.appendix || 'Unknown';
+            const categoryTitle = question?.appendix_title || category;
+            const isExam = category === 'Exam';
 
             if (!categoryStats[category]) {
                 categoryStats[category] = {
@@ -4531,8 +6148,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
             const categoryStats = {};
             Object.entries(answerState).forEach(([qId, state]) => {
                 const question = getQuestionById(qId);
-                const isExam = isExamQuestion(qId);
-                const category = isExam ? 'Exam' : (question?.appendix || 'Unknown');
+                const category = question?.appendix || 'Unknown';
 
                 if (!categoryStats[category]) {
                     categoryStats[category] = { attempted: 0, correct: 0 };
@@ -4575,11 +6191,8 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         const container = document.getElementById('recent-activity');
         if (!container) return;
 
-        // Get recent answers sorted by timestamp
-        const recentAnswers = Object.entries(answerState)
-            .filter(([, state]) => state.timestamp)
-            .sort((a, b) => new Date(b[1].timestamp) - new Date(a[1].timestamp))
-            .slice(0, 8);
+        // Every attempt from the log, so repeat answers show up too
+        const recentAnswers = AttemptLog.getRecent(8);
 
         if (recentAnswers.length === 0) {
             container.innerHTML = '<p class="placeholder-text">No activity yet</p>';
@@ -4587,13 +6200,14 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         }
 
         let html = '';
-        recentAnswers.forEach(([qId, state]) => {
-            const question = getQuestionById(qId);
+        recentAnswers.forEach(state => {
+            const question = getQuestionById(state.questionId);
             const questionText = question?.question || 'Question';
             const truncatedText = questionText.length > 60 ? questionText.substring(0, 60) + '...' : questionText;
-            const isExam = isExamQuestion(qId);
-            const category = isExam ? 'Exam' : (question?.appendix || '?');
+            const category = question?.appendix || '?';
+            const isExam = category === 'Exam';
             const timeAgo = getTimeAgo(new Date(state.timestamp));
+            const modeLabel = state.mode.charAt(0).toUpperCase() + state.mode.slice(1);
 
             html += `
                 <div class="recent-activity-item">
@@ -4606,7 +6220,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
                     </div>
                     <div class="recent-activity-content">
                         <div class="recent-activity-question">${escapeHtml(truncatedText)}</div>
-                        <div class="recent-activity-meta">${isExam ? 'Exam' : 'App. ' + category}</div>
+                        <div class="recent-activity-meta"><span>${isExam ? 'Exam' : 'App. ' + category}</span><span>${modeLabel}</span></div>
                     </div>
                     <span class="recent-activity-time">${timeAgo}</span>
                 </div>
@@ -4715,6 +6329,8 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         }
 
         currentView = view;
+        // A challenge runs in single view; leaving it ends the challenge
+        if (view !== 'single') challengeActive = false;
         const categories = document.querySelectorAll('.category-section');
         const questions = document.querySelectorAll('.question-container');
 
@@ -4833,12 +6449,9 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
 
     function setupXPSystem() {
         // Load saved XP
-        const savedXP = localStorage.getItem('cpsa_quiz_xp');
-        if (savedXP) {
-            const data = JSON.parse(savedXP);
-            xp = data.xp || 0;
-            level = data.level || 1;
-        }
+        const data = ProgressStore.get(PROGRESS.XP);
+        xp = data.xp;
+        level = data.level;
         renderXP();
     }
 
@@ -4857,7 +6470,7 @@ You answered incorrectly. Briefly explain why "${selectedAnswer}" is wrong and w
         }
 
         // Save XP
-        localStorage.setItem('cpsa_quiz_xp', JSON.stringify({ xp, level }));
+        ProgressStore.set(PROGRESS.XP, { xp, level });
         renderXP();
     }
 
@@ -5123,6 +6736,7 @@ Try it yourself: ${url}`,
     function pauseChatTyping() {
         chatTypingCancelled = true;
         chatIsTyping = false;
+        if (chatStreamController) chatStreamController.abort();
         updateChatSendButton();
     }
 
@@ -5141,7 +6755,8 @@ Try it yourself: ${url}`,
         }
     }
 
-    async function appendChatMessage(role, text, skipTyping = false) {
+    // Adds an empty message bubble to the chat and returns it
+    function createChatBubble(role) {
         const messagesEl = document.getElementById("chat-messages");
         if (!messagesEl) return null;
 
@@ -5159,25 +6774,54 @@ Try it yourself: ${url}`,
         const bubble = document.createElement("div");
         bubble.classList.add("chat-bubble");
 
+        wrapper.appendChild(icon);
+        wrapper.appendChild(bubble);
+        messagesEl.appendChild(wrapper);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+        return bubble;
+    }
+
+    async function appendChatMessage(role, text, skipTyping = false) {
+        const bubble = createChatBubble(role);
+        if (!bubble) return null;
+
         const plainText = role === "assistant" ? stripMarkdown(text) : text;
 
         if (role === "assistant" && !skipTyping && text) {
-            wrapper.appendChild(icon);
-            wrapper.appendChild(bubble);
-            messagesEl.appendChild(wrapper);
-            messagesEl.scrollTop = messagesEl.scrollHeight;
             await typeText(bubble, plainText);
         } else {
             bubble.textContent = plainText;
-            wrapper.appendChild(icon);
-            wrapper.appendChild(bubble);
-            messagesEl.appendChild(wrapper);
+            const messagesEl = document.getElementById("chat-messages");
             messagesEl.scrollTop = messagesEl.scrollHeight;
         }
 
         return bubble;
     }
 
+    // The conversation is kept per learner profile so it survives a reload
+    function loadChatHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CHAT_HISTORY_KEY));
+            if (Array.isArray(saved)) {
+                saved
+                    .filter(message => message && (message.role === "user" || message.role === "assistant") && typeof message.content === "string")
+                    .slice(-MAX_CHAT_TURNS)
+                    .forEach(message => chatHistory.push({ role: message.role, content: message.content }));
+            }
+        } catch (e) {
+            console.error('Error loading chat history:', e);
+        }
+        chatHistory.forEach(message => appendChatMessage(message.role, message.content, true));
+    }
+
+    function saveChatHistory() {
+        try {
+            localStorage.setItem(CHAT_HISTORY_KEY, JSON.stringify(chatHistory));
+        } catch (e) {
+            console.error('Error saving chat history:', e);
+        }
+    }
+
     async function sendChatMessage() {
         const input = document.getElementById("chat-input");
         const sendBtn = document.getElementById("chat-send");
@@ -5202,6 +6846,7 @@ Try it yourself: ${url}`,
         if (chatHistory.length > MAX_CHAT_TURNS) {
             chatHistory.shift();
         }
+        saveChatHistory();
         input.value = "";
         input.focus();
         sendBtn.disabled = true;
@@ -5223,22 +6868,51 @@ Try it yourself: ${url}`,
         messagesEl.appendChild(typingWrapper);
         messagesEl.scrollTop = messagesEl.scrollHeight;
 
-        const result = await callTutor(chatHistory.slice(-10));
-
-        // Remove typing indicator and add the actual response with typing animation
-        typingWrapper.remove();
-        
-        // Update button to pause mode before typing starts
+        // The send button becomes a stop button while the reply streams in
         chatIsTyping = true;
+        chatTypingCancelled = false;
+        chatStreamController = new AbortController();
         updateChatSendButton();
         sendBtn.disabled = false;
-        
-        await appendChatMessage("assistant", result);
 
-        chatHistory.push({ role: "assistant", content: result });
-        if (chatHistory.length > MAX_CHAT_TURNS) {
-            chatHistory.shift();
+        let replyBubble = null;
+        let streamedText = "";
+        let result = await callTutor(chatHistory.slice(-10), {
+            signal: chatStreamController.signal,
+            onToken: (token, text) => {
+                if (!replyBubble) {
+                    typingWrapper.remove();
+                    replyBubble = createChatBubble("assistant");
+                }
+                streamedText = text;
+                replyBubble.textContent = stripMarkdown(text);
+                messagesEl.scrollTop = messagesEl.scrollHeight;
+            }
+        });
+        chatStreamController = null;
+        typingWrapper.remove();
+
+        if (chatTypingCancelled) {
+            // Keep whatever arrived before the learner stopped the reply
+            result = streamedText.trim();
+        } else if (replyBubble) {
+            replyBubble.textContent = stripMarkdown(result);
+        } else {
+            // Nothing was streamed (e.g. an error message): type it out as before
+            await appendChatMessage("assistant", result);
+        }
+
+        if (!result) {
+            chatIsTyping = false;
+            updateChatSendButton();
+            return;
+        }
+
+        chatHistory.push({ role: "assistant", content: result });
+        if (chatHistory.length > MAX_CHAT_TURNS) {
+            chatHistory.shift();
         }
+        saveChatHistory();
         
         // Reset button after typing completes
         chatIsTyping = false;
@@ -5285,10 +6959,12 @@ Try it yourself: ${url}`,
             input.addEventListener("keydown", (event) => {
                 if (event.key === "Enter" && !event.shiftKey) {
                     event.preventDefault();
-                    sendChatMessage();
+                    if (!chatIsTyping) sendChatMessage();
                 }
             });
         }
+
+        loadChatHistory();
     }
 
 	// Helper function to activate a panel - used during startup to ensure a panel is always active
@@ -5327,8 +7003,11 @@ Try it yourself: ${url}`,
 
 	    	    document.addEventListener("DOMContentLoaded", async () => {
 	    	        // Load saved progress first (practice + exam)
+                    await progressReady;
 	    	        loadProgress();
 	    	        loadExamProgress(); // Load exam progress to sync with main answerState
+                    SpacedRepetition.seedFromAnswers(answerState); // Schedule answers saved before SRS existed
+                    AttemptLog.seedFromAnswers(answerState, qId => isExamQuestion(qId) ? 'exam' : 'practice');
 
 	        // Initialize the Router and get the initial route from URL hash
 	        const initialRoute = Router.init();
@@ -5407,6 +7086,8 @@ Try it yourself: ${url}`,
 
             // Mark container as answered
             container.classList.add(state.correct ? 'answered-correct' : 'answered-incorrect');
+            const confidencePicker = container.querySelector('.confidence-picker');
+            if (confidencePicker) lockConfidencePicker(confidencePicker);
 
             // Find and select the answered option - support both old (.option) and new (.option-tile) structures
             const options = container.querySelectorAll('.option-tile, .option');
@@ -5470,13 +7151,23 @@ Try it yourself: ${url}`,
     // ==========================================
     // PRACTICE EXAM SYSTEM
     // ==========================================
+    // Defaults mirror the real CPSA paper: 120 questions in two hours
+    const MOCK_EXAM_DEFAULT_QUESTIONS = 120;
+    const MOCK_EXAM_DEFAULT_SECONDS = 2 * 60 * 60;
+    const EXAM_TIME_WARNING_SECONDS = 5 * 60;
+    // Pace is only judged once a few answers give a stable average
+    const EXAM_PACE_MIN_ANSWERED = 5;
+
     let examActive = false;
-    let examQuestions = [];
-    let examAnswers = {};
-    let examTimeLimit = 0;
-    let examTimeLeft = 0;
+    let examSession = null;
     let examInterval = null;
-    let examStartTime = null;
+    let examQuestionShownAt = null;
+    // Record shown in the review: the latest submission or one reopened from history
+    let reviewedExamRecord = null;
+    let examReviewFilter = 'all';
+    let examHistorySelection = [];
+    let examBuildInProgress = false;
+    let examSectionCatalog = null;
 
     function setupPracticeExam() {
         const examBtn = document.getElementById('start-exam-btn');
@@ -5485,9 +7176,10 @@ Try it yourself: ${url}`,
         const startConfirm = document.getElementById('start-exam-confirm');
         const reviewBtn = document.getElementById('exam-review-btn');
         const retryBtn = document.getElementById('exam-retry-btn');
+        const mockExamContainer = document.getElementById('mock-exam-container');
 
         if (examBtn) {
-            examBtn.addEventListener('click', () => openModal('exam-modal'));
+            examBtn.addEventListener('click', openExamConfig);
         }
 
         if (examClose) {
@@ -5501,15 +7193,13 @@ Try it yourself: ${url}`,
         if (reviewBtn) {
             reviewBtn.addEventListener('click', () => {
                 closeModal('exam-modal');
-                showToast('Review your answers in the quiz below');
+                switchPanel('exam');
+                if (reviewedExamRecord) renderExamReview(reviewedExamRecord);
             });
         }
 
         if (retryBtn) {
-            retryBtn.addEventListener('click', () => {
-                document.getElementById('exam-config').style.display = 'block';
-                document.getElementById('exam-results').style.display = 'none';
-            });
+            retryBtn.addEventListener('click', openExamConfig);
         }
 
         // Preset buttons
@@ -5525,12 +7215,99 @@ Try it yourself: ${url}`,
             });
         });
 
+        populateExamCategories();
+        setupExamTemplates();
+
         // Close modal on overlay click
         if (examModal) {
             examModal.addEventListener('click', (e) => {
                 if (e.target === examModal) closeModal('exam-modal');
             });
         }
+
+        // Submit confirmation
+        const submitModal = document.getElementById('exam-submit-modal');
+        const submitReturn = document.getElementById('exam-submit-return');
+        const submitFlagged = document.getElementById('exam-submit-flagged');
+        const submitConfirm = document.getElementById('exam-submit-confirm');
+
+        if (submitReturn) {
+            submitReturn.addEventListener('click', () => closeModal('exam-submit-modal'));
+        }
+
+        if (submitFlagged) {
+            submitFlagged.addEventListener('click', () => {
+                closeModal('exam-submit-modal');
+                goToNextFlaggedExamQuestion(-1);
+            });
+        }
+
+        if (submitConfirm) {
+            submitConfirm.addEventListener('click', () => submitPracticeExam());
+        }
+
+        if (submitModal) {
+            submitModal.addEventListener('click', (e) => {
+                if (e.target === submitModal) closeModal('exam-submit-modal');
+            });
+        }
+
+        // The runner and review are re-rendered on every change, so delegate clicks
+        if (mockExamContainer) {
+            mockExamContainer.addEventListener('click', handleMockExamClick);
+        }
+
+        // Resume prompt for a session interrupted by a reload or closed tab
+        const resumeConfirm = document.getElementById('exam-resume-confirm');
+        const resumeAbandon = document.getElementById('exam-resume-abandon');
+
+        if (resumeConfirm) {
+            resumeConfirm.addEventListener('click', () => {
+                closeModal('exam-resume-modal');
+                resumePracticeExam();
+            });
+        }
+
+        if (resumeAbandon) {
+            resumeAbandon.addEventListener('click', () => {
+                closeModal('exam-resume-modal');
+                const saved = loadSavedExamSession();
+                if (saved) abandonPracticeExam(saved);
+            });
+        }
+
+        // Keep time on the current question when the tab is closed mid-exam
+        window.addEventListener('pagehide', () => {
+            if (examActive) {
+                accrueExamQuestionTime();
+                saveExamSession();
+            }
+        });
+
+        promptResumeExam();
+    }
+
+    function openExamConfig() {
+        document.getElementById('exam-config').style.display = '';
+        document.getElementById('exam-results').style.display = 'none';
+        openModal('exam-modal');
+    }
+
+    function populateExamCategories() {
+        const select = document.getElementById('exam-categories');
+        if (!select || select.options.length > 1) return;
+
+        const examBankOption = document.createElement('option');
+        examBankOption.value = 'exam';
+        examBankOption.textContent = 'Exam bank only';
+        select.appendChild(examBankOption);
+
+        Object.entries(APPENDIX_TITLES).forEach(([letter, title]) => {
+            const option = document.createElement('option');
+            option.value = letter;
+            option.textContent = title;
+            select.appendChild(option);
+        });
     }
 
     function openModal(modalId) {
@@ -5549,124 +7326,1281 @@ Try it yourself: ${url}`,
         }
     }
 
-    function startPracticeExam() {
-        const numQuestions = parseInt(document.getElementById('exam-questions').value);
-        examTimeLimit = parseInt(document.getElementById('exam-time').value);
-        const category = document.getElementById('exam-categories').value;
+    function saveExamSession() {
+        if (!examSession) return;
+        ProgressStore.set(PROGRESS.ACTIVE_EXAM, examSession);
+    }
+
+    function loadSavedExamSession() {
+        try {
+            const session = ProgressStore.get(PROGRESS.ACTIVE_EXAM);
+            if (!session || !Array.isArray(session.questionIds) || !session.optionOrder || !session.startedAt) {
+                return null;
+            }
+            // Drop questions that can no longer be resolved rather than failing the whole resume
+            session.questionIds = session.questionIds.filter(id =>
+                session.optionOrder[id] && resolveExamQuestion(id, session.snapshots));
+            if (session.questionIds.length === 0) return null;
+            session.currentIndex = Math.min(session.currentIndex || 0, session.questionIds.length - 1);
+            return session;
+        } catch (e) {
+            console.error('Error loading exam session:', e);
+            return null;
+        }
+    }
+
+    function clearSavedExamSession() {
+        ProgressStore.remove(PROGRESS.ACTIVE_EXAM);
+    }
+
+    // Practice questions are generated per session, so an exam keeps its own copy of them
+    function resolveExamQuestion(qId, snapshots) {
+        return getQuestionById(qId) || (snapshots && snapshots[qId]) || null;
+    }
 
-        // Get questions, filtered by category if specified
-        let eligibleIds = Object.keys(quizData);
+    // Exam bank questions plus whatever practice questions have been generated so far
+    function getExamQuestionPool(category) {
+        const examBankIds = typeof examQuizData !== 'undefined'
+            ? Object.keys(examQuizData).map(key => `exam_${key}`)
+            : [];
+        const practiceIds = Object.keys(quizData);
+
+        if (category === 'exam') {
+            return examBankIds;
+        }
         if (category && category !== 'all') {
-            eligibleIds = eligibleIds.filter(id => {
-                const q = quizData[id];
-                const qCategory = categorizeQuestion(q);
-                return qCategory.toLowerCase().includes(category.toLowerCase());
-            });
+            // Exam-bank questions join an appendix once they are mapped to the syllabus
+            return [...examBankIds, ...practiceIds].filter(id => getQuestionById(id)?.appendix === category);
+        }
+        return [...examBankIds, ...practiceIds];
+    }
+
+    function startPracticeExam() {
+        if (examActive) {
+            if (!confirm('Abandon the mock exam in progress and start a new one?')) {
+                return;
+            }
+            abandonPracticeExam(examSession);
+        }
+
+        const questionsSelect = document.getElementById('exam-questions');
+        const timeSelect = document.getElementById('exam-time');
+        const categorySelect = document.getElementById('exam-categories');
+        const numQuestions = questionsSelect ? parseInt(questionsSelect.value, 10) : MOCK_EXAM_DEFAULT_QUESTIONS;
+        const timeLimit = timeSelect ? parseInt(timeSelect.value, 10) : MOCK_EXAM_DEFAULT_SECONDS;
+        const category = categorySelect ? categorySelect.value : 'all';
+
+        const template = getSelectedExamTemplate();
+        if (template) {
+            startBlueprintExam(template, timeLimit);
+            return;
         }
 
+        const pool = getExamQuestionPool(category).filter(id => {
+            const q = getQuestionById(id);
+            return q && Array.isArray(q.incorrect);
+        });
         // Use Fisher-Yates shuffle (unbiased)
-        const shuffled = [...eligibleIds];
-        shuffleArray(shuffled);
-        examQuestions = shuffled.slice(0, Math.min(numQuestions, shuffled.length));
-        examAnswers = {};
-        examStartTime = Date.now();
+        shuffleArray(pool);
+        const questionIds = pool.slice(0, Math.min(numQuestions, pool.length));
 
-        // Update UI
-        document.getElementById('exam-config').style.display = 'none';
-        document.getElementById('exam-progress').style.display = 'block';
-        document.getElementById('exam-results').style.display = 'none';
-        document.getElementById('exam-total').textContent = examQuestions.length;
-        document.getElementById('exam-answered').textContent = '0';
-
-        // Start timer if time limit set
-        if (examTimeLimit > 0) {
-            examTimeLeft = examTimeLimit;
-            updateExamTimer();
-            examInterval = setInterval(() => {
-                examTimeLeft--;
-                updateExamTimer();
-                if (examTimeLeft <= 0) {
-                    endPracticeExam();
-                }
-            }, 1000);
-        } else {
-            document.getElementById('exam-timer-display').textContent = '--:--';
+        if (questionIds.length === 0) {
+            showToast('No questions available for this category yet. Open the appendix to generate some first.', { variant: 'error' });
+            return;
         }
 
+        beginExamSession(questionIds, timeLimit, { category });
+    }
+
+    /**
+     * Starts a sitting with a fixed set of questions
+     * @param {string[]} questionIds - Questions in sitting order
+     * @param {number} timeLimit - Time limit in seconds (0 for none)
+     * @param {Object} details - { category, template } recorded with the session and history
+     */
+    function beginExamSession(questionIds, timeLimit, details) {
+        // Option order is fixed per question for the whole sitting
+        const optionOrder = {};
+        const snapshots = {};
+        questionIds.forEach(id => {
+            const q = getQuestionById(id);
+            const options = [q.answer, ...q.incorrect];
+            shuffleArray(options);
+            optionOrder[id] = options;
+            if (!isExamQuestion(id)) {
+                snapshots[id] = {
+                    question: q.question,
+                    answer: q.answer,
+                    incorrect: q.incorrect,
+                    appendix: q.appendix,
+                    appendix_title: q.appendix_title,
+                    section_id: q.section_id,
+                    section_title: q.section_title
+                };
+            }
+        });
+
+        stopExamTimer();
+        examSession = {
+            questionIds,
+            optionOrder,
+            snapshots,
+            answers: {},
+            flagged: {},
+            timeSpent: {},
+            confidence: {},
+            currentIndex: 0,
+            timeLimit,
+            startedAt: Date.now(),
+            category: details.category,
+            template: details.template || null
+        };
         examActive = true;
+        examQuestionShownAt = Date.now();
+        examReviewFilter = 'all';
+
         closeModal('exam-modal');
+        switchPanel('exam');
+        renderMockExam();
+        startExamTimer();
+
+        showToast(`Mock exam started! ${questionIds.length} questions`);
+    }
+
+    // ==================== EXAM BLUEPRINTS ====================
+
+    function setupExamTemplates() {
+        if (typeof ExamBlueprint === 'undefined') return;
+
+        const templateSelect = document.getElementById('exam-template');
+        const slotsEl = document.getElementById('exam-template-slots');
+        const addSlotBtn = document.getElementById('exam-template-add-slot');
+        const saveBtn = document.getElementById('exam-template-save');
+        const deleteBtn = document.getElementById('exam-template-delete');
+
+        populateExamTemplates();
+
+        if (templateSelect) {
+            templateSelect.addEventListener('change', applySelectedExamTemplate);
+        }
 
-        // Set to exam mode
-        setMode('exam');
+        if (addSlotBtn) {
+            addSlotBtn.addEventListener('click', () => {
+                slotsEl.appendChild(createExamTemplateSlotRow({ appendix: 'A', sectionId: null, count: 5 }));
+                updateExamTemplateTotal();
+            });
+        }
+
+        if (slotsEl) {
+            slotsEl.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-slot-remove]');
+                if (!removeBtn) return;
+                removeBtn.closest('.exam-template-slot').remove();
+                updateExamTemplateTotal();
+            });
+            slotsEl.addEventListener('input', updateExamTemplateTotal);
+        }
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', saveExamTemplateFromEditor);
+        }
+
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', deleteSelectedExamTemplate);
+        }
+
+        applySelectedExamTemplate();
+    }
+
+    function populateExamTemplates(selectedId = '') {
+        const select = document.getElementById('exam-template');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Custom (choose questions and category)</option>' +
+            ExamBlueprint.getTemplates().map(template =>
+                `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>`).join('');
+        select.value = selectedId;
+    }
+
+    function getSelectedExamTemplate() {
+        const select = document.getElementById('exam-template');
+        if (!select || !select.value || typeof ExamBlueprint === 'undefined') return null;
+        return ExamBlueprint.getTemplate(select.value);
+    }
+
+    function getExamSlotLabel(slot) {
+        return slot.sectionId || `Appendix ${slot.appendix}`;
+    }
+
+    function describeExamTemplate(template) {
+        const generated = Math.round(template.generatedRatio * 100);
+        const rows = template.slots.map(slot => `${slot.sectionId || slot.appendix}: ${slot.count}`).join(', ');
+        return `${ExamBlueprint.getTotalQuestions(template)} questions (${rows}). ${generated > 0 ? `About ${generated}% generated.` : 'Exam bank only.'}`;
+    }
+
+    function setExamTimeOption(seconds) {
+        const timeSelect = document.getElementById('exam-time');
+        if (!timeSelect) return;
+        const value = String(seconds);
+        if (!Array.from(timeSelect.options).some(option => option.value === value)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${Math.round(seconds / 60)} min`;
+            timeSelect.appendChild(option);
+        }
+        timeSelect.value = value;
+    }
+
+    function applySelectedExamTemplate() {
+        const template = getSelectedExamTemplate();
+        const summary = document.getElementById('exam-template-summary');
+        const questionsGroup = document.getElementById('exam-questions-group');
+        const categoriesGroup = document.getElementById('exam-categories-group');
+        const deleteBtn = document.getElementById('exam-template-delete');
+
+        if (questionsGroup) questionsGroup.hidden = !!template;
+        if (categoriesGroup) categoriesGroup.hidden = !!template;
+        if (summary) summary.textContent = template ? describeExamTemplate(template) : '';
+        if (deleteBtn) deleteBtn.hidden = !template || template.builtIn;
+        if (template) setExamTimeOption(template.timeLimit);
+
+        // Custom sittings start the editor from the CPSA weighting so a new template has a sensible base
+        const base = template || { ...ExamBlueprint.PRESETS[0], name: '', builtIn: true };
+        fillExamTemplateEditor({ ...base, name: base.builtIn && base.name ? `${base.name} (copy)` : base.name });
+    }
+
+    async function fillExamTemplateEditor(template) {
+        // Section rows need the syllabus catalog to show their selection
+        if (!examSectionCatalog) {
+            examSectionCatalog = typeof ExamMapping !== 'undefined' ? await ExamMapping.getSectionCatalog() : [];
+        }
+
+        const nameInput = document.getElementById('exam-template-name');
+        const ratioSelect = document.getElementById('exam-template-ratio');
+        const slotsEl = document.getElementById('exam-template-slots');
+        if (!slotsEl) return;
+
+        if (nameInput) nameInput.value = template.name || '';
+        if (ratioSelect) ratioSelect.value = String(template.generatedRatio);
+        slotsEl.innerHTML = '';
+        template.slots.forEach(slot => slotsEl.appendChild(createExamTemplateSlotRow(slot)));
+        updateExamTemplateTotal();
+    }
+
+    function createExamTemplateSlotRow(slot) {
+        const optionsHtml = Object.entries(APPENDIX_TITLES).map(([letter, title]) => {
+            const appendix = (examSectionCatalog || []).find(a => a.letter === letter);
+            const sections = appendix ? appendix.sections : [];
+            return `
+                <optgroup label="${escapeHtml(title)}">
+                    <option value="${letter}">Any section in Appendix ${letter}</option>
+                    ${sections.map(section => `<option value="${escapeHtml(section.id)}">${escapeHtml(section.title)}</option>`).join('')}
+                </optgroup>
+            `;
+        }).join('');
+
+        const row = document.createElement('div');
+        row.className = 'exam-template-slot';
+        row.innerHTML = `
+            <select class="exam-template-slot-target" aria-label="Appendix or section">${optionsHtml}</select>
+            <input type="number" class="exam-template-slot-count" min="1" max="200" value="${slot.count}" aria-label="Number of questions">
+            <button type="button" class="exam-template-slot-remove" data-slot-remove aria-label="Remove row">&times;</button>
+        `;
+        const select = row.querySelector('select');
+        select.value = slot.sectionId || slot.appendix;
+        if (!select.value) select.value = slot.appendix;
+        return row;
+    }
 
-        showToast(`Practice exam started! ${examQuestions.length} questions`);
+    function readExamTemplateEditor() {
+        const nameInput = document.getElementById('exam-template-name');
+        const ratioSelect = document.getElementById('exam-template-ratio');
+        const timeSelect = document.getElementById('exam-time');
+        const rows = document.querySelectorAll('#exam-template-slots .exam-template-slot');
+
+        return {
+            name: nameInput ? nameInput.value : '',
+            generatedRatio: ratioSelect ? parseFloat(ratioSelect.value) : 0,
+            timeLimit: timeSelect ? parseInt(timeSelect.value, 10) : MOCK_EXAM_DEFAULT_SECONDS,
+            slots: Array.from(rows).map(row => {
+                // Appendix rows use the bare letter; section IDs start with their appendix letter
+                const target = row.querySelector('.exam-template-slot-target').value;
+                return {
+                    appendix: target.charAt(0),
+                    sectionId: target.length > 1 ? target : null,
+                    count: parseInt(row.querySelector('.exam-template-slot-count').value, 10)
+                };
+            })
+        };
     }
 
+    function updateExamTemplateTotal() {
+        const totalEl = document.getElementById('exam-template-total');
+        if (!totalEl) return;
+        const total = readExamTemplateEditor().slots.reduce((sum, slot) => sum + (slot.count > 0 ? slot.count : 0), 0);
+        totalEl.textContent = `${total} questions`;
+    }
+
+    function saveExamTemplateFromEditor() {
+        const selected = getSelectedExamTemplate();
+        const template = readExamTemplateEditor();
+        // Editing a saved template updates it in place; editing a preset saves a new template
+        if (selected && !selected.builtIn) template.id = selected.id;
+
+        try {
+            const saved = ExamBlueprint.saveTemplate(template);
+            populateExamTemplates(saved.id);
+            applySelectedExamTemplate();
+            showToast(`Blueprint "${saved.name}" saved`, { variant: 'success' });
+        } catch (e) {
+            showToast(e.message, { variant: 'error' });
+        }
+    }
+
+    function deleteSelectedExamTemplate() {
+        const template = getSelectedExamTemplate();
+        if (!template || template.builtIn) return;
+        if (!confirm(`Delete the "${template.name}" blueprint?`)) return;
+
+        ExamBlueprint.deleteTemplate(template.id);
+        populateExamTemplates();
+        applySelectedExamTemplate();
+        showToast('Blueprint deleted');
+    }
+
+    function setExamBuildStatus(text) {
+        const status = document.getElementById('exam-build-status');
+        if (!status) return;
+        status.hidden = !text;
+        status.textContent = text || '';
+    }
+
+    // Exam-bank questions count once they are mapped to the syllabus; generated ones carry their section
+    function getBlueprintCandidates(slot) {
+        const matches = id => {
+            const q = getQuestionById(id);
+            return q && Array.isArray(q.incorrect) && q.appendix === slot.appendix &&
+                (!slot.sectionId || q.section_id === slot.sectionId);
+        };
+        return {
+            bank: getExamQuestionPool('exam').filter(matches),
+            generated: Object.keys(quizData).filter(matches)
+        };
+    }
+
+    async function generateBlueprintQuestions(template) {
+        if (typeof QuizDataLoader === 'undefined' || !QuizDataLoader.ensureAppendixQuestions) return;
+
+        for (const [index, slot] of template.slots.entries()) {
+            const { bank, generated } = getBlueprintCandidates(slot);
+            // Generate the row's share, plus whatever the exam bank cannot cover
+            const wanted = Math.max(Math.round(slot.count * template.generatedRatio), slot.count - bank.length);
+            if (generated.length >= wanted) continue;
+
+            setExamBuildStatus(`Generating questions for ${getExamSlotLabel(slot)} (row ${index + 1} of ${template.slots.length})...`);
+            try {
+                await QuizDataLoader.ensureAppendixQuestions(slot.appendix, wanted, { sectionId: slot.sectionId });
+            } catch (e) {
+                console.error(`Error generating blueprint questions for ${getExamSlotLabel(slot)}:`, e);
+            }
+        }
+    }
+
+    async function startBlueprintExam(template, timeLimit) {
+        if (examBuildInProgress) return;
+        examBuildInProgress = true;
+        const startBtn = document.getElementById('start-exam-confirm');
+        if (startBtn) startBtn.disabled = true;
+
+        try {
+            if (typeof ExamMapping !== 'undefined') {
+                setExamBuildStatus('Mapping exam bank questions to syllabus sections...');
+                await ExamMapping.ensureMapped();
+            }
+            if (template.generatedRatio > 0) {
+                await generateBlueprintQuestions(template);
+            }
+
+            const { questionIds, shortfalls } = ExamBlueprint.drawQuestions(template, getBlueprintCandidates);
+            if (questionIds.length === 0) {
+                showToast('No questions match this blueprint yet.', { variant: 'error' });
+                return;
+            }
+            if (shortfalls.length > 0) {
+                const rows = shortfalls.map(s => `${getExamSlotLabel(s.slot)} ${s.drawn}/${s.wanted}`).join(', ');
+                showToast(`Not enough questions for every blueprint row (${rows}). Starting with ${questionIds.length}.`, { variant: 'info' });
+            }
+
+            beginExamSession(questionIds, timeLimit, {
+                category: 'blueprint',
+                template: { id: template.id, name: template.name }
+            });
+        } finally {
+            examBuildInProgress = false;
+            if (startBtn) startBtn.disabled = false;
+            setExamBuildStatus('');
+        }
+    }
+
+    function promptResumeExam() {
+        const saved = loadSavedExamSession();
+        if (!saved) return;
+
+        const total = saved.questionIds.length;
+        const answered = saved.questionIds.filter(id => saved.answers[id] !== undefined).length;
+        const summary = document.getElementById('exam-resume-summary');
+        const confirmBtn = document.getElementById('exam-resume-confirm');
+        const deadline = saved.startedAt + saved.timeLimit * 1000;
+        const timeLeft = saved.timeLimit > 0 ? Math.max(0, Math.ceil((deadline - Date.now()) / 1000)) : null;
+
+        if (summary) {
+            const started = new Date(saved.startedAt).toLocaleString();
+            let timeText = 'No time limit.';
+            if (timeLeft === 0) {
+                timeText = 'The time limit ran out while you were away; your answers so far will be submitted.';
+            } else if (timeLeft !== null) {
+                timeText = `${formatExamClock(timeLeft)} remaining.`;
+            }
+            summary.textContent = `You have a mock exam in progress, started ${started}. ${answered} of ${total} questions answered. ${timeText}`;
+        }
+        if (confirmBtn) {
+            confirmBtn.textContent = timeLeft === 0 ? 'Submit & Review' : 'Resume Exam';
+        }
+
+        openModal('exam-resume-modal');
+    }
+
+    function resumePracticeExam() {
+        const saved = loadSavedExamSession();
+        if (!saved) {
+            showToast('The saved mock exam could not be restored.', { variant: 'error' });
+            return;
+        }
+
+        examSession = saved;
+        examSession.timeSpent = examSession.timeSpent || {};
+        examSession.confidence = examSession.confidence || {};
+        examActive = true;
+        examQuestionShownAt = Date.now();
+        examReviewFilter = 'all';
+        switchPanel('exam');
+
+        if (getExamTimeLeft() === 0) {
+            submitPracticeExam({ timeUp: true });
+            return;
+        }
+
+        renderMockExam();
+        startExamTimer();
+    }
+
+    // Abandoned sittings are kept in history but never marked or counted towards progress
+    function abandonPracticeExam(session) {
+        if (!session) return;
+
+        const answered = session.questionIds.filter(id => session.answers[id] !== undefined).length;
+        const timeTaken = Math.round((Math.min(Date.now(), session.timeLimit > 0
+            ? session.startedAt + session.timeLimit * 1000
+            : Date.now()) - session.startedAt) / 1000);
+
+        saveExamHistory({
+            status: 'abandoned',
+            score: null,
+            correct: null,
+            answered,
+            total: session.questionIds.length,
+            timeTaken,
+            template: session.template || null
+        });
+
+        if (session === examSession) {
+            examActive = false;
+            examSession = null;
+            stopExamTimer();
+            showMockExamContainer(false);
+        }
+        clearSavedExamSession();
+        showToast('Mock exam abandoned');
+    }
+
+    function showMockExamContainer(visible) {
+        const examContainer = document.getElementById('exam-container');
+        const mockExamContainer = document.getElementById('mock-exam-container');
+        if (examContainer) examContainer.hidden = visible;
+        if (mockExamContainer) mockExamContainer.hidden = !visible;
+    }
+
+    function getExamTimeLeft() {
+        if (!examSession || examSession.timeLimit <= 0) return null;
+        const deadline = examSession.startedAt + examSession.timeLimit * 1000;
+        return Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    }
+
+    function formatExamClock(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const mins = Math.floor((totalSeconds % 3600) / 60);
+        const secs = totalSeconds % 60;
+        const mmss = `${mins.toString().padStart(hours > 0 ? 2 : 1, '0')}:${secs.toString().padStart(2, '0')}`;
+        return hours > 0 ? `${hours}:${mmss}` : mmss;
+    }
+
+    function startExamTimer() {
+        stopExamTimer();
+        updateExamTimer();
+        if (examSession && examSession.timeLimit > 0) {
+            examInterval = setInterval(updateExamTimer, 1000);
+        }
+    }
+
+    function stopExamTimer() {
+        if (examInterval) {
+            clearInterval(examInterval);
+            examInterval = null;
+        }
+    }
+
+    // Remaining time is derived from the wall clock so a throttled background tab cannot stretch the exam
     function updateExamTimer() {
-        const mins = Math.floor(examTimeLeft / 60);
-        const secs = examTimeLeft % 60;
-        document.getElementById('exam-timer-display').textContent =
-            `${mins}:${secs.toString().padStart(2, '0')}`;
+        const timerEl = document.getElementById('mock-exam-timer');
+        const timeLeft = getExamTimeLeft();
+
+        if (timeLeft === null) {
+            if (timerEl) timerEl.textContent = 'No time limit';
+            return;
+        }
+
+        if (timerEl) {
+            timerEl.textContent = formatExamClock(timeLeft);
+            timerEl.classList.toggle('warning', timeLeft <= EXAM_TIME_WARNING_SECONDS);
+        }
+
+        if (timeLeft <= 0) {
+            submitPracticeExam({ timeUp: true });
+            return;
+        }
+
+        updateExamPace(timeLeft);
     }
 
-    function recordExamAnswer(questionId, isCorrect) {
-        if (!examActive) return;
+    /**
+     * Projects the finish time from the pace so far
+     * @param {number} timeLeft - Seconds left in the sitting
+     * @returns {Object|null} { pace, requiredPace, behind } in seconds per question, or null until
+     *   enough questions are answered or when nothing is left to answer
+     */
+    function getExamPace(timeLeft) {
+        if (!examSession) return null;
+        const { questionIds, answers } = examSession;
+        const answered = questionIds.filter(id => answers[id] !== undefined).length;
+        const remaining = questionIds.length - answered;
+        if (answered < EXAM_PACE_MIN_ANSWERED || remaining === 0) return null;
+
+        const elapsed = examSession.timeLimit - timeLeft;
+        const pace = Math.round(elapsed / answered);
+        const requiredPace = Math.floor(timeLeft / remaining);
+        return { pace, requiredPace, behind: pace > requiredPace };
+    }
+
+    function updateExamPace(timeLeft) {
+        const paceEl = document.getElementById('mock-exam-pace');
+        const pace = getExamPace(timeLeft);
+        if (!paceEl) return;
+
+        if (!pace) {
+            paceEl.hidden = true;
+            return;
+        }
+
+        paceEl.hidden = false;
+        paceEl.classList.toggle('behind', pace.behind);
+        paceEl.textContent = pace.behind
+            ? `Behind pace: ${pace.pace}s per question so far, ${pace.requiredPace}s left for each remaining question`
+            : `On pace: ${pace.pace}s per question (${pace.requiredPace}s available)`;
+
+        // One toast per sitting; the header line keeps showing the pace afterwards
+        if (pace.behind && !examSession.paceWarned) {
+            examSession.paceWarned = true;
+            saveExamSession();
+            showToast(`At ${pace.pace}s per question you will not finish in time. Aim for ${pace.requiredPace}s per question.`);
+        }
+    }
+
+    function renderMockExam() {
+        const container = document.getElementById('mock-exam-container');
+        if (!container || !examSession) return;
+
+        const { questionIds, optionOrder, answers, flagged, currentIndex } = examSession;
+        const qId = questionIds[currentIndex];
+        const question = resolveExamQuestion(qId, examSession.snapshots);
+        const total = questionIds.length;
+        const answeredCount = questionIds.filter(id => answers[id] !== undefined).length;
+        const flaggedCount = questionIds.filter(id => flagged[id]).length;
+        const isFlagged = !!flagged[qId];
+        const confidence = (examSession.confidence || {})[qId] || null;
+
+        const confidenceHtml = CONFIDENCE_LEVELS.map(level => `
+            <button type="button" class="confidence-option" data-exam-confidence="${level.value}" aria-pressed="${confidence === level.value}">${level.label}</button>
+        `).join('');
+
+        const optionsHtml = optionOrder[qId].map((option, index) => `
+            <button type="button" class="option-tile${answers[qId] === option ? ' selected' : ''}" data-exam-option="${index}" aria-pressed="${answers[qId] === option}">
+                <span class="option-letter">${String.fromCharCode(65 + index)}</span>
+                <span class="option-text">${escapeHtml(option)}</span>
+            </button>
+        `).join('');
+
+        const navigatorHtml = questionIds.map((id, index) => {
+            const classes = ['mock-exam-nav-item'];
+            if (answers[id] !== undefined) classes.push('answered');
+            if (flagged[id]) classes.push('flagged');
+            if (index === currentIndex) classes.push('current');
+            return `<button type="button" class="${classes.join(' ')}" data-exam-goto="${index}" aria-label="Question ${index + 1}">${index + 1}</button>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="mock-exam-header">
+                <div>
+                    <h2 class="appendix-quiz-title">CPSA Mock Exam</h2>
+                    <span class="mock-exam-meta">${answeredCount} of ${total} answered &middot; ${flaggedCount} flagged</span>
+                </div>
+                <div class="mock-exam-clock">
+                    <div class="mock-exam-timer" id="mock-exam-timer" aria-live="off"></div>
+                    <div class="mock-exam-pace" id="mock-exam-pace" role="status" hidden></div>
+                </div>
+                <div class="mock-exam-header-actions">
+                    <button type="button" class="action-btn" data-exam-action="abandon">Abandon</button>
+                    <button type="button" class="action-btn primary" data-exam-action="submit">Submit Exam</button>
+                </div>
+            </div>
+            <div class="mock-exam-layout">
+                <div class="review-question-card mock-exam-question${isFlagged ? ' flagged' : ''}">
+                    <div class="review-question-header">
+                        <span class="review-question-number">${currentIndex + 1}</span>
+                        <span class="mock-exam-position">Question ${currentIndex + 1} of ${total}</span>
+                        <button type="button" class="action-btn small mock-exam-flag${isFlagged ? ' active' : ''}" data-exam-action="flag" aria-pressed="${isFlagged}">
+                            ${isFlagged ? 'Unflag' : 'Flag for review'}
+                        </button>
+                    </div>
+                    <div class="review-question-text">${escapeHtml(question ? question.question : 'Question unavailable')}</div>
+                    <div class="confidence-picker" role="group" aria-label="How confident are you? (optional)">
+                        <span class="confidence-label">Confidence</span>
+                        ${confidenceHtml}
+                    </div>
+                    <div class="question-card-options">${optionsHtml}</div>
+                    <div class="mock-exam-controls">
+                        <button type="button" class="action-btn" data-exam-action="prev"${currentIndex === 0 ? ' disabled' : ''}>Previous</button>
+                        ${answers[qId] !== undefined ? '<button type="button" class="action-btn" data-exam-action="clear">Clear answer</button>' : ''}
+                        ${currentIndex < total - 1
+                            ? '<button type="button" class="action-btn primary" data-exam-action="next">Next</button>'
+                            : '<button type="button" class="action-btn primary" data-exam-action="submit">Finish</button>'}
+                    </div>
+                </div>
+                <aside class="mock-exam-navigator" aria-label="Question navigator">
+                    <h3>Questions</h3>
+                    <div class="mock-exam-nav-grid">${navigatorHtml}</div>
+                    <div class="mock-exam-legend">
+                        <span><i class="mock-exam-nav-item answered"></i>Answered</span>
+                        <span><i class="mock-exam-nav-item flagged"></i>Flagged</span>
+                        <span><i class="mock-exam-nav-item"></i>Unanswered</span>
+                    </div>
+                    <button type="button" class="action-btn small" data-exam-action="next-flagged"${flaggedCount === 0 ? ' disabled' : ''}>Next flagged</button>
+                </aside>
+            </div>
+        `;
+
+        // Every change re-renders the runner, so this is also where the session is persisted
+        saveExamSession();
+        showMockExamContainer(true);
+        updateExamTimer();
+    }
+
+    // Adds the time since the current question was shown to its running total
+    function accrueExamQuestionTime(session = examSession) {
+        if (!session || !examQuestionShownAt) return;
+        const qId = session.questionIds[session.currentIndex];
+        const now = Date.now();
+        session.timeSpent[qId] = (session.timeSpent[qId] || 0) + (now - examQuestionShownAt);
+        examQuestionShownAt = now;
+    }
+
+    function goToExamQuestion(index) {
+        if (!examSession) return;
+        accrueExamQuestionTime();
+        examSession.currentIndex = Math.max(0, Math.min(index, examSession.questionIds.length - 1));
+        renderMockExam();
+    }
+
+    // Jumps to the next flagged question after `fromIndex`, wrapping around
+    function goToNextFlaggedExamQuestion(fromIndex = examSession ? examSession.currentIndex : -1) {
+        if (!examSession) return;
+        const { questionIds, flagged } = examSession;
+        for (let step = 1; step <= questionIds.length; step++) {
+            const index = (fromIndex + step + questionIds.length) % questionIds.length;
+            if (flagged[questionIds[index]]) {
+                goToExamQuestion(index);
+                return;
+            }
+        }
+    }
+
+    function handleMockExamClick(e) {
+        const reviewFilterBtn = e.target.closest('[data-review-filter]');
+        if (reviewFilterBtn && reviewedExamRecord) {
+            examReviewFilter = reviewFilterBtn.dataset.reviewFilter;
+            renderExamReview(reviewedExamRecord);
+            return;
+        }
+
+        if (e.target.closest('[data-review-action="close"]')) {
+            showMockExamContainer(false);
+            return;
+        }
+
+        if (e.target.closest('[data-review-action="history"]')) {
+            examHistorySelection = [];
+            renderExamHistory();
+            return;
+        }
+
+        const historyReviewBtn = e.target.closest('[data-history-review]');
+        if (historyReviewBtn) {
+            const record = getExamHistory()[parseInt(historyReviewBtn.dataset.historyReview, 10)];
+            if (record && record.items) {
+                examReviewFilter = 'all';
+                renderExamReview(record);
+            }
+            return;
+        }
+
+        const historySelect = e.target.closest('[data-history-select]');
+        if (historySelect) {
+            const index = parseInt(historySelect.dataset.historySelect, 10);
+            if (historySelect.checked) {
+                // Comparing is pairwise, so selecting a third attempt replaces the oldest pick
+                examHistorySelection = [...examHistorySelection.filter(i => i !== index), index].slice(-2);
+            } else {
+                examHistorySelection = examHistorySelection.filter(i => i !== index);
+            }
+            renderExamHistory();
+            return;
+        }
+
+        if (e.target.closest('[data-history-action="compare"]') && examHistorySelection.length === 2) {
+            const history = getExamHistory();
+            const [first, second] = [...examHistorySelection].sort((a, b) => a - b);
+            renderExamComparison(history[first], history[second]);
+            return;
+        }
+
+        if (!examActive || !examSession) return;
+
+        const qId = examSession.questionIds[examSession.currentIndex];
+        const optionBtn = e.target.closest('[data-exam-option]');
+        const confidenceBtn = e.target.closest('[data-exam-confidence]');
+        const gotoBtn = e.target.closest('[data-exam-goto]');
+        const actionBtn = e.target.closest('[data-exam-action]');
+
+        if (optionBtn) {
+            examSession.answers[qId] = examSession.optionOrder[qId][parseInt(optionBtn.dataset.examOption, 10)];
+            renderMockExam();
+        } else if (confidenceBtn) {
+            // Ratings stay editable until the exam is submitted; clicking the current one clears it
+            const confidence = examSession.confidence || (examSession.confidence = {});
+            if (confidence[qId] === confidenceBtn.dataset.examConfidence) {
+                delete confidence[qId];
+            } else {
+                confidence[qId] = confidenceBtn.dataset.examConfidence;
+            }
+            renderMockExam();
+        } else if (gotoBtn) {
+            goToExamQuestion(parseInt(gotoBtn.dataset.examGoto, 10));
+        } else if (actionBtn) {
+            switch (actionBtn.dataset.examAction) {
+                case 'prev':
+                    goToExamQuestion(examSession.currentIndex - 1);
+                    break;
+                case 'next':
+                    goToExamQuestion(examSession.currentIndex + 1);
+                    break;
+                case 'flag':
+                    if (examSession.flagged[qId]) {
+                        delete examSession.flagged[qId];
+                    } else {
+                        examSession.flagged[qId] = true;
+                    }
+                    renderMockExam();
+                    break;
+                case 'clear':
+                    delete examSession.answers[qId];
+                    renderMockExam();
+                    break;
+                case 'next-flagged':
+                    goToNextFlaggedExamQuestion();
+                    break;
+                case 'submit':
+                    confirmSubmitPracticeExam();
+                    break;
+                case 'abandon':
+                    if (confirm('Abandon this mock exam? It will be recorded as abandoned and your answers will not be marked.')) {
+                        abandonPracticeExam(examSession);
+                    }
+                    break;
+            }
+        }
+    }
+
+    function confirmSubmitPracticeExam() {
+        if (!examSession) return;
+
+        const { questionIds, answers, flagged } = examSession;
+        const unanswered = questionIds.filter(id => answers[id] === undefined).length;
+        const flaggedCount = questionIds.filter(id => flagged[id]).length;
+        const timeLeft = getExamTimeLeft();
+
+        const summary = document.getElementById('exam-submit-summary');
+        if (summary) {
+            const parts = [`You have answered ${questionIds.length - unanswered} of ${questionIds.length} questions.`];
+            if (unanswered > 0) parts.push(`${unanswered} unanswered question${unanswered === 1 ? '' : 's'} will be marked wrong.`);
+            if (flaggedCount > 0) parts.push(`${flaggedCount} question${flaggedCount === 1 ? ' is' : 's are'} still flagged for review.`);
+            if (timeLeft !== null) parts.push(`Time remaining: ${formatExamClock(timeLeft)}.`);
+            summary.textContent = parts.join(' ');
+        }
+
+        const flaggedBtn = document.getElementById('exam-submit-flagged');
+        if (flaggedBtn) flaggedBtn.hidden = flaggedCount === 0;
+
+        openModal('exam-submit-modal');
+    }
+
+    // Records submitted answers through the same state the per-question handlers use
+    function recordExamAnswers(items, snapshots) {
+        const now = Date.now();
+        let correctCount = 0;
+        const attempts = [];
+
+        items.forEach(item => {
+            if (item.selected === null) return;
+            const question = resolveExamQuestion(item.questionId, snapshots);
+            if (!question) return;
+
+            const wasCorrect = answerState[item.questionId]?.correct || false;
+            answerState[item.questionId] = {
+                selected: item.selected,
+                correct: item.isCorrect,
+                timestamp: now,
+                questionText: question.question,
+                selectedAnswer: item.selected,
+                correctAnswer: question.answer,
+                isCorrect: item.isCorrect
+            };
+            const scoreDelta = item.isCorrect === wasCorrect ? 0 : (item.isCorrect ? 1 : -1);
+            score += scoreDelta;
+
+            if (isExamQuestion(item.questionId)) {
+                examAnswerState[item.questionId] = answerState[item.questionId];
+                examScore += scoreDelta;
+            }
+            SpacedRepetition.recordAnswer(item.questionId, item.isCorrect, getConfidenceReviewOptions(item.confidence, item.isCorrect));
+            attempts.push({
+                questionId: item.questionId,
+                attempt: {
+                    selected: item.selected,
+                    correct: item.isCorrect,
+                    timeTaken: item.timeSpent * 1000,
+                    mode: 'exam',
+                    confidence: item.confidence,
+                    timestamp: now
+                }
+            });
+            if (item.isCorrect) correctCount++;
+        });
+        AttemptLog.recordMany(attempts);
+
+        if (correctCount > 0) {
+            addXP(correctCount * 10);
+            updateStreak();
+        }
+        saveExamProgress();
+        saveProgress();
+        checkAndAwardBadges();
+        updateAllUI();
+    }
+
+    function submitPracticeExam(options = {}) {
+        const { timeUp = false } = options;
+        if (!examActive || !examSession) return;
+
+        const session = examSession;
+        examActive = false;
+        examSession = null;
+        stopExamTimer();
+        clearSavedExamSession();
+        closeModal('exam-submit-modal');
+
+        accrueExamQuestionTime(session);
+
+        const finishedAt = session.timeLimit > 0
+            ? Math.min(Date.now(), session.startedAt + session.timeLimit * 1000)
+            : Date.now();
+        const timeTaken = Math.round((finishedAt - session.startedAt) / 1000);
+
+        const items = session.questionIds.map(id => {
+            const question = resolveExamQuestion(id, session.snapshots);
+            const selected = session.answers[id] !== undefined ? session.answers[id] : null;
+            return {
+                questionId: id,
+                selected,
+                correctAnswer: question ? question.answer : null,
+                isCorrect: selected !== null && !!question && selected === question.answer,
+                flagged: !!session.flagged[id],
+                confidence: (session.confidence || {})[id] || null,
+                timeSpent: Math.round((session.timeSpent[id] || 0) / 1000),
+                appendix: question ? question.appendix || null : null,
+                sectionId: question ? question.section_id || null : null,
+                sectionTitle: question ? question.section_title || null : null
+            };
+        });
+
+        recordExamAnswers(items, session.snapshots);
+
+        // Unanswered questions count against the score, as in the real exam
+        const correct = items.filter(item => item.isCorrect).length;
+        const unanswered = items.filter(item => item.selected === null).length;
+        const total = items.length;
+        const examScorePercent = total > 0 ? Math.round((correct / total) * 100) : 0;
+
+        // Practice questions are not reloaded automatically, so history keeps their text
+        const snapshots = {};
+        Object.entries(session.snapshots || {}).forEach(([id, q]) => {
+            snapshots[id] = {
+                question: q.question,
+                answer: q.answer,
+                appendix: q.appendix,
+                section_id: q.section_id,
+                section_title: q.section_title
+            };
+        });
+
+        reviewedExamRecord = saveExamHistory({
+            status: 'completed',
+            score: examScorePercent,
+            correct,
+            answered: total - unanswered,
+            total,
+            timeTaken,
+            timeLimit: session.timeLimit,
+            category: session.category,
+            template: session.template || null,
+            timeUp,
+            items,
+            snapshots
+        });
+
+        // Update results UI
+        document.getElementById('exam-score').textContent = `${examScorePercent}%`;
+        document.getElementById('exam-correct').textContent = correct;
+        document.getElementById('exam-incorrect').textContent = total - correct - unanswered;
+        document.getElementById('exam-unanswered').textContent = unanswered;
+        document.getElementById('exam-time-taken').textContent = formatExamClock(timeTaken);
+
+        // Show results over the full review
+        examReviewFilter = 'all';
+        renderExamReview(reviewedExamRecord);
+        document.getElementById('exam-config').style.display = 'none';
+        document.getElementById('exam-results').style.display = 'block';
+        openModal('exam-modal');
+
+        if (timeUp) {
+            showToast('Time is up! Your exam has been submitted.', { variant: 'info' });
+        }
+    }
+
+    function getExamSourceLabel(question, qId) {
+        if (!question) return 'Unknown source';
+        if (question.section_title) {
+            const appendix = question.appendix ? `Appendix ${question.appendix}` : categorizeQuestion(question);
+            return `${appendix} › ${question.section_id ? `${question.section_id} ` : ''}${question.section_title}`;
+        }
+        return isExamQuestion(qId) ? 'CPSA exam bank' : categorizeQuestion(question);
+    }
+
+    function renderExamReview(result) {
+        const container = document.getElementById('mock-exam-container');
+        if (!container || !result) return;
+
+        const counts = {
+            all: result.items.length,
+            incorrect: result.items.filter(item => item.selected !== null && !item.isCorrect).length,
+            unanswered: result.items.filter(item => item.selected === null).length,
+            flagged: result.items.filter(item => item.flagged).length
+        };
+        const filters = [
+            ['all', 'All'],
+            ['incorrect', 'Incorrect'],
+            ['unanswered', 'Unanswered'],
+            ['flagged', 'Flagged']
+        ];
+
+        const visibleItems = result.items
+            .map((item, index) => ({ ...item, number: index + 1 }))
+            .filter(item => {
+                if (examReviewFilter === 'incorrect') return item.selected !== null && !item.isCorrect;
+                if (examReviewFilter === 'unanswered') return item.selected === null;
+                if (examReviewFilter === 'flagged') return item.flagged;
+                return true;
+            });
+
+        const cardsHtml = visibleItems.map(item => {
+            const question = resolveExamQuestion(item.questionId, result.snapshots);
+            const status = item.selected === null ? 'unanswered' : (item.isCorrect ? 'correct' : 'incorrect');
+            const statusLabel = { correct: 'Correct', incorrect: 'Incorrect', unanswered: 'Not answered' }[status];
+            return `
+                <div class="review-question-card ${status === 'correct' ? 'correct' : 'incorrect'}${item.flagged ? ' flagged' : ''}">
+                    <div class="review-question-header">
+                        <span class="review-question-number">${item.number}</span>
+                        <span class="review-question-appendix">${escapeHtml(getExamSourceLabel(question, item.questionId))}</span>
+                        <span class="review-question-status ${status === 'correct' ? 'correct' : 'incorrect'}">${statusLabel}</span>
+                        ${item.flagged ? '<span class="review-question-flag">Flagged</span>' : ''}
+                        ${typeof item.timeSpent === 'number' ? `<span class="mock-exam-time">${formatExamClock(item.timeSpent)}</span>` : ''}
+                    </div>
+                    <div class="review-question-text">${escapeHtml(question ? question.question : 'Question no longer available')}</div>
+                    <div class="review-answer-section">
+                        ${status === 'correct' ? '' : `
+                        <div class="review-answer incorrect">
+                            <span class="review-answer-label">Your answer</span>
+                            <span class="review-answer-text">${item.selected === null ? 'No answer given' : escapeHtml(item.selected)}</span>
+                        </div>`}
+                        <div class="review-answer correct">
+                            <span class="review-answer-label">Correct answer</span>
+                            <span class="review-answer-text">${escapeHtml(question ? question.answer : item.correctAnswer || 'Unavailable')}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="mock-exam-header">
+                <div>
+                    <h2 class="appendix-quiz-title">Mock Exam Review</h2>
+                    <span class="mock-exam-meta">${new Date(result.date).toLocaleString()} &middot; ${result.score}% &middot; ${result.correct} of ${result.total} correct &middot; ${formatExamClock(result.timeTaken)}${result.timeUp ? ' (time expired)' : ''}</span>
+                </div>
+                <div class="mock-exam-header-actions">
+                    <button type="button" class="action-btn" data-review-action="history">Exam History</button>
+                    <button type="button" class="action-btn" data-review-action="close">Back to Exam Practice</button>
+                </div>
+            </div>
+            <div class="mock-exam-review-filters">
+                ${filters.map(([value, label]) => `<button type="button" class="action-btn small${examReviewFilter === value ? ' primary' : ''}" data-review-filter="${value}">${label} (${counts[value]})</button>`).join('')}
+            </div>
+            ${cardsHtml || '<div class="review-empty-state"><h4>Nothing to show</h4><p>No questions match this filter.</p></div>'}
+        `;
+
+        reviewedExamRecord = result;
+        showMockExamContainer(true);
+    }
+
+    function getExamHistory() {
+        return ProgressStore.get(PROGRESS.EXAM_HISTORY);
+    }
+
+    // entry: { status: 'completed' | 'abandoned', score, correct, answered, total, timeTaken, ... }
+    // Completed exams also carry per-question `items` and practice question `snapshots`.
+    function saveExamHistory(entry) {
+        const history = getExamHistory();
+        const record = {
+            date: new Date().toISOString(),
+            ...entry
+        };
+        history.push(record);
+        // Keep last 50 exams
+        if (history.length > 50) history.shift();
+
+        ProgressStore.set(PROGRESS.EXAM_HISTORY, history);
+        return record;
+    }
+
+    function getExamAppendixLabel(appendix) {
+        if (!appendix || appendix === 'Exam') return 'Exam bank';
+        return `Appendix ${appendix}`;
+    }
+
+    // Per-appendix { correct, total } for one exam record
+    function getExamAppendixBreakdown(record) {
+        const breakdown = {};
+        (record.items || []).forEach(item => {
+            const key = getExamAppendixLabel(item.appendix);
+            if (!breakdown[key]) breakdown[key] = { correct: 0, total: 0 };
+            breakdown[key].total++;
+            if (item.isCorrect) breakdown[key].correct++;
+        });
+        return breakdown;
+    }
+
+    function formatExamPercent(part, whole) {
+        return whole > 0 ? `${Math.round((part / whole) * 100)}%` : '—';
+    }
+
+    function renderExamHistory() {
+        const container = document.getElementById('mock-exam-container');
+        if (!container) return;
+
+        const history = getExamHistory();
+        const completed = history.filter(record => record.status !== 'abandoned' && typeof record.score === 'number');
+        const best = completed.length ? Math.max(...completed.map(record => record.score)) : null;
+        const average = completed.length
+            ? Math.round(completed.reduce((sum, record) => sum + record.score, 0) / completed.length)
+            : null;
+
+        const rowsHtml = history.map((record, index) => ({ record, index })).reverse().map(({ record, index }) => {
+            const abandoned = record.status === 'abandoned';
+            const hasDetails = Array.isArray(record.items);
+            const statusLabel = abandoned ? 'Abandoned' : (record.timeUp ? 'Time expired' : 'Completed');
+            const scoreText = abandoned
+                ? `${record.answered || 0} of ${record.total} answered`
+                : `${record.score}% &middot; ${record.correct} of ${record.total} correct`;
+            return `
+                <div class="exam-history-row${abandoned ? ' abandoned' : ''}">
+                    <input type="checkbox" data-history-select="${index}" aria-label="Select for comparison"${hasDetails && !abandoned ? '' : ' disabled'}${examHistorySelection.includes(index) ? ' checked' : ''}>
+                    <div class="exam-history-info">
+                        <span class="exam-history-date">${new Date(record.date).toLocaleString()}${record.template ? ` &middot; ${escapeHtml(record.template.name)}` : ''}</span>
+                        <span class="mock-exam-meta">${scoreText} &middot; ${formatExamClock(record.timeTaken || 0)}</span>
+                    </div>
+                    <span class="review-question-status ${abandoned ? 'incorrect' : 'correct'}">${statusLabel}</span>
+                    <button type="button" class="action-btn small" data-history-review="${index}"${hasDetails && !abandoned ? '' : ' disabled title="No per-question details were recorded for this exam"'}>Review</button>
+                </div>
+            `;
+        }).join('');
 
-        examAnswers[questionId] = isCorrect;
-        const answered = Object.keys(examAnswers).length;
-        document.getElementById('exam-answered').textContent = answered;
+        container.innerHTML = `
+            <div class="mock-exam-header">
+                <div>
+                    <h2 class="appendix-quiz-title">Exam History</h2>
+                    <span class="mock-exam-meta">${completed.length} completed${best !== null ? ` &middot; best ${best}% &middot; average ${average}%` : ''}</span>
+                </div>
+                <div class="mock-exam-header-actions">
+                    <button type="button" class="action-btn primary" data-history-action="compare"${examHistorySelection.length === 2 ? '' : ' disabled'}>Compare Selected (${examHistorySelection.length}/2)</button>
+                    <button type="button" class="action-btn" data-review-action="close">Back to Exam Practice</button>
+                </div>
+            </div>
+            <div class="chart-card exam-history-chart">
+                <div class="chart-header">
+                    <span class="chart-title">Score by Appendix</span>
+                </div>
+                <div class="chart-container">
+                    <canvas id="exam-trend-chart"></canvas>
+                </div>
+            </div>
+            <div class="exam-history-list">
+                ${rowsHtml || '<div class="review-empty-state"><h4>No exams yet</h4><p>Finished mock exams will appear here.</p></div>'}
+            </div>
+        `;
 
-        const progress = (answered / examQuestions.length) * 100;
-        document.getElementById('exam-progress-fill').style.width = `${progress}%`;
+        showMockExamContainer(true);
+        renderExamTrendChart(history);
+    }
+
+    function renderExamTrendChart(history) {
+        if (!ChartManager.isReady()) return;
+
+        const detailed = history.filter(record => record.status !== 'abandoned' && Array.isArray(record.items));
+        const breakdowns = detailed.map(getExamAppendixBreakdown);
+        const appendixLabels = [...new Set(breakdowns.flatMap(Object.keys))].sort();
+        const palette = ['#0d9488', '#6366f1', '#f59e0b', '#ef4444', '#8b5cf6', '#10b981', '#ec4899', '#0ea5e9', '#84cc16', '#f97316', '#64748b', '#14b8a6'];
+
+        const datasets = appendixLabels.map((label, i) => ({
+            label,
+            data: breakdowns.map(breakdown => breakdown[label]
+                ? Math.round((breakdown[label].correct / breakdown[label].total) * 100)
+                : null),
+            color: palette[i % palette.length]
+        }));
+        datasets.unshift({
+            label: 'Overall',
+            data: detailed.map(record => record.score),
+            color: ChartManager.getChartColors().text,
+            emphasis: true
+        });
 
-        // Check if all questions answered
-        if (answered >= examQuestions.length) {
-            endPracticeExam();
-        }
+        const labels = detailed.map(record => new Date(record.date).toLocaleDateString());
+        ChartManager.createMultiLineChart('exam-trend-chart', labels, datasets);
     }
 
-    function endPracticeExam() {
-        examActive = false;
-        if (examInterval) {
-            clearInterval(examInterval);
-            examInterval = null;
-        }
+    function renderExamComparison(first, second) {
+        const container = document.getElementById('mock-exam-container');
+        if (!container || !first || !second) return;
 
-        // Calculate results
-        const correct = Object.values(examAnswers).filter(v => v).length;
-        const total = Object.keys(examAnswers).length;
-        const score = total > 0 ? Math.round((correct / total) * 100) : 0;
-        const timeTaken = Math.round((Date.now() - examStartTime) / 1000);
-        const mins = Math.floor(timeTaken / 60);
-        const secs = timeTaken % 60;
+        const describe = record => ({
+            date: new Date(record.date).toLocaleString(),
+            score: `${record.score}%`,
+            correct: `${record.correct} / ${record.total}`,
+            answered: `${record.answered ?? record.items.filter(item => item.selected !== null).length} / ${record.total}`,
+            time: formatExamClock(record.timeTaken || 0),
+            pace: formatExamClock(record.total ? Math.round((record.timeTaken || 0) / record.total) : 0)
+        });
+        const a = describe(first);
+        const b = describe(second);
+
+        const summaryRows = [
+            ['Score', a.score, b.score, second.score - first.score],
+            ['Correct', a.correct, b.correct, null],
+            ['Answered', a.answered, b.answered, null],
+            ['Time taken', a.time, b.time, null],
+            ['Average per question', a.pace, b.pace, null]
+        ];
 
-        // Update results UI
-        document.getElementById('exam-score').textContent = `${score}%`;
-        document.getElementById('exam-correct').textContent = correct;
-        document.getElementById('exam-incorrect').textContent = total - correct;
-        document.getElementById('exam-time-taken').textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
+        const breakdownA = getExamAppendixBreakdown(first);
+        const breakdownB = getExamAppendixBreakdown(second);
+        const appendixRows = [...new Set([...Object.keys(breakdownA), ...Object.keys(breakdownB)])].sort().map(label => {
+            const pctA = breakdownA[label] ? Math.round((breakdownA[label].correct / breakdownA[label].total) * 100) : null;
+            const pctB = breakdownB[label] ? Math.round((breakdownB[label].correct / breakdownB[label].total) * 100) : null;
+            return [
+                label,
+                breakdownA[label] ? `${formatExamPercent(breakdownA[label].correct, breakdownA[label].total)} (${breakdownA[label].correct}/${breakdownA[label].total})` : '—',
+                breakdownB[label] ? `${formatExamPercent(breakdownB[label].correct, breakdownB[label].total)} (${breakdownB[label].correct}/${breakdownB[label].total})` : '—',
+                pctA !== null && pctB !== null ? pctB - pctA : null
+            ];
+        });
 
-        // Show results
-        document.getElementById('exam-progress').style.display = 'none';
-        document.getElementById('exam-results').style.display = 'block';
-        openModal('exam-modal');
+        // Questions that appeared in both attempts
+        const firstItems = new Map(first.items.map(item => [item.questionId, item]));
+        const shared = second.items.filter(item => firstItems.has(item.questionId));
+        const improved = shared.filter(item => item.isCorrect && !firstItems.get(item.questionId).isCorrect).length;
+        const regressed = shared.filter(item => !item.isCorrect && firstItems.get(item.questionId).isCorrect).length;
+
+        const renderRow = ([label, valueA, valueB, delta]) => `
+            <tr>
+                <th scope="row">${escapeHtml(label)}</th>
+                <td>${valueA}</td>
+                <td>${valueB}</td>
+                <td class="${delta > 0 ? 'delta-up' : delta < 0 ? 'delta-down' : ''}">${delta === null ? '' : `${delta > 0 ? '+' : ''}${delta} pts`}</td>
+            </tr>
+        `;
 
-        // Save exam history
-        saveExamHistory(score, correct, total, timeTaken);
-    }
+        container.innerHTML = `
+            <div class="mock-exam-header">
+                <div>
+                    <h2 class="appendix-quiz-title">Compare Attempts</h2>
+                    <span class="mock-exam-meta">${shared.length} shared questions &middot; ${improved} improved &middot; ${regressed} regressed</span>
+                </div>
+                <div class="mock-exam-header-actions">
+                    <button type="button" class="action-btn" data-review-action="history">Exam History</button>
+                    <button type="button" class="action-btn" data-review-action="close">Back to Exam Practice</button>
+                </div>
+            </div>
+            <table class="exam-compare-table">
+                <thead>
+                    <tr><th></th><th scope="col">${a.date}</th><th scope="col">${b.date}</th><th scope="col">Change</th></tr>
+                </thead>
+                <tbody>
+                    ${summaryRows.map(renderRow).join('')}
+                    <tr class="exam-compare-divider"><th colspan="4">By appendix</th></tr>
+                    ${appendixRows.map(renderRow).join('')}
+                </tbody>
+            </table>
+        `;
 
-    function saveExamHistory(score, correct, total, timeTaken) {
-        const history = JSON.parse(localStorage.getItem('cpsa_exam_history') || '[]');
-        history.push({
-            date: new Date().toISOString(),
-            score,
-            correct,
-            total,
-            timeTaken
-        });
-        // Keep last 50 exams
-        if (history.length > 50) history.shift();
-        localStorage.setItem('cpsa_exam_history', JSON.stringify(history));
+        showMockExamContainer(true);
     }
 
     // ==========================================
@@ -5721,7 +8655,7 @@ Try it yourself: ${url}`,
 
     function loadAnalyticsData() {
         // Load daily stats
-        dailyStats = JSON.parse(localStorage.getItem('cpsa_daily_stats') || '{}');
+        dailyStats = ProgressStore.get(PROGRESS.DAILY_STATS);
 
         // Update overview stats
         const attempted = Object.keys(answerState).length;
@@ -5850,6 +8784,7 @@ Try it yourself: ${url}`,
     }
 
     function recordDailyStats(isCorrect) {
+        dailyStats = ProgressStore.get(PROGRESS.DAILY_STATS);
         const today = new Date().toISOString().split('T')[0];
         if (!dailyStats[today]) {
             dailyStats[today] = { correct: 0, total: 0, accuracy: 0, count: 0 };
@@ -5858,43 +8793,286 @@ Try it yourself: ${url}`,
         dailyStats[today].count++;
         if (isCorrect) dailyStats[today].correct++;
         dailyStats[today].accuracy = Math.round((dailyStats[today].correct / dailyStats[today].total) * 100);
-        localStorage.setItem('cpsa_daily_stats', JSON.stringify(dailyStats));
+        ProgressStore.set(PROGRESS.DAILY_STATS, dailyStats);
     }
 
     // ==========================================
-    // REVIEW MISSED QUESTIONS SYSTEM
+    // SPACED REPETITION REVIEW (SM-2)
     // ==========================================
+    // Scheduling lives in js/spaced-repetition.js; this section drives the
+    // "Due Today" queue in the review panel for practice and exam questions.
+    let dueReviewQueue = [];
+    let dueReviewIndex = 0;
+    let dueReviewShownAt = 0;
+
     function setupSpacedRepetition() {
         const reviewBtn = document.getElementById('spaced-review-btn');
+        const dueReviewBtn = document.getElementById('start-due-review-btn');
 
         if (reviewBtn) {
             reviewBtn.addEventListener('click', startSpacedReview);
         }
+        if (dueReviewBtn) {
+            dueReviewBtn.addEventListener('click', startSpacedReview);
+        }
+    }
+
+    // Update the Due Today summary in the review panel
+    function updateDueQueueSummary() {
+        const stats = SpacedRepetition.getStats();
+        const dueCountEl = document.getElementById('due-today-count');
+        const counts = {
+            'srs-learning-count': stats.learning,
+            'srs-young-count': stats.young,
+            'srs-mature-count': stats.mature,
+            'srs-lapses-count': stats.lapses
+        };
+
+        if (dueCountEl) {
+            dueCountEl.textContent = stats.overdue > 0
+                ? `${stats.dueToday} due (${stats.overdue} overdue)`
+                : `${stats.dueToday} due`;
+        }
+        Object.entries(counts).forEach(([elId, value]) => {
+            const el = document.getElementById(elId);
+            if (el) el.textContent = value;
+        });
+    }
+
+    // Resolve a due card to something we can ask: full multiple choice when the
+    // question is loaded, otherwise a recall card built from the saved answer
+    function getReviewableQuestion(qId) {
+        const question = getQuestionById(qId);
+        if (question && Array.isArray(question.incorrect)) {
+            return question;
+        }
+        const state = answerState[qId];
+        if (state && state.questionText && state.correctAnswer) {
+            return { question: state.questionText, answer: state.correctAnswer, incorrect: null };
+        }
+        return null;
+    }
+
+    function formatReviewInterval(card) {
+        if (card.interval === 0) return 'again later today';
+        if (card.interval === 1) return 'tomorrow';
+        return `in ${card.interval} days`;
     }
 
     function startSpacedReview() {
-        // Get questions that were answered incorrectly
-        const incorrectIds = Object.entries(answerState)
-            .filter(([_, state]) => !state.correct)
-            .map(([id, _]) => id);
+        const dueIds = SpacedRepetition.getDueIds().filter(qId => getReviewableQuestion(qId));
+
+        if (dueIds.length === 0) {
+            showToast('Nothing due for review today. Come back tomorrow!');
+            return;
+        }
+
+        dueReviewQueue = dueIds;
+        dueReviewIndex = 0;
+
+        switchPanel('review');
+        renderDueReviewCard();
 
-        if (incorrectIds.length === 0) {
-            showToast('No questions to review! Answer some questions first.');
+        showToast(`Daily review: ${dueIds.length} questions due`);
+    }
+
+    // Grade the current due card and keep answer tracking in sync
+    function gradeDueReview(qId, question, quality, selectedAnswer) {
+        const card = SpacedRepetition.review(qId, quality);
+        const isCorrect = quality >= SpacedRepetition.Quality.HARD;
+
+        // SM-2 repeats failed items until they are recalled in the same session
+        if (!isCorrect && dueReviewQueue.indexOf(qId, dueReviewIndex + 1) === -1) {
+            dueReviewQueue.push(qId);
+        }
+
+        // Only multiple-choice reviews update the recorded answer
+        if (selectedAnswer !== null) {
+            const wasCorrect = answerState[qId]?.correct || false;
+            answerState[qId] = {
+                selected: selectedAnswer,
+                correct: isCorrect,
+                timestamp: Date.now(),
+                questionText: question.question,
+                selectedAnswer: selectedAnswer,
+                correctAnswer: question.answer,
+                isCorrect: isCorrect
+            };
+            const scoreDelta = isCorrect === wasCorrect ? 0 : (isCorrect ? 1 : -1);
+            score += scoreDelta;
+
+            if (isExamQuestion(qId)) {
+                examAnswerState[qId] = answerState[qId];
+                examScore += scoreDelta;
+                saveExamProgress();
+            }
+            if (isCorrect) {
+                updateStreak();
+            }
+            logAttempt(qId, selectedAnswer, isCorrect, { timeTaken: getAnswerTime(dueReviewShownAt), mode: 'review' });
+            saveProgress();
+        }
+
+        return card;
+    }
+
+    function renderDueReviewCard() {
+        const reviewList = document.getElementById('review-list');
+        if (!reviewList) return;
+
+        if (dueReviewIndex >= dueReviewQueue.length) {
+            const stats = SpacedRepetition.getStats();
+            reviewList.innerHTML = `
+                <div class="review-empty-state">
+                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1"><circle cx="12" cy="12" r="10"/><path d="m9 12 2 2 4-4"/></svg>
+                    <h4>Daily Review Complete</h4>
+                    <p>${stats.total} questions scheduled: ${stats.young} young, ${stats.mature} mature. Come back tomorrow for the next batch.</p>
+                </div>
+            `;
+            updateReviewStats();
+            return;
+        }
+
+        const qId = dueReviewQueue[dueReviewIndex];
+        const question = getReviewableQuestion(qId);
+        if (!question) {
+            dueReviewIndex++;
+            renderDueReviewCard();
             return;
         }
 
-        // Switch to single view mode
-        setView('single');
+        const schedule = SpacedRepetition.getCard(qId);
+        const appendixLabel = question.appendix && question.appendix !== 'Exam' ? 'Appendix ' + question.appendix : (isExamQuestion(qId) ? 'Exam' : '');
+
+        reviewList.innerHTML = `<h3 class="review-section-title">Due Today (${dueReviewIndex + 1} of ${dueReviewQueue.length})</h3>`;
+        dueReviewShownAt = Date.now();
+
+        const card = document.createElement('div');
+        card.className = 'review-question-card due-review-card';
+        card.dataset.questionId = qId;
+        card.innerHTML = `
+            <div class="review-question-header">
+                <span class="review-question-number">${dueReviewIndex + 1}</span>
+                ${appendixLabel ? `<span class="review-question-appendix">${escapeHtml(appendixLabel)}</span>` : ''}
+                ${schedule && schedule.lapses > 0 ? `<span class="review-question-flag">${schedule.lapses} lapse${schedule.lapses === 1 ? '' : 's'}</span>` : ''}
+            </div>
+            <div class="review-question-text">${escapeHtml(question.question)}</div>
+        `;
+
+        const result = document.createElement('div');
+        result.className = 'due-review-result';
+        result.hidden = true;
+
+        const nextBtn = document.createElement('button');
+        nextBtn.className = 'action-btn primary';
+        nextBtn.textContent = 'Next';
+        nextBtn.hidden = true;
+        nextBtn.addEventListener('click', () => {
+            dueReviewIndex++;
+            renderDueReviewCard();
+        });
+
+        const showResult = (updatedCard, isCorrect) => {
+            card.classList.add(isCorrect ? 'correct' : 'incorrect');
+            result.textContent = `${isCorrect ? 'Correct' : 'Incorrect'} - next review ${formatReviewInterval(updatedCard)}.`;
+            result.hidden = false;
+            nextBtn.hidden = false;
+            nextBtn.focus();
+        };
+
+        if (question.incorrect) {
+            // Multiple choice: grade from correctness
+            const optionsDiv = document.createElement('div');
+            optionsDiv.className = 'question-card-options';
+
+            const allAnswers = [question.answer, ...question.incorrect];
+            shuffleArray(allAnswers);
+
+            allAnswers.forEach((answer, index) => {
+                const optionDiv = document.createElement('div');
+                optionDiv.className = 'option-tile';
+                optionDiv.dataset.correct = answer === question.answer ? 'true' : 'false';
+                optionDiv.innerHTML = `
+                    <span class="option-letter">${String.fromCharCode(65 + index)}</span>
+                    <span class="option-text">${escapeHtml(answer)}</span>
+                `;
+
+                optionDiv.addEventListener('click', function() {
+                    if (this.classList.contains('answered')) return;
+
+                    const isCorrect = this.dataset.correct === 'true';
+                    optionsDiv.querySelectorAll('.option-tile').forEach(opt => {
+                        opt.classList.add('answered');
+                        if (opt.dataset.correct === 'true') {
+                            opt.classList.add('correct');
+                        } else if (opt === this) {
+                            opt.classList.add('incorrect');
+                        }
+                    });
+
+                    const quality = isCorrect ? SpacedRepetition.Quality.GOOD : SpacedRepetition.Quality.AGAIN;
+                    showResult(gradeDueReview(qId, question, quality, answer), isCorrect);
+                });
+
+                optionsDiv.appendChild(optionDiv);
+            });
+
+            card.appendChild(optionsDiv);
+        } else {
+            // Recall card: the question isn't loaded this session, so self-grade
+            const answerEl = document.createElement('div');
+            answerEl.className = 'review-answer correct';
+            answerEl.hidden = true;
+            answerEl.innerHTML = `
+                <span class="review-answer-label">Correct answer:</span>
+                <span class="review-answer-text">${escapeHtml(question.answer)}</span>
+            `;
+
+            const grades = document.createElement('div');
+            grades.className = 'due-review-grades';
+
+            const revealBtn = document.createElement('button');
+            revealBtn.className = 'action-btn primary';
+            revealBtn.textContent = 'Show Answer';
+            grades.appendChild(revealBtn);
+
+            const gradeButtons = [
+                ['Again', SpacedRepetition.Quality.AGAIN],
+                ['Hard', SpacedRepetition.Quality.HARD],
+                ['Good', SpacedRepetition.Quality.GOOD],
+                ['Easy', SpacedRepetition.Quality.EASY]
+            ].map(([label, quality]) => {
+                const btn = document.createElement('button');
+                btn.className = 'action-btn';
+                btn.textContent = label;
+                btn.hidden = true;
+                btn.addEventListener('click', () => {
+                    gradeButtons.forEach(b => {
+                        b.disabled = true;
+                    });
+                    const isCorrect = quality >= SpacedRepetition.Quality.HARD;
+                    showResult(gradeDueReview(qId, question, quality, null), isCorrect);
+                });
+                grades.appendChild(btn);
+                return btn;
+            });
 
-        // Build question list from incorrect answers
-        allQuestionIds = incorrectIds;
-        currentQuestionIndex = 0;
+            revealBtn.addEventListener('click', () => {
+                answerEl.hidden = false;
+                revealBtn.hidden = true;
+                gradeButtons.forEach(b => {
+                    b.hidden = false;
+                });
+            });
 
-        // Show first question
-        showQuestion(0);
-        buildNavigatorDots();
+            card.appendChild(answerEl);
+            card.appendChild(grades);
+        }
 
-        showToast(`Review mode: ${incorrectIds.length} questions to review`);
+        card.appendChild(result);
+        card.appendChild(nextBtn);
+        reviewList.appendChild(card);
+        updateDueQueueSummary();
     }
 
     // ==========================================
@@ -6076,14 +9254,28 @@ Try it yourself: ${url}`,
             try {
                 const data = JSON.parse(atob(challengeData));
                 if (data.q && Array.isArray(data.q)) {
-                    // Start challenge mode
+                    // Links made before stable IDs used session counters that can't be resolved
+                    const challengeIds = data.q.filter(id => !LEGACY_QUESTION_ID.test(id));
+                    if (challengeIds.length === 0) {
+                        showToast('This challenge link was created by an older version and can no longer be opened.');
+                        return;
+                    }
+
+                    // Start challenge mode once the linked questions are available
                     setTimeout(() => {
+                        const availableIds = challengeIds.filter(id => getQuestionById(id));
+                        if (availableIds.length === 0) {
+                            showToast('Challenge questions are not loaded yet. Open their appendix and try the link again.');
+                            return;
+                        }
                         setView('single');
-                        allQuestionIds = data.q;
+                        challengeActive = true;
+                        allQuestionIds = availableIds;
                         currentQuestionIndex = 0;
                         showQuestion(0);
                         buildNavigatorDots();
-                        showToast(`Challenge mode: ${data.q.length} questions!`);
+                        const missing = data.q.length - availableIds.length;
+                        showToast(`Challenge mode: ${availableIds.length} questions!` + (missing > 0 ? ` (${missing} unavailable)` : ''));
                     }, 1000);
                 }
             } catch (e) {
@@ -6229,8 +9421,7 @@ Try it yourself: ${url}`,
 
         if (mobileStartExam) {
             mobileStartExam.addEventListener('click', () => {
-                const examModal = document.getElementById('exam-modal');
-                if (examModal) examModal.classList.add('active');
+                openExamConfig();
                 if (closeMobileSidebar) closeMobileSidebar();
             });
         }
@@ -6354,7 +9545,7 @@ Try it yourself: ${url}`,
                     const hasModel = LLMClient.hasCustomModel();
 
                     let statusParts = [];
-                    if (hasKey) statusParts.push('API key set');
+                    if (hasKey) statusParts.push(LLMClient.getKeyStorage().locked ? 'API key saved (locked)' : 'API key set');
                     if (hasEndpoint) statusParts.push('Custom endpoint: ' + escapeHtml(LLMClient.getCustomEndpoint()));
                     if (hasModel) statusParts.push('Custom model: ' + escapeHtml(LLMClient.getCustomModel()));
 
@@ -6418,7 +9609,7 @@ Try it yourself: ${url}`,
                         if (LLMClient.setApiKey(key)) {
                             savedSomething = true;
                         } else {
-                            showToast('Failed to save API key', { variant: 'error' });
+                            showToast(LLMClient.getKeyStorage().locked ? 'Unlock your saved API keys first' : 'Failed to save API key', { variant: 'error' });
                             hasErrors = true;
                         }
                     }
@@ -6462,7 +9653,9 @@ Try it yourself: ${url}`,
                 clearBtn.addEventListener('click', () => {
                     if (typeof LLMClient !== 'undefined') {
                         LLMClient.clearAllCustomSettings();
-                        showToast('All LLM settings cleared');
+                        showToast(LLMClient.getKeyStorage().locked
+                            ? 'Endpoint and model cleared. Unlock your API keys to clear the saved key too.'
+                            : 'All LLM settings cleared');
                         updateStatus();
                         input.value = '';
                         if (endpointInput) endpointInput.value = '';
@@ -6470,9 +9663,524 @@ Try it yourself: ${url}`,
                     }
                 });
 
+                setupLlmProviders();
+                setupKeyStorage(updateStatus);
+                setupLlmStatus();
+                setupLlmUsage();
                 updateStatus();
             }
 
+            // Named providers in other API dialects, and which one each AI feature uses
+            function setupLlmProviders() {
+                const list = document.getElementById('llm-provider-list');
+                const form = document.getElementById('llm-provider-form');
+                if (!list || !form || typeof LLMClient === 'undefined' || typeof LLMProviders === 'undefined') return;
+
+                const formTitle = document.getElementById('llm-provider-form-title');
+                const nameInput = document.getElementById('llm-provider-name');
+                const dialectSelect = document.getElementById('llm-provider-dialect');
+                const endpointInput = document.getElementById('llm-provider-endpoint');
+                const modelInput = document.getElementById('llm-provider-model');
+                const keyInput = document.getElementById('llm-provider-key');
+                const keyHint = document.getElementById('llm-provider-key-hint');
+                const saveBtn = document.getElementById('llm-provider-save');
+                const cancelBtn = document.getElementById('llm-provider-cancel');
+                const taskSelects = document.querySelectorAll('.llm-task-grid select[data-task]');
+                const fallbackList = document.getElementById('llm-fallback-list');
+                const fallbackSelect = document.getElementById('llm-fallback-select');
+                const fallbackAddBtn = document.getElementById('llm-fallback-add');
+                const healthList = document.getElementById('llm-health-list');
+                const servedList = document.getElementById('llm-served-list');
+                const dialects = LLMProviders.list();
+                let editingId = null;
+
+                dialectSelect.innerHTML = dialects.map(dialect =>
+                    `<option value="${dialect.id}">${escapeHtml(dialect.label)}</option>`).join('');
+
+                function updateDialectHints() {
+                    const dialect = dialects.find(d => d.id === dialectSelect.value) || dialects[0];
+                    const editing = editingId && LLMClient.listProviders().find(p => p.id === editingId);
+                    endpointInput.placeholder = dialect.defaultEndpoint;
+                    modelInput.placeholder = dialect.requiresModel ? dialect.defaultModel : 'Optional';
+                    if (editing && editing.hasKey) {
+                        keyHint.textContent = 'Leave empty to keep the saved key.';
+                    } else {
+                        keyHint.textContent = dialect.requiresKey ? 'Required.' : 'Optional; only if the server asks for one.';
+                    }
+                }
+
+                function resetForm() {
+                    editingId = null;
+                    form.reset();
+                    dialectSelect.value = dialects[0].id;
+                    formTitle.textContent = 'Add a provider';
+                    saveBtn.textContent = 'Save Provider';
+                    cancelBtn.hidden = true;
+                    updateDialectHints();
+                }
+
+                function editProvider(id) {
+                    const provider = LLMClient.listProviders().find(p => p.id === id);
+                    if (!provider) return;
+                    editingId = id;
+                    nameInput.value = provider.name;
+                    dialectSelect.value = provider.dialect;
+                    endpointInput.value = provider.endpoint;
+                    modelInput.value = provider.model;
+                    keyInput.value = '';
+                    formTitle.textContent = `Edit ${provider.name}`;
+                    saveBtn.textContent = 'Update Provider';
+                    cancelBtn.hidden = false;
+                    updateDialectHints();
+                    nameInput.focus();
+                }
+
+                function renderProviders() {
+                    const providers = LLMClient.listProviders();
+                    if (providers.length === 0) {
+                        list.innerHTML = '<li class="llm-provider-empty">No providers saved yet.</li>';
+                    } else {
+                        list.innerHTML = providers.map(provider => {
+                            const dialect = dialects.find(d => d.id === provider.dialect);
+                            return `
+                                <li class="llm-provider-item" data-id="${escapeHtml(provider.id)}">
+                                    <div class="llm-provider-info">
+                                        <span class="llm-provider-name">${escapeHtml(provider.name)}</span>
+                                        <span class="llm-provider-detail">${escapeHtml(dialect ? dialect.label : provider.dialect)} &middot; ${escapeHtml(provider.model || 'server default')}${provider.hasKey ? ' &middot; key saved' : ''}</span>
+                                        <span class="llm-provider-detail">${escapeHtml(provider.endpoint)}</span>
+                                    </div>
+                                    <div class="llm-provider-actions">
+                                        <button type="button" class="action-btn small secondary" data-action="edit">Edit</button>
+                                        <button type="button" class="action-btn small danger" data-action="delete">Delete</button>
+                                    </div>
+                                </li>
+                            `;
+                        }).join('');
+                    }
+
+                    const options = '<option value="">Default</option>' + providers.map(provider =>
+                        `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</option>`).join('');
+                    taskSelects.forEach(select => {
+                        select.innerHTML = options;
+                        select.value = LLMClient.getTaskProvider(select.dataset.task) || '';
+                    });
+                    renderFallbacks();
+                    renderHealth();
+                }
+
+                function backendName(id) {
+                    if (id === 'default') return 'Default';
+                    const provider = LLMClient.listProviders().find(p => p.id === id);
+                    return provider ? provider.name : id;
+                }
+
+                function renderFallbacks() {
+                    const order = LLMClient.getFallbackOrder();
+                    if (order.length === 0) {
+                        fallbackList.innerHTML = '<li class="llm-fallback-empty">None: requests only go to the feature\'s own provider.</li>';
+                    } else {
+                        fallbackList.innerHTML = order.map((id, index) => `
+                            <li class="llm-fallback-item" data-id="${escapeHtml(id)}">
+                                <span>${escapeHtml(backendName(id))}</span>
+                                <span class="llm-provider-actions">
+                                    <button type="button" class="action-btn small secondary" data-action="up" ${index === 0 ? 'disabled' : ''} aria-label="Move up">&uarr;</button>
+                                    <button type="button" class="action-btn small secondary" data-action="down" ${index === order.length - 1 ? 'disabled' : ''} aria-label="Move down">&darr;</button>
+                                    <button type="button" class="action-btn small secondary" data-action="remove">Remove</button>
+                                </span>
+                            </li>
+                        `).join('');
+                    }
+
+                    const available = ['default', ...LLMClient.listProviders().map(p => p.id)].filter(id => !order.includes(id));
+                    fallbackSelect.innerHTML = available.map(id =>
+                        `<option value="${escapeHtml(id)}">${escapeHtml(backendName(id))}</option>`).join('');
+                    fallbackSelect.disabled = available.length === 0;
+                    fallbackAddBtn.disabled = available.length === 0;
+                }
+
+                function setFallbacks(order) {
+                    const result = LLMClient.setFallbackOrder(order);
+                    if (!result.success) {
+                        showToast(result.error, { variant: 'error' });
+                    }
+                    renderFallbacks();
+                }
+
+                function renderHealth() {
+                    const states = { ok: 'Healthy', cooldown: 'Rate limited', open: 'Paused after repeated failures' };
+                    healthList.innerHTML = LLMClient.getBackendHealth().map(entry => {
+                        let detail = `${entry.successes} ok, ${entry.failures} failed`;
+                        if (entry.lastLatencyMs !== null) detail += ` &middot; last reply in ${(entry.lastLatencyMs / 1000).toFixed(1)}s`;
+                        if (entry.state === 'cooldown') detail += ` &middot; retrying in ${Math.ceil(entry.cooldownEndsIn / 1000)}s`;
+                        if (entry.state === 'open') detail += ` &middot; retrying in ${Math.ceil(entry.circuitResetsIn / 1000)}s`;
+                        const dotClass = entry.state === 'ok' ? 'connected' : entry.state === 'cooldown' ? 'degraded' : '';
+                        return `
+                            <li class="llm-health-item">
+                                <span class="llm-health-name"><span class="api-status-dot ${dotClass}"></span>${escapeHtml(entry.backends.join(', ') || 'Unsaved endpoint')} &middot; ${states[entry.state]}</span>
+                                <span class="llm-health-detail">${escapeHtml(entry.endpoint)}</span>
+                                <span class="llm-health-detail">${detail}${entry.lastError && entry.state !== 'ok' ? ' &middot; ' + escapeHtml(entry.lastError) : ''}</span>
+                            </li>
+                        `;
+                    }).join('');
+
+                    const served = LLMClient.getServedLog().slice(0, 5);
+                    servedList.innerHTML = served.map(entry => `
+                        <li>${escapeHtml(new Date(entry.at).toLocaleTimeString())} &middot; ${escapeHtml(entry.task || 'request')} served by ${escapeHtml(entry.backend)} (${escapeHtml(entry.model || 'server default')})${entry.failover ? ' after failing over' : ''}</li>
+                    `).join('');
+                }
+
+                list.addEventListener('click', (e) => {
+                    const button = e.target.closest('button[data-action]');
+                    const item = e.target.closest('.llm-provider-item');
+                    if (!button || !item) return;
+                    const provider = LLMClient.listProviders().find(p => p.id === item.dataset.id);
+                    if (!provider) return;
+
+                    if (button.dataset.action === 'edit') {
+                        editProvider(provider.id);
+                    } else if (button.dataset.action === 'delete') {
+                        if (!confirm(`Delete the provider "${provider.name}"? Features using it will go back to Default.`)) return;
+                        LLMClient.removeProvider(provider.id);
+                        if (editingId === provider.id) resetForm();
+                        renderProviders();
+                        showToast(`Deleted ${provider.name}`);
+                    }
+                });
+
+                taskSelects.forEach(select => {
+                    select.addEventListener('change', () => {
+                        const result = LLMClient.setTaskProvider(select.dataset.task, select.value || null);
+                        if (!result.success) {
+                            showToast(result.error, { variant: 'error' });
+                            renderProviders();
+                        }
+                    });
+                });
+
+                fallbackList.addEventListener('click', (e) => {
+                    const button = e.target.closest('button[data-action]');
+                    const item = e.target.closest('.llm-fallback-item');
+                    if (!button || !item) return;
+                    const order = LLMClient.getFallbackOrder();
+                    const index = order.indexOf(item.dataset.id);
+                    if (index === -1) return;
+
+                    if (button.dataset.action === 'remove') {
+                        order.splice(index, 1);
+                    } else {
+                        const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+                        if (target < 0 || target >= order.length) return;
+                        [order[index], order[target]] = [order[target], order[index]];
+                    }
+                    setFallbacks(order);
+                });
+
+                fallbackAddBtn.addEventListener('click', () => {
+                    if (!fallbackSelect.value) return;
+                    setFallbacks([...LLMClient.getFallbackOrder(), fallbackSelect.value]);
+                });
+
+                // Keep the health list current while the settings are open
+                LLMClient.onStatusChange(() => {
+                    if (document.getElementById('api-key-modal').classList.contains('show')) {
+                        renderHealth();
+                    }
+                });
+                document.getElementById('api-key-btn').addEventListener('click', renderHealth);
+                // Keys may have been unlocked or deleted since the list was drawn
+                document.getElementById('api-key-btn').addEventListener('click', renderProviders);
+
+                dialectSelect.addEventListener('change', updateDialectHints);
+                cancelBtn.addEventListener('click', resetForm);
+
+                saveBtn.addEventListener('click', () => {
+                    const result = LLMClient.saveProvider({
+                        id: editingId,
+                        name: nameInput.value,
+                        dialect: dialectSelect.value,
+                        endpoint: endpointInput.value,
+                        model: modelInput.value,
+                        apiKey: keyInput.value
+                    });
+                    if (!result.success) {
+                        showToast(result.error, { variant: 'error' });
+                        return;
+                    }
+                    showToast(editingId ? `Updated ${result.provider.name}` : `Saved ${result.provider.name}`);
+                    resetForm();
+                    renderProviders();
+                });
+
+                resetForm();
+                renderProviders();
+            }
+
+            // Where API keys are kept (plain, encrypted or for this tab only), and the unlock
+            // prompt shown when the app opens with encrypted keys
+            function setupKeyStorage(onKeysChanged) {
+                const modeSelect = document.getElementById('llm-key-storage-mode');
+                if (!modeSelect || typeof LLMClient === 'undefined') return;
+
+                const statusEl = document.getElementById('llm-key-storage-status');
+                const passphraseGroup = document.getElementById('llm-key-passphrase-group');
+                const passphraseInput = document.getElementById('llm-key-passphrase');
+                const confirmInput = document.getElementById('llm-key-passphrase-confirm');
+                const applyBtn = document.getElementById('llm-key-storage-save');
+                const lockBtn = document.getElementById('llm-key-lock');
+                const unlockBtn = document.getElementById('llm-key-unlock');
+                const unlockInput = document.getElementById('llm-unlock-passphrase');
+                const unlockError = document.getElementById('llm-unlock-error');
+                const unlockSubmit = document.getElementById('llm-unlock-submit');
+                const descriptions = {
+                    plain: 'API keys are saved unencrypted in this browser.',
+                    encrypted: 'API keys are saved encrypted with your passphrase.',
+                    session: 'API keys are kept for this tab only and are not saved.'
+                };
+
+                function updatePassphraseFields() {
+                    passphraseGroup.hidden = modeSelect.value !== 'encrypted' || LLMClient.getKeyStorage().locked;
+                }
+
+                function renderKeyStorage() {
+                    const storage = LLMClient.getKeyStorage();
+                    let text = descriptions[storage.mode];
+                    if (storage.mode === 'encrypted') {
+                        text += storage.locked ? ' They are locked.' : ' They stay unlocked until the app is closed; enter a new passphrase below to change it.';
+                    }
+                    statusEl.textContent = text;
+                    modeSelect.value = storage.mode;
+                    modeSelect.disabled = storage.locked;
+                    modeSelect.querySelector('option[value="encrypted"]').disabled = !storage.supported;
+                    applyBtn.disabled = storage.locked;
+                    lockBtn.hidden = storage.mode !== 'encrypted' || storage.locked;
+                    unlockBtn.hidden = !storage.locked;
+                    passphraseInput.value = '';
+                    confirmInput.value = '';
+                    updatePassphraseFields();
+                }
+
+                function keysChanged() {
+                    renderKeyStorage();
+                    onKeysChanged();
+                }
+
+                function openUnlock() {
+                    unlockInput.value = '';
+                    unlockError.hidden = true;
+                    openModal('llm-unlock-modal');
+                    unlockInput.focus();
+                }
+
+                function closeUnlock() {
+                    unlockInput.value = '';
+                    closeModal('llm-unlock-modal');
+                }
+
+                modeSelect.addEventListener('change', updatePassphraseFields);
+
+                applyBtn.addEventListener('click', async () => {
+                    const mode = modeSelect.value;
+                    const current = LLMClient.getKeyStorage().mode;
+                    if (mode === current && mode !== 'encrypted') {
+                        showToast('API keys are already kept this way');
+                        return;
+                    }
+                    if (mode === 'encrypted' && passphraseInput.value !== confirmInput.value) {
+                        showToast('The passphrases do not match', { variant: 'error' });
+                        return;
+                    }
+                    applyBtn.disabled = true;
+                    const result = await LLMClient.setKeyStorage(mode, passphraseInput.value);
+                    applyBtn.disabled = false;
+                    if (!result.success) {
+                        showToast(result.error, { variant: 'error' });
+                        return;
+                    }
+                    const messages = {
+                        plain: 'API keys saved in this browser',
+                        encrypted: current === 'encrypted' ? 'Passphrase changed' : 'API keys encrypted',
+                        session: 'API keys are now kept for this tab only'
+                    };
+                    showToast(messages[mode], { variant: 'success' });
+                    keysChanged();
+                });
+
+                lockBtn.addEventListener('click', () => {
+                    LLMClient.lockKeys();
+                    showToast('API keys locked');
+                    keysChanged();
+                });
+                unlockBtn.addEventListener('click', openUnlock);
+
+                document.getElementById('llm-unlock-form').addEventListener('submit', async () => {
+                    unlockSubmit.disabled = true;
+                    const result = await LLMClient.unlockKeys(unlockInput.value);
+                    unlockSubmit.disabled = false;
+                    if (!result.success) {
+                        unlockError.textContent = result.error;
+                        unlockError.hidden = false;
+                        unlockInput.select();
+                        return;
+                    }
+                    closeUnlock();
+                    showToast('API keys unlocked', { variant: 'success' });
+                    keysChanged();
+                });
+
+                document.getElementById('llm-unlock-forgot').addEventListener('click', async () => {
+                    if (!confirm('Delete the saved API keys? Endpoints, models and providers are kept, but you will need to enter the keys again.')) return;
+                    await LLMClient.discardLockedKeys();
+                    closeUnlock();
+                    showToast('Saved API keys deleted');
+                    keysChanged();
+                });
+
+                document.getElementById('llm-unlock-later').addEventListener('click', closeUnlock);
+                document.getElementById('llm-unlock-close').addEventListener('click', closeUnlock);
+                document.getElementById('api-key-btn').addEventListener('click', renderKeyStorage);
+
+                renderKeyStorage();
+                if (LLMClient.getKeyStorage().locked) {
+                    openUnlock();
+                }
+            }
+
+            // Sidebar line showing whether AI features can reach a backend and which one
+            // answered the last request
+            function setupLlmStatus() {
+                const container = document.getElementById('api-status');
+                const dot = document.getElementById('api-status-dot');
+                const text = document.getElementById('api-status-text');
+                if (!container || typeof LLMClient === 'undefined') return;
+
+                function updateLlmStatus() {
+                    const status = LLMClient.getStatus();
+                    const last = status.lastServed;
+                    const degraded = status.isInCooldown || !!(last && last.failover);
+                    dot.classList.toggle('connected', !status.isCircuitOpen && !degraded);
+                    dot.classList.toggle('degraded', !status.isCircuitOpen && degraded);
+
+                    if (status.isCircuitOpen) {
+                        text.textContent = `AI: paused for ${Math.ceil(status.circuitResetsIn / 1000)}s`;
+                    } else if (status.isInCooldown) {
+                        text.textContent = 'AI: rate limited';
+                    } else if (last) {
+                        text.textContent = `AI: ${last.backend}${last.failover ? ' (fallback)' : ''}`;
+                    } else {
+                        text.textContent = 'AI: ready';
+                    }
+                    container.title = last
+                        ? `Last AI request served by ${last.backend} (${last.model || 'server default'}) at ${new Date(last.at).toLocaleTimeString()}${last.failover ? ' after failing over' : ''}`
+                        : 'No AI requests yet';
+                }
+
+                LLMClient.onStatusChange(updateLlmStatus);
+                // Cooldowns and open circuits end without a status change
+                setInterval(updateLlmStatus, 10000);
+                updateLlmStatus();
+            }
+
+            // Usage dashboard: today's totals, requests and tokens per day, recent requests
+            // and the daily request budget
+            function setupLlmUsage() {
+                const todayEl = document.getElementById('llm-usage-today');
+                const breakdownEl = document.getElementById('llm-usage-breakdown');
+                const recentEl = document.getElementById('llm-usage-recent');
+                const budgetInput = document.getElementById('llm-budget-input');
+                if (!todayEl || typeof LLMUsage === 'undefined') return;
+
+                const modal = document.getElementById('api-key-modal');
+                const taskNames = { generation: 'Question generation', explanations: 'Explanations', chat: 'Tutor chat', other: 'Other' };
+                const statusNames = { ok: 'ok', error: 'failed', cancelled: 'cancelled', cached: 'from cache' };
+                const formatNumber = value => Number(value || 0).toLocaleString();
+
+                function renderUsage() {
+                    const days = LLMUsage.getDailyTotals(14);
+                    const today = days[days.length - 1];
+                    const budget = LLMUsage.getBudget();
+                    const stats = [
+                        [budget ? `${formatNumber(today.requests)} / ${formatNumber(budget)}` : formatNumber(today.requests), 'Requests today', budget && today.requests >= budget],
+                        [formatNumber(today.promptTokens + today.completionTokens), 'Tokens (in + out)'],
+                        [today.avgLatencyMs === null ? '-' : `${(today.avgLatencyMs / 1000).toFixed(1)}s`, 'Average reply time'],
+                        [formatNumber(today.errors), 'Failed'],
+                        [formatNumber(today.retries), 'Retries'],
+                        [formatNumber(today.rateLimits), 'Rate limited (429)'],
+                        [formatNumber(today.cached), 'Answered from cache']
+                    ];
+                    todayEl.innerHTML = stats.map(([value, label, over]) => `
+                        <div class="llm-usage-stat${over ? ' over' : ''}"><strong>${escapeHtml(value)}</strong><span>${escapeHtml(label)}</span></div>
+                    `).join('');
+
+                    const breakdown = [
+                        ...Object.entries(today.byTask).map(([task, count]) => `${taskNames[task] || task}: ${formatNumber(count)}`),
+                        ...Object.entries(today.byEndpoint).map(([endpoint, count]) => `${endpoint}: ${formatNumber(count)}`)
+                    ];
+                    breakdownEl.innerHTML = breakdown.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+                    if (budget && today.requests >= budget) {
+                        breakdownEl.innerHTML += '<li>Daily budget reached: background preloading is paused until tomorrow.</li>';
+                    }
+
+                    const recent = LLMUsage.getRecent().slice(0, 20);
+                    recentEl.innerHTML = recent.length === 0
+                        ? '<li>No requests yet.</li>'
+                        : recent.map(entry => {
+                            let line = `${new Date(entry.at).toLocaleTimeString()} · ${taskNames[entry.task] || taskNames.other} · ${entry.backend || 'cache'} · ${statusNames[entry.status]}`;
+                            if (entry.status !== 'cached') {
+                                line += ` · ${(entry.latencyMs / 1000).toFixed(1)}s · ${formatNumber(entry.promptTokens + entry.completionTokens)}${entry.tokensEstimated ? '~' : ''} tokens`;
+                            }
+                            if (entry.retries) line += ` · ${entry.retries} ${entry.retries === 1 ? 'retry' : 'retries'}`;
+                            if (entry.rateLimits) line += ` · ${entry.rateLimits}× 429`;
+                            return `<li class="${entry.status === 'error' ? 'error' : ''}" title="${escapeHtml(entry.error || entry.endpoint || '')}">${escapeHtml(line)}</li>`;
+                        }).join('');
+
+                    if (ChartManager.isReady()) {
+                        ChartManager.createUsageChart(
+                            'llm-usage-chart',
+                            days.map(day => day.date.slice(5)),
+                            days.map(day => day.ok),
+                            days.map(day => day.errors),
+                            days.map(day => day.promptTokens + day.completionTokens)
+                        );
+                    }
+                }
+
+                function openUsage() {
+                    const budget = LLMUsage.getBudget();
+                    budgetInput.value = budget || '';
+                    renderUsage();
+                }
+
+                document.getElementById('llm-budget-save').addEventListener('click', () => {
+                    const result = LLMUsage.setBudget(budgetInput.value.trim());
+                    if (!result.success) {
+                        showToast(result.error, { variant: 'error' });
+                        return;
+                    }
+                    const budget = LLMUsage.getBudget();
+                    showToast(budget ? `Daily budget set to ${formatNumber(budget)} requests` : 'Daily budget removed');
+                    renderUsage();
+                });
+
+                document.getElementById('llm-usage-clear').addEventListener('click', () => {
+                    if (!confirm('Clear the recorded AI usage? The daily budget is kept.')) return;
+                    LLMUsage.clear();
+                    showToast('Usage cleared');
+                });
+
+                // Requests finishing while the settings are open, in this tab or another
+                LLMUsage.onChange(() => {
+                    if (modal.classList.contains('show')) {
+                        renderUsage();
+                    }
+                });
+                window.addEventListener('storage', (e) => {
+                    if (e.key === LLMUsage.STORAGE_KEY && modal.classList.contains('show')) {
+                        renderUsage();
+                    }
+                });
+                document.getElementById('api-key-btn').addEventListener('click', openUsage);
+            }
+
         // ==========================================
         // DESKTOP SIDEBAR NAVIGATION
         // ==========================================
@@ -6575,13 +10283,7 @@ Try it yourself: ${url}`,
 
         if (sidebarStartExam) {
             sidebarStartExam.addEventListener('click', () => {
-                if (typeof startPracticeExam === 'function') {
-                    startPracticeExam();
-                } else {
-                    // Fallback to clicking the button if function not available
-                    const startExamBtn = document.getElementById('start-exam-btn');
-                    if (startExamBtn) startExamBtn.click();
-                }
+                openExamConfig();
             });
         }
 
@@ -6752,11 +10454,21 @@ Try it yourself: ${url}`,
                 // ==========================================
                 // INITIALIZE ALL NEW FEATURES
                 // ==========================================
-                document.addEventListener('DOMContentLoaded', () => {
+                document.addEventListener('DOMContentLoaded', async () => {
+                    // Features below read saved progress (exam resume, XP)
+                    await progressReady;
+
                     // Setup new features
                     setupPracticeExam();
+                    setupProgressBackup();
+                    setupProgressSnapshots();
+                    setupProgressSync();
+                    setupProgressTabs();
+                    setupProfiles();
                     setupAnalytics();
                     setupSpacedRepetition();
+                    setupReviewFilters();
+                    setupExamMapping();
                     setupPDFExport();
                     setupChallengeMode();
                     setupSprintMode();
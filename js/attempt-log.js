@@ -0,0 +1,478 @@
+/**
+ * Attempt log for CREST CPSA Quiz
+ * Append-only history of every answer per question (answerState only keeps the latest one).
+ * Attempts are stored as compact tuples, and each question keeps a small table of the
+ * option texts it has seen so repeated answers do not repeat the text.
+ */
+
+const AttemptLog = (function() {
+    const MODES = ['practice', 'exam', 'sprint', 'challenge', 'review'];
+    const CONFIDENCE = ['sure', 'unsure', 'guess'];
+    // Longer gaps are idle time (tab left open), not time spent on the question
+    const MAX_TIME_MS = 30 * 60 * 1000;
+
+    // Tuple layout: [timestamp (s), option index, correct (0/1), time taken (0.1 s or -1), mode index,
+    // confidence index (only present when the learner rated the answer)]
+    const T_TIME = 0;
+    const T_OPTION = 1;
+    const T_CORRECT = 2;
+    const T_TAKEN = 3;
+    const T_MODE = 4;
+    const T_CONFIDENCE = 5;
+
+    let questions = null;
+    const changeListeners = [];
+    // What the next save() appended and dropped, handed to change listeners
+    let pending = { added: {}, removed: [] };
+
+    // Kept in ProgressStore, which has already migrated the old localStorage copy
+    function load() {
+        if (questions) {
+            return questions;
+        }
+        const saved = ProgressStore.get(ProgressStore.TYPES.ATTEMPT_LOG);
+        // Don't cache the empty value handed out before saved progress has loaded
+        if (ProgressStore.isReady()) {
+            questions = saved;
+        }
+        return saved;
+    }
+
+    function save() {
+        ProgressStore.set(ProgressStore.TYPES.ATTEMPT_LOG, load());
+        const change = pending;
+        pending = { added: {}, removed: [] };
+        notifyChange(change);
+    }
+
+    function notifyChange(change) {
+        changeListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (e) {
+                console.error('AttemptLog: Change listener failed:', e);
+            }
+        });
+    }
+
+    function appendTuple(questionId, attempt) {
+        const all = load();
+        if (!all[questionId]) {
+            all[questionId] = { o: [], a: [] };
+        }
+        const entry = all[questionId];
+
+        const selected = attempt.selected === null || attempt.selected === undefined ? '' : String(attempt.selected);
+        let option = entry.o.indexOf(selected);
+        if (option === -1) {
+            option = entry.o.push(selected) - 1;
+        }
+
+        const taken = typeof attempt.timeTaken === 'number' && attempt.timeTaken >= 0 && attempt.timeTaken <= MAX_TIME_MS
+            ? Math.round(attempt.timeTaken / 100)
+            : -1;
+        const mode = MODES.indexOf(attempt.mode);
+        const confidence = CONFIDENCE.indexOf(attempt.confidence);
+
+        const tuple = [
+            Math.round((attempt.timestamp || Date.now()) / 1000),
+            option,
+            attempt.correct ? 1 : 0,
+            taken,
+            mode === -1 ? 0 : mode
+        ];
+        if (confidence !== -1) {
+            tuple.push(confidence);
+        }
+        entry.a.push(tuple);
+        if (!pending.added[questionId]) {
+            pending.added[questionId] = [];
+        }
+        pending.added[questionId].push(expand(entry, tuple));
+    }
+
+    function dropQuestion(questionId) {
+        delete load()[questionId];
+        delete pending.added[questionId];
+        pending.removed.push(questionId);
+    }
+
+    function expand(entry, tuple) {
+        return {
+            timestamp: tuple[T_TIME] * 1000,
+            selected: entry.o[tuple[T_OPTION]],
+            correct: tuple[T_CORRECT] === 1,
+            timeTaken: tuple[T_TAKEN] >= 0 ? tuple[T_TAKEN] * 100 : null,
+            mode: MODES[tuple[T_MODE]],
+            confidence: tuple.length > T_CONFIDENCE ? CONFIDENCE[tuple[T_CONFIDENCE]] : null
+        };
+    }
+
+    /**
+     * Appends one attempt for a question
+     * @param {string} questionId - Question ID (practice or exam_ prefixed)
+     * @param {Object} attempt - { selected, correct, timeTaken (ms), mode, confidence?, timestamp? }
+     */
+    function record(questionId, attempt) {
+        appendTuple(questionId, attempt);
+        save();
+    }
+
+    /**
+     * Appends several attempts with a single save, e.g. when a mock exam is submitted
+     * @param {Array<{questionId: string, attempt: Object}>} entries - Attempts to append
+     */
+    function recordMany(entries) {
+        entries.forEach(({ questionId, attempt }) => appendTuple(questionId, attempt));
+        if (entries.length > 0) {
+            save();
+        }
+    }
+
+    /**
+     * Gets every attempt for a question, oldest first
+     * @param {string} questionId - Question ID
+     * @returns {Array<{timestamp: number, selected: string, correct: boolean, timeTaken: number|null, mode: string, confidence: string|null}>}
+     */
+    function getAttempts(questionId) {
+        const entry = load()[questionId];
+        return entry ? entry.a.map(tuple => expand(entry, tuple)) : [];
+    }
+
+    function summarize(entry) {
+        const tuples = entry.a;
+        const firstCorrect = tuples.findIndex(tuple => tuple[T_CORRECT] === 1);
+        const timed = tuples.filter(tuple => tuple[T_TAKEN] >= 0);
+        return {
+            attempts: tuples.length,
+            correctAttempts: tuples.filter(tuple => tuple[T_CORRECT] === 1).length,
+            firstCorrect: tuples[0][T_CORRECT] === 1,
+            latestCorrect: tuples[tuples.length - 1][T_CORRECT] === 1,
+            // 1-based attempt on which the question was first answered correctly, or null
+            firstCorrectAttempt: firstCorrect === -1 ? null : firstCorrect + 1,
+            averageTime: timed.length > 0
+                ? Math.round(timed.reduce((sum, tuple) => sum + tuple[T_TAKEN], 0) / timed.length) * 100
+                : null,
+            lastAttemptAt: tuples[tuples.length - 1][T_TIME] * 1000
+        };
+    }
+
+    /**
+     * Gets the IDs of every question with at least one attempt
+     * @returns {string[]}
+     */
+    function getQuestionIds() {
+        return Object.keys(load()).filter(questionId => load()[questionId].a.length > 0);
+    }
+
+    /**
+     * Summarizes the attempts for one question
+     * @param {string} questionId - Question ID
+     * @returns {Object|null} { attempts, correctAttempts, firstCorrect, latestCorrect, firstCorrectAttempt, averageTime, lastAttemptAt }
+     */
+    function getSummary(questionId) {
+        const entry = load()[questionId];
+        return entry && entry.a.length > 0 ? summarize(entry) : null;
+    }
+
+    /**
+     * Summarizes every logged question
+     * @returns {Object} Map of questionId -> getSummary() result
+     */
+    function getSummaries() {
+        const summaries = {};
+        Object.entries(load()).forEach(([questionId, entry]) => {
+            if (entry.a.length > 0) {
+                summaries[questionId] = summarize(entry);
+            }
+        });
+        return summaries;
+    }
+
+    /**
+     * Gets the most recent attempts across all questions
+     * @param {number} [limit] - Maximum number of attempts
+     * @returns {Array<Object>} Attempts with questionId, newest first
+     */
+    function getRecent(limit = 10) {
+        const recent = [];
+        Object.entries(load()).forEach(([questionId, entry]) => {
+            entry.a.forEach((tuple, index) => recent.push({ questionId, entry, tuple, index }));
+        });
+        // Timestamps are in seconds, so break ties with the position in the question's log
+        return recent
+            .sort((a, b) => b.tuple[T_TIME] - a.tuple[T_TIME] || b.index - a.index)
+            .slice(0, limit)
+            .map(({ questionId, entry, tuple }) => ({ questionId, ...expand(entry, tuple) }));
+    }
+
+    /**
+     * Accuracy per calendar day, over every attempt made that day
+     * @param {number} [days] - Number of most recent active days to return
+     * @returns {Array<{date: string, attempts: number, correct: number, accuracy: number}>} Oldest first
+     */
+    function getDailyAccuracy(days = 7) {
+        const byDay = {};
+        Object.values(load()).forEach(entry => {
+            entry.a.forEach(tuple => {
+                const date = new Date(tuple[T_TIME] * 1000).toISOString().split('T')[0];
+                if (!byDay[date]) {
+                    byDay[date] = { date, attempts: 0, correct: 0 };
+                }
+                byDay[date].attempts++;
+                byDay[date].correct += tuple[T_CORRECT];
+            });
+        });
+        return Object.values(byDay)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .slice(-days)
+            .map(day => ({ ...day, accuracy: Math.round((day.correct / day.attempts) * 100) }));
+    }
+
+    // Identifies an attempt across devices; timestamps are stored to the second
+    function attemptKey(attempt) {
+        return `${Math.round(attempt.timestamp / 1000)}|${attempt.selected}|${attempt.correct ? 1 : 0}`;
+    }
+
+    function mergeInto(questionId, attempts) {
+        const known = new Set(getAttempts(questionId).map(attemptKey));
+        let added = 0;
+
+        (attempts || []).forEach(attempt => {
+            if (!attempt || typeof attempt.timestamp !== 'number' || known.has(attemptKey(attempt))) {
+                return;
+            }
+            known.add(attemptKey(attempt));
+            appendTuple(questionId, attempt);
+            added++;
+        });
+
+        if (added > 0) {
+            load()[questionId].a.sort((a, b) => a[T_TIME] - b[T_TIME]);
+        }
+        return added;
+    }
+
+    /**
+     * Adds attempts logged elsewhere (e.g. on another device), skipping ones already in the log
+     * @param {string} questionId - Question ID
+     * @param {Array<Object>} attempts - Attempts shaped like getAttempts() results
+     * @returns {number} Number of attempts added
+     */
+    function mergeAttempts(questionId, attempts) {
+        const added = mergeInto(questionId, attempts);
+        if (added > 0) {
+            save();
+        }
+        return added;
+    }
+
+    /**
+     * Adds attempts logged elsewhere (e.g. in a backup from another device), skipping ones
+     * already in the log
+     * @param {Object<string, Array<Object>>} attemptsByQuestion - Map of questionId -> attempts
+     * @returns {number} Number of attempts added
+     */
+    function mergeMany(attemptsByQuestion) {
+        let added = 0;
+        Object.entries(attemptsByQuestion || {}).forEach(([questionId, attempts]) => {
+            added += mergeInto(questionId, attempts);
+        });
+        if (added > 0) {
+            save();
+        }
+        return added;
+    }
+
+    /**
+     * Works out what changed between two copies taken by exportState(), e.g. to find the attempts
+     * a backup adds
+     * @param {Object} previous - The earlier exportState() result
+     * @param {Object} next - The later exportState() result
+     * @returns {{added: Object<string, Array<Object>>, removed: string[]}} Attempts only in next,
+     *   per question and shaped like getAttempts() results (for mergeMany()), and the
+     *   questions that are no longer logged
+     */
+    function diffStates(previous, next) {
+        const added = {};
+        Object.entries(next).forEach(([questionId, entry]) => {
+            const before = previous[questionId];
+            if (before && JSON.stringify(before.a) === JSON.stringify(entry.a)) {
+                return;
+            }
+            const known = new Set(before ? before.a.map(tuple => attemptKey(expand(before, tuple))) : []);
+            const attempts = entry.a.map(tuple => expand(entry, tuple)).filter(attempt => !known.has(attemptKey(attempt)));
+            if (attempts.length > 0) {
+                added[questionId] = attempts;
+            }
+        });
+        const removed = Object.keys(previous).filter(questionId => !next[questionId]);
+        return { added, removed };
+    }
+
+    /**
+     * Creates a first attempt for answers recorded before the log existed
+     * @param {Object} answers - answerState-shaped map of questionId -> { selectedAnswer, correct, timestamp }
+     * @param {Function} [getMode] - questionId -> mode for the seeded attempt
+     * @returns {number} Number of questions seeded
+     */
+    function seedFromAnswers(answers, getMode = () => 'practice') {
+        const all = load();
+        let seeded = 0;
+
+        Object.entries(answers || {}).forEach(([questionId, state]) => {
+            if (all[questionId] || !state) {
+                return;
+            }
+            appendTuple(questionId, {
+                selected: state.selectedAnswer || state.selected,
+                correct: state.correct,
+                timeTaken: null,
+                mode: getMode(questionId),
+                timestamp: state.timestamp || Date.now()
+            });
+            seeded++;
+        });
+
+        if (seeded > 0) {
+            save();
+        }
+        return seeded;
+    }
+
+    /**
+     * Removes the history for questions, e.g. when progress for a category is reset
+     * @param {string[]} questionIds - IDs to remove
+     */
+    function removeQuestions(questionIds) {
+        const all = load();
+        let removed = 0;
+        questionIds.forEach(questionId => {
+            if (all[questionId]) {
+                dropQuestion(questionId);
+                removed++;
+            }
+        });
+        if (removed > 0) {
+            save();
+        }
+    }
+
+    /**
+     * Moves history to new IDs, merging attempts if two old IDs map to the same question
+     * @param {Object} idMap - Map of oldId -> newId
+     */
+    function renameQuestions(idMap) {
+        const all = load();
+        let renamed = 0;
+        Object.entries(idMap).forEach(([oldId, newId]) => {
+            const entry = all[oldId];
+            if (!entry) {
+                return;
+            }
+            dropQuestion(oldId);
+            if (!all[newId]) {
+                all[newId] = { o: [], a: [] };
+            }
+            entry.a.forEach(tuple => appendTuple(newId, expand(entry, tuple)));
+            all[newId].a.sort((a, b) => a[T_TIME] - b[T_TIME]);
+            renamed++;
+        });
+        if (renamed > 0) {
+            save();
+        }
+    }
+
+    /**
+     * Gets a copy of the whole log, e.g. for a progress backup
+     * @returns {Object}
+     */
+    function exportState() {
+        return JSON.parse(JSON.stringify(load()));
+    }
+
+    /**
+     * Replaces the whole log with a copy taken by exportState()
+     * @param {Object} data - Result of exportState()
+     */
+    function importState(data) {
+        const previous = load();
+        const next = data && typeof data === 'object' ? JSON.parse(JSON.stringify(data)) : {};
+        // Questions whose history changed are sent whole: dropped, then added back
+        Object.keys(previous).forEach(questionId => {
+            if (JSON.stringify(previous[questionId]) !== JSON.stringify(next[questionId])) {
+                pending.removed.push(questionId);
+            }
+        });
+        Object.entries(next).forEach(([questionId, entry]) => {
+            if (JSON.stringify(previous[questionId]) !== JSON.stringify(entry)) {
+                pending.added[questionId] = entry.a.map(tuple => expand(entry, tuple));
+            }
+        });
+        questions = next;
+        save();
+    }
+
+    /**
+     * Clears the whole log
+     */
+    function reset() {
+        const removed = Object.keys(load());
+        questions = {};
+        pending = { added: {}, removed: [] };
+        ProgressStore.remove(ProgressStore.TYPES.ATTEMPT_LOG);
+        notifyChange({ added: {}, removed });
+    }
+
+    /**
+     * Registers a callback for every change saved to the log, including reset()
+     * @param {Function} callback - Called with { added, removed }: the attempts appended, per
+     *   question and shaped like getAttempts() results, and the questions whose history was
+     *   dropped (apply removed first; a rename drops the old ID and adds its attempts under the new one)
+     */
+    function onChange(callback) {
+        if (typeof callback === 'function') {
+            changeListeners.push(callback);
+        }
+    }
+
+    /**
+     * Removes a change callback
+     * @param {Function} callback - Callback passed to onChange()
+     */
+    function offChange(callback) {
+        const index = changeListeners.indexOf(callback);
+        if (index > -1) {
+            changeListeners.splice(index, 1);
+        }
+    }
+
+    return {
+        record,
+        recordMany,
+        getAttempts,
+        getQuestionIds,
+        getSummary,
+        getSummaries,
+        getRecent,
+        getDailyAccuracy,
+        seedFromAnswers,
+        mergeAttempts,
+        mergeMany,
+        diffStates,
+        exportState,
+        importState,
+        removeQuestions,
+        renameQuestions,
+        reset,
+        onChange,
+        offChange,
+        MODES,
+        CONFIDENCE
+    };
+})();
+
+// Make AttemptLog available globally
+if (typeof window !== 'undefined') {
+    window.AttemptLog = AttemptLog;
+}
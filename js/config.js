@@ -4,16 +4,6 @@
  */
 
 const CONFIG = {
-    // Storage keys for localStorage
-    storage: {
-        PROGRESS_KEY: 'cpsa_quiz_progress',
-        STREAK_KEY: 'cpsa_quiz_streak',
-        BADGES_KEY: 'cpsa_quiz_badges',
-        STUDY_TIME_KEY: 'cpsa_study_time',
-        DAILY_STATS_KEY: 'cpsa_daily_stats',
-        EXAM_HISTORY_KEY: 'cpsa_exam_history'
-    },
-
     // Chat/Tutor settings
     chat: {
         MAX_LENGTH: 400,
@@ -64,8 +54,8 @@ const CONFIG = {
 
     // Practice exam settings
     exam: {
-        DEFAULT_QUESTION_COUNT: 50,
-        DEFAULT_TIME_MINUTES: 60
+        DEFAULT_QUESTION_COUNT: 120,
+        DEFAULT_TIME_MINUTES: 120
     },
 
     // API endpoint
@@ -77,9 +67,13 @@ const CONFIG = {
     // IndexedDB settings
     indexedDB: {
         DB_NAME: 'cpsa-rag-cache',
-        DB_VERSION: 2,
+        DB_VERSION: 3,
         CHUNKS_STORE: 'chunks',
-        QUESTIONS_STORE: 'questions'
+        QUESTIONS_STORE: 'questions',
+        PROGRESS_STORE: 'profileProgress',
+        SYNC_KEYS_STORE: 'syncKeys',
+        SNAPSHOTS_STORE: 'snapshots',
+        RESPONSES_STORE: 'responses'
     }
 };
 
@@ -5,7 +5,7 @@
 
 const DBUtils = (function() {
     const DB_NAME = 'cpsa-rag-cache';
-    const DB_VERSION = 2;
+    const DB_VERSION = 3;
     
     let dbInstance = null;
     
@@ -28,8 +28,19 @@ const DBUtils = (function() {
             
             request.onsuccess = () => {
                 dbInstance = request.result;
+                // Let another tab upgrade the schema; the next call reopens at the new version
+                dbInstance.onversionchange = () => {
+                    dbInstance.close();
+                    dbInstance = null;
+                };
                 resolve(dbInstance);
             };
+
+            // An older connection in another tab is holding up the upgrade
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade blocked by another open tab');
+                reject(new Error('IndexedDB upgrade is blocked by another open tab'));
+            };
             
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
@@ -43,6 +54,29 @@ const DBUtils = (function() {
                 if (!db.objectStoreNames.contains('questions')) {
                     db.createObjectStore('questions', { keyPath: 'chunkId' });
                 }
+
+                // Create profile progress store (one record per profile and type, see ProgressStore)
+                if (!db.objectStoreNames.contains('profileProgress')) {
+                    const progressStore = db.createObjectStore('profileProgress', { keyPath: ['profile', 'type'] });
+                    progressStore.createIndex('profile', 'profile', { unique: false });
+                }
+
+                // Create sync keys store (ProgressSync's non-extractable CryptoKeys, one record per profile)
+                if (!db.objectStoreNames.contains('syncKeys')) {
+                    db.createObjectStore('syncKeys', { keyPath: 'profile' });
+                }
+
+                // Create snapshots store (saved copies of a profile's progress, see ProgressSnapshots)
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    const snapshotStore = db.createObjectStore('snapshots', { keyPath: 'id' });
+                    snapshotStore.createIndex('profile', 'profile', { unique: false });
+                }
+
+                // Create responses store (cached LLM responses by request key, see ResponseCache)
+                if (!db.objectStoreNames.contains('responses')) {
+                    const responseStore = db.createObjectStore('responses', { keyPath: 'key' });
+                    responseStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
             };
         });
     }
@@ -96,6 +130,32 @@ const DBUtils = (function() {
         });
     }
     
+    /**
+     * Gets all items from a store whose index matches a value
+     * @param {string} storeName - The name of the object store
+     * @param {string} indexName - The name of the index
+     * @param {any} value - The index value to match
+     * @returns {Promise<any[]>}
+     */
+    async function getAllByIndex(storeName, indexName, value) {
+        const db = await openDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.index(indexName).getAll(value);
+            
+            request.onerror = () => {
+                console.error(`Failed to get ${indexName} = ${value} from ${storeName}:`, request.error);
+                reject(request.error);
+            };
+            
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+        });
+    }
+    
     /**
      * Puts an item into a store
      * @param {string} storeName - The name of the object store
@@ -259,13 +319,18 @@ const DBUtils = (function() {
     // Store names constants
     const STORES = {
         CHUNKS: 'chunks',
-        QUESTIONS: 'questions'
+        QUESTIONS: 'questions',
+        PROGRESS: 'profileProgress',
+        SYNC_KEYS: 'syncKeys',
+        SNAPSHOTS: 'snapshots',
+        RESPONSES: 'responses'
     };
     
     return {
         openDB,
         get,
         getAll,
+        getAllByIndex,
         put,
         putAll,
         remove,
@@ -0,0 +1,263 @@
+/**
+ * Exam blueprints for CREST CPSA Quiz
+ * A template says how many questions to draw from each appendix or syllabus section, the
+ * time limit, and what share should come from RAG-generated questions rather than the
+ * exam bank. Built-in presets follow the syllabus weighting; user templates are saved locally.
+ */
+
+const ExamBlueprint = (function() {
+    const STORAGE_KEY = Profiles.key('cpsa_exam_templates');
+    const TEMPLATES_VERSION = 1;
+    const MAX_SLOT_COUNT = 200;
+
+    // Questions per appendix for a 120-question paper, proportional to the number of syllabus
+    // sections each appendix has in rag/index.json (A:5 B:13 C:7 D:7 E:9 F:9 G:9 H:12 I:6 J:3)
+    const CPSA_WEIGHTING = { A: 7, B: 20, C: 11, D: 11, E: 13, F: 13, G: 13, H: 18, I: 9, J: 5 };
+
+    // Largest-remainder rounding keeps the scaled paper at exactly `total` questions
+    function scaleWeighting(total) {
+        const fullTotal = Object.values(CPSA_WEIGHTING).reduce((sum, count) => sum + count, 0);
+        const slots = Object.entries(CPSA_WEIGHTING).map(([appendix, count]) => {
+            const exact = (count / fullTotal) * total;
+            return { appendix, sectionId: null, count: Math.floor(exact), remainder: exact % 1 };
+        });
+        let left = total - slots.reduce((sum, slot) => sum + slot.count, 0);
+        [...slots].sort((a, b) => b.remainder - a.remainder).forEach(slot => {
+            if (left > 0) {
+                slot.count++;
+                left--;
+            }
+        });
+        return slots.map(({ appendix, sectionId, count }) => ({ appendix, sectionId, count }));
+    }
+
+    const PRESETS = [
+        {
+            id: 'cpsa-full-mixed',
+            name: 'CPSA Full Mock (exam bank + generated)',
+            timeLimit: 7200,
+            generatedRatio: 0.25,
+            slots: scaleWeighting(120),
+            builtIn: true
+        },
+        {
+            id: 'cpsa-full-bank',
+            name: 'CPSA Full Mock (exam bank only)',
+            timeLimit: 7200,
+            generatedRatio: 0,
+            slots: scaleWeighting(120),
+            builtIn: true
+        },
+        {
+            id: 'cpsa-half-mixed',
+            name: 'CPSA Half Mock (60 questions, 1 hour)',
+            timeLimit: 3600,
+            generatedRatio: 0.25,
+            slots: scaleWeighting(60),
+            builtIn: true
+        }
+    ];
+
+    let saved = null;
+
+    function load() {
+        if (saved) {
+            return saved;
+        }
+        saved = [];
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (data && data.version === TEMPLATES_VERSION && Array.isArray(data.templates)) {
+                saved = data.templates;
+            }
+        } catch (e) {
+            console.error('ExamBlueprint: Error loading templates:', e);
+        }
+        return saved;
+    }
+
+    function persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: TEMPLATES_VERSION,
+                templates: load(),
+                lastUpdated: Date.now()
+            }));
+        } catch (e) {
+            console.error('ExamBlueprint: Error saving templates:', e);
+        }
+    }
+
+    function copyTemplate(template) {
+        return { ...template, slots: template.slots.map(slot => ({ ...slot })) };
+    }
+
+    /**
+     * Gets built-in presets followed by saved templates
+     * @returns {Object[]} Copies of all templates
+     */
+    function getTemplates() {
+        return [...PRESETS, ...load()].map(copyTemplate);
+    }
+
+    /**
+     * Gets one template by ID
+     * @param {string} id - Template ID
+     * @returns {Object|null} Copy of the template
+     */
+    function getTemplate(id) {
+        const template = [...PRESETS, ...load()].find(t => t.id === id);
+        return template ? copyTemplate(template) : null;
+    }
+
+    /**
+     * Total number of questions a template asks for
+     * @param {Object} template - Template
+     * @returns {number}
+     */
+    function getTotalQuestions(template) {
+        return template.slots.reduce((sum, slot) => sum + slot.count, 0);
+    }
+
+    /**
+     * Checks a template before it is saved
+     * @param {Object} template - Template to validate
+     * @returns {string[]} Problems found; empty if valid
+     */
+    function validateTemplate(template) {
+        const errors = [];
+        if (!template || !String(template.name || '').trim()) {
+            errors.push('Give the template a name.');
+        }
+        if (!template || !Array.isArray(template.slots) || template.slots.length === 0) {
+            errors.push('Add at least one appendix or section.');
+            return errors;
+        }
+        template.slots.forEach((slot, index) => {
+            if (!/^[A-K]$/.test(slot.appendix || '')) {
+                errors.push(`Row ${index + 1}: choose an appendix or section.`);
+            }
+            if (!Number.isInteger(slot.count) || slot.count < 1 || slot.count > MAX_SLOT_COUNT) {
+                errors.push(`Row ${index + 1}: question count must be between 1 and ${MAX_SLOT_COUNT}.`);
+            }
+        });
+        if (!(template.generatedRatio >= 0 && template.generatedRatio <= 1)) {
+            errors.push('Generated share must be between 0% and 100%.');
+        }
+        if (!(template.timeLimit >= 0)) {
+            errors.push('Time limit cannot be negative.');
+        }
+        return errors;
+    }
+
+    /**
+     * Saves a user template, replacing one with the same ID
+     * @param {Object} template - { id?, name, timeLimit, generatedRatio, slots: [{ appendix, sectionId, count }] }
+     * @returns {Object} The saved template
+     * @throws {Error} If the template is invalid or would overwrite a built-in preset
+     */
+    function saveTemplate(template) {
+        const errors = validateTemplate(template);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+        if (PRESETS.some(preset => preset.id === template.id)) {
+            throw new Error('Built-in presets cannot be overwritten; save a copy under a new name.');
+        }
+
+        const record = {
+            id: template.id || `custom_${Date.now()}`,
+            name: String(template.name).trim(),
+            timeLimit: template.timeLimit,
+            generatedRatio: template.generatedRatio,
+            slots: template.slots.map(({ appendix, sectionId, count }) => ({ appendix, sectionId: sectionId || null, count })),
+            builtIn: false
+        };
+
+        const templates = load();
+        const index = templates.findIndex(t => t.id === record.id);
+        if (index >= 0) {
+            templates[index] = record;
+        } else {
+            templates.push(record);
+        }
+        persist();
+        return copyTemplate(record);
+    }
+
+    /**
+     * Deletes a user template
+     * @param {string} id - Template ID
+     * @returns {boolean} True if a template was removed
+     */
+    function deleteTemplate(id) {
+        const templates = load();
+        const index = templates.findIndex(t => t.id === id);
+        if (index < 0) {
+            return false;
+        }
+        templates.splice(index, 1);
+        persist();
+        return true;
+    }
+
+    function shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Draws question IDs for each slot of a template
+     * Each slot aims for round(count * generatedRatio) generated questions and fills the rest
+     * from the exam bank; if either source runs short the other makes up the difference.
+     * Templates with no generated share never fall back to generated questions.
+     * @param {Object} template - Template to draw for
+     * @param {Function} getCandidates - slot -> { bank: string[], generated: string[] }
+     * @returns {{questionIds: string[], shortfalls: Array<{slot: Object, wanted: number, drawn: number}>}}
+     */
+    function drawQuestions(template, getCandidates) {
+        const used = new Set();
+        const questionIds = [];
+        const shortfalls = [];
+
+        template.slots.forEach(slot => {
+            const candidates = getCandidates(slot);
+            const bank = shuffle(candidates.bank.filter(id => !used.has(id)));
+            const generated = template.generatedRatio > 0
+                ? shuffle(candidates.generated.filter(id => !used.has(id)))
+                : [];
+
+            const generatedTarget = Math.round(slot.count * template.generatedRatio);
+            const picked = generated.splice(0, generatedTarget);
+            picked.push(...bank.splice(0, slot.count - picked.length));
+            picked.push(...generated.splice(0, slot.count - picked.length));
+
+            picked.forEach(id => used.add(id));
+            questionIds.push(...picked);
+            if (picked.length < slot.count) {
+                shortfalls.push({ slot: { ...slot }, wanted: slot.count, drawn: picked.length });
+            }
+        });
+
+        return { questionIds: shuffle(questionIds), shortfalls };
+    }
+
+    return {
+        PRESETS: PRESETS.map(copyTemplate),
+        getTemplates,
+        getTemplate,
+        getTotalQuestions,
+        validateTemplate,
+        saveTemplate,
+        deleteTemplate,
+        drawQuestions
+    };
+})();
+
+// Make ExamBlueprint available globally
+if (typeof window !== 'undefined') {
+    window.ExamBlueprint = ExamBlueprint;
+}
@@ -0,0 +1,298 @@
+/**
+ * Exam bank syllabus mapping for CREST CPSA Quiz
+ * Classifies every examQuizData question against the rag/index.json sections using the
+ * BM25 index (RAG.searchWithScores), stores the result with a confidence value and keeps
+ * manual overrides separately so they survive a re-classification.
+ */
+
+const ExamMapping = (function() {
+    const STORAGE_KEY = Profiles.key('cpsa_exam_section_map');
+    const MAPPING_VERSION = 1;
+
+    const TOP_K = 10;
+    // Questions are classified in batches so the UI stays responsive on slow devices
+    const BATCH_SIZE = 100;
+    // Confidence is the winning section's share of the top sections' scores
+    const LOW_CONFIDENCE = 0.4;
+
+    let state = null;
+    let catalog = null;
+    let mappingPromise = null;
+    const listeners = new Set();
+
+    function load() {
+        if (state) {
+            return state;
+        }
+        state = { version: MAPPING_VERSION, signature: null, auto: {}, overrides: {} };
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                if (data && data.version === MAPPING_VERSION) {
+                    state = {
+                        version: MAPPING_VERSION,
+                        signature: data.signature || null,
+                        auto: data.auto || {},
+                        overrides: data.overrides || {}
+                    };
+                }
+            }
+        } catch (e) {
+            console.error('ExamMapping: Error loading mapping:', e);
+        }
+        return state;
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...load(), lastUpdated: Date.now() }));
+        } catch (e) {
+            console.error('ExamMapping: Error saving mapping:', e);
+        }
+    }
+
+    function notify() {
+        listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (e) {
+                console.error('ExamMapping: Listener error:', e);
+            }
+        });
+    }
+
+    function getExamBank() {
+        return typeof examQuizData !== 'undefined' ? examQuizData : {};
+    }
+
+    // Changes when the question bank or the RAG chunks change, invalidating automatic mappings
+    function getSignature() {
+        return `${Object.keys(getExamBank()).length}:${RAG.getChunkCount()}`;
+    }
+
+    /**
+     * Classifies one question against the syllabus
+     * @param {Object} question - { question, answer }
+     * @returns {Object|null} { appendix, appendixTitle, sectionId, sectionTitle, confidence }
+     */
+    function classifyQuestion(question) {
+        const results = RAG.searchWithScores(`${question.question} ${question.answer}`, TOP_K);
+        if (results.length === 0) {
+            return null;
+        }
+
+        // Rank sections by their best chunk so long sections split into many chunks are not favoured
+        const bySection = new Map();
+        results.forEach(({ chunk, score }) => {
+            const current = bySection.get(chunk.section_id);
+            if (!current || score > current.score) {
+                bySection.set(chunk.section_id, { chunk, score });
+            }
+        });
+        const ranked = Array.from(bySection.values()).sort((a, b) => b.score - a.score);
+        const totalScore = ranked.reduce((sum, entry) => sum + entry.score, 0);
+        const best = ranked[0].chunk;
+
+        return {
+            appendix: best.appendix,
+            appendixTitle: best.appendix_title,
+            sectionId: best.section_id,
+            sectionTitle: best.section_title,
+            confidence: Math.round((ranked[0].score / totalScore) * 100) / 100
+        };
+    }
+
+    /**
+     * Maps any exam-bank questions that are not mapped yet (or all of them if the bank changed)
+     * @param {Object} [options] - { onProgress(done, total), force }
+     * @returns {Promise<boolean>} True if the mapping is complete
+     */
+    function ensureMapped(options = {}) {
+        if (mappingPromise) {
+            return mappingPromise;
+        }
+
+        mappingPromise = (async () => {
+            const { onProgress = null, force = false } = options;
+            try {
+                if (typeof RAG === 'undefined' || !(await RAG.initialize())) {
+                    return false;
+                }
+
+                const current = load();
+                const signature = getSignature();
+                if (force || current.signature !== signature) {
+                    current.auto = {};
+                    current.signature = signature;
+                }
+
+                const bank = getExamBank();
+                const pending = Object.keys(bank).filter(key => !current.auto[key]);
+                for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+                    pending.slice(i, i + BATCH_SIZE).forEach(key => {
+                        const mapping = classifyQuestion(bank[key]);
+                        if (mapping) {
+                            current.auto[key] = mapping;
+                        }
+                    });
+                    if (onProgress) {
+                        onProgress(Math.min(i + BATCH_SIZE, pending.length), pending.length);
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+
+                if (pending.length > 0) {
+                    save();
+                    console.log(`ExamMapping: Classified ${pending.length} exam questions`);
+                    notify();
+                }
+                return true;
+            } catch (e) {
+                console.error('ExamMapping: Error mapping exam questions:', e);
+                return false;
+            } finally {
+                mappingPromise = null;
+            }
+        })();
+
+        return mappingPromise;
+    }
+
+    /**
+     * Gets the section for an exam-bank question, preferring a manual override
+     * @param {string} key - examQuizData key (without the exam_ prefix)
+     * @returns {Object|null} { appendix, appendixTitle, sectionId, sectionTitle, confidence, source }
+     */
+    function getMapping(key) {
+        const current = load();
+        if (current.overrides[key]) {
+            return { ...current.overrides[key], confidence: 1, source: 'manual' };
+        }
+        if (current.auto[key]) {
+            return { ...current.auto[key], source: 'auto' };
+        }
+        return null;
+    }
+
+    /**
+     * Whether a mapping is a low-confidence automatic guess
+     * @param {Object|null} mapping - Result of getMapping()
+     * @returns {boolean}
+     */
+    function isLowConfidence(mapping) {
+        return !!mapping && mapping.source === 'auto' && mapping.confidence < LOW_CONFIDENCE;
+    }
+
+    /**
+     * Loads the syllabus sections from rag/index.json
+     * @returns {Promise<Array<{letter: string, title: string, sections: Array<{id: string, title: string}>}>>}
+     */
+    async function getSectionCatalog() {
+        if (catalog) {
+            return catalog;
+        }
+        try {
+            const response = await fetch('rag/index.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load index: ${response.status}`);
+            }
+            const data = await response.json();
+            catalog = Object.entries(data.appendices || {})
+                .map(([letter, appendix]) => ({
+                    letter,
+                    title: appendix.title,
+                    sections: appendix.sections || []
+                }))
+                .sort((a, b) => a.letter.localeCompare(b.letter));
+        } catch (e) {
+            console.error('ExamMapping: Error loading section catalog:', e);
+            return [];
+        }
+        return catalog;
+    }
+
+    /**
+     * Pins an exam question to a syllabus section
+     * @param {string} key - examQuizData key
+     * @param {string} sectionId - Section ID from rag/index.json
+     * @returns {Promise<boolean>} False if the section is unknown
+     */
+    async function setOverride(key, sectionId) {
+        const appendices = await getSectionCatalog();
+        for (const appendix of appendices) {
+            const section = appendix.sections.find(s => s.id === sectionId);
+            if (section) {
+                load().overrides[key] = {
+                    appendix: appendix.letter,
+                    appendixTitle: appendix.title,
+                    sectionId: section.id,
+                    sectionTitle: section.title
+                };
+                save();
+                notify();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Removes a manual override, falling back to the automatic mapping
+     * @param {string} key - examQuizData key
+     */
+    function clearOverride(key) {
+        const current = load();
+        if (current.overrides[key]) {
+            delete current.overrides[key];
+            save();
+            notify();
+        }
+    }
+
+    /**
+     * Summarizes mapping coverage
+     * @returns {{total: number, mapped: number, lowConfidence: number, overrides: number}}
+     */
+    function getSummary() {
+        const keys = Object.keys(getExamBank());
+        const summary = { total: keys.length, mapped: 0, lowConfidence: 0, overrides: Object.keys(load().overrides).length };
+        keys.forEach(key => {
+            const mapping = getMapping(key);
+            if (mapping) {
+                summary.mapped++;
+                if (isLowConfidence(mapping)) {
+                    summary.lowConfidence++;
+                }
+            }
+        });
+        return summary;
+    }
+
+    /**
+     * Subscribes to mapping changes
+     * @param {Function} listener - Called after classification or override changes
+     * @returns {Function} Unsubscribe function
+     */
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    return {
+        ensureMapped,
+        classifyQuestion,
+        getMapping,
+        isLowConfidence,
+        getSectionCatalog,
+        setOverride,
+        clearOverride,
+        getSummary,
+        onChange
+    };
+})();
+
+// Make ExamMapping available globally
+if (typeof window !== 'undefined') {
+    window.ExamMapping = ExamMapping;
+}
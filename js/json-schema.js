@@ -0,0 +1,128 @@
+/**
+ * JSON Schema validation for CREST CPSA Quiz
+ * A small validator for the subset of JSON Schema the app's schemas use: type (including
+ * 'integer' and lists of types), enum, const, properties, required, additionalProperties,
+ * items, minItems, maxItems, minLength, maxLength, pattern, minimum and maximum. Other
+ * keywords are ignored. Used to check LLM output locally, whether or not the provider
+ * enforced the schema itself.
+ */
+
+const JsonSchema = (function() {
+    // Stop collecting after this many errors; one is usually enough to reject a value
+    const MAX_ERRORS = 20;
+
+    function typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    function matchesType(value, type) {
+        switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'object':
+            return typeOf(value) === 'object';
+        default:
+            return typeOf(value) === type;
+        }
+    }
+
+    function check(value, schema, path, errors) {
+        if (errors.length >= MAX_ERRORS || !schema || typeof schema !== 'object') {
+            return;
+        }
+        const at = path || '(root)';
+        const fail = message => errors.push(`${at}: ${message}`);
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+                return;
+            }
+        }
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+            fail(`must be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(`must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail(`must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+                fail(`must match ${schema.pattern}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(`must be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail(`must be at most ${schema.maximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`expected at least ${schema.minItems} items, got ${value.length}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail(`expected at most ${schema.maxItems} items, got ${value.length}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(name => {
+                if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                    fail(`missing required property "${name}"`);
+                }
+            });
+            Object.keys(value).forEach(name => {
+                const childPath = path ? `${path}.${name}` : name;
+                if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                    check(value[name], properties[name], childPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    fail(`unexpected property "${name}"`);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    check(value[name], schema.additionalProperties, childPath, errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Validates a value against a schema
+     * @param {*} value - Parsed JSON
+     * @param {Object} schema - JSON Schema (see the supported keywords above)
+     * @returns {{valid: boolean, errors: string[]}} Errors as "path: message"
+     */
+    function validate(value, schema) {
+        const errors = [];
+        check(value, schema, '', errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    return {
+        validate
+    };
+})();
+
+// Make JsonSchema available globally
+if (typeof window !== 'undefined') {
+    window.JsonSchema = JsonSchema;
+}
@@ -0,0 +1,271 @@
+/**
+ * API key storage for CREST CPSA Quiz
+ * LLMClient's API keys (the default one and each provider's) are kept in plain localStorage
+ * unless the learner chooses otherwise:
+ * - encrypted: AES-GCM with a key derived from a passphrase (PBKDF2, WebCrypto). The keys
+ *   are locked after every page load until the passphrase is entered again; the derived key
+ *   is never stored.
+ * - session: sessionStorage only, so they are gone when the tab is closed.
+ * Keys are handled here as an opaque map of name -> secret; which names exist is stored in
+ * the clear so settings can show that a key is saved while it is locked.
+ */
+
+const KeyVault = (function() {
+    const STORAGE_KEY = Profiles.key('llm_key_vault');
+    const SESSION_KEY = Profiles.key('llm_session_keys');
+    const STORAGE_VERSION = 1;
+
+    const MODES = {
+        PLAIN: 'plain',
+        ENCRYPTED: 'encrypted',
+        SESSION: 'session'
+    };
+
+    const PBKDF2_ITERATIONS = 600000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+    const MIN_PASSPHRASE_LENGTH = 8;
+
+    // AES key derived from the passphrase, while unlocked
+    let cryptoKey = null;
+    // Writes run one after another so an older one never lands last
+    let pendingWrite = Promise.resolve();
+
+    function loadRecord() {
+        try {
+            const record = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (record && record.version === STORAGE_VERSION && Object.values(MODES).includes(record.mode)) {
+                return record;
+            }
+        } catch (e) {
+            console.error('KeyVault: Error loading key storage:', e);
+        }
+        return null;
+    }
+
+    function saveRecord(record) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, ...record }));
+    }
+
+    function toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    function onlySecrets(secrets) {
+        const result = {};
+        Object.entries(secrets || {}).forEach(([name, secret]) => {
+            if (typeof secret === 'string' && secret) {
+                result[name] = secret;
+            }
+        });
+        return result;
+    }
+
+    async function deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async function encrypt(key, secrets) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(secrets)));
+        return { iv: toBase64(iv), data: toBase64(data) };
+    }
+
+    async function decrypt(key, record) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.data));
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    function queueWrite(write) {
+        pendingWrite = pendingWrite.catch(() => {}).then(write);
+        return pendingWrite;
+    }
+
+    /**
+     * Whether this browser can encrypt keys (WebCrypto needs a secure context)
+     * @returns {boolean}
+     */
+    function isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * @returns {string} One of MODES
+     */
+    function getMode() {
+        const record = loadRecord();
+        return record ? record.mode : MODES.PLAIN;
+    }
+
+    /**
+     * Whether keys are stored encrypted and the passphrase has not been entered yet
+     * @returns {boolean}
+     */
+    function isLocked() {
+        return getMode() === MODES.ENCRYPTED && !cryptoKey;
+    }
+
+    /**
+     * Names of the secrets stored encrypted or for the session (readable while locked)
+     * @returns {string[]}
+     */
+    function getStoredNames() {
+        const record = loadRecord();
+        if (!record) {
+            return [];
+        }
+        if (record.mode === MODES.SESSION) {
+            return Object.keys(readSession());
+        }
+        return Array.isArray(record.names) ? record.names : [];
+    }
+
+    /**
+     * Secrets kept for this session
+     * @returns {Object<string, string>} Empty unless the mode is session
+     */
+    function readSession() {
+        if (getMode() !== MODES.SESSION) {
+            return {};
+        }
+        try {
+            return onlySecrets(JSON.parse(sessionStorage.getItem(SESSION_KEY)));
+        } catch (e) {
+            console.warn('KeyVault: Error reading session keys:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Decrypts the stored secrets; they stay unlocked until lock() or the page is left
+     * @param {string} passphrase
+     * @returns {Promise<Object<string, string>>}
+     * @throws {Error} If the passphrase is wrong or nothing is stored encrypted
+     */
+    async function unlock(passphrase) {
+        const record = loadRecord();
+        if (!record || record.mode !== MODES.ENCRYPTED) {
+            throw new Error('No API keys are stored encrypted.');
+        }
+        const key = await deriveKey(passphrase || '', fromBase64(record.salt), record.iterations);
+        let secrets;
+        try {
+            secrets = await decrypt(key, record);
+        } catch (e) {
+            throw new Error('Wrong passphrase.');
+        }
+        cryptoKey = key;
+        return onlySecrets(secrets);
+    }
+
+    /**
+     * Forgets the derived key; the secrets stay stored encrypted
+     */
+    function lock() {
+        cryptoKey = null;
+    }
+
+    /**
+     * Stores the secrets in the current mode (nothing to do for plain, which LLMClient keeps
+     * itself)
+     * @param {Object<string, string>} secrets
+     * @returns {Promise<void>}
+     * @throws {Error} If the keys are encrypted and locked
+     */
+    function save(secrets) {
+        const cleaned = onlySecrets(secrets);
+        return queueWrite(async () => {
+            const record = loadRecord();
+            if (!record) {
+                return;
+            }
+            if (record.mode === MODES.SESSION) {
+                sessionStorage.setItem(SESSION_KEY, JSON.stringify(cleaned));
+                return;
+            }
+            if (!cryptoKey) {
+                throw new Error('Unlock your saved API keys first.');
+            }
+            saveRecord({ ...record, ...(await encrypt(cryptoKey, cleaned)), names: Object.keys(cleaned) });
+        });
+    }
+
+    /**
+     * Moves the secrets to another mode. For encrypted, they are written under a new salt and
+     * read back before anything else changes, so the caller only drops its plain copies once
+     * the encrypted ones are known to work.
+     * @param {string} mode - One of MODES
+     * @param {Object<string, string>} secrets - All current secrets
+     * @param {string} [passphrase] - Required for encrypted (at least MIN_PASSPHRASE_LENGTH characters)
+     * @returns {Promise<void>}
+     * @throws {Error} If the mode is unknown, the passphrase too short or WebCrypto missing
+     */
+    function setMode(mode, secrets, passphrase) {
+        const cleaned = onlySecrets(secrets);
+        return queueWrite(async () => {
+            if (mode === MODES.ENCRYPTED) {
+                if (!isSupported()) {
+                    throw new Error('This browser cannot encrypt keys here (HTTPS is required).');
+                }
+                if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                    throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+                }
+                const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+                const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+                const record = {
+                    mode,
+                    salt: toBase64(salt),
+                    iterations: PBKDF2_ITERATIONS,
+                    ...(await encrypt(key, cleaned)),
+                    names: Object.keys(cleaned)
+                };
+                if (JSON.stringify(await decrypt(key, record)) !== JSON.stringify(cleaned)) {
+                    throw new Error('The keys could not be encrypted.');
+                }
+                saveRecord(record);
+                sessionStorage.removeItem(SESSION_KEY);
+                cryptoKey = key;
+            } else if (mode === MODES.SESSION) {
+                sessionStorage.setItem(SESSION_KEY, JSON.stringify(cleaned));
+                saveRecord({ mode });
+                cryptoKey = null;
+            } else if (mode === MODES.PLAIN) {
+                localStorage.removeItem(STORAGE_KEY);
+                sessionStorage.removeItem(SESSION_KEY);
+                cryptoKey = null;
+            } else {
+                throw new Error(`Unknown key storage: ${mode}`);
+            }
+        });
+    }
+
+    return {
+        isSupported,
+        getMode,
+        isLocked,
+        getStoredNames,
+        readSession,
+        unlock,
+        lock,
+        save,
+        setMode,
+        MODES,
+        MIN_PASSPHRASE_LENGTH
+    };
+})();
+
+// Make KeyVault available globally
+if (typeof window !== 'undefined') {
+    window.KeyVault = KeyVault;
+}
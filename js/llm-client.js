@@ -6,7 +6,18 @@
  * - Exponential backoff with jitter for 429 errors
  * - Retry-After header support
  * - Request prioritization (foreground vs background)
- * - Circuit breaker pattern for sustained failures
+ * - Circuit breaker pattern for sustained failures, kept per endpoint
+ * - Failover along an ordered chain of backends when one is rate limited or its circuit opens
+ * - Streaming (SSE) responses delivered token by token
+ * - Cancellation of any request through an AbortSignal, or of a group of requests by tag
+ * - Identical requests (same request key) share one in-flight request, and idempotent ones
+ *   are answered from ResponseCache
+ * - Per-request metrics (latency, sizes, tokens, retries, 429s) reported to LLMUsage
+ * - Named provider profiles in several API dialects (see LLMProviders), chosen per task
+ * - Schema-constrained (structured) output where the endpoint supports it, remembered per
+ *   endpoint and model when it does not
+ * - API keys kept in plain localStorage, encrypted with a passphrase, or for the session
+ *   only (see KeyVault)
  */
 
 const LLMClient = (function() {
@@ -20,14 +31,35 @@ const LLMClient = (function() {
         baseBackoffMs: 2000,        // Base backoff time for retries (increased from 1000)
         maxBackoffMs: 60000,        // Maximum backoff time (increased from 30000)
         requestTimeout: 30000,      // Request timeout in ms
+        streamIdleTimeout: 30000,   // Max ms between chunks of a streamed response
         circuitBreakerThreshold: 3, // Consecutive failures before circuit opens (reduced from 5)
         circuitBreakerResetMs: 120000, // Time before circuit breaker resets (increased from 60000)
         rateLimitCooldownMs: 30000, // Extra cooldown after hitting rate limit
+        structuredRecheckMs: 7 * 24 * 60 * 60 * 1000, // How long to skip structured output after an endpoint rejects it
+        // How long cached responses stay fresh, per task (see TASKS); tasks not listed are not
+        // cached unless a request passes cacheTtlMs. Chat depends on the conversation and
+        // generation is cached per chunk by QuestionCache.
+        responseCacheTtlMs: {
+            explanations: 7 * 24 * 60 * 60 * 1000
+        },
         storageKey: 'llm_client_state', // Key for persisting state
-        apiKeyStorageKey: 'llm_api_key', // Key for storing custom API key
-        customEndpointStorageKey: 'llm_custom_endpoint', // Key for storing custom endpoint URL
-        customModelStorageKey: 'llm_custom_model' // Key for storing custom model name
+        // Custom key, endpoint and model are per learner profile; the rate limit state is shared by the device
+        apiKeyStorageKey: Profiles.key('llm_api_key'), // Key for storing custom API key
+        customEndpointStorageKey: Profiles.key('llm_custom_endpoint'), // Key for storing custom endpoint URL
+        customModelStorageKey: Profiles.key('llm_custom_model'), // Key for storing custom model name
+        providersStorageKey: Profiles.key('llm_providers') // Key for named provider profiles and task choices
     };
+
+    // Tasks that can each use their own provider
+    const TASKS = {
+        GENERATION: 'generation',
+        EXPLANATIONS: 'explanations',
+        CHAT: 'chat'
+    };
+    const PROVIDERS_VERSION = 1;
+    const DEFAULT_BACKEND_ID = 'default'; // The custom or built-in endpoint settings, not a saved provider
+    const MAX_PROVIDERS = 10;
+    const MAX_PROVIDER_NAME_LENGTH = 40;
     
     // Custom API key (user-provided to avoid 429 errors)
     let customApiKey = null;
@@ -36,19 +68,32 @@ const LLMClient = (function() {
     let customEndpoint = null;
     let customModel = null;
 
+    // Named provider profiles; a task without one uses the settings above
+    let providers = [];
+    let taskProviders = {};
+    // Backends tried in order after a task's own one, as provider IDs or DEFAULT_BACKEND_ID
+    let fallbackOrder = [];
+
     // Queue state
     const requestQueue = [];
+    const activeEntries = new Set(); // Requests sent and not yet settled, for cancelling by tag
+    const inFlight = new Map(); // Queued or sent requests by request key, shared by identical ones
     let activeRequests = 0;
     let lastRequestTime = 0;
     let isProcessing = false;
 
-    // Circuit breaker state
-    let consecutiveFailures = 0;
-    let circuitOpenUntil = 0;
-
-    // Rate limit state (persisted across reloads)
-    let rateLimitCooldownUntil = 0;
+    // Circuit breaker, rate limit cooldown and recent results per endpoint URL
+    // (cooldowns are persisted across reloads and shared with other tabs)
+    const health = {};
     let dynamicSpacing = CONFIG.minRequestSpacing; // Increases after 429s
+    // Endpoint and model pairs that rejected structured output, until when to skip it
+    // (persisted with the cooldowns)
+    const noStructuredOutput = {};
+
+    // Which backend answered recent requests, newest first
+    const MAX_SERVED_LOG = 20;
+    const servedLog = [];
+    const statusListeners = [];
 
     // Cross-tab coordination
     let broadcastChannel = null;
@@ -76,6 +121,8 @@ const LLMClient = (function() {
     loadPersistedState();
     loadApiKey();
     loadCustomSettings();
+    loadProviders();
+    loadStoredKeys();
     
     // Start listening for storage changes (cross-tab lock coordination)
     if (typeof window !== 'undefined') {
@@ -89,7 +136,11 @@ const LLMClient = (function() {
         failedRequests: 0,
         retriedRequests: 0,
         rateLimitHits: 0,
-        cacheHits: 0
+        cacheHits: 0,
+        streamedRequests: 0,
+        cancelledRequests: 0,
+        coalescedRequests: 0,
+        failovers: 0
     };
 
     /**
@@ -113,36 +164,180 @@ const LLMClient = (function() {
      */
     function setApiKey(apiKey) {
         if (apiKey && typeof apiKey === 'string' && apiKey.trim()) {
-            customApiKey = apiKey.trim();
-            try {
-                localStorage.setItem(CONFIG.apiKeyStorageKey, customApiKey);
-                console.log('LLMClient: Custom API key saved');
-            } catch (e) {
-                console.warn('Failed to save API key:', e);
+            if (KeyVault.isLocked()) {
+                console.warn('LLMClient: Unlock the saved API keys before changing them');
+                return false;
             }
+            customApiKey = apiKey.trim();
+            persistKeys();
+            console.log('LLMClient: Custom API key saved');
             return true;
         }
         return false;
     }
 
     /**
-     * Clear custom API key
+     * Clear custom API key (an encrypted copy stays until the keys are unlocked)
      */
     function clearApiKey() {
         customApiKey = null;
+        persistKeys();
+        console.log('LLMClient: Custom API key cleared');
+    }
+
+    /**
+     * Check if a custom API key is set (or saved encrypted and still locked)
+     */
+    function hasApiKey() {
+        return !!customApiKey || hasLockedKey(DEFAULT_BACKEND_ID);
+    }
+
+    // ==================== KEY STORAGE ====================
+
+    // API keys by backend ID: the default key under DEFAULT_BACKEND_ID, providers' under theirs
+    function currentKeys() {
+        const keys = { [DEFAULT_BACKEND_ID]: customApiKey };
+        providers.forEach(provider => {
+            keys[provider.id] = provider.apiKey;
+        });
+        return keys;
+    }
+
+    // Keys read from KeyVault; ones it does not have keep what is in memory
+    function applyKeys(keys) {
+        if (keys[DEFAULT_BACKEND_ID]) {
+            customApiKey = keys[DEFAULT_BACKEND_ID];
+        }
+        providers.forEach(provider => {
+            if (keys[provider.id]) {
+                provider.apiKey = keys[provider.id];
+            }
+        });
+    }
+
+    function hasLockedKey(id) {
+        return KeyVault.isLocked() && KeyVault.getStoredNames().includes(id);
+    }
+
+    /**
+     * Write the API keys where the key storage keeps them; plain copies are removed unless
+     * that is plain localStorage. While locked the encrypted copy cannot be rewritten and is
+     * left as it is.
+     * @param {string} [mode] - Storage to write for, when about to switch to it
+     */
+    function persistKeys(mode = KeyVault.getMode()) {
+        const plain = mode === KeyVault.MODES.PLAIN;
         try {
-            localStorage.removeItem(CONFIG.apiKeyStorageKey);
-            console.log('LLMClient: Custom API key cleared');
+            if (plain && customApiKey) {
+                localStorage.setItem(CONFIG.apiKeyStorageKey, customApiKey);
+            } else {
+                localStorage.removeItem(CONFIG.apiKeyStorageKey);
+            }
         } catch (e) {
-            console.warn('Failed to clear API key:', e);
+            console.warn('Failed to save API key:', e);
+        }
+        saveProviders(mode);
+        if (!plain && !KeyVault.isLocked()) {
+            KeyVault.save(currentKeys()).catch(e => console.warn('Failed to save API keys:', e));
         }
     }
 
     /**
-     * Check if a custom API key is set
+     * Load keys kept for the session. Plain copies found next to keys stored elsewhere were
+     * left by a switch that did not finish, and are removed once the other copy is readable
+     * (here for the session, on unlock for encrypted keys).
      */
-    function hasApiKey() {
-        return !!customApiKey;
+    function loadStoredKeys() {
+        if (KeyVault.getMode() !== KeyVault.MODES.SESSION) {
+            return;
+        }
+        const leftover = Object.values(currentKeys()).some(Boolean);
+        applyKeys(KeyVault.readSession());
+        if (leftover) {
+            persistKeys();
+        }
+    }
+
+    /**
+     * How API keys are stored
+     * @returns {{mode: string, locked: boolean, supported: boolean}} mode is one of KeyVault.MODES;
+     *   supported is whether encryption is available
+     */
+    function getKeyStorage() {
+        return {
+            mode: KeyVault.getMode(),
+            locked: KeyVault.isLocked(),
+            supported: KeyVault.isSupported()
+        };
+    }
+
+    /**
+     * Move the API keys to another storage, or set a new passphrase. The new copy is written
+     * (and for encrypted, read back) before the old one is removed, so the keys survive a
+     * failure or the page closing halfway.
+     * @param {string} mode - One of KeyVault.MODES
+     * @param {string} [passphrase] - For encrypted
+     * @returns {Promise<object>} - { success: boolean, error: string|null }
+     */
+    async function setKeyStorage(mode, passphrase) {
+        if (KeyVault.isLocked()) {
+            return { success: false, error: 'Unlock your saved API keys first' };
+        }
+        try {
+            if (mode === KeyVault.MODES.PLAIN) {
+                persistKeys(mode);
+            }
+            await KeyVault.setMode(mode, currentKeys(), passphrase);
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+        persistKeys();
+        console.log(`LLMClient: API keys now stored ${mode}`);
+        return { success: true, error: null };
+    }
+
+    /**
+     * Decrypt the saved API keys for the rest of this page's life
+     * @param {string} passphrase
+     * @returns {Promise<object>} - { success: boolean, error: string|null }
+     */
+    async function unlockKeys(passphrase) {
+        try {
+            applyKeys(await KeyVault.unlock(passphrase));
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+        persistKeys();
+        console.log('LLMClient: API keys unlocked');
+        return { success: true, error: null };
+    }
+
+    /**
+     * Forget the decrypted API keys until they are unlocked again (encrypted storage only)
+     */
+    function lockKeys() {
+        if (KeyVault.getMode() !== KeyVault.MODES.ENCRYPTED) {
+            return;
+        }
+        KeyVault.lock();
+        customApiKey = null;
+        providers.forEach(provider => {
+            provider.apiKey = '';
+        });
+    }
+
+    /**
+     * Delete encrypted API keys that cannot be unlocked (forgotten passphrase) and go back to
+     * plain storage; endpoints, models and providers are kept
+     * @returns {Promise<void>}
+     */
+    async function discardLockedKeys() {
+        await KeyVault.setMode(KeyVault.MODES.PLAIN, {});
+        customApiKey = null;
+        providers.forEach(provider => {
+            provider.apiKey = '';
+        });
+        persistKeys();
     }
 
     // ==================== OWASP SECURITY VALIDATION ====================
@@ -363,11 +558,11 @@ const LLMClient = (function() {
         try {
             localStorage.removeItem(CONFIG.customEndpointStorageKey);
             localStorage.removeItem(CONFIG.customModelStorageKey);
-            localStorage.removeItem(CONFIG.apiKeyStorageKey);
             console.log('LLMClient: All custom settings cleared');
         } catch (e) {
             console.warn('Failed to clear custom settings:', e);
         }
+        persistKeys();
     }
     
     /**
@@ -412,6 +607,258 @@ const LLMClient = (function() {
         return customModel || CONFIG.model;
     }
 
+    // ==================== PROVIDER PROFILES ====================
+
+    function isValidProvider(provider) {
+        return !!provider && typeof provider.id === 'string' && typeof provider.name === 'string' &&
+            LLMProviders.has(provider.dialect) && validateEndpointUrl(provider.endpoint).valid &&
+            typeof provider.model === 'string';
+    }
+
+    /**
+     * Load provider profiles and task choices from localStorage
+     */
+    function loadProviders() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.providersStorageKey));
+            if (saved && saved.version === PROVIDERS_VERSION && Array.isArray(saved.providers)) {
+                providers = saved.providers.filter(isValidProvider);
+                taskProviders = {};
+                Object.values(TASKS).forEach(task => {
+                    const id = saved.tasks && saved.tasks[task];
+                    if (providers.some(provider => provider.id === id)) {
+                        taskProviders[task] = id;
+                    }
+                });
+                fallbackOrder = (Array.isArray(saved.fallbacks) ? saved.fallbacks : []).filter(isKnownBackend);
+            }
+        } catch (e) {
+            console.warn('Failed to load LLM providers:', e);
+        }
+    }
+
+    // Keys are left out unless they are stored in plain localStorage (see persistKeys)
+    function saveProviders(keyMode = KeyVault.getMode()) {
+        try {
+            localStorage.setItem(CONFIG.providersStorageKey, JSON.stringify({
+                version: PROVIDERS_VERSION,
+                providers: keyMode === KeyVault.MODES.PLAIN ? providers : providers.map(provider => ({ ...provider, apiKey: '' })),
+                tasks: taskProviders,
+                fallbacks: fallbackOrder
+            }));
+        } catch (e) {
+            console.warn('Failed to save LLM providers:', e);
+        }
+    }
+
+    // Provider as shown to callers: whether it has a key, not the key itself
+    function toPublicProvider(provider) {
+        const visible = { ...provider, hasKey: !!provider.apiKey || hasLockedKey(provider.id) };
+        delete visible.apiKey;
+        return visible;
+    }
+
+    /**
+     * List saved provider profiles (API keys are not returned)
+     * @returns {Array<{id, name, dialect, endpoint, model, hasKey}>}
+     */
+    function listProviders() {
+        return providers.map(toPublicProvider);
+    }
+
+    /**
+     * Create or update a provider profile
+     * @param {Object} input - { id (to update), name, dialect, endpoint, model, apiKey }; on update an
+     *   empty apiKey keeps the saved one, and an empty endpoint or model uses the dialect's default
+     * @returns {object} - { success: boolean, error: string|null, provider: Object|null }
+     */
+    function saveProvider(input) {
+        const fail = error => ({ success: false, error, provider: null });
+        if (KeyVault.isLocked()) {
+            return fail('Unlock your saved API keys first');
+        }
+        const existing = input.id ? providers.find(provider => provider.id === input.id) : null;
+        if (input.id && !existing) {
+            return fail('That provider no longer exists');
+        }
+        if (!LLMProviders.has(input.dialect)) {
+            return fail('Choose an API type');
+        }
+        const adapter = LLMProviders.get(input.dialect);
+
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > MAX_PROVIDER_NAME_LENGTH) {
+            return fail(`Give the provider a name of up to ${MAX_PROVIDER_NAME_LENGTH} characters`);
+        }
+        if (providers.some(provider => provider !== existing && provider.name.toLowerCase() === name.toLowerCase())) {
+            return fail(`There is already a provider called "${name}"`);
+        }
+        if (!existing && providers.length >= MAX_PROVIDERS) {
+            return fail(`You can save at most ${MAX_PROVIDERS} providers`);
+        }
+
+        const endpoint = validateEndpointUrl((input.endpoint || '').trim() || adapter.defaultEndpoint);
+        if (!endpoint.valid) {
+            return fail(`Endpoint error: ${endpoint.error}`);
+        }
+
+        let model = (input.model || '').trim() || (adapter.requiresModel ? adapter.defaultModel : '');
+        if (model) {
+            const validation = validateModelName(model);
+            if (!validation.valid) {
+                return fail(`Model error: ${validation.error}`);
+            }
+            model = validation.sanitized;
+        }
+
+        const apiKey = (input.apiKey || '').trim() || (existing ? existing.apiKey : '');
+        if (!apiKey && adapter.requiresKey) {
+            return fail(`${adapter.label} providers need an API key`);
+        }
+
+        const provider = {
+            id: existing ? existing.id : 'prov_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            name,
+            dialect: adapter.id,
+            endpoint: endpoint.sanitized,
+            model,
+            apiKey
+        };
+        if (existing) {
+            providers[providers.indexOf(existing)] = provider;
+        } else {
+            providers.push(provider);
+        }
+        persistKeys();
+        return { success: true, error: null, provider: toPublicProvider(provider) };
+    }
+
+    /**
+     * Delete a provider profile; tasks that used it go back to the default settings and it
+     * leaves the fallback order
+     * @param {string} id - Provider ID
+     */
+    function removeProvider(id) {
+        providers = providers.filter(provider => provider.id !== id);
+        fallbackOrder = fallbackOrder.filter(backendId => backendId !== id);
+        Object.keys(taskProviders).forEach(task => {
+            if (taskProviders[task] === id) {
+                delete taskProviders[task];
+            }
+        });
+        persistKeys();
+    }
+
+    /**
+     * Get the provider chosen for a task
+     * @param {string} task - One of TASKS
+     * @returns {string|null} Provider ID, or null for the default settings
+     */
+    function getTaskProvider(task) {
+        return taskProviders[task] || null;
+    }
+
+    /**
+     * Choose the provider for a task
+     * @param {string} task - One of TASKS
+     * @param {string|null} id - Provider ID, or null for the default settings
+     * @returns {object} - { success: boolean, error: string|null }
+     */
+    function setTaskProvider(task, id) {
+        if (!Object.values(TASKS).includes(task)) {
+            return { success: false, error: `Unknown task: ${task}` };
+        }
+        if (id && !providers.some(provider => provider.id === id)) {
+            return { success: false, error: 'That provider no longer exists' };
+        }
+        if (id) {
+            taskProviders[task] = id;
+        } else {
+            delete taskProviders[task];
+        }
+        saveProviders();
+        return { success: true, error: null };
+    }
+
+    function isKnownBackend(id) {
+        return id === DEFAULT_BACKEND_ID || providers.some(provider => provider.id === id);
+    }
+
+    /**
+     * Get the order in which backends are tried when a task's own one is unavailable
+     * @returns {string[]} Provider IDs, with 'default' for the default settings
+     */
+    function getFallbackOrder() {
+        return [...fallbackOrder];
+    }
+
+    /**
+     * Set the fallback order
+     * @param {string[]} ids - Provider IDs and/or 'default', most preferred first
+     * @returns {object} - { success: boolean, error: string|null }
+     */
+    function setFallbackOrder(ids) {
+        if (!Array.isArray(ids) || !ids.every(isKnownBackend)) {
+            return { success: false, error: 'That provider no longer exists' };
+        }
+        fallbackOrder = ids.filter((id, index) => ids.indexOf(id) === index);
+        saveProviders();
+        return { success: true, error: null };
+    }
+
+    /**
+     * Connection settings for one backend
+     * @param {string} id - Provider ID or DEFAULT_BACKEND_ID
+     * @param {string} [modelOverride] - payload.model, if the caller picked one
+     * @returns {{id, name, adapter, endpoint, apiKey, model}|null} Null if the provider is gone
+     */
+    function backendFor(id, modelOverride) {
+        if (id === DEFAULT_BACKEND_ID) {
+            return {
+                id,
+                name: 'Default',
+                adapter: LLMProviders.get('openai'),
+                endpoint: getEffectiveEndpoint(),
+                apiKey: customApiKey,
+                model: modelOverride || getEffectiveModel()
+            };
+        }
+        const provider = providers.find(p => p.id === id);
+        if (!provider) {
+            return null;
+        }
+        const adapter = LLMProviders.get(provider.dialect);
+        return {
+            id,
+            name: provider.name,
+            adapter,
+            endpoint: provider.endpoint,
+            apiKey: provider.apiKey,
+            model: modelOverride || provider.model || adapter.defaultModel
+        };
+    }
+
+    /**
+     * Work out where a request may go: the task's provider (or the default settings), then
+     * the fallback order. A model the caller picked only applies to the first backend.
+     * @param {string} [task] - One of TASKS
+     * @param {string} [modelOverride] - payload.model
+     * @returns {Array<Object>} Backends (see backendFor) in the order to try them
+     */
+    function resolveChain(task, modelOverride) {
+        const primary = backendFor((task && taskProviders[task]) || DEFAULT_BACKEND_ID, modelOverride);
+        const chain = [primary];
+        fallbackOrder.forEach(id => {
+            if (!chain.some(backend => backend.id === id)) {
+                const backend = backendFor(id);
+                if (backend) {
+                    chain.push(backend);
+                }
+            }
+        });
+        return chain;
+    }
+
     /**
      * Load persisted rate limit state from localStorage
      */
@@ -420,13 +867,20 @@ const LLMClient = (function() {
             const saved = localStorage.getItem(CONFIG.storageKey);
             if (saved) {
                 const state = JSON.parse(saved);
-                if (state.rateLimitCooldownUntil && state.rateLimitCooldownUntil > Date.now()) {
-                    rateLimitCooldownUntil = state.rateLimitCooldownUntil;
-                    console.log(`LLMClient: Rate limit cooldown active until ${new Date(rateLimitCooldownUntil).toISOString()}`);
-                }
+                Object.entries(state.cooldowns || {}).forEach(([endpoint, until]) => {
+                    if (until > Date.now()) {
+                        getHealth(endpoint).cooldownUntil = until;
+                        console.log(`LLMClient: Rate limit cooldown active for ${endpoint} until ${new Date(until).toISOString()}`);
+                    }
+                });
                 if (state.dynamicSpacing) {
                     dynamicSpacing = Math.min(state.dynamicSpacing, CONFIG.maxBackoffMs);
                 }
+                Object.entries(state.noStructuredOutput || {}).forEach(([backendKey, until]) => {
+                    if (until > Date.now()) {
+                        noStructuredOutput[backendKey] = until;
+                    }
+                });
             }
         } catch (e) {
             console.warn('Failed to load LLMClient state:', e);
@@ -438,9 +892,21 @@ const LLMClient = (function() {
      */
     function savePersistedState() {
         try {
+            const cooldowns = {};
+            Object.entries(health).forEach(([endpoint, entry]) => {
+                if (entry.cooldownUntil > Date.now()) {
+                    cooldowns[endpoint] = entry.cooldownUntil;
+                }
+            });
+            Object.keys(noStructuredOutput).forEach(backendKey => {
+                if (noStructuredOutput[backendKey] <= Date.now()) {
+                    delete noStructuredOutput[backendKey];
+                }
+            });
             localStorage.setItem(CONFIG.storageKey, JSON.stringify({
-                rateLimitCooldownUntil,
+                cooldowns,
                 dynamicSpacing,
+                noStructuredOutput,
                 lastUpdated: Date.now()
             }));
         } catch (e) {
@@ -455,24 +921,27 @@ const LLMClient = (function() {
         const { type, data } = event.data;
         if (type === 'rate_limit') {
             // Another tab hit a rate limit, apply cooldown here too
-            if (data.cooldownUntil > rateLimitCooldownUntil) {
-                rateLimitCooldownUntil = data.cooldownUntil;
+            const entry = getHealth(data.endpoint);
+            if (data.cooldownUntil > entry.cooldownUntil) {
+                entry.cooldownUntil = data.cooldownUntil;
                 dynamicSpacing = Math.max(dynamicSpacing, data.dynamicSpacing || CONFIG.minRequestSpacing);
-                console.log(`LLMClient: Rate limit synced from another tab, cooldown until ${new Date(rateLimitCooldownUntil).toISOString()}`);
+                console.log(`LLMClient: Rate limit for ${data.endpoint} synced from another tab, cooldown until ${new Date(data.cooldownUntil).toISOString()}`);
+                notifyStatus();
             }
         }
     }
 
     /**
-     * Broadcast rate limit to other tabs
+     * Broadcast an endpoint's rate limit to other tabs
      */
-    function broadcastRateLimit() {
+    function broadcastRateLimit(endpoint) {
         if (broadcastChannel) {
             try {
                 broadcastChannel.postMessage({
                     type: 'rate_limit',
                     data: {
-                        cooldownUntil: rateLimitCooldownUntil,
+                        endpoint,
+                        cooldownUntil: getHealth(endpoint).cooldownUntil,
                         dynamicSpacing
                     }
                 });
@@ -726,69 +1195,192 @@ const LLMClient = (function() {
         return null;
     }
 
+    function getHealth(endpoint) {
+        if (!health[endpoint]) {
+            health[endpoint] = {
+                consecutiveFailures: 0,
+                circuitOpenUntil: 0,
+                cooldownUntil: 0,
+                successes: 0,
+                failures: 0,
+                lastError: null,
+                lastSuccessAt: 0,
+                lastFailureAt: 0,
+                lastLatencyMs: null
+            };
+        }
+        return health[endpoint];
+    }
+
     /**
-     * Check if circuit breaker is open
+     * Check if an endpoint's circuit breaker is open
      */
-    function isCircuitOpen() {
-        if (Date.now() < circuitOpenUntil) {
+    function isCircuitOpen(endpoint) {
+        const entry = getHealth(endpoint);
+        if (Date.now() < entry.circuitOpenUntil) {
             return true;
         }
         // Reset circuit breaker if time has passed
-        if (circuitOpenUntil > 0 && Date.now() >= circuitOpenUntil) {
-            circuitOpenUntil = 0;
-            consecutiveFailures = 0;
+        if (entry.circuitOpenUntil > 0 && Date.now() >= entry.circuitOpenUntil) {
+            entry.circuitOpenUntil = 0;
+            entry.consecutiveFailures = 0;
         }
         return false;
     }
 
+    function isCoolingDown(endpoint) {
+        return Date.now() < getHealth(endpoint).cooldownUntil;
+    }
+
+    function isAvailable(endpoint) {
+        return !isCircuitOpen(endpoint) && !isCoolingDown(endpoint);
+    }
+
+    /**
+     * Record a failure for an endpoint's circuit breaker
+     */
+    function recordFailure(endpoint, error) {
+        const entry = getHealth(endpoint);
+        entry.consecutiveFailures++;
+        entry.failures++;
+        entry.lastFailureAt = Date.now();
+        entry.lastError = error ? error.message : null;
+        if (entry.consecutiveFailures >= CONFIG.circuitBreakerThreshold) {
+            entry.circuitOpenUntil = Date.now() + CONFIG.circuitBreakerResetMs;
+            console.warn(`LLMClient: Circuit breaker for ${endpoint} opened for ${CONFIG.circuitBreakerResetMs}ms after ${entry.consecutiveFailures} consecutive failures`);
+        }
+        notifyStatus();
+    }
+
+    /**
+     * Record a success for an endpoint's circuit breaker
+     */
+    function recordSuccess(endpoint, latencyMs) {
+        const entry = getHealth(endpoint);
+        entry.consecutiveFailures = 0;
+        entry.successes++;
+        entry.lastSuccessAt = Date.now();
+        entry.lastLatencyMs = latencyMs;
+    }
+
+    function startCooldown(endpoint, cooldownMs) {
+        getHealth(endpoint).cooldownUntil = Date.now() + cooldownMs;
+        savePersistedState();
+        broadcastRateLimit(endpoint);
+        notifyStatus();
+    }
+
+    function recordServed(backend, payload, options, failover) {
+        servedLog.unshift({
+            at: Date.now(),
+            task: payload.task || null,
+            backend: backend.name,
+            endpoint: backend.endpoint,
+            model: backend.model,
+            streamed: !!options.stream,
+            failover
+        });
+        servedLog.length = Math.min(servedLog.length, MAX_SERVED_LOG);
+        notifyStatus();
+    }
+
+    function notifyStatus() {
+        statusListeners.forEach(listener => {
+            try {
+                listener();
+            } catch (e) {
+                console.error('LLMClient: Status listener failed:', e);
+            }
+        });
+    }
+
+    // Marks an error after which the request should move on to the next backend
+    function failoverError(message) {
+        const error = new Error(message);
+        error.failover = true;
+        return error;
+    }
+
     /**
-     * Record a failure for circuit breaker
+     * Error for a request the caller cancelled through its AbortSignal
      */
-    function recordFailure() {
-        consecutiveFailures++;
-        if (consecutiveFailures >= CONFIG.circuitBreakerThreshold) {
-            circuitOpenUntil = Date.now() + CONFIG.circuitBreakerResetMs;
-            console.warn(`LLMClient: Circuit breaker opened for ${CONFIG.circuitBreakerResetMs}ms after ${consecutiveFailures} consecutive failures`);
+    function createAbortError() {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function structuredOutputKey(backend) {
+        return `${backend.endpoint} ${backend.model}`;
+    }
+
+    /**
+     * Whether a request for this payload can ask the backend for schema-constrained output
+     * (never for streams, which are shown as they arrive)
+     */
+    function canUseStructuredOutput(backend, payload, options) {
+        return !!payload.responseSchema && !options.stream && !!backend.adapter.structuredOutput &&
+            !((noStructuredOutput[structuredOutputKey(backend)] || 0) > Date.now());
+    }
+
+    // Error bodies that blame the structured output fields each dialect sends
+    const STRUCTURED_OUTPUT_ERROR = /response_format|json_schema|\btools?\b|tool_choice/i;
+
+    function markNoStructuredOutput(backend) {
+        noStructuredOutput[structuredOutputKey(backend)] = Date.now() + CONFIG.structuredRecheckMs;
+        savePersistedState();
+        console.warn(`LLMClient: ${backend.name} (${backend.model || 'server default'}) does not support structured output; sending plain requests`);
+    }
+
+    // Some OpenAI-compatible servers accept response_format and ignore it, so a reply only
+    // counts as structured if it is the JSON object every response schema has at the top
+    function isSchemaShaped(result) {
+        try {
+            const parsed = JSON.parse(result.choices?.[0]?.message?.content || '');
+            return !!parsed && typeof parsed === 'object' && !Array.isArray(parsed);
+        } catch (e) {
+            return false;
         }
     }
 
+    function withoutSchema(payload) {
+        const plain = { ...payload };
+        delete plain.responseSchema;
+        return plain;
+    }
+
     /**
-     * Record a success for circuit breaker
+     * Error for a background request refused because today's requests reached LLMUsage's budget
      */
-    function recordSuccess() {
-        consecutiveFailures = 0;
+    function createBudgetError() {
+        const error = new Error('Daily request budget reached');
+        error.name = 'BudgetError';
+        return error;
     }
 
     /**
      * Make a single API request with timeout
-     * Uses custom endpoint/model if set, otherwise falls back to defaults
+     * @param {Object} backend - One entry of resolveChain()
+     * @param {Object} payload - The request payload
+     * @param {Object} [options] - { stream, signal }; the signal also aborts a streamed body
      */
-    async function makeRequest(payload) {
+    async function makeRequest(backend, payload, options = {}) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), CONFIG.requestTimeout);
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
+            } else {
+                options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+        }
 
         try {
-            const headers = { 'Content-Type': 'application/json' };
-            
-            // Add Authorization header if custom API key is set
-            if (customApiKey) {
-                headers['Authorization'] = `Bearer ${customApiKey}`;
-            }
-            
-            // Use custom endpoint if set, otherwise use default
-            const endpoint = getEffectiveEndpoint();
-            // Use custom model if set, otherwise use default (payload.model can override)
-            const model = payload.model || getEffectiveModel();
-            
-            const response = await fetch(endpoint, {
+            const request = backend.adapter.buildRequest(backend, payload, !!options.stream);
+            const response = await fetch(request.url, {
                 method: 'POST',
-                headers: headers,
-                body: JSON.stringify({
-                    model: model,
-                    messages: payload.messages,
-                    max_tokens: payload.max_tokens || 600,
-                    temperature: payload.temperature || 0.7
-                }),
+                headers: request.headers,
+                body: JSON.stringify(request.body),
                 signal: controller.signal
             });
 
@@ -801,84 +1393,299 @@ const LLMClient = (function() {
     }
 
     /**
-     * Execute a request with retry logic
+     * Split a streamed response into its messages
+     * @param {string} format - 'sse' (server-sent events) or 'ndjson' (one JSON document per line)
+     * @param {Function} onData - Called with each event's data (multi-line SSE data joined with \n)
+     * @returns {{push: Function, end: Function}}
+     */
+    function createStreamParser(format, onData) {
+        let buffer = '';
+        let dataLines = [];
+
+        function dispatch() {
+            if (dataLines.length > 0) {
+                onData(dataLines.join('\n'));
+                dataLines = [];
+            }
+        }
+
+        function handleLine(line) {
+            if (format === 'ndjson') {
+                if (line.trim()) {
+                    onData(line);
+                }
+            } else if (line === '') {
+                dispatch();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+            // Comments (":") and the event, id and retry fields are not used by chat completions
+        }
+
+        return {
+            push(text) {
+                buffer += text;
+                const lines = buffer.split(/\r\n|\r|\n/);
+                buffer = lines.pop();
+                lines.forEach(handleLine);
+            },
+            end() {
+                if (buffer) {
+                    handleLine(buffer);
+                    buffer = '';
+                }
+                dispatch();
+            }
+        };
+    }
+
+    /**
+     * Read a streamed chat completion, calling onToken as text arrives
+     * Endpoints that ignore the stream flag and answer with plain JSON are handled too.
+     * @returns {Promise<Object>} A chat completion shaped like a non-streamed response
      */
-    async function executeWithRetry(payload, priority) {
+    async function readStream(response, adapter, options) {
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!/event-stream|ndjson/.test(contentType)) {
+            const data = adapter.parseResponse(await response.json());
+            const content = data.choices[0].message.content;
+            if (content && options.onToken) {
+                options.onToken(content, content);
+            }
+            return data;
+        }
+
+        let content = '';
+        let finishReason = null;
+        let model = null;
+        let done = false;
+        const parser = createStreamParser(adapter.streamFormat, data => {
+            let event;
+            try {
+                event = adapter.parseStreamChunk(data);
+            } catch (e) {
+                console.warn('LLMClient: Skipping malformed stream chunk:', data.substring(0, 100));
+                return;
+            }
+            if (event.error) {
+                throw new Error(`API error: ${event.error}`);
+            }
+            model = event.model || model;
+            finishReason = event.finishReason || finishReason;
+            if (event.token) {
+                content += event.token;
+                if (options.onToken) {
+                    options.onToken(event.token, content);
+                }
+            }
+            if (event.done) {
+                done = true;
+            }
+        });
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        try {
+            while (!done) {
+                let idleTimer = null;
+                const idle = new Promise((resolve, reject) => {
+                    idleTimer = setTimeout(() => reject(new Error('Stream stalled')), CONFIG.streamIdleTimeout);
+                });
+                let result;
+                try {
+                    result = await Promise.race([reader.read(), idle]);
+                } finally {
+                    clearTimeout(idleTimer);
+                }
+                if (result.done) break;
+                parser.push(decoder.decode(result.value, { stream: true }));
+            }
+            parser.push(decoder.decode());
+            parser.end();
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+
+        return {
+            model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+            streamed: true
+        };
+    }
+
+    /**
+     * Execute a request, failing over along the task's backend chain
+     * Backends that are rate limited or whose circuit is open are skipped, and a request
+     * moves on to the next backend when its backend answers 429 or its circuit opens. A
+     * streamed request never fails over once text has arrived.
+     * @param {Object} progress - Filled in as it goes: { streamStarted, backend, retries, rateLimits }
+     * @returns {Promise<Object>} The response, with servedBy: { id, name, endpoint, model, failover }
+     */
+    async function executeWithRetry(payload, priority, options, progress) {
+        const chain = resolveChain(payload.task, payload.model);
+        const tried = new Set();
+        let lastError = null;
+
+        const untried = () => chain.filter(backend => !tried.has(backend.id));
+        const hasFallback = () => untried().some(backend => isAvailable(backend.endpoint));
+
+        for (;;) {
+            // The queue only waits out cooldowns while no backend is free, so the first
+            // pick may still be cooling down; it is never one whose circuit is open
+            const backend = untried().find(b => isAvailable(b.endpoint)) ||
+                (tried.size === 0 ? untried().find(b => !isCircuitOpen(b.endpoint)) : null);
+            if (!backend) {
+                stats.failedRequests++;
+                throw lastError || new Error('Circuit breaker is open - too many recent failures');
+            }
+            tried.add(backend.id);
+            progress.backend = backend;
+
+            try {
+                const result = await executeOnBackend(backend, payload, options, progress, hasFallback);
+                // Not the task's first choice, whether that failed or was skipped
+                const failover = backend !== chain[0];
+                result.servedBy = { id: backend.id, name: backend.name, endpoint: backend.endpoint, model: backend.model, failover };
+                recordServed(backend, payload, options, failover);
+                return result;
+            } catch (error) {
+                if (!error.failover || progress.streamStarted || !hasFallback()) {
+                    throw error;
+                }
+                lastError = error;
+                stats.failovers++;
+                console.warn(`LLMClient: ${backend.name} (${backend.endpoint}) unavailable: ${error.message}; failing over`);
+            }
+        }
+    }
+
+    /**
+     * Execute a request on one backend with retry logic
+     * A streamed request is only retried until its first token; after that a retry would
+     * repeat text the caller has already shown. Rate limits and an opening circuit throw a
+     * failover error instead of retrying when hasFallback() says another backend is free.
+     * A request with responseSchema asks for structured output when the backend can give it;
+     * if the endpoint rejects that (400 or 422) it is sent again without, and when that works
+     * and the error named the schema fields, the endpoint is remembered as not supporting it.
+     */
+    async function executeOnBackend(backend, payload, options, progress, hasFallback) {
+        const { endpoint, adapter } = backend;
         let lastError = null;
+        let structured = canUseStructuredOutput(backend, payload, options);
+        let structuredRejected = false;
+        const streamOptions = options.stream ? {
+            ...options,
+            onToken: (token, text) => {
+                progress.streamStarted = true;
+                if (options.onToken) {
+                    options.onToken(token, text);
+                }
+            }
+        } : options;
         
         for (let attempt = 0; attempt <= CONFIG.maxRetries; attempt++) {
+            if (options.signal && options.signal.aborted) {
+                throw createAbortError();
+            }
+
             // Check circuit breaker
-            if (isCircuitOpen()) {
-                throw new Error('Circuit breaker is open - too many recent failures');
+            if (isCircuitOpen(endpoint)) {
+                throw failoverError('Circuit breaker is open - too many recent failures');
             }
 
+            const startedAt = Date.now();
             try {
-                const response = await makeRequest(payload);
+                const response = await makeRequest(backend, structured ? payload : withoutSchema(payload), options);
                 
                 if (response.ok) {
-                    recordSuccess();
+                    const result = options.stream
+                        ? await readStream(response, adapter, streamOptions)
+                        : adapter.parseResponse(await response.json());
+                    result.structured = structured && isSchemaShaped(result);
+                    if (structuredRejected) {
+                        markNoStructuredOutput(backend);
+                    }
+                    recordSuccess(endpoint, Date.now() - startedAt);
                     stats.successfulRequests++;
-                    return await response.json();
+                    return result;
                 }
 
                 // Handle rate limiting
                 if (response.status === 429) {
                     stats.rateLimitHits++;
+                    progress.rateLimits++;
                     const retryAfterMs = parseRetryAfter(response);
                     
-                    // Set cooldown and increase dynamic spacing
+                    // Set cooldown (persisted and broadcast to other tabs)
                     const cooldownMs = retryAfterMs || CONFIG.rateLimitCooldownMs;
-                    rateLimitCooldownUntil = Date.now() + cooldownMs;
+                    if (hasFallback()) {
+                        startCooldown(endpoint, cooldownMs);
+                        throw failoverError(`Rate limited (429), cooling down for ${Math.round(cooldownMs / 1000)}s`);
+                    }
+                    // Nowhere else to go: also slow down the whole queue
                     dynamicSpacing = Math.min(dynamicSpacing * 2, CONFIG.maxBackoffMs);
-                    
-                    // Persist and broadcast to other tabs
-                    savePersistedState();
-                    broadcastRateLimit();
+                    startCooldown(endpoint, cooldownMs);
                     
                     if (attempt < CONFIG.maxRetries) {
                         const backoffMs = calculateBackoff(attempt, retryAfterMs);
                         console.warn(`LLMClient: Rate limited (429), cooldown ${cooldownMs}ms, retrying in ${backoffMs}ms (attempt ${attempt + 1}/${CONFIG.maxRetries})`);
                         stats.retriedRequests++;
+                        progress.retries++;
                         await new Promise(resolve => setTimeout(resolve, backoffMs));
                         continue;
                     }
                 }
 
+                if (structured && (response.status === 400 || response.status === 422)) {
+                    // Only remember the endpoint as unsupported if the error was about the schema
+                    // fields; a 400 for anything else is reported by the plain request
+                    const errorBody = await response.text().catch(() => '');
+                    console.warn(`LLMClient: ${backend.name} rejected the request (${response.status}), sending it without structured output`);
+                    structured = false;
+                    structuredRejected = STRUCTURED_OUTPUT_ERROR.test(errorBody);
+                    attempt--; // Not a retry of the same request
+                    continue;
+                }
+
                 // Handle other retryable errors
                 if (isRetryableError(response.status) && attempt < CONFIG.maxRetries) {
                     const backoffMs = calculateBackoff(attempt);
                     console.warn(`LLMClient: Server error (${response.status}), retrying in ${backoffMs}ms (attempt ${attempt + 1}/${CONFIG.maxRetries})`);
                     stats.retriedRequests++;
+                    progress.retries++;
                     await new Promise(resolve => setTimeout(resolve, backoffMs));
                     continue;
                 }
 
                 // Non-retryable error - try to get error details from response body
-                recordFailure();
                 let errorMessage = `API error: ${response.status} ${response.statusText}`;
                 try {
                     const errorBody = await response.text();
-                    if (errorBody) {
-                        // Try to parse as JSON for structured error
-                        try {
-                            const errorJson = JSON.parse(errorBody);
-                            if (errorJson.error && errorJson.error.message) {
-                                errorMessage = `API error: ${response.status} - ${errorJson.error.message}`;
-                            } else if (errorJson.message) {
-                                errorMessage = `API error: ${response.status} - ${errorJson.message}`;
-                            }
-                        } catch (parseErr) {
-                            // Not JSON, use raw text (truncated)
-                            errorMessage = `API error: ${response.status} - ${errorBody.substring(0, 200)}`;
-                        }
+                    // Each dialect keeps its error message in a different place
+                    const detail = adapter.parseError(response.status, errorBody);
+                    if (detail) {
+                        errorMessage = `API error: ${response.status} - ${detail}`;
                     }
                     console.error('LLMClient: API error details:', { status: response.status, body: errorBody.substring(0, 500) });
                 } catch (bodyErr) {
                     // Couldn't read body, use original error
                 }
-                throw new Error(errorMessage);
+                const error = new Error(errorMessage);
+                recordFailure(endpoint, error);
+                // A rate limit that outlasted the retries, or a circuit that just opened
+                error.failover = response.status === 429 || isCircuitOpen(endpoint);
+                throw error;
 
             } catch (error) {
+                // Cancelled by the caller: not a failure of the endpoint
+                if (options.signal && options.signal.aborted) {
+                    stats.cancelledRequests++;
+                    throw createAbortError();
+                }
+                if (error.failover !== undefined) {
+                    throw error;
+                }
+
                 lastError = error;
                 
                 // Network errors are retryable
@@ -886,22 +1693,26 @@ const LLMClient = (function() {
                     lastError = new Error('Request timeout');
                 }
                 
-                if (attempt < CONFIG.maxRetries && isRetryableError(null, error)) {
+                if (attempt < CONFIG.maxRetries && isRetryableError(null, error) && !progress.streamStarted) {
                     const backoffMs = calculateBackoff(attempt);
                     console.warn(`LLMClient: Network error, retrying in ${backoffMs}ms (attempt ${attempt + 1}/${CONFIG.maxRetries}):`, error.message);
                     stats.retriedRequests++;
+                    progress.retries++;
                     await new Promise(resolve => setTimeout(resolve, backoffMs));
                     continue;
                 }
                 
-                recordFailure();
+                recordFailure(endpoint, lastError);
+                lastError.failover = isCircuitOpen(endpoint);
                 throw lastError;
             }
         }
 
-        recordFailure();
+        lastError = lastError || new Error('Max retries exceeded');
+        recordFailure(endpoint, lastError);
         stats.failedRequests++;
-        throw lastError || new Error('Max retries exceeded');
+        lastError.failover = isCircuitOpen(endpoint);
+        throw lastError;
     }
 
     /**
@@ -929,9 +1740,17 @@ const LLMClient = (function() {
                 }
             }
 
-            // Check rate limit cooldown (persisted across reloads and tabs)
-            if (Date.now() < rateLimitCooldownUntil) {
-                const waitTime = rateLimitCooldownUntil - Date.now();
+            // Check rate limit cooldown (persisted across reloads and tabs): wait only
+            // while every backend the next request could use is cooling down
+            requestQueue.sort((a, b) => a.priority - b.priority);
+            const next = requestQueue[0];
+            if (!next) continue; // Cancelled while waiting for the lock
+            const nextChain = resolveChain(next.payload.task, next.payload.model);
+            if (nextChain.every(backend => isCoolingDown(backend.endpoint) || isCircuitOpen(backend.endpoint)) &&
+                nextChain.some(backend => !isCircuitOpen(backend.endpoint))) {
+                const waitTime = Math.min(...nextChain
+                    .filter(backend => !isCircuitOpen(backend.endpoint))
+                    .map(backend => getHealth(backend.endpoint).cooldownUntil)) - Date.now();
                 console.log(`LLMClient: Rate limit cooldown active, waiting ${waitTime}ms`);
                 await new Promise(resolve => setTimeout(resolve, Math.min(waitTime, 5000)));
                 continue;
@@ -951,13 +1770,19 @@ const LLMClient = (function() {
             const request = requestQueue.shift();
             
             if (!request) continue;
+            if (request.options.signal && request.options.signal.aborted) {
+                stats.cancelledRequests++;
+                request.reject(createAbortError());
+                continue;
+            }
 
             activeRequests++;
+            activeEntries.add(request);
             lastRequestTime = Date.now();
             stats.totalRequests++;
 
             // Execute request asynchronously
-            executeWithRetry(request.payload, request.priority)
+            dispatch(request)
                 .then(result => {
                     request.resolve(result);
                     // Gradually reduce dynamic spacing on success
@@ -971,6 +1796,7 @@ const LLMClient = (function() {
                 })
                 .finally(() => {
                     activeRequests--;
+                    activeEntries.delete(request);
                     // Release lock when queue is empty and no active requests
                     if (requestQueue.length === 0 && activeRequests === 0) {
                         releaseLock();
@@ -985,54 +1811,422 @@ const LLMClient = (function() {
         }
     }
 
+    /**
+     * Deterministic key for a request: a hash of the model the task's first backend would use
+     * (and its endpoint), the messages and the sampling parameters
+     * @param {Object} payload - As for request()
+     * @returns {string}
+     */
+    function requestKey(payload) {
+        const backend = resolveChain(payload.task, payload.model)[0];
+        const canonical = JSON.stringify([
+            backend.endpoint,
+            backend.model,
+            (payload.messages || []).map(message => [message.role, message.content]),
+            payload.max_tokens || null,
+            payload.temperature === undefined ? null : payload.temperature,
+            // Only present when set, so keys of requests without a schema stay as they were
+            ...(payload.responseSchema ? [payload.responseSchema.name] : [])
+        ]);
+        // Two FNV-1a passes (forwards and backwards) make accidental collisions unlikely
+        return 'req_' + fnv1a(canonical) + fnv1a(canonical.split('').reverse().join('')) + canonical.length.toString(36);
+    }
+
+    function fnv1a(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
     /**
      * Queue a request for execution
-     * @param {Object} payload - The request payload (messages, max_tokens, temperature)
+     * An identical request (same requestKey()) already queued or in flight is shared rather
+     * than sent again. Responses to tasks with a cache TTL (see CONFIG.responseCacheTtlMs) are
+     * kept in ResponseCache and reused while fresh, or when the request fails (e.g. offline).
+     * @param {Object} payload - The request payload (messages, max_tokens, temperature, and
+     *   optionally task, one of TASKS, to use the provider chosen for it, and responseSchema,
+     *   { name, schema }, to ask for output following a JSON Schema; the response then has
+     *   structured: true if the schema was sent and the reply is a complete JSON object, as
+     *   the schema's top level always is)
      * @param {number} priority - Request priority (use Priority constants)
-     * @returns {Promise<Object>} - The API response
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborting cancels the request, queued or in flight
+     * @param {string} [options.tag] - Groups requests so cancelByTag() can cancel them together
+     * @param {number} [options.cacheTtlMs] - Cache the response for this long (0 to not cache),
+     *   instead of the task's default
+     * @returns {Promise<Object>} - The API response (with cached: true and cachedAt if it came
+     *   from the cache); rejects with an AbortError if cancelled, or a BudgetError if it is a
+     *   LOW priority request and today's requests have reached LLMUsage's budget
      */
-    function request(payload, priority = Priority.NORMAL) {
-        return new Promise((resolve, reject) => {
-            requestQueue.push({
-                payload,
-                priority,
-                resolve,
-                reject,
-                queuedAt: Date.now()
+    function request(payload, priority = Priority.NORMAL, options = {}) {
+        const { signal = null, tag = null, cacheTtlMs } = options;
+        return send(payload, priority, { signal, tag, cacheTtlMs });
+    }
+
+    function isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    function cacheTtlFor(payload, options) {
+        if (typeof ResponseCache === 'undefined') {
+            return 0;
+        }
+        if (options.cacheTtlMs !== undefined) {
+            return options.cacheTtlMs;
+        }
+        return CONFIG.responseCacheTtlMs[payload.task] || 0;
+    }
+
+    async function send(payload, priority, options) {
+        if (options.signal && options.signal.aborted) {
+            stats.cancelledRequests++;
+            throw createAbortError();
+        }
+        const ttlMs = cacheTtlFor(payload, options);
+        if (!ttlMs) {
+            return enqueue(payload, priority, options);
+        }
+
+        const key = requestKey(payload);
+        const cached = await ResponseCache.get(key, ttlMs);
+        if (cached && (cached.fresh || isOffline())) {
+            recordUsage(payload, options, { status: 'cached' }, cached.response);
+            return fromCache(cached, options.onToken);
+        }
+        try {
+            return await enqueue(payload, priority, { ...options, cache: { key, ttlMs } });
+        } catch (error) {
+            // A stale answer beats none when the request cannot be sent
+            if (cached && error.name !== 'AbortError') {
+                console.warn(`LLMClient: Request failed (${error.message}), using a cached response`);
+                recordUsage(payload, options, { status: 'cached' }, cached.response);
+                return fromCache(cached, options.onToken);
+            }
+            throw error;
+        }
+    }
+
+    // Streamed callers get a cached response as a single token
+    function fromCache(cached, onToken) {
+        stats.cacheHits++;
+        const response = { ...cached.response, cached: true, cachedAt: cached.createdAt };
+        const text = response.choices?.[0]?.message?.content || '';
+        if (onToken && text) {
+            onToken(text, text);
+        }
+        return response;
+    }
+
+    // Sends a request taken off the queue. One that may be cached is looked up again first,
+    // as another tab may have cached the same response while this one waited for the lock.
+    async function dispatch(entry) {
+        const { payload, options } = entry;
+        const cache = options.cache;
+        if (cache) {
+            const cached = await ResponseCache.get(cache.key, cache.ttlMs);
+            if (cached && cached.fresh) {
+                recordUsage(payload, options, { status: 'cached' }, cached.response);
+                return fromCache(cached, options.onToken);
+            }
+        }
+        // Background work stops at the learner's daily budget; what they ask for still goes out
+        if (entry.priority === Priority.LOW && typeof LLMUsage !== 'undefined' && LLMUsage.isBudgetReached()) {
+            throw createBudgetError();
+        }
+
+        const progress = { streamStarted: false, backend: null, retries: 0, rateLimits: 0 };
+        const startedAt = Date.now();
+        const metric = () => ({
+            backend: progress.backend,
+            latencyMs: Date.now() - startedAt,
+            retries: progress.retries,
+            rateLimits: progress.rateLimits,
+            background: entry.priority === Priority.LOW
+        });
+        let result;
+        try {
+            result = await executeWithRetry(payload, entry.priority, options, progress);
+        } catch (error) {
+            const status = error.name === 'AbortError' ? 'cancelled' : 'error';
+            recordUsage(payload, options, { ...metric(), status, error: error.message }, { choices: [{ message: { content: entry.text } }] });
+            throw error;
+        }
+        recordUsage(payload, options, { ...metric(), status: 'ok', failover: result.servedBy.failover }, result);
+        if (cache) {
+            ResponseCache.set(cache.key, payload.task, result);
+        }
+        return result;
+    }
+
+    // Reports a request to LLMUsage; tokens come from the API's usage figures when it sent them
+    function recordUsage(payload, options, details, response) {
+        if (typeof LLMUsage === 'undefined') {
+            return;
+        }
+        const prompt = (payload.messages || []).map(message => message.content || '').join('\n');
+        const text = response?.choices?.[0]?.message?.content || '';
+        const usage = response?.usage;
+        const backend = details.backend || (response?.servedBy ? { ...response.servedBy } : null);
+        try {
+            LLMUsage.record({
+                ...details,
+                task: payload.task,
+                endpoint: backend ? backend.endpoint : null,
+                backend: backend ? backend.name : null,
+                model: backend ? backend.model : null,
+                streamed: !!options.stream,
+                promptChars: prompt.length,
+                responseChars: text.length,
+                promptTokens: usage && usage.prompt_tokens ? usage.prompt_tokens : LLMUsage.estimateTokens(prompt),
+                completionTokens: usage && usage.completion_tokens ? usage.completion_tokens : LLMUsage.estimateTokens(text),
+                tokensEstimated: !(usage && usage.prompt_tokens && usage.completion_tokens)
             });
+        } catch (e) {
+            console.warn('LLMClient: Could not record usage:', e);
+        }
+    }
+
+    function enqueue(payload, priority, options) {
+        // Streamed and plain requests are not shared with each other
+        const flightKey = (options.stream ? 'stream:' : '') + requestKey(payload);
+        return new Promise((resolve, reject) => {
+            const caller = { resolve, reject, onToken: options.onToken || null, tag: options.tag || null };
+            let entry = inFlight.get(flightKey);
+            if (entry) {
+                stats.coalescedRequests++;
+                entry.priority = Math.min(entry.priority, priority);
+                // Catch up on text already streamed
+                if (caller.onToken && entry.text) {
+                    caller.onToken(entry.text, entry.text);
+                }
+            } else {
+                entry = createEntry(flightKey, payload, priority, options);
+                inFlight.set(flightKey, entry);
+                requestQueue.push(entry);
+            }
+            entry.callers.push(caller);
+
+            if (options.signal) {
+                options.signal.addEventListener('abort', () => leave(entry, caller), { once: true });
+            }
             
             // Start processing if not already running
             processQueue();
         });
     }
 
+    // A queued request and everyone waiting on it. It has its own controller, aborted once
+    // every caller has cancelled, and settles all callers together.
+    function createEntry(flightKey, payload, priority, options) {
+        const controller = new AbortController();
+        const entry = {
+            flightKey,
+            payload,
+            priority,
+            callers: [],
+            text: '', // Streamed so far
+            controller,
+            options: { ...options, signal: controller.signal, onToken: null, tag: null },
+            queuedAt: Date.now()
+        };
+        if (options.stream) {
+            entry.options.onToken = (token, text) => {
+                entry.text = text;
+                entry.callers.forEach(caller => {
+                    if (caller.onToken) {
+                        caller.onToken(token, text);
+                    }
+                });
+            };
+        }
+        entry.resolve = result => settle(entry).forEach(caller => caller.resolve(result));
+        entry.reject = error => settle(entry).forEach(caller => caller.reject(error));
+        return entry;
+    }
+
+    function forget(entry) {
+        if (inFlight.get(entry.flightKey) === entry) {
+            inFlight.delete(entry.flightKey);
+        }
+    }
+
+    function settle(entry) {
+        forget(entry);
+        const callers = entry.callers;
+        entry.callers = [];
+        return callers;
+    }
+
+    /**
+     * One caller gives up on a request; the request itself is cancelled once nobody waits on it
+     * @returns {boolean} False if the caller was no longer waiting
+     */
+    function leave(entry, caller) {
+        const index = entry.callers.indexOf(caller);
+        if (index === -1) {
+            return false;
+        }
+        entry.callers.splice(index, 1);
+        caller.reject(createAbortError());
+        if (entry.callers.length === 0) {
+            cancelEntry(entry);
+        }
+        return true;
+    }
+
+    /**
+     * Cancel one request: a queued one is dropped without using a slot, one in flight is aborted
+     */
+    function cancelEntry(entry) {
+        forget(entry);
+        const index = requestQueue.indexOf(entry);
+        if (index > -1) {
+            requestQueue.splice(index, 1);
+            stats.cancelledRequests++;
+            entry.reject(createAbortError());
+        } else if (activeEntries.has(entry) && !entry.controller.signal.aborted) {
+            // executeOnBackend sees the aborted signal, rejects and counts the cancellation
+            entry.controller.abort();
+        }
+    }
+
+    /**
+     * Cancel every queued and in-flight request made with a tag
+     * A request shared with callers that used another tag (or none) carries on for them.
+     * @param {string} tag - The tag given to request*()
+     * @returns {number} How many requests were cancelled
+     */
+    function cancelByTag(tag) {
+        let cancelled = 0;
+        [...requestQueue, ...activeEntries].forEach(entry => {
+            entry.callers.filter(caller => caller.tag === tag).forEach(caller => {
+                if (leave(entry, caller)) {
+                    cancelled++;
+                }
+            });
+        });
+        if (cancelled > 0) {
+            console.log(`LLMClient: Cancelled ${cancelled} request(s) tagged ${tag}`);
+        }
+        return cancelled;
+    }
+
+    /**
+     * Queue a streamed request; tokens are passed to onToken as the endpoint sends them
+     * Goes through the same queue, retries, circuit breaker, sharing and cache as request().
+     * @param {Object} payload - The request payload (messages, max_tokens, temperature)
+     * @param {Object} [options]
+     * @param {Function} [options.onToken] - Called with (token, textSoFar) for each piece of text
+     * @param {AbortSignal} [options.signal] - Aborting cancels the request, queued or streaming
+     * @param {string} [options.tag] - See request()
+     * @param {number} [options.cacheTtlMs] - See request()
+     * @param {number} [options.priority] - Request priority (defaults to HIGH: streams are for the learner)
+     * @returns {Promise<Object>} - The completed response, shaped like request()'s; rejects with an
+     *   AbortError if cancelled
+     */
+    function requestStream(payload, options = {}) {
+        const { priority = Priority.HIGH, onToken = null, signal = null, tag = null, cacheTtlMs } = options;
+        stats.streamedRequests++;
+        return send(payload, priority, { stream: true, onToken, signal, tag, cacheTtlMs });
+    }
+
     /**
      * High-priority request (for user-initiated actions)
+     * @param {Object} [options] - { signal, tag, cacheTtlMs }, see request()
      */
-    function requestHighPriority(payload) {
-        return request(payload, Priority.HIGH);
+    function requestHighPriority(payload, options = {}) {
+        return request(payload, Priority.HIGH, options);
     }
 
     /**
      * Low-priority request (for background preloading)
+     * @param {Object} [options] - { signal, tag, cacheTtlMs }, see request()
      */
-    function requestLowPriority(payload) {
-        return request(payload, Priority.LOW);
+    function requestLowPriority(payload, options = {}) {
+        return request(payload, Priority.LOW, options);
     }
 
     /**
      * Get current queue status
+     * The circuit and cooldown flags describe a task's whole backend chain: they are only set
+     * when no backend in it can take a request.
+     * @param {string} [task] - One of TASKS (defaults to question generation)
      */
-    function getStatus() {
+    function getStatus(task = TASKS.GENERATION) {
+        const chain = resolveChain(task);
+        const allOpen = chain.every(backend => isCircuitOpen(backend.endpoint));
+        const resetTimes = chain.map(backend => getHealth(backend.endpoint).circuitOpenUntil).filter(until => until > Date.now());
         return {
             queueLength: requestQueue.length,
             activeRequests,
-            isCircuitOpen: isCircuitOpen(),
-            circuitResetsIn: circuitOpenUntil > 0 ? Math.max(0, circuitOpenUntil - Date.now()) : 0,
+            isCircuitOpen: allOpen,
+            circuitResetsIn: allOpen && resetTimes.length ? Math.min(...resetTimes) - Date.now() : 0,
+            isInCooldown: !chain.some(backend => isAvailable(backend.endpoint)) && !allOpen,
+            lastServed: servedLog[0] ? { ...servedLog[0] } : null,
             stats: { ...stats }
         };
     }
 
+    /**
+     * Health of every endpoint in use: the default settings, saved providers and any
+     * endpoint requests have gone to since the page loaded
+     * @returns {Array<{endpoint, backends, state, circuitResetsIn, cooldownEndsIn, successes,
+     *   failures, lastError, lastSuccessAt, lastFailureAt, lastLatencyMs}>} state is 'ok',
+     *   'cooldown' (rate limited) or 'open' (circuit breaker open)
+     */
+    function getBackendHealth() {
+        const backends = [backendFor(DEFAULT_BACKEND_ID), ...providers.map(provider => backendFor(provider.id))];
+        const endpoints = [...new Set([...backends.map(backend => backend.endpoint), ...Object.keys(health)])];
+        return endpoints.map(endpoint => {
+            const entry = getHealth(endpoint);
+            const open = isCircuitOpen(endpoint);
+            return {
+                endpoint,
+                backends: backends.filter(backend => backend.endpoint === endpoint).map(backend => backend.name),
+                state: open ? 'open' : isCoolingDown(endpoint) ? 'cooldown' : 'ok',
+                circuitResetsIn: open ? entry.circuitOpenUntil - Date.now() : 0,
+                cooldownEndsIn: Math.max(0, entry.cooldownUntil - Date.now()),
+                successes: entry.successes,
+                failures: entry.failures,
+                lastError: entry.lastError,
+                lastSuccessAt: entry.lastSuccessAt,
+                lastFailureAt: entry.lastFailureAt,
+                lastLatencyMs: entry.lastLatencyMs
+            };
+        });
+    }
+
+    /**
+     * Which backend answered recent requests
+     * @returns {Array<{at, task, backend, endpoint, model, streamed, failover}>} Newest first
+     */
+    function getServedLog() {
+        return servedLog.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Register a callback for changes to backend health or the served log
+     * @param {Function} callback - Called with no arguments; read getStatus()/getBackendHealth()
+     */
+    function onStatusChange(callback) {
+        if (typeof callback === 'function') {
+            statusListeners.push(callback);
+        }
+    }
+
+    /**
+     * Remove a status change callback
+     */
+    function offStatusChange(callback) {
+        const index = statusListeners.indexOf(callback);
+        if (index > -1) {
+            statusListeners.splice(index, 1);
+        }
+    }
+
     /**
      * Clear the queue (for cleanup)
      */
@@ -1074,7 +2268,14 @@ const LLMClient = (function() {
         request,
         requestHighPriority,
         requestLowPriority,
+        requestStream,
+        cancelByTag,
+        requestKey,
         getStatus,
+        getBackendHealth,
+        getServedLog,
+        onStatusChange,
+        offStatusChange,
         clearQueue,
         configure,
         isIdle,
@@ -1084,6 +2285,12 @@ const LLMClient = (function() {
         setApiKey,
         clearApiKey,
         hasApiKey,
+        // API key storage (plain, encrypted or session only)
+        getKeyStorage,
+        setKeyStorage,
+        unlockKeys,
+        lockKeys,
+        discardLockedKeys,
         // Custom endpoint/model management
         setCustomEndpoint,
         setCustomModel,
@@ -1094,6 +2301,15 @@ const LLMClient = (function() {
         getEffectiveEndpoint,
         getEffectiveModel,
         clearAllCustomSettings,
+        // Provider profiles
+        listProviders,
+        saveProvider,
+        removeProvider,
+        getTaskProvider,
+        setTaskProvider,
+        getFallbackOrder,
+        setFallbackOrder,
+        TASKS,
         // Validation functions (exposed for UI feedback)
         validateEndpointUrl,
         validateModelName,
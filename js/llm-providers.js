@@ -0,0 +1,301 @@
+/**
+ * LLM provider adapters for CREST CPSA Quiz
+ * Each adapter maps LLMClient's request payload (OpenAI-style messages, max_tokens,
+ * temperature) onto one API dialect and maps the reply back, so callers always receive an
+ * OpenAI-shaped completion ({ choices: [{ message: { content } }] }) whichever provider
+ * answered. Adapters also know their auth header style, how their streams are framed and
+ * where their error messages live.
+ *
+ * A payload with responseSchema ({ name, schema }) asks for output that follows the schema,
+ * in whatever way the dialect offers (response_format, a forced tool call, Ollama's format);
+ * the reply's content is then the JSON text.
+ */
+
+const LLMProviders = (function() {
+    const ANTHROPIC_VERSION = '2023-06-01';
+
+    function toCompletion(content, finishReason, model, usage) {
+        return {
+            model: model || null,
+            choices: [{ index: 0, message: { role: 'assistant', content: content || '' }, finish_reason: finishReason || null }],
+            usage: usage || null
+        };
+    }
+
+    function bearer(apiKey) {
+        return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    }
+
+    // Error bodies are JSON in every dialect we support, but proxies may send HTML or text
+    function readErrorBody(text, pick) {
+        try {
+            const message = pick(JSON.parse(text));
+            if (message) {
+                return String(message);
+            }
+        } catch (e) {
+            // Not JSON
+        }
+        return text ? text.substring(0, 200) : '';
+    }
+
+    function openAiRequest(settings, payload, stream) {
+        const schema = payload.responseSchema;
+        return {
+            url: settings.endpoint,
+            headers: { 'Content-Type': 'application/json', ...bearer(settings.apiKey) },
+            body: {
+                model: settings.model,
+                messages: payload.messages,
+                max_tokens: payload.max_tokens || 600,
+                temperature: payload.temperature || 0.7,
+                ...(schema ? { response_format: { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: true } } } : {}),
+                ...(stream ? { stream: true } : {})
+            }
+        };
+    }
+
+    function openAiResponse(data) {
+        const choice = data.choices?.[0];
+        return toCompletion(choice?.message?.content, choice?.finish_reason, data.model, data.usage);
+    }
+
+    function openAiStreamChunk(data) {
+        if (data === '[DONE]') {
+            return { done: true };
+        }
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+            return { error: chunk.error.message || 'stream failed' };
+        }
+        const choice = chunk.choices?.[0];
+        return {
+            token: choice?.delta?.content || '',
+            finishReason: choice?.finish_reason || null,
+            model: chunk.model
+        };
+    }
+
+    function openAiError(status, text) {
+        return readErrorBody(text, body => body.error?.message || body.message);
+    }
+
+    // Anthropic takes system prompts separately and needs user/assistant turns to alternate
+    function anthropicMessages(messages) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const turns = [];
+        messages.filter(m => m.role !== 'system').forEach(m => {
+            const role = m.role === 'assistant' ? 'assistant' : 'user';
+            const last = turns[turns.length - 1];
+            if (last && last.role === role) {
+                last.content += `\n\n${m.content}`;
+            } else {
+                turns.push({ role, content: m.content });
+            }
+        });
+        if (turns.length && turns[0].role !== 'user') {
+            turns.unshift({ role: 'user', content: '(continue)' });
+        }
+        return { system, turns };
+    }
+
+    const ADAPTERS = {
+        openai: {
+            id: 'openai',
+            label: 'OpenAI-compatible',
+            defaultEndpoint: 'https://api.openai.com/v1/chat/completions',
+            defaultModel: 'gpt-4o-mini',
+            requiresKey: true,
+            requiresModel: true,
+            streamFormat: 'sse',
+            structuredOutput: true,
+            buildRequest: openAiRequest,
+            parseResponse: openAiResponse,
+            parseStreamChunk: openAiStreamChunk,
+            parseError: openAiError
+        },
+
+        anthropic: {
+            id: 'anthropic',
+            label: 'Anthropic',
+            defaultEndpoint: 'https://api.anthropic.com/v1/messages',
+            defaultModel: 'claude-3-5-haiku-latest',
+            requiresKey: true,
+            requiresModel: true,
+            streamFormat: 'sse',
+            structuredOutput: true,
+            // Structured output is a tool the model is made to call, with the schema as its input
+            buildRequest(settings, payload, stream) {
+                const { system, turns } = anthropicMessages(payload.messages);
+                const schema = payload.responseSchema;
+                return {
+                    url: settings.endpoint,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'anthropic-version': ANTHROPIC_VERSION,
+                        // Required for calls made straight from a browser page
+                        'anthropic-dangerous-direct-browser-access': 'true',
+                        ...(settings.apiKey ? { 'x-api-key': settings.apiKey } : {})
+                    },
+                    body: {
+                        model: settings.model,
+                        ...(system ? { system } : {}),
+                        messages: turns,
+                        max_tokens: payload.max_tokens || 600,
+                        temperature: Math.min(payload.temperature || 0.7, 1),
+                        ...(schema ? {
+                            tools: [{ name: schema.name, description: 'Return the answer in this format', input_schema: schema.schema }],
+                            tool_choice: { type: 'tool', name: schema.name }
+                        } : {}),
+                        ...(stream ? { stream: true } : {})
+                    }
+                };
+            },
+            parseResponse(data) {
+                const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+                const text = toolUse
+                    ? JSON.stringify(toolUse.input)
+                    : (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+                const usage = data.usage ? {
+                    prompt_tokens: data.usage.input_tokens,
+                    completion_tokens: data.usage.output_tokens,
+                    total_tokens: (data.usage.input_tokens || 0) + (data.usage.output_tokens || 0)
+                } : null;
+                return toCompletion(text, data.stop_reason, data.model, usage);
+            },
+            parseStreamChunk(data) {
+                const event = JSON.parse(data);
+                switch (event.type) {
+                case 'content_block_delta':
+                    return { token: event.delta?.type === 'text_delta' ? event.delta.text : '' };
+                case 'message_start':
+                    return { model: event.message?.model };
+                case 'message_delta':
+                    return { finishReason: event.delta?.stop_reason || null };
+                case 'message_stop':
+                    return { done: true };
+                case 'error':
+                    return { error: event.error?.message || 'stream failed' };
+                default:
+                    return {};
+                }
+            },
+            parseError(status, text) {
+                return readErrorBody(text, body => body.error?.message);
+            }
+        },
+
+        ollama: {
+            id: 'ollama',
+            label: 'Ollama (local)',
+            defaultEndpoint: 'http://localhost:11434/api/chat',
+            defaultModel: 'llama3.2',
+            requiresKey: false,
+            requiresModel: true,
+            streamFormat: 'ndjson',
+            structuredOutput: true,
+            buildRequest(settings, payload, stream) {
+                return {
+                    url: settings.endpoint,
+                    headers: { 'Content-Type': 'application/json', ...bearer(settings.apiKey) },
+                    body: {
+                        model: settings.model,
+                        messages: payload.messages,
+                        // Ollama streams unless told otherwise
+                        stream: !!stream,
+                        ...(payload.responseSchema ? { format: payload.responseSchema.schema } : {}),
+                        options: {
+                            num_predict: payload.max_tokens || 600,
+                            temperature: payload.temperature || 0.7
+                        }
+                    }
+                };
+            },
+            parseResponse(data) {
+                const usage = data.eval_count !== undefined ? {
+                    prompt_tokens: data.prompt_eval_count || 0,
+                    completion_tokens: data.eval_count,
+                    total_tokens: (data.prompt_eval_count || 0) + data.eval_count
+                } : null;
+                return toCompletion(data.message?.content, data.done_reason || (data.done ? 'stop' : null), data.model, usage);
+            },
+            parseStreamChunk(data) {
+                const chunk = JSON.parse(data);
+                if (chunk.error) {
+                    return { error: chunk.error };
+                }
+                return {
+                    token: chunk.message?.content || '',
+                    finishReason: chunk.done ? (chunk.done_reason || 'stop') : null,
+                    model: chunk.model,
+                    done: !!chunk.done
+                };
+            },
+            parseError(status, text) {
+                return readErrorBody(text, body => body.error);
+            }
+        },
+
+        // llama.cpp's llama-server speaks the OpenAI chat schema on /v1/chat/completions; it
+        // serves whichever model it was started with and only checks a key if given --api-key
+        llamacpp: {
+            id: 'llamacpp',
+            label: 'llama.cpp server (local)',
+            defaultEndpoint: 'http://localhost:8080/v1/chat/completions',
+            defaultModel: 'default',
+            requiresKey: false,
+            requiresModel: false,
+            streamFormat: 'sse',
+            structuredOutput: true,
+            buildRequest: openAiRequest,
+            parseResponse: openAiResponse,
+            parseStreamChunk: openAiStreamChunk,
+            parseError: openAiError
+        }
+    };
+
+    /**
+     * Gets the adapter for an API dialect
+     * @param {string} dialect - One of the adapter IDs
+     * @returns {Object} The adapter (the OpenAI one for unknown dialects)
+     */
+    function get(dialect) {
+        return ADAPTERS[dialect] || ADAPTERS.openai;
+    }
+
+    /**
+     * Checks whether a dialect is supported
+     * @param {string} dialect
+     * @returns {boolean}
+     */
+    function has(dialect) {
+        return Object.prototype.hasOwnProperty.call(ADAPTERS, dialect);
+    }
+
+    /**
+     * Lists the dialects for a settings form
+     * @returns {Array<{id, label, defaultEndpoint, defaultModel, requiresKey, requiresModel, structuredOutput}>}
+     */
+    function list() {
+        return Object.values(ADAPTERS).map(adapter => ({
+            id: adapter.id,
+            label: adapter.label,
+            defaultEndpoint: adapter.defaultEndpoint,
+            defaultModel: adapter.defaultModel,
+            requiresKey: adapter.requiresKey,
+            requiresModel: adapter.requiresModel,
+            structuredOutput: !!adapter.structuredOutput
+        }));
+    }
+
+    return {
+        get,
+        has,
+        list
+    };
+})();
+
+// Make LLMProviders available globally
+if (typeof window !== 'undefined') {
+    window.LLMProviders = LLMProviders;
+}
@@ -0,0 +1,284 @@
+/**
+ * LLM usage metrics for CREST CPSA Quiz
+ * LLMClient reports every request it sends (and every answer served from the response
+ * cache) here: task, endpoint, latency, prompt and response sizes, tokens (as reported by the
+ * API, or estimated from the text), retries and 429s. The last requests are kept in full and
+ * everything is added up per day for the usage dashboard. An optional daily request budget
+ * lets background work (preloading) stop once the day's requests reach it.
+ *
+ * The record is read from localStorage before every change so tabs add to each other's
+ * counts instead of overwriting them.
+ */
+
+const LLMUsage = (function() {
+    const STORAGE_KEY = Profiles.key('llm_usage');
+    const STORAGE_VERSION = 1;
+
+    const DAYS_KEPT = 30;
+    const MAX_RECENT = 50;
+    const CHARS_PER_TOKEN = 4;
+
+    const STATUSES = ['ok', 'error', 'cancelled', 'cached'];
+    const changeListeners = [];
+
+    function emptyDay() {
+        return {
+            requests: 0,     // Sent to an API (ok, error or cancelled)
+            ok: 0,
+            errors: 0,
+            cancelled: 0,
+            cached: 0,       // Answered from the response cache, not sent
+            retries: 0,
+            rateLimits: 0,
+            latencyMs: 0,    // Summed over ok requests
+            promptChars: 0,
+            responseChars: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            byTask: {},
+            byEndpoint: {}
+        };
+    }
+
+    function load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                if (data && data.version === STORAGE_VERSION) {
+                    return { days: data.days || {}, recent: data.recent || [], budget: data.budget || null };
+                }
+            }
+        } catch (e) {
+            console.error('LLMUsage: Error loading usage:', e);
+        }
+        return { days: {}, recent: [], budget: null };
+    }
+
+    function save(state) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: STORAGE_VERSION,
+                days: state.days,
+                recent: state.recent,
+                budget: state.budget,
+                lastUpdated: Date.now()
+            }));
+        } catch (e) {
+            console.error('LLMUsage: Error saving usage:', e);
+        }
+    }
+
+    function dayKey(time) {
+        return new Date(time).toISOString().split('T')[0];
+    }
+
+    function prune(days) {
+        const oldest = dayKey(Date.now() - (DAYS_KEPT - 1) * 24 * 60 * 60 * 1000);
+        Object.keys(days).forEach(day => {
+            if (day < oldest) {
+                delete days[day];
+            }
+        });
+    }
+
+    function notifyChange() {
+        changeListeners.forEach(listener => {
+            try {
+                listener();
+            } catch (e) {
+                console.error('LLMUsage: Change listener failed:', e);
+            }
+        });
+    }
+
+    /**
+     * Rough token count for text the API did not report usage for
+     * @param {string} text
+     * @returns {number}
+     */
+    function estimateTokens(text) {
+        return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+    }
+
+    /**
+     * Records one request
+     * @param {Object} metric - { task, endpoint, backend, model, status ('ok', 'error',
+     *   'cancelled' or 'cached'), streamed, background, latencyMs, promptChars, responseChars,
+     *   promptTokens, completionTokens, tokensEstimated, retries, rateLimits, failover, error }
+     */
+    function record(metric) {
+        const entry = {
+            at: Date.now(),
+            task: metric.task || null,
+            endpoint: metric.endpoint || null,
+            backend: metric.backend || null,
+            model: metric.model || null,
+            status: STATUSES.includes(metric.status) ? metric.status : 'error',
+            streamed: !!metric.streamed,
+            background: !!metric.background,
+            latencyMs: Math.max(0, Math.round(metric.latencyMs || 0)),
+            promptChars: metric.promptChars || 0,
+            responseChars: metric.responseChars || 0,
+            promptTokens: metric.promptTokens || 0,
+            completionTokens: metric.completionTokens || 0,
+            tokensEstimated: !!metric.tokensEstimated,
+            retries: metric.retries || 0,
+            rateLimits: metric.rateLimits || 0,
+            failover: !!metric.failover,
+            error: metric.error ? String(metric.error).substring(0, 200) : null
+        };
+
+        const state = load();
+        const day = dayKey(entry.at);
+        const totals = { ...emptyDay(), ...state.days[day] };
+        if (entry.status === 'cached') {
+            totals.cached++;
+        } else {
+            totals.requests++;
+            totals[entry.status === 'ok' ? 'ok' : entry.status === 'cancelled' ? 'cancelled' : 'errors']++;
+            if (entry.status === 'ok') {
+                totals.latencyMs += entry.latencyMs;
+            }
+            totals.retries += entry.retries;
+            totals.rateLimits += entry.rateLimits;
+            totals.promptChars += entry.promptChars;
+            totals.responseChars += entry.responseChars;
+            totals.promptTokens += entry.promptTokens;
+            totals.completionTokens += entry.completionTokens;
+            const task = entry.task || 'other';
+            totals.byTask[task] = (totals.byTask[task] || 0) + 1;
+            if (entry.endpoint) {
+                totals.byEndpoint[entry.endpoint] = (totals.byEndpoint[entry.endpoint] || 0) + 1;
+            }
+        }
+        state.days[day] = totals;
+        prune(state.days);
+
+        state.recent.unshift(entry);
+        state.recent.length = Math.min(state.recent.length, MAX_RECENT);
+        save(state);
+        notifyChange();
+    }
+
+    /**
+     * Totals for each of the last few days, oldest first; days without requests are zero
+     * @param {number} [days] - How many days, today included (at most DAYS_KEPT)
+     * @returns {Array<Object>} { date, requests, ok, errors, cancelled, cached, retries,
+     *   rateLimits, avgLatencyMs, promptChars, responseChars, promptTokens, completionTokens,
+     *   byTask, byEndpoint }
+     */
+    function getDailyTotals(days = 14) {
+        const saved = load().days;
+        const result = [];
+        for (let i = Math.min(days, DAYS_KEPT) - 1; i >= 0; i--) {
+            const date = dayKey(Date.now() - i * 24 * 60 * 60 * 1000);
+            const totals = { ...emptyDay(), ...saved[date] };
+            result.push({
+                date,
+                ...totals,
+                avgLatencyMs: totals.ok > 0 ? Math.round(totals.latencyMs / totals.ok) : null
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Today's totals (see getDailyTotals)
+     * @returns {Object}
+     */
+    function getToday() {
+        return getDailyTotals(1)[0];
+    }
+
+    /**
+     * The most recent requests, newest first
+     * @returns {Array<Object>} The metrics passed to record(), with at
+     */
+    function getRecent() {
+        return load().recent;
+    }
+
+    /**
+     * @returns {number|null} Daily request budget, or null for none
+     */
+    function getBudget() {
+        return load().budget;
+    }
+
+    /**
+     * Sets the daily request budget
+     * @param {number|null} budget - Requests per day, or null/0 to remove it
+     * @returns {{success: boolean, error: string|null}}
+     */
+    function setBudget(budget) {
+        const value = budget === null || budget === '' ? 0 : Number(budget);
+        if (!Number.isInteger(value) || value < 0 || value > 100000) {
+            return { success: false, error: 'Enter a whole number of requests per day (or leave empty for no budget)' };
+        }
+        const state = load();
+        state.budget = value || null;
+        save(state);
+        notifyChange();
+        return { success: true, error: null };
+    }
+
+    /**
+     * Whether today's requests have reached the budget
+     * @returns {boolean} False when no budget is set
+     */
+    function isBudgetReached() {
+        const budget = getBudget();
+        return !!budget && getToday().requests >= budget;
+    }
+
+    /**
+     * Deletes the recorded usage (the budget is kept)
+     */
+    function clear() {
+        const state = load();
+        save({ days: {}, recent: [], budget: state.budget });
+        notifyChange();
+    }
+
+    /**
+     * Register a callback for recorded requests and budget changes
+     * @param {Function} callback - Called with no arguments
+     */
+    function onChange(callback) {
+        if (typeof callback === 'function') {
+            changeListeners.push(callback);
+        }
+    }
+
+    /**
+     * Remove a change callback
+     */
+    function offChange(callback) {
+        const index = changeListeners.indexOf(callback);
+        if (index > -1) {
+            changeListeners.splice(index, 1);
+        }
+    }
+
+    return {
+        record,
+        estimateTokens,
+        getDailyTotals,
+        getToday,
+        getRecent,
+        getBudget,
+        setBudget,
+        isBudgetReached,
+        clear,
+        onChange,
+        offChange,
+        STORAGE_KEY,
+        DAYS_KEPT
+    };
+})();
+
+// Make LLMUsage available globally
+if (typeof window !== 'undefined') {
+    window.LLMUsage = LLMUsage;
+}
@@ -0,0 +1,264 @@
+/**
+ * Misconception analytics for CREST CPSA Quiz
+ * Groups wrong attempts from the AttemptLog by the distractor that was picked and the answer
+ * it was confused with, so "picked Aggressive Mode when the answer was Main Mode" shows up
+ * once with a count, even when the same confusion comes from several questions.
+ * Generated explanations are kept per confusion so they survive a reload.
+ */
+
+const Misconceptions = (function() {
+    const NOTES_KEY = Profiles.key('cpsa_misconception_notes');
+    const NOTES_VERSION = 1;
+
+    let notes = null;
+    const changeListeners = [];
+
+    function loadNotes() {
+        if (notes) {
+            return notes;
+        }
+        notes = {};
+        try {
+            const saved = localStorage.getItem(NOTES_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                if (data && data.version === NOTES_VERSION && data.notes) {
+                    notes = data.notes;
+                }
+            }
+        } catch (e) {
+            console.error('Misconceptions: Error loading notes:', e);
+        }
+        return notes;
+    }
+
+    function saveNotes() {
+        try {
+            localStorage.setItem(NOTES_KEY, JSON.stringify({
+                version: NOTES_VERSION,
+                notes: loadNotes(),
+                lastUpdated: Date.now()
+            }));
+        } catch (e) {
+            console.error('Misconceptions: Error saving notes:', e);
+        }
+        notifyChange();
+    }
+
+    function notifyChange() {
+        changeListeners.forEach(listener => {
+            try {
+                listener();
+            } catch (e) {
+                console.error('Misconceptions: Change listener failed:', e);
+            }
+        });
+    }
+
+    // Option texts differ in case, spacing and trailing punctuation between generated questions
+    function normalize(text) {
+        return String(text || '').toLowerCase().replace(/\s+/g, ' ').replace(/[.\s]+$/, '').trim();
+    }
+
+    /**
+     * Key for a confusion between a picked option and the correct answer
+     * @param {string} chosen - Picked option text
+     * @param {string} correct - Correct answer text
+     * @returns {string}
+     */
+    function getKey(chosen, correct) {
+        return `${normalize(chosen)} => ${normalize(correct)}`;
+    }
+
+    /**
+     * Builds the misconception list from every wrong attempt in the AttemptLog
+     * @param {Function} getQuestion - questionId -> question ({ question, answer, appendix }) or null
+     * @param {Object} [options] - { appendix } to keep only confusions from one appendix
+     * @returns {Array<Object>} { key, chosen, correct, count, questionIds, appendices, lastAt, resolved, note },
+     *   unresolved confusions first, then by count
+     */
+    function collect(getQuestion, options = {}) {
+        const { appendix = null } = options;
+        const groups = new Map();
+
+        AttemptLog.getQuestionIds().forEach(questionId => {
+            const question = getQuestion(questionId);
+            if (!question || !question.answer) {
+                return;
+            }
+            if (appendix && question.appendix !== appendix) {
+                return;
+            }
+
+            const attempts = AttemptLog.getAttempts(questionId);
+            const latestCorrect = attempts[attempts.length - 1].correct;
+
+            attempts.forEach(attempt => {
+                // Self-graded reviews have no picked option; a changed answer text is not a distractor
+                if (attempt.correct || !attempt.selected || normalize(attempt.selected) === normalize(question.answer)) {
+                    return;
+                }
+                const key = getKey(attempt.selected, question.answer);
+                if (!groups.has(key)) {
+                    groups.set(key, {
+                        key,
+                        chosen: attempt.selected,
+                        correct: question.answer,
+                        count: 0,
+                        questionIds: [],
+                        appendices: [],
+                        lastAt: 0,
+                        resolved: true
+                    });
+                }
+                const group = groups.get(key);
+                group.count++;
+                group.lastAt = Math.max(group.lastAt, attempt.timestamp);
+                if (!group.questionIds.includes(questionId)) {
+                    group.questionIds.push(questionId);
+                    // Resolved once every question behind the confusion has since been answered correctly
+                    group.resolved = group.resolved && latestCorrect;
+                }
+                if (question.appendix && !group.appendices.includes(question.appendix)) {
+                    group.appendices.push(question.appendix);
+                }
+            });
+        });
+
+        const allNotes = loadNotes();
+        return Array.from(groups.values())
+            .map(group => ({ ...group, note: allNotes[group.key] || null }))
+            .sort((a, b) => (a.resolved - b.resolved) || (b.count - a.count) || (b.lastAt - a.lastAt));
+    }
+
+    /**
+     * Gets the saved explanation for a confusion
+     * @param {string} key - Result of getKey()
+     * @returns {Object|null} { text, sources, createdAt }
+     */
+    function getNote(key) {
+        return loadNotes()[key] || null;
+    }
+
+    /**
+     * Saves a generated explanation for a confusion
+     * @param {string} key - Result of getKey()
+     * @param {string} text - Explanation text
+     * @param {Array} [sources] - Sources returned with the explanation
+     * @returns {Object} The saved note
+     */
+    function saveNote(key, text, sources = []) {
+        const note = { text, sources, createdAt: Date.now() };
+        loadNotes()[key] = note;
+        saveNotes();
+        return note;
+    }
+
+    /**
+     * Takes explanations saved elsewhere (e.g. in a backup from another device); where both
+     * have one for a confusion, the newer is kept
+     * @param {Object} incoming - Map of key -> note, as in exportState()
+     * @returns {number} Number of notes taken
+     */
+    function mergeNotes(incoming) {
+        const allNotes = loadNotes();
+        let taken = 0;
+        Object.entries(incoming || {}).forEach(([key, note]) => {
+            if (!note || typeof note.text !== 'string') {
+                return;
+            }
+            if (!allNotes[key] || (note.createdAt || 0) > (allNotes[key].createdAt || 0)) {
+                allNotes[key] = { ...note };
+                taken++;
+            }
+        });
+        if (taken > 0) {
+            saveNotes();
+        }
+        return taken;
+    }
+
+    /**
+     * Removes saved explanations
+     * @param {string[]} keys - Results of getKey()
+     */
+    function removeNotes(keys) {
+        const allNotes = loadNotes();
+        let removed = 0;
+        keys.forEach(key => {
+            if (allNotes[key]) {
+                delete allNotes[key];
+                removed++;
+            }
+        });
+        if (removed > 0) {
+            saveNotes();
+        }
+    }
+
+    /**
+     * Gets a copy of all saved explanations, e.g. for a progress backup
+     * @returns {Object}
+     */
+    function exportState() {
+        return JSON.parse(JSON.stringify(loadNotes()));
+    }
+
+    /**
+     * Replaces all saved explanations with a copy taken by exportState()
+     * @param {Object} data - Result of exportState()
+     */
+    function importState(data) {
+        notes = data && typeof data === 'object' ? JSON.parse(JSON.stringify(data)) : {};
+        saveNotes();
+    }
+
+    /**
+     * Clears saved explanations
+     */
+    function reset() {
+        notes = {};
+        localStorage.removeItem(NOTES_KEY);
+        notifyChange();
+    }
+
+    /**
+     * Registers a callback for every change saved to the saved explanations, including reset()
+     * @param {Function} callback - Called with no arguments
+     */
+    function onChange(callback) {
+        if (typeof callback === 'function') {
+            changeListeners.push(callback);
+        }
+    }
+
+    /**
+     * Removes a change callback
+     * @param {Function} callback - Callback passed to onChange()
+     */
+    function offChange(callback) {
+        const index = changeListeners.indexOf(callback);
+        if (index > -1) {
+            changeListeners.splice(index, 1);
+        }
+    }
+
+    return {
+        collect,
+        getKey,
+        getNote,
+        saveNote,
+        mergeNotes,
+        removeNotes,
+        exportState,
+        importState,
+        reset,
+        onChange,
+        offChange
+    };
+})();
+
+// Make Misconceptions available globally
+if (typeof window !== 'undefined') {
+    window.Misconceptions = Misconceptions;
+}
@@ -161,6 +161,55 @@ const P2PSync = (function() {
         'https://gun.defucc.me/gun'
     ];
 
+    // Relays saved with setRelays() replace the defaults, e.g. a locally run relay for testing
+    const RELAYS_STORAGE_KEY = 'cpsa_p2p_relays';
+
+    /**
+     * Get the relay servers Gun connects to
+     * @returns {string[]} Saved relays, or the defaults
+     */
+    function getRelays() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(RELAYS_STORAGE_KEY));
+            if (Array.isArray(saved) && saved.length > 0) {
+                return saved;
+            }
+        } catch (e) {
+            // Fall back to the defaults
+        }
+        return DEFAULT_RELAY_SERVERS;
+    }
+
+    /**
+     * Replace the relay servers (an empty list restores the defaults)
+     * @param {string[]} urls - http(s) or ws(s) relay URLs, e.g. http://localhost:8765/gun
+     * @returns {{success: boolean, error?: string}}
+     */
+    function setRelays(urls) {
+        const relays = (urls || []).map(url => String(url).trim()).filter(Boolean);
+        for (const url of relays) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (e) {
+                return { success: false, error: 'Invalid relay URL: ' + url };
+            }
+            if (!['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol)) {
+                return { success: false, error: 'Relay URLs must use http(s) or ws(s): ' + url };
+            }
+        }
+
+        if (relays.length > 0) {
+            localStorage.setItem(RELAYS_STORAGE_KEY, JSON.stringify(relays));
+        } else {
+            localStorage.removeItem(RELAYS_STORAGE_KEY);
+        }
+        if (gun) {
+            tryConnectToRelays(getRelays());
+        }
+        return { success: true };
+    }
+
     /**
      * Initialize Gun.js with public relay peers (lazy - only when needed)
      * This is "best effort" - failures are silent and don't spam console
@@ -203,7 +252,7 @@ const P2PSync = (function() {
                 // Initialize Gun WITH relay peers for actual P2P sync
                 // This enables cross-user question sharing
                 gun = Gun({
-                    peers: DEFAULT_RELAY_SERVERS,
+                    peers: getRelays(),
                     localStorage: false,
                     radisk: false
                 });
@@ -236,7 +285,7 @@ const P2PSync = (function() {
     function tryConnectToRelays(customRelays) {
         if (!gun || isInCooldown()) return;
         
-        const relayUrls = customRelays || DEFAULT_RELAY_SERVERS;
+        const relayUrls = customRelays || getRelays();
         
         // Gun handles connection attempts internally
         // We just add the peers and let Gun manage connections
@@ -692,6 +741,18 @@ const P2PSync = (function() {
         return isInitialized && syncEnabled;
     }
     
+    /**
+     * Get the Gun instance for other modules that sync over the same network
+     * Initializes P2P if needed.
+     * @returns {Promise<Object|null>} Gun instance, or null if P2P is unavailable
+     */
+    async function getGun() {
+        if (!isInitialized) {
+            await initialize();
+        }
+        return gun;
+    }
+
     /**
      * Manually enable relay connections (for power users)
      * Call this from browser console: P2PSync.enableRelays()
@@ -737,7 +798,12 @@ const P2PSync = (function() {
         flagQuestion,
         isQuestionFlagged,
         getFlagCount,
-        enableRelays
+        enableRelays,
+        getRelays,
+        setRelays,
+        getGun,
+        APP_NAMESPACE,
+        DEFAULT_RELAY_SERVERS
     };
 })();
 
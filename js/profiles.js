@@ -0,0 +1,221 @@
+/**
+ * Learner profiles for CREST CPSA Quiz
+ * Lets several learners share one browser. Every per-learner storage key goes through
+ * Profiles.key(), which namespaces it by the active profile; the default profile keeps the
+ * unprefixed keys, so progress saved before profiles existed belongs to it. Progress in
+ * IndexedDB is keyed by profile ID (see ProgressStore).
+ *
+ * Only device-wide state stays unprefixed: the profile list itself, the LLM rate limit
+ * state shared by all tabs, and the P2P relay list.
+ *
+ * The active profile is read once per page load; switching saves the choice and the page
+ * is reloaded so every module starts again on the new profile's keys.
+ */
+
+const Profiles = (function() {
+    const STORAGE_KEY = 'cpsa_profiles';
+    const REGISTRY_VERSION = 1;
+    const DEFAULT_ID = 'default';
+    const MAX_NAME_LENGTH = 40;
+    const MAX_PROFILES = 20;
+
+    let registry = null;
+
+    function defaultRegistry() {
+        return {
+            version: REGISTRY_VERSION,
+            active: DEFAULT_ID,
+            profiles: [{ id: DEFAULT_ID, name: 'Default', createdAt: null }]
+        };
+    }
+
+    function load() {
+        if (registry) {
+            return registry;
+        }
+        registry = defaultRegistry();
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && saved.version === REGISTRY_VERSION && Array.isArray(saved.profiles)) {
+                const profiles = saved.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string');
+                if (!profiles.some(profile => profile.id === DEFAULT_ID)) {
+                    profiles.unshift(defaultRegistry().profiles[0]);
+                }
+                registry = {
+                    version: REGISTRY_VERSION,
+                    active: profiles.some(profile => profile.id === saved.active) ? saved.active : DEFAULT_ID,
+                    profiles
+                };
+            }
+        } catch (e) {
+            console.error('Profiles: Error loading profiles:', e);
+        }
+        return registry;
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(load()));
+        } catch (e) {
+            console.error('Profiles: Error saving profiles:', e);
+        }
+    }
+
+    // The profile this page was loaded with; switchTo() only takes effect after a reload
+    const activeId = load().active;
+
+    function findProfile(id) {
+        return load().profiles.find(profile => profile.id === id) || null;
+    }
+
+    function validateName(name, exceptId) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Enter a profile name.');
+        }
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new Error(`Profile names can be at most ${MAX_NAME_LENGTH} characters.`);
+        }
+        const taken = load().profiles.some(profile =>
+            profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (taken) {
+            throw new Error(`There is already a profile called "${trimmed}".`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Namespaces a storage key by a profile
+     * @param {string} baseKey - Key used by the default profile
+     * @param {string} [profileId] - Profile ID (defaults to the active profile)
+     * @returns {string}
+     */
+    function key(baseKey, profileId = activeId) {
+        return profileId === DEFAULT_ID ? baseKey : `${baseKey}::${profileId}`;
+    }
+
+    /**
+     * Gets the ID of the profile this page is using
+     * @returns {string}
+     */
+    function getActiveId() {
+        return activeId;
+    }
+
+    /**
+     * Gets the profile this page is using
+     * @returns {{id: string, name: string, createdAt: number|null}}
+     */
+    function getActive() {
+        return { ...(findProfile(activeId) || defaultRegistry().profiles[0]) };
+    }
+
+    /**
+     * Lists every profile, default first
+     * @returns {Array<{id: string, name: string, createdAt: number|null}>}
+     */
+    function list() {
+        return load().profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * Creates a profile (it does not become active)
+     * @param {string} name - Display name
+     * @returns {{id: string, name: string, createdAt: number}}
+     * @throws {Error} If the name is empty, too long or taken, or there are too many profiles
+     */
+    function create(name) {
+        const trimmed = validateName(name);
+        if (load().profiles.length >= MAX_PROFILES) {
+            throw new Error(`You can have at most ${MAX_PROFILES} profiles.`);
+        }
+        const profile = {
+            id: 'p_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            name: trimmed,
+            createdAt: Date.now()
+        };
+        load().profiles.push(profile);
+        save();
+        return { ...profile };
+    }
+
+    /**
+     * Renames a profile
+     * @param {string} id - Profile ID
+     * @param {string} name - New display name
+     * @throws {Error} If the profile does not exist or the name is invalid
+     */
+    function rename(id, name) {
+        const profile = findProfile(id);
+        if (!profile) {
+            throw new Error('That profile no longer exists.');
+        }
+        profile.name = validateName(name, id);
+        save();
+    }
+
+    /**
+     * Makes a profile active; reload the page afterwards
+     * @param {string} id - Profile ID
+     * @throws {Error} If the profile does not exist
+     */
+    function switchTo(id) {
+        if (!findProfile(id)) {
+            throw new Error('That profile no longer exists.');
+        }
+        load().active = id;
+        save();
+    }
+
+    /**
+     * Deletes a profile and everything saved under it
+     * The default profile and the active profile cannot be deleted.
+     * @param {string} id - Profile ID
+     * @returns {Promise<void>}
+     * @throws {Error} If the profile is the default or active one
+     */
+    async function remove(id) {
+        if (id === DEFAULT_ID) {
+            throw new Error('The default profile cannot be deleted.');
+        }
+        if (id === activeId || id === load().active) {
+            throw new Error('Switch to another profile before deleting this one.');
+        }
+        load().profiles = load().profiles.filter(profile => profile.id !== id);
+        save();
+
+        const suffix = `::${id}`;
+        Object.keys(localStorage)
+            .filter(storageKey => storageKey.endsWith(suffix))
+            .forEach(storageKey => localStorage.removeItem(storageKey));
+
+        try {
+            const records = await DBUtils.getAllByIndex(DBUtils.STORES.PROGRESS, 'profile', id);
+            await Promise.all(records.map(record => DBUtils.remove(DBUtils.STORES.PROGRESS, [id, record.type])));
+            const snapshots = await DBUtils.getAllByIndex(DBUtils.STORES.SNAPSHOTS, 'profile', id);
+            await Promise.all(snapshots.map(snapshot => DBUtils.remove(DBUtils.STORES.SNAPSHOTS, snapshot.id)));
+            await DBUtils.remove(DBUtils.STORES.SYNC_KEYS, id);
+        } catch (e) {
+            console.error('Profiles: Error deleting saved progress:', e);
+        }
+    }
+
+    return {
+        key,
+        getActiveId,
+        getActive,
+        list,
+        create,
+        rename,
+        switchTo,
+        remove,
+        DEFAULT_ID,
+        MAX_NAME_LENGTH
+    };
+})();
+
+// Make Profiles available globally
+if (typeof window !== 'undefined') {
+    window.Profiles = Profiles;
+}
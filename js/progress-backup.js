@@ -0,0 +1,390 @@
+/**
+ * Progress backup for CREST CPSA Quiz
+ * Bundles everything ProgressStore keeps about the learner (answers, exam progress, flags,
+ * streak, badges, XP, study time, daily stats and exam history), together with the attempt
+ * log (which holds the confidence ratings), the review schedule and the misconception notes,
+ * into one versioned JSON file with a SHA-256 checksum, and reads such a file back for a
+ * merge or a full replace.
+ */
+
+const ProgressBackup = (function() {
+    const FORMAT = 'cpsa-progress-backup';
+    const FORMAT_VERSION = 1;
+    const MAX_EXAM_HISTORY = 50;
+
+    const TYPES = ProgressStore.TYPES;
+
+    // The mock exam in progress is left out: it only makes sense in the tab that started it
+    const SECTIONS = [
+        TYPES.PROGRESS,
+        TYPES.EXAM_PROGRESS,
+        TYPES.STREAK,
+        TYPES.BADGES,
+        TYPES.XP,
+        TYPES.STUDY_TIME,
+        TYPES.DAILY_STATS,
+        TYPES.EXAM_HISTORY
+    ];
+
+    // Kept by their own modules rather than ProgressStore, and backed up as their exportState()
+    // copies under these names; backups made before they were added have none of them
+    const STORE_SECTIONS = {
+        attemptLog: {
+            module: () => AttemptLog,
+            validate: data => isObject(data) && Object.values(data).every(entry => isObject(entry)
+                && Array.isArray(entry.o) && Array.isArray(entry.a) && entry.a.every(Array.isArray)),
+            // Attempts already in the log are skipped, so merging the same file twice adds nothing
+            merge: data => AttemptLog.mergeMany(AttemptLog.diffStates({}, data).added)
+        },
+        srsSchedule: {
+            module: () => SpacedRepetition,
+            validate: data => isObject(data) && Object.values(data).every(card => isObject(card) && typeof card.due === 'number'),
+            merge: data => SpacedRepetition.mergeCards(data)
+        },
+        misconceptionNotes: {
+            module: () => Misconceptions,
+            validate: data => isObject(data) && Object.values(data).every(note => isObject(note) && typeof note.text === 'string'),
+            merge: data => Misconceptions.mergeNotes(data)
+        }
+    };
+
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isAnswerMap(value) {
+        return isObject(value) && Object.values(value).every(isObject);
+    }
+
+    // Shape checks for each section once it is in the current schema
+    const VALIDATORS = {
+        [TYPES.PROGRESS]: data => isObject(data) && isAnswerMap(data.answerState) && Array.isArray(data.flagged),
+        [TYPES.EXAM_PROGRESS]: data => isObject(data) && isAnswerMap(data.answerState),
+        [TYPES.STREAK]: data => isObject(data) && typeof data.count === 'number' && Array.isArray(data.history),
+        [TYPES.BADGES]: data => Array.isArray(data) && data.every(id => typeof id === 'string'),
+        [TYPES.XP]: data => isObject(data) && typeof data.xp === 'number' && typeof data.level === 'number',
+        [TYPES.STUDY_TIME]: data => isObject(data) && typeof data.seconds === 'number' && data.seconds >= 0,
+        [TYPES.DAILY_STATS]: data => isObject(data) && Object.values(data).every(isObject),
+        [TYPES.EXAM_HISTORY]: data => Array.isArray(data) && data.every(isObject)
+    };
+
+    // JSON with object keys sorted, so the checksum does not depend on key order
+    function canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(canonicalJson).join(',')}]`;
+        }
+        if (isObject(value)) {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    async function computeChecksum(backup) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('Checksums need a secure (HTTPS) connection.');
+        }
+        const content = { ...backup };
+        delete content.checksum;
+        const bytes = new TextEncoder().encode(canonicalJson(content));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        const hex = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+        return `sha256:${hex}`;
+    }
+
+    /**
+     * Builds a backup of the current progress
+     * @returns {Promise<Object>} { format, version, schemaVersion, exportedAt, data, checksum }
+     */
+    async function createBackup() {
+        const data = {};
+        SECTIONS.forEach(type => {
+            data[type] = ProgressStore.get(type);
+        });
+        Object.entries(STORE_SECTIONS).forEach(([name, section]) => {
+            data[name] = section.module().exportState();
+        });
+        const backup = {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            schemaVersion: ProgressStore.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+        backup.checksum = await computeChecksum(backup);
+        return backup;
+    }
+
+    /**
+     * Reads and checks a backup file
+     * @param {string} text - File contents
+     * @returns {Promise<Object>} The backup, with data upgraded to the current schema
+     * @throws {Error} With a message fit to show the learner if the file cannot be used
+     */
+    async function parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (e) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!isObject(backup) || backup.format !== FORMAT) {
+            throw new Error('This is not a CPSA Quiz progress backup.');
+        }
+        if (typeof backup.version !== 'number' || backup.version > FORMAT_VERSION) {
+            throw new Error('This backup was made by a newer version of the app. Update the app and try again.');
+        }
+        if (!isObject(backup.data)) {
+            throw new Error('The backup has no progress data.');
+        }
+        if (typeof backup.checksum !== 'string' || backup.checksum !== await computeChecksum(backup)) {
+            throw new Error('The checksum does not match; the file is damaged or was edited.');
+        }
+
+        const data = {};
+        SECTIONS.forEach(type => {
+            if (backup.data[type] === undefined) {
+                return;
+            }
+            let section;
+            try {
+                section = ProgressStore.upgradeData(type, backup.data[type], backup.schemaVersion);
+            } catch (e) {
+                throw new Error(`Cannot read ${type}: ${e.message}.`);
+            }
+            if (!VALIDATORS[type](section)) {
+                throw new Error(`The ${type} section of the backup is malformed.`);
+            }
+            data[type] = section;
+        });
+        Object.entries(STORE_SECTIONS).forEach(([name, section]) => {
+            if (backup.data[name] === undefined) {
+                return;
+            }
+            if (!section.validate(backup.data[name])) {
+                throw new Error(`The ${name} section of the backup is malformed.`);
+            }
+            data[name] = backup.data[name];
+        });
+
+        return { ...backup, schemaVersion: ProgressStore.SCHEMA_VERSION, data };
+    }
+
+    function countCorrect(answerState) {
+        return Object.values(answerState).filter(state => state.correct).length;
+    }
+
+    /**
+     * Summarizes a backup and how it compares with the current progress
+     * @param {Object} backup - Result of parseBackup()
+     * @returns {Object} { exportedAt, answers, correct, examAnswers, flagged, streak, badges, xp, level,
+     *   studySeconds, activeDays, exams, attempts, scheduled, notes, newQuestions, newerInFile, newerHere }
+     */
+    function describeBackup(backup) {
+        const data = backup.data;
+        const answers = data[TYPES.PROGRESS] ? data[TYPES.PROGRESS].answerState : {};
+        const current = ProgressStore.get(TYPES.PROGRESS).answerState;
+
+        let newQuestions = 0;
+        let newerInFile = 0;
+        let newerHere = 0;
+        Object.entries(answers).forEach(([questionId, state]) => {
+            const mine = current[questionId];
+            if (!mine) {
+                newQuestions++;
+            } else if ((state.timestamp || 0) > (mine.timestamp || 0)) {
+                newerInFile++;
+            } else if ((state.timestamp || 0) < (mine.timestamp || 0)) {
+                newerHere++;
+            }
+        });
+
+        return {
+            exportedAt: backup.exportedAt || null,
+            answers: Object.keys(answers).length,
+            correct: countCorrect(answers),
+            examAnswers: data[TYPES.EXAM_PROGRESS] ? Object.keys(data[TYPES.EXAM_PROGRESS].answerState).length : 0,
+            flagged: data[TYPES.PROGRESS] ? data[TYPES.PROGRESS].flagged.length : 0,
+            streak: data[TYPES.STREAK] ? data[TYPES.STREAK].count : 0,
+            badges: data[TYPES.BADGES] ? data[TYPES.BADGES].length : 0,
+            xp: data[TYPES.XP] ? data[TYPES.XP].xp : 0,
+            level: data[TYPES.XP] ? data[TYPES.XP].level : 1,
+            studySeconds: data[TYPES.STUDY_TIME] ? data[TYPES.STUDY_TIME].seconds : 0,
+            activeDays: data[TYPES.DAILY_STATS] ? Object.keys(data[TYPES.DAILY_STATS]).length : 0,
+            exams: data[TYPES.EXAM_HISTORY] ? data[TYPES.EXAM_HISTORY].length : 0,
+            attempts: Object.values(data.attemptLog || {}).reduce((sum, entry) => sum + entry.a.length, 0),
+            scheduled: Object.keys(data.srsSchedule || {}).length,
+            notes: Object.keys(data.misconceptionNotes || {}).length,
+            newQuestions,
+            newerInFile,
+            newerHere
+        };
+    }
+
+    /**
+     * Picks the newer of two answers to the same question
+     * Ties are broken on content so every device picks the same one.
+     * @param {Object|null} current - answerState entry
+     * @param {Object|null} incoming - answerState entry
+     * @returns {Object|null}
+     */
+    function newerAnswer(current, incoming) {
+        if (!current || !incoming) {
+            return current || incoming;
+        }
+        const currentTime = current.timestamp || 0;
+        const incomingTime = incoming.timestamp || 0;
+        if (incomingTime !== currentTime) {
+            return incomingTime > currentTime ? incoming : current;
+        }
+        return canonicalJson(incoming) > canonicalJson(current) ? incoming : current;
+    }
+
+    // Keeps the newest answer per question
+    function mergeAnswers(current, incoming) {
+        const merged = { ...current };
+        Object.entries(incoming).forEach(([questionId, state]) => {
+            merged[questionId] = newerAnswer(merged[questionId], state);
+        });
+        return merged;
+    }
+
+    function dateValue(dateString) {
+        const time = dateString ? new Date(dateString).getTime() : 0;
+        return Number.isNaN(time) ? 0 : time;
+    }
+
+    // Merge rules per section: (current, incoming) -> merged
+    const MERGERS = {
+        [TYPES.PROGRESS]: (current, incoming) => {
+            const answerState = mergeAnswers(current.answerState, incoming.answerState);
+            return {
+                score: countCorrect(answerState),
+                answerState,
+                flagged: [...new Set([...current.flagged, ...incoming.flagged])]
+            };
+        },
+        [TYPES.EXAM_PROGRESS]: (current, incoming) => {
+            const answerState = mergeAnswers(current.answerState, incoming.answerState);
+            return { score: countCorrect(answerState), answerState };
+        },
+        // The streak that was active most recently wins; practice days are combined
+        [TYPES.STREAK]: (current, incoming) => {
+            const currentLast = dateValue(current.lastDate);
+            const incomingLast = dateValue(incoming.lastDate);
+            let latest = incomingLast > currentLast ? incoming : current;
+            if (incomingLast === currentLast && incoming.count > current.count) {
+                latest = incoming;
+            }
+            const history = [...new Set([...(current.history || []), ...(incoming.history || [])])]
+                .sort((a, b) => dateValue(a) - dateValue(b))
+                .slice(-7);
+            return { count: latest.count, lastDate: latest.lastDate, history };
+        },
+        [TYPES.BADGES]: (current, incoming) => [...new Set([...current, ...incoming])].sort(),
+        [TYPES.XP]: (current, incoming) => ({
+            xp: Math.max(current.xp, incoming.xp),
+            level: Math.max(current.level, incoming.level)
+        }),
+        // Both copies may include the same sessions, so adding them would double count
+        [TYPES.STUDY_TIME]: (current, incoming) => ({ seconds: Math.max(current.seconds, incoming.seconds) }),
+        [TYPES.DAILY_STATS]: (current, incoming) => {
+            const merged = { ...current };
+            Object.entries(incoming).forEach(([day, stats]) => {
+                const mine = merged[day];
+                if (!mine || (stats.total || 0) > (mine.total || 0)
+                    || ((stats.total || 0) === (mine.total || 0) && canonicalJson(stats) > canonicalJson(mine))) {
+                    merged[day] = stats;
+                }
+            });
+            return merged;
+        },
+        [TYPES.EXAM_HISTORY]: (current, incoming) => {
+            const byKey = new Map();
+            [...current, ...incoming].forEach(record => {
+                const key = `${record.date}|${record.status}`;
+                const mine = byKey.get(key);
+                if (!mine || canonicalJson(record) > canonicalJson(mine)) {
+                    byKey.set(key, record);
+                }
+            });
+            return Array.from(byKey.values())
+                .sort((a, b) => dateValue(a.date) - dateValue(b.date))
+                .slice(-MAX_EXAM_HISTORY);
+        }
+    };
+
+    /**
+     * Combines two copies of a progress section with the rules used for merge imports
+     * The result does not depend on which copy is current, so devices syncing the
+     * same section settle on the same value.
+     * @param {string} type - One of the ProgressStore types in a backup
+     * @param {*} current - Data in the current schema
+     * @param {*} incoming - Data in the current schema
+     * @returns {*} Merged data
+     */
+    function mergeSection(type, current, incoming) {
+        if (!MERGERS[type]) {
+            throw new Error(`Cannot merge progress record type: ${type}`);
+        }
+        return MERGERS[type](current, incoming);
+    }
+
+    /**
+     * Writes a backup into the progress store, the attempt log, the review schedule and the
+     * misconception notes
+     * @param {Object} backup - Result of parseBackup()
+     * @param {string} mode - 'merge' to combine with the current progress, 'replace' to overwrite it
+     */
+    function applyBackup(backup, mode) {
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+        SECTIONS.forEach(type => {
+            if (mode === 'replace') {
+                if (backup.data[type] === undefined) {
+                    ProgressStore.remove(type);
+                } else {
+                    ProgressStore.set(type, backup.data[type]);
+                }
+                return;
+            }
+            if (backup.data[type] !== undefined) {
+                ProgressStore.set(type, MERGERS[type](ProgressStore.get(type), backup.data[type]));
+            }
+        });
+        Object.entries(STORE_SECTIONS).forEach(([name, section]) => {
+            const data = backup.data[name];
+            if (mode === 'replace') {
+                // Without them in the file, they are rebuilt from the imported answers on reload
+                if (data === undefined) {
+                    section.module().reset();
+                } else {
+                    section.module().importState(data);
+                }
+            } else if (data !== undefined) {
+                section.merge(data);
+            }
+        });
+    }
+
+    return {
+        createBackup,
+        parseBackup,
+        describeBackup,
+        applyBackup,
+        mergeSection,
+        newerAnswer,
+        canonicalJson,
+        SECTIONS,
+        FORMAT,
+        FORMAT_VERSION
+    };
+})();
+
+// Make ProgressBackup available globally
+if (typeof window !== 'undefined') {
+    window.ProgressBackup = ProgressBackup;
+}
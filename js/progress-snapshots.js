@@ -0,0 +1,300 @@
+/**
+ * Progress snapshots for CREST CPSA Quiz
+ * Saved copies of the active profile's progress (the ProgressStore sections, the spaced
+ * repetition schedule, the attempt log and saved explanations) kept in IndexedDB, so resets
+ * and imports can be undone. A snapshot is taken before every destructive action and
+ * automatically once a day while progress keeps changing; older ones are thinned out by a
+ * retention policy.
+ */
+
+const ProgressSnapshots = (function() {
+    const STORE = DBUtils.STORES.SNAPSHOTS;
+    const PROFILE = Profiles.getActiveId();
+    const TYPES = ProgressStore.TYPES;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const AUTO_INTERVAL_MS = DAY_MS;
+
+    // Retention: the newest KEEP_RECENT always stay, then the newest per day for KEEP_DAILY_DAYS
+    // and the newest per week for KEEP_WEEKLY_WEEKS; never more than MAX_SNAPSHOTS in total
+    const KEEP_RECENT = 5;
+    const KEEP_DAILY_DAYS = 7;
+    const KEEP_WEEKLY_WEEKS = 4;
+    const MAX_SNAPSHOTS = 30;
+
+    const REASONS = {
+        auto: 'Automatic',
+        manual: 'Manual',
+        reset: 'Before reset',
+        'category-reset': 'Before category reset',
+        import: 'Before import',
+        restore: 'Before restore'
+    };
+
+    // 32-bit FNV-1a, enough to tell whether progress changed since the last snapshot
+    function hash(text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(16).padStart(8, '0');
+    }
+
+    function capture() {
+        const sections = {};
+        ProgressBackup.SECTIONS.forEach(type => {
+            if (ProgressStore.getUpdatedAt(type) !== null) {
+                sections[type] = ProgressStore.get(type);
+            }
+        });
+        return {
+            sections,
+            schedule: SpacedRepetition.exportState(),
+            attempts: AttemptLog.exportState(),
+            notes: Misconceptions.exportState()
+        };
+    }
+
+    function countAttempts(attempts) {
+        return Object.values(attempts || {}).reduce((sum, entry) => sum + (entry && Array.isArray(entry.a) ? entry.a.length : 0), 0);
+    }
+
+    function summarize(data) {
+        const stats = ProgressBackup.describeBackup({ data: data.sections });
+        return {
+            answers: stats.answers,
+            correct: stats.correct,
+            examAnswers: stats.examAnswers,
+            flagged: stats.flagged,
+            xp: stats.xp,
+            level: stats.level,
+            streak: stats.streak,
+            badges: stats.badges,
+            studySeconds: stats.studySeconds,
+            attempts: countAttempts(data.attempts),
+            scheduled: Object.keys(data.schedule || {}).length
+        };
+    }
+
+    function toMeta(snapshot) {
+        const meta = { ...snapshot };
+        delete meta.data;
+        return meta;
+    }
+
+    async function getOwn(id) {
+        const snapshot = await DBUtils.get(STORE, id);
+        if (!snapshot || snapshot.profile !== PROFILE) {
+            throw new Error('That snapshot no longer exists.');
+        }
+        return snapshot;
+    }
+
+    async function listAll() {
+        const snapshots = await DBUtils.getAllByIndex(STORE, 'profile', PROFILE);
+        return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Saves a snapshot of the current progress
+     * The progress is read straight away, so the caller may change it as soon as this returns.
+     * @param {string} reason - One of the REASONS keys
+     * @param {string} [label] - Extra detail, e.g. the category that is about to be reset
+     * @returns {Promise<Object>} The snapshot's metadata (see list())
+     */
+    function take(reason, label = '') {
+        const data = capture();
+        const snapshot = {
+            id: 'snap_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            profile: PROFILE,
+            createdAt: Date.now(),
+            reason: REASONS[reason] ? reason : 'manual',
+            label: String(label || ''),
+            schemaVersion: ProgressStore.SCHEMA_VERSION,
+            fingerprint: hash(ProgressBackup.canonicalJson(data)),
+            stats: summarize(data),
+            data
+        };
+        return DBUtils.put(STORE, snapshot).then(async () => {
+            try {
+                await prune();
+            } catch (e) {
+                console.error('ProgressSnapshots: Error pruning snapshots:', e);
+            }
+            return toMeta(snapshot);
+        });
+    }
+
+    /**
+     * Takes an automatic snapshot if the last one is a day old and progress has changed since
+     * @returns {Promise<Object|null>} The new snapshot's metadata, or null if none was needed
+     */
+    async function takePeriodic() {
+        const latest = (await listAll())[0];
+        if (latest && Date.now() - latest.createdAt < AUTO_INTERVAL_MS) {
+            return null;
+        }
+        const data = capture();
+        if (!Object.keys(data.sections).length && !countAttempts(data.attempts)) {
+            return null;
+        }
+        if (latest && latest.fingerprint === hash(ProgressBackup.canonicalJson(data))) {
+            return null;
+        }
+        return take('auto');
+    }
+
+    /**
+     * Lists the active profile's snapshots, newest first
+     * @returns {Promise<Array<Object>>} { id, createdAt, reason, label, schemaVersion, fingerprint, stats }
+     */
+    async function list() {
+        return (await listAll()).map(toMeta);
+    }
+
+    /**
+     * Compares a snapshot with the current progress
+     * "Added" and "removed" are from the snapshot to now; restoring undoes them.
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object>} { snapshot, stats: { snapshot, current },
+     *   answers: { added, removed, changed }, flags: { added, removed } } with question ID lists
+     */
+    async function diff(id) {
+        const snapshot = await getOwn(id);
+        const sections = upgradeSections(snapshot);
+        const current = capture();
+
+        const answersOf = data => ({
+            ...(data[TYPES.PROGRESS] ? data[TYPES.PROGRESS].answerState : {}),
+            ...(data[TYPES.EXAM_PROGRESS] ? data[TYPES.EXAM_PROGRESS].answerState : {})
+        });
+        const flagsOf = data => new Set(data[TYPES.PROGRESS] ? data[TYPES.PROGRESS].flagged : []);
+
+        const before = answersOf(sections);
+        const now = answersOf(current.sections);
+        const changed = Object.keys(now).filter(questionId => before[questionId] &&
+            (before[questionId].selected !== now[questionId].selected || before[questionId].correct !== now[questionId].correct));
+
+        const flagsBefore = flagsOf(sections);
+        const flagsNow = flagsOf(current.sections);
+
+        return {
+            snapshot: toMeta(snapshot),
+            stats: { snapshot: snapshot.stats, current: summarize(current) },
+            answers: {
+                added: Object.keys(now).filter(questionId => !before[questionId]),
+                removed: Object.keys(before).filter(questionId => !now[questionId]),
+                changed
+            },
+            flags: {
+                added: [...flagsNow].filter(questionId => !flagsBefore.has(questionId)),
+                removed: [...flagsBefore].filter(questionId => !flagsNow.has(questionId))
+            }
+        };
+    }
+
+    function upgradeSections(snapshot) {
+        const sections = {};
+        Object.entries(snapshot.data.sections || {}).forEach(([type, data]) => {
+            sections[type] = ProgressStore.upgradeData(type, data, snapshot.schemaVersion);
+        });
+        return sections;
+    }
+
+    /**
+     * Puts a snapshot's progress back, first snapshotting the current progress so the
+     * restore can be undone too. Reload the page afterwards.
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<void>}
+     * @throws {Error} If the snapshot is gone or cannot be read
+     */
+    async function restore(id) {
+        const snapshot = await getOwn(id);
+        let sections;
+        try {
+            sections = upgradeSections(snapshot);
+        } catch (e) {
+            throw new Error(`The snapshot cannot be read: ${e.message}.`);
+        }
+        await take('restore');
+
+        ProgressBackup.applyBackup({
+            data: {
+                ...sections,
+                attemptLog: snapshot.data.attempts,
+                srsSchedule: snapshot.data.schedule,
+                misconceptionNotes: snapshot.data.notes
+            }
+        }, 'replace');
+        await ProgressStore.flush();
+    }
+
+    /**
+     * Deletes a snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<void>}
+     */
+    async function remove(id) {
+        await getOwn(id);
+        await DBUtils.remove(STORE, id);
+    }
+
+    /**
+     * Applies the retention policy to the active profile's snapshots
+     * @returns {Promise<number>} How many snapshots were deleted
+     */
+    async function prune() {
+        const snapshots = await listAll();
+        const now = Date.now();
+        const keep = new Set();
+        const days = new Set();
+        const weeks = new Set();
+
+        snapshots.forEach((snapshot, index) => {
+            const age = now - snapshot.createdAt;
+            const day = Math.floor(age / DAY_MS);
+            const week = Math.floor(age / (7 * DAY_MS));
+            if (index < KEEP_RECENT) {
+                keep.add(snapshot.id);
+            } else if (day < KEEP_DAILY_DAYS && !days.has(day)) {
+                keep.add(snapshot.id);
+            } else if (week < KEEP_WEEKLY_WEEKS && !weeks.has(week)) {
+                keep.add(snapshot.id);
+            }
+            days.add(day);
+            weeks.add(week);
+        });
+
+        const doomed = snapshots.filter(snapshot => !keep.has(snapshot.id))
+            .concat(snapshots.filter(snapshot => keep.has(snapshot.id)).slice(MAX_SNAPSHOTS));
+        await Promise.all(doomed.map(snapshot => DBUtils.remove(STORE, snapshot.id)));
+        return doomed.length;
+    }
+
+    /**
+     * Human-readable name of a snapshot reason
+     * @param {string} reason - One of the REASONS keys
+     * @returns {string}
+     */
+    function describeReason(reason) {
+        return REASONS[reason] || REASONS.manual;
+    }
+
+    return {
+        take,
+        takePeriodic,
+        list,
+        diff,
+        restore,
+        remove,
+        prune,
+        describeReason,
+        AUTO_INTERVAL_MS
+    };
+})();
+
+// Make ProgressSnapshots available globally
+if (typeof window !== 'undefined') {
+    window.ProgressSnapshots = ProgressSnapshots;
+}
@@ -0,0 +1,442 @@
+/**
+ * Progress store for CREST CPSA Quiz
+ * Keeps answers, exam progress, streak, badges, XP, study time, daily stats, exam history, the
+ * mock exam in progress and the attempt log as typed records in one IndexedDB store
+ * (DBUtils.STORES.PROGRESS), keyed by the active learner profile and the record type.
+ * init() reads every record into memory so reads stay synchronous; writes update memory at once
+ * and are persisted in the background. Values saved under the old localStorage keys are
+ * migrated into the default profile on first run and the old keys removed. If IndexedDB cannot
+ * be opened in time, or a write to it fails, records are kept in localStorage instead.
+ */
+
+const ProgressStore = (function() {
+    const SCHEMA_VERSION = 1;
+    const PROFILE = Profiles.getActiveId();
+    // Used only when IndexedDB cannot be opened (e.g. some private browsing modes)
+    const FALLBACK_KEY = Profiles.key('cpsa_progress_store');
+    // Give up on IndexedDB after this long (e.g. an upgrade that never unblocks) so startup is not held up
+    const LOAD_TIMEOUT_MS = 5000;
+
+    const TYPES = {
+        PROGRESS: 'progress',
+        EXAM_PROGRESS: 'examProgress',
+        STREAK: 'streak',
+        BADGES: 'badges',
+        XP: 'xp',
+        STUDY_TIME: 'studyTime',
+        DAILY_STATS: 'dailyStats',
+        EXAM_HISTORY: 'examHistory',
+        ACTIVE_EXAM: 'activeExam',
+        ATTEMPT_LOG: 'attemptLog'
+    };
+
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function toNumber(value, fallback = 0) {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+
+    /*
+     * Per record type: the localStorage key it used to live under, its empty value, and
+     * migrations[n], which upgrades data from schema version n to n + 1. Version 0 is the
+     * value parsed from the old localStorage key.
+     */
+    const SCHEMAS = {
+        [TYPES.PROGRESS]: {
+            legacyKey: 'cpsa_quiz_progress',
+            empty: () => ({ score: 0, answerState: {}, flagged: [] }),
+            migrations: [
+                legacy => ({
+                    score: toNumber(legacy && legacy.score),
+                    answerState: isObject(legacy && legacy.answerState) ? legacy.answerState : {},
+                    flagged: Array.isArray(legacy && legacy.flagged) ? legacy.flagged : []
+                })
+            ]
+        },
+        [TYPES.EXAM_PROGRESS]: {
+            legacyKey: 'cpsa_exam_progress',
+            empty: () => ({ score: 0, answerState: {} }),
+            migrations: [
+                legacy => ({
+                    score: toNumber(legacy && legacy.score),
+                    answerState: isObject(legacy && legacy.answerState) ? legacy.answerState : {}
+                })
+            ]
+        },
+        [TYPES.STREAK]: {
+            legacyKey: 'cpsa_quiz_streak',
+            empty: () => ({ count: 0, lastDate: null, history: [] }),
+            migrations: [
+                legacy => ({
+                    count: toNumber(legacy && legacy.count),
+                    lastDate: (legacy && legacy.lastDate) || null,
+                    history: Array.isArray(legacy && legacy.history) ? legacy.history : []
+                })
+            ]
+        },
+        [TYPES.BADGES]: {
+            legacyKey: 'cpsa_quiz_badges',
+            empty: () => [],
+            migrations: [
+                legacy => (Array.isArray(legacy) ? legacy.filter(id => typeof id === 'string') : [])
+            ]
+        },
+        [TYPES.XP]: {
+            legacyKey: 'cpsa_quiz_xp',
+            empty: () => ({ xp: 0, level: 1 }),
+            migrations: [
+                legacy => ({
+                    xp: toNumber(legacy && legacy.xp),
+                    level: toNumber(legacy && legacy.level, 1)
+                })
+            ]
+        },
+        [TYPES.STUDY_TIME]: {
+            // Stored as a bare number of seconds
+            legacyKey: 'cpsa_study_time',
+            empty: () => ({ seconds: 0 }),
+            migrations: [
+                legacy => ({ seconds: Math.max(0, Math.floor(toNumber(legacy))) })
+            ]
+        },
+        [TYPES.DAILY_STATS]: {
+            legacyKey: 'cpsa_daily_stats',
+            empty: () => ({}),
+            migrations: [
+                legacy => (isObject(legacy) ? legacy : {})
+            ]
+        },
+        [TYPES.EXAM_HISTORY]: {
+            legacyKey: 'cpsa_exam_history',
+            empty: () => [],
+            migrations: [
+                legacy => (Array.isArray(legacy) ? legacy.filter(isObject) : [])
+            ]
+        },
+        [TYPES.ACTIVE_EXAM]: {
+            // Was wrapped as { version: 1, session, lastUpdated }; only the session is kept
+            legacyKey: 'cpsa_active_exam',
+            empty: () => null,
+            migrations: [
+                legacy => (legacy && legacy.version === 1 && isObject(legacy.session) ? legacy.session : null)
+            ]
+        },
+        [TYPES.ATTEMPT_LOG]: {
+            // Was wrapped as { version: 1, questions, lastUpdated }; see AttemptLog for the layout
+            legacyKey: 'cpsa_attempt_log',
+            empty: () => ({}),
+            migrations: [
+                legacy => (legacy && legacy.version === 1 && isObject(legacy.questions) ? legacy.questions : {})
+            ]
+        }
+    };
+
+    const records = {};
+    const pendingWrites = new Set();
+    const changeListeners = [];
+    let initPromise = null;
+    let ready = false;
+    let persistent = false;
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Brings data saved under an older schema up to the current one
+     * @param {string} type - One of TYPES
+     * @param {*} data - Saved data
+     * @param {number} fromVersion - Schema version the data was saved with (0 for old localStorage values)
+     * @returns {*} Data in the current schema
+     * @throws {Error} If the type is unknown or the data comes from a newer schema
+     */
+    function upgradeData(type, data, fromVersion) {
+        const schema = SCHEMAS[type];
+        if (!schema) {
+            throw new Error(`Unknown progress record type: ${type}`);
+        }
+        let version = toNumber(fromVersion);
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`${type} was saved by a newer version of the app (schema ${version})`);
+        }
+        while (version < SCHEMA_VERSION) {
+            data = schema.migrations[version](data);
+            version++;
+        }
+        return data;
+    }
+
+    // Runs the migrations a record is missing; returns null if it cannot be read
+    function upgrade(record) {
+        try {
+            const data = upgradeData(record.type, record.data, record.schemaVersion);
+            return { type: record.type, schemaVersion: SCHEMA_VERSION, data, updatedAt: record.updatedAt || Date.now() };
+        } catch (e) {
+            console.error('ProgressStore: Ignoring saved record:', e.message);
+            return null;
+        }
+    }
+
+    function readLegacy(key) {
+        try {
+            const saved = localStorage.getItem(key);
+            return saved === null ? undefined : JSON.parse(saved);
+        } catch (e) {
+            console.error(`ProgressStore: Error reading ${key}:`, e);
+            return undefined;
+        }
+    }
+
+    function readFallback() {
+        const data = readLegacy(FALLBACK_KEY);
+        return data && isObject(data.records) ? Object.values(data.records) : [];
+    }
+
+    function saveFallback() {
+        try {
+            localStorage.setItem(FALLBACK_KEY, JSON.stringify({ version: SCHEMA_VERSION, records, lastUpdated: Date.now() }));
+        } catch (e) {
+            console.error('ProgressStore: Error saving progress:', e);
+        }
+    }
+
+    function track(promise) {
+        pendingWrites.add(promise);
+        promise.finally(() => pendingWrites.delete(promise));
+        return promise;
+    }
+
+    function notifyChange(type) {
+        changeListeners.forEach(listener => {
+            try {
+                listener(type);
+            } catch (e) {
+                console.error('ProgressStore: Change listener failed:', e);
+            }
+        });
+    }
+
+    function persist(type) {
+        notifyChange(type);
+        if (!persistent) {
+            saveFallback();
+            return;
+        }
+        const write = records[type]
+            ? DBUtils.put(DBUtils.STORES.PROGRESS, { ...records[type], profile: PROFILE })
+            : DBUtils.remove(DBUtils.STORES.PROGRESS, [PROFILE, type]);
+        // Keep the whole store in localStorage for the rest of the session rather than lose writes
+        track(write.catch(e => {
+            console.error(`ProgressStore: Error saving ${type}, keeping progress in localStorage:`, e);
+            persistent = false;
+            saveFallback();
+        }));
+    }
+
+    function withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    async function load() {
+        let stored = [];
+        try {
+            stored = await withTimeout(DBUtils.getAllByIndex(DBUtils.STORES.PROGRESS, 'profile', PROFILE), LOAD_TIMEOUT_MS);
+            persistent = true;
+        } catch (e) {
+            console.error('ProgressStore: IndexedDB unavailable, keeping progress in localStorage:', e);
+        }
+
+        const changed = [];
+        // Records from the localStorage fallback replace older IndexedDB copies
+        const adopt = (record, isChanged, replaceOlder = false) => {
+            if (!record || !SCHEMAS[record.type]) {
+                return;
+            }
+            const current = records[record.type];
+            if (current && !(replaceOlder && (record.updatedAt || 0) > current.updatedAt)) {
+                return;
+            }
+            const upgraded = upgrade(record);
+            if (!upgraded) {
+                return;
+            }
+            records[record.type] = upgraded;
+            if (isChanged || upgraded.schemaVersion !== record.schemaVersion) {
+                changed.push(upgraded);
+            }
+        };
+
+        stored.forEach(record => adopt(record, false));
+        // Records kept in localStorage by an earlier session without IndexedDB
+        readFallback().forEach(record => adopt(record, persistent, true));
+
+        // The old keys predate profiles, so they belong to the default profile
+        const migratedKeys = [];
+        Object.entries(SCHEMAS).forEach(([type, schema]) => {
+            const legacy = PROFILE === Profiles.DEFAULT_ID ? readLegacy(schema.legacyKey) : undefined;
+            if (legacy === undefined) {
+                return;
+            }
+            migratedKeys.push(schema.legacyKey);
+            adopt({ type, schemaVersion: 0, data: legacy, updatedAt: Date.now() }, true);
+        });
+
+        if (persistent && changed.length > 0) {
+            try {
+                await DBUtils.putAll(DBUtils.STORES.PROGRESS, changed.map(record => ({ ...record, profile: PROFILE })));
+            } catch (e) {
+                console.error('ProgressStore: Error migrating progress, keeping it in localStorage:', e);
+                persistent = false;
+            }
+        }
+
+        if (!persistent) {
+            if (changed.length > 0) {
+                saveFallback();
+            }
+            return;
+        }
+
+        // Only drop the old copies once IndexedDB holds the data
+        migratedKeys.forEach(key => localStorage.removeItem(key));
+        localStorage.removeItem(FALLBACK_KEY);
+        if (migratedKeys.length > 0) {
+            console.log(`ProgressStore: Migrated ${migratedKeys.length} localStorage keys to IndexedDB`);
+        }
+    }
+
+    /**
+     * Loads every record into memory, migrating old localStorage data on first run
+     * Safe to call more than once; later calls return the same promise.
+     * @returns {Promise<void>}
+     */
+    function init() {
+        if (!initPromise) {
+            initPromise = load()
+                .catch(e => console.error('ProgressStore: Error loading progress:', e))
+                .then(() => {
+                    ready = true;
+                });
+        }
+        return initPromise;
+    }
+
+    /**
+     * Whether init() has finished
+     * @returns {boolean}
+     */
+    function isReady() {
+        return ready;
+    }
+
+    /**
+     * Gets a copy of a record's data
+     * @param {string} type - One of TYPES
+     * @returns {*} The saved data, or the type's empty value
+     */
+    function get(type) {
+        const schema = SCHEMAS[type];
+        if (!schema) {
+            throw new Error(`Unknown progress record type: ${type}`);
+        }
+        return records[type] ? clone(records[type].data) : schema.empty();
+    }
+
+    /**
+     * Replaces a record's data
+     * Writes made before init() finishes are dropped so they cannot overwrite saved progress.
+     * @param {string} type - One of TYPES
+     * @param {*} data - New data (copied)
+     */
+    function set(type, data) {
+        if (!SCHEMAS[type]) {
+            throw new Error(`Unknown progress record type: ${type}`);
+        }
+        if (!ready) {
+            console.warn(`ProgressStore: Ignoring write to ${type} before progress has loaded`);
+            return;
+        }
+        records[type] = { type, schemaVersion: SCHEMA_VERSION, data: clone(data), updatedAt: Date.now() };
+        persist(type);
+    }
+
+    /**
+     * Deletes a record so get() returns the empty value again
+     * @param {string} type - One of TYPES
+     */
+    function remove(type) {
+        if (!SCHEMAS[type]) {
+            throw new Error(`Unknown progress record type: ${type}`);
+        }
+        if (!ready || !records[type]) {
+            return;
+        }
+        delete records[type];
+        persist(type);
+    }
+
+    /**
+     * When a record was last written
+     * @param {string} type - One of TYPES
+     * @returns {number|null} Timestamp in ms
+     */
+    function getUpdatedAt(type) {
+        return records[type] ? records[type].updatedAt : null;
+    }
+
+    /**
+     * Registers a callback for every set() or remove()
+     * @param {Function} callback - Called with the record type that changed
+     */
+    function onChange(callback) {
+        if (typeof callback === 'function') {
+            changeListeners.push(callback);
+        }
+    }
+
+    /**
+     * Removes a change callback
+     * @param {Function} callback - Callback passed to onChange()
+     */
+    function offChange(callback) {
+        const index = changeListeners.indexOf(callback);
+        if (index > -1) {
+            changeListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Waits for background writes to finish
+     * @returns {Promise<void>}
+     */
+    async function flush() {
+        await Promise.all(Array.from(pendingWrites));
+    }
+
+    return {
+        init,
+        isReady,
+        get,
+        set,
+        remove,
+        getUpdatedAt,
+        upgradeData,
+        onChange,
+        offChange,
+        flush,
+        TYPES,
+        SCHEMA_VERSION
+    };
+})();
+
+// Make ProgressStore available globally
+if (typeof window !== 'undefined') {
+    window.ProgressStore = ProgressStore;
+}
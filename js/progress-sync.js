@@ -0,0 +1,682 @@
+/**
+ * Personal progress sync for CREST CPSA Quiz
+ * Opt-in sync of one learner's progress between their own devices over the Gun network
+ * P2PSync already uses for shared questions. Everything is keyed by a passphrase:
+ *
+ * 1. PBKDF2 turns the passphrase into an AES-GCM key, an HMAC key for record names and
+ *    a room ID, so devices with the same passphrase meet in the same Gun node. The keys are
+ *    kept in IndexedDB as non-extractable CryptoKeys, so their bytes are never stored
+ * 2. Each question is one record (latest answer, attempt log, flag) and each other
+ *    progress section (streak, badges, XP, ...) is one record
+ * 3. Records are encrypted with WebCrypto before any gun.put; relays only see the room ID,
+ *    opaque record names and ciphertext
+ * 4. Incoming records are merged, not overwritten: the newest answer wins, attempt logs are
+ *    combined, flags keep the latest change and sections use the backup merge rules. Every
+ *    merge gives the same result whichever device runs it, so devices settle on one state
+ *
+ * Like P2PSync this is best effort: without a reachable relay the app works normally and
+ * changes are pushed once a relay is reachable again.
+ */
+
+const ProgressSync = (function() {
+    'use strict';
+
+    const STORAGE_KEY = Profiles.key('cpsa_progress_sync');
+    const KEYS_STORE = DBUtils.STORES.SYNC_KEYS;
+    const PROFILE = Profiles.getActiveId();
+    const STATE_VERSION = 1;
+    const RECORD_VERSION = 1;
+
+    // The room ID is derived from the passphrase too, so a short passphrase could be guessed
+    // offline from the room name a relay sees
+    const MIN_PASSPHRASE_LENGTH = 12;
+    const KDF_SALT = 'cpsa-quiz-progress-sync-v1';
+    const KDF_ITERATIONS = 310000;
+
+    const PUSH_DELAY_MS = 2000;
+    const APPLY_DELAY_MS = 500;
+    const RECONNECT_DELAY_MS = 60000;
+
+    // Mirrors isExamQuestion() in app.js: exam-bank answers are also kept in examProgress
+    const EXAM_ID_PREFIX = 'exam_';
+
+    const TYPES = ProgressStore.TYPES;
+
+    // Synced as one record each; practice and exam answers are synced per question instead
+    const SECTIONS = [
+        TYPES.STREAK,
+        TYPES.BADGES,
+        TYPES.XP,
+        TYPES.STUDY_TIME,
+        TYPES.DAILY_STATS,
+        TYPES.EXAM_HISTORY
+    ];
+
+    let state = null;
+    let keys = null;
+    let roomNode = null;
+    let subscription = null;
+    let pushTimer = null;
+    let applyTimer = null;
+    let reconnectTimer = null;
+    let pushing = false;
+    let pushAgain = false;
+    const incoming = new Map();
+    const nodeNames = new Map();
+    const changeListeners = [];
+
+    const status = {
+        connected: false,
+        recordsSent: 0,
+        recordsReceived: 0,
+        lastSync: null,
+        error: null
+    };
+
+    // ==================== LOCAL STATE ====================
+
+    /*
+     * enabled says sync is on; the keys it resumes with after a reload are in KEYS_STORE.
+     * versions holds the fingerprint of what the room is known to hold per record name, and
+     * flagged/flagTimes remember when each flag last changed so flags can be merged.
+     */
+    function emptyState() {
+        return {
+            version: STATE_VERSION,
+            enabled: false,
+            versions: {},
+            flagged: [],
+            flagTimes: {}
+        };
+    }
+
+    function loadState() {
+        if (state) {
+            return state;
+        }
+        state = emptyState();
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && saved.version === STATE_VERSION) {
+                state = { ...state, ...saved };
+            }
+        } catch (e) {
+            console.error('ProgressSync: Error loading sync state:', e);
+        }
+        return state;
+    }
+
+    function saveState() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(loadState()));
+        } catch (e) {
+            console.error('ProgressSync: Error saving sync state:', e);
+        }
+    }
+
+    // ==================== CRYPTO ====================
+
+    function hasCrypto() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Derives the key material for a passphrase: 32 bytes AES key, 32 bytes HMAC key, 32 bytes room ID
+     * @param {string} passphrase
+     * @returns {Promise<Uint8Array>}
+     */
+    async function deriveKeyMaterial(passphrase) {
+        const encoder = new TextEncoder();
+        const baseKey = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            salt: encoder.encode(KDF_SALT),
+            iterations: KDF_ITERATIONS
+        }, baseKey, 768);
+        return new Uint8Array(bits);
+    }
+
+    async function importKeys(material) {
+        const [encryptKey, nameKey] = await Promise.all([
+            crypto.subtle.importKey('raw', material.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+            crypto.subtle.importKey('raw', material.slice(32, 64), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+        ]);
+        return { encryptKey, nameKey, room: toHex(material.slice(64, 96)) };
+    }
+
+    // IndexedDB stores CryptoKeys as they are, so non-extractable keys stay non-extractable
+    async function storeKeys(toStore) {
+        try {
+            await DBUtils.put(KEYS_STORE, { profile: PROFILE, ...toStore });
+        } catch (e) {
+            console.warn('ProgressSync: Could not save the sync key; the passphrase is needed again after a reload:', e);
+        }
+    }
+
+    async function loadKeys() {
+        let saved = null;
+        try {
+            saved = await DBUtils.get(KEYS_STORE, PROFILE);
+        } catch (e) {
+            console.warn('ProgressSync: Could not read the saved sync key:', e);
+        }
+        return saved ? { encryptKey: saved.encryptKey, nameKey: saved.nameKey, room: saved.room } : null;
+    }
+
+    // Record names are keyed hashes so relays cannot tell which question a record is for
+    async function nodeName(label) {
+        if (!nodeNames.has(label)) {
+            const mac = await crypto.subtle.sign('HMAC', keys.nameKey, new TextEncoder().encode(label));
+            nodeNames.set(label, toHex(new Uint8Array(mac)).slice(0, 32));
+        }
+        return nodeNames.get(label);
+    }
+
+    // The record name is authenticated with the ciphertext, so records cannot be swapped between names
+    async function encryptRecord(name, payload) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(name) },
+            keys.encryptKey,
+            new TextEncoder().encode(JSON.stringify(payload))
+        );
+        return JSON.stringify({ v: RECORD_VERSION, iv: toBase64(iv), ct: toBase64(new Uint8Array(ciphertext)) });
+    }
+
+    async function decryptRecord(name, data) {
+        const envelope = JSON.parse(data);
+        if (!envelope || envelope.v !== RECORD_VERSION) {
+            return null;
+        }
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: new TextEncoder().encode(name) },
+            keys.encryptKey,
+            fromBase64(envelope.ct)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    // Short fingerprint of a record's content, used to tell whether the room already holds it
+    function fingerprint(payload) {
+        const text = ProgressBackup.canonicalJson(payload);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619) >>> 0;
+        }
+        return `${text.length}:${hash.toString(16)}`;
+    }
+
+    // ==================== RECORDS ====================
+
+    function isExamId(questionId) {
+        return questionId.startsWith(EXAM_ID_PREFIX);
+    }
+
+    function attemptOrder(a, b) {
+        return a.timestamp - b.timestamp || String(a.selected).localeCompare(String(b.selected)) || a.correct - b.correct;
+    }
+
+    function buildQuestionRecord(questionId, answerState) {
+        return {
+            kind: 'question',
+            schemaVersion: ProgressStore.SCHEMA_VERSION,
+            id: questionId,
+            answer: answerState[questionId] || null,
+            attempts: AttemptLog.getAttempts(questionId).sort(attemptOrder),
+            flagged: loadState().flagged.includes(questionId),
+            flaggedAt: loadState().flagTimes[questionId] || 0
+        };
+    }
+
+    function buildSectionRecord(type) {
+        return {
+            kind: 'section',
+            schemaVersion: ProgressStore.SCHEMA_VERSION,
+            type,
+            data: ProgressStore.get(type)
+        };
+    }
+
+    // Stamps flags added or removed on this device since the last push
+    function recordFlagChanges(flagged) {
+        const current = loadState();
+        const previous = new Set(current.flagged);
+        const now = new Set(flagged);
+        const changed = [...flagged.filter(id => !previous.has(id)), ...current.flagged.filter(id => !now.has(id))];
+        changed.forEach(id => {
+            current.flagTimes[id] = Date.now();
+        });
+        current.flagged = [...now];
+        return changed.length > 0;
+    }
+
+    function getLocalQuestionIds(progress, exam) {
+        return new Set([
+            ...Object.keys(progress.answerState),
+            ...Object.keys(exam.answerState),
+            ...AttemptLog.getQuestionIds(),
+            ...Object.keys(loadState().flagTimes)
+        ]);
+    }
+
+    async function writeRecord(label, payload) {
+        const name = await nodeName(label);
+        const version = fingerprint(payload);
+        if (loadState().versions[name] === version) {
+            return false;
+        }
+        roomNode.get(name).put(await encryptRecord(name, payload));
+        loadState().versions[name] = version;
+        status.recordsSent++;
+        return true;
+    }
+
+    /**
+     * Pushes every record whose content differs from what the room is known to hold
+     * @returns {Promise<number>} Number of records written
+     */
+    async function push() {
+        if (!roomNode) {
+            return 0;
+        }
+        if (pushing) {
+            pushAgain = true;
+            return 0;
+        }
+        pushing = true;
+        let written = 0;
+        try {
+            const progress = ProgressStore.get(TYPES.PROGRESS);
+            const exam = ProgressStore.get(TYPES.EXAM_PROGRESS);
+            recordFlagChanges(progress.flagged);
+            const answers = { ...progress.answerState, ...exam.answerState };
+
+            for (const questionId of getLocalQuestionIds(progress, exam)) {
+                if (await writeRecord(`q:${questionId}`, buildQuestionRecord(questionId, answers))) {
+                    written++;
+                }
+            }
+            for (const type of SECTIONS) {
+                if (ProgressStore.getUpdatedAt(type) !== null && await writeRecord(`s:${type}`, buildSectionRecord(type))) {
+                    written++;
+                }
+            }
+
+            if (written > 0) {
+                status.lastSync = Date.now();
+            }
+            status.error = null;
+            saveState();
+        } catch (e) {
+            console.warn('ProgressSync: Push failed', e);
+            status.error = e.message;
+        } finally {
+            pushing = false;
+        }
+        if (pushAgain) {
+            pushAgain = false;
+            schedulePush();
+        }
+        return written;
+    }
+
+    function schedulePush() {
+        if (!roomNode) {
+            return;
+        }
+        clearTimeout(pushTimer);
+        pushTimer = setTimeout(push, PUSH_DELAY_MS);
+    }
+
+    function handleLocalChange(type) {
+        if (type === TYPES.PROGRESS || type === TYPES.EXAM_PROGRESS || SECTIONS.includes(type)) {
+            schedulePush();
+        }
+    }
+
+    // ==================== MERGING ====================
+
+    function countCorrect(answerState) {
+        return Object.values(answerState).filter(answer => answer.correct).length;
+    }
+
+    // Newest answer wins, attempt logs are combined, and the latest flag change wins
+    function mergeQuestion(record, progress, exam, changes) {
+        const questionId = record.id;
+        if (typeof questionId !== 'string' || !questionId) {
+            return;
+        }
+
+        const mine = progress.answerState[questionId] || exam.answerState[questionId] || null;
+        const answer = ProgressBackup.newerAnswer(mine, record.answer || null);
+        if (answer && answer !== mine) {
+            progress.answerState[questionId] = answer;
+            if (isExamId(questionId)) {
+                exam.answerState[questionId] = answer;
+                changes.exam = true;
+            }
+            changes.progress = true;
+            changes.questionIds.push(questionId);
+        }
+
+        if (Array.isArray(record.attempts) && AttemptLog.mergeAttempts(questionId, record.attempts) > 0) {
+            changes.attempts = true;
+        }
+
+        const current = loadState();
+        const flaggedAt = typeof record.flaggedAt === 'number' ? record.flaggedAt : 0;
+        const mineAt = current.flagTimes[questionId] || 0;
+        const isFlagged = progress.flagged.includes(questionId);
+        if (flaggedAt > mineAt || (flaggedAt === mineAt && flaggedAt > 0 && record.flagged && !isFlagged)) {
+            current.flagTimes[questionId] = flaggedAt;
+            if (record.flagged && !isFlagged) {
+                progress.flagged.push(questionId);
+                changes.progress = true;
+            } else if (!record.flagged && isFlagged) {
+                progress.flagged = progress.flagged.filter(id => id !== questionId);
+                changes.progress = true;
+            }
+            current.flagged = [...progress.flagged];
+        }
+    }
+
+    function mergeSectionRecord(record, changes) {
+        if (!SECTIONS.includes(record.type)) {
+            return;
+        }
+        const local = ProgressStore.get(record.type);
+        const merged = ProgressBackup.mergeSection(record.type, local, record.data);
+        if (ProgressBackup.canonicalJson(merged) !== ProgressBackup.canonicalJson(local)) {
+            ProgressStore.set(record.type, merged);
+            changes.types.push(record.type);
+        }
+    }
+
+    async function applyIncoming() {
+        if (!keys) {
+            incoming.clear();
+            return;
+        }
+        const batch = Array.from(incoming.entries());
+        incoming.clear();
+
+        const progress = ProgressStore.get(TYPES.PROGRESS);
+        const exam = ProgressStore.get(TYPES.EXAM_PROGRESS);
+        // Pick up local flag changes first so they are not mistaken for remote ones
+        recordFlagChanges(progress.flagged);
+        const changes = { progress: false, exam: false, attempts: false, questionIds: [], types: [] };
+
+        for (const [name, data] of batch) {
+            let record;
+            try {
+                record = await decryptRecord(name, data);
+            } catch (e) {
+                // Not ours, damaged, or written with another key
+                continue;
+            }
+            if (!record) {
+                continue;
+            }
+            if (record.schemaVersion > ProgressStore.SCHEMA_VERSION) {
+                console.warn('ProgressSync: Ignoring a record from a newer version of the app');
+                continue;
+            }
+
+            const version = fingerprint(record);
+            if (loadState().versions[name] === version) {
+                continue;
+            }
+            loadState().versions[name] = version;
+            status.recordsReceived++;
+
+            try {
+                if (record.kind === 'question') {
+                    mergeQuestion(record, progress, exam, changes);
+                } else if (record.kind === 'section') {
+                    mergeSectionRecord(record, changes);
+                }
+            } catch (e) {
+                console.warn('ProgressSync: Could not merge a record', e);
+            }
+        }
+
+        if (changes.progress) {
+            progress.score = countCorrect(progress.answerState);
+            ProgressStore.set(TYPES.PROGRESS, progress);
+            changes.types.push(TYPES.PROGRESS);
+        }
+        if (changes.exam) {
+            exam.score = countCorrect(exam.answerState);
+            ProgressStore.set(TYPES.EXAM_PROGRESS, exam);
+            changes.types.push(TYPES.EXAM_PROGRESS);
+        }
+        saveState();
+
+        if (changes.types.length > 0 || changes.attempts) {
+            status.lastSync = Date.now();
+            notifyChange({ types: changes.types, questionIds: changes.questionIds, attempts: changes.attempts });
+        }
+        // Send back anything the room is missing after the merge
+        schedulePush();
+    }
+
+    function handleIncoming(data, name) {
+        if (typeof data !== 'string' || !name) {
+            return;
+        }
+        incoming.set(name, data);
+        clearTimeout(applyTimer);
+        applyTimer = setTimeout(applyIncoming, APPLY_DELAY_MS);
+    }
+
+    function notifyChange(change) {
+        changeListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (e) {
+                console.error('ProgressSync: Change listener failed:', e);
+            }
+        });
+    }
+
+    // ==================== CONNECTION ====================
+
+    async function connect() {
+        clearTimeout(reconnectTimer);
+        if (!keys || roomNode) {
+            return;
+        }
+        const gun = typeof P2PSync !== 'undefined' ? await P2PSync.getGun() : null;
+        // Sync may have been turned off, or connected by another call, while waiting
+        if (!keys || roomNode) {
+            return;
+        }
+        if (!gun) {
+            status.error = 'Sync network unavailable, retrying';
+            reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+            return;
+        }
+
+        roomNode = gun.get(`${P2PSync.APP_NAMESPACE}/progress/${keys.room}`);
+        subscription = roomNode.map();
+        subscription.on(handleIncoming);
+        ProgressStore.onChange(handleLocalChange);
+        status.connected = true;
+        status.error = null;
+        console.log('ProgressSync: Connected');
+        schedulePush();
+    }
+
+    function disconnect() {
+        clearTimeout(pushTimer);
+        clearTimeout(applyTimer);
+        clearTimeout(reconnectTimer);
+        if (subscription) {
+            subscription.off();
+        }
+        ProgressStore.offChange(handleLocalChange);
+        subscription = null;
+        roomNode = null;
+        incoming.clear();
+        status.connected = false;
+    }
+
+    /**
+     * Resumes sync if it was turned on earlier on this device
+     * Call once progress has loaded.
+     * @returns {Promise<boolean>} Whether sync is on
+     */
+    async function start() {
+        if (!isEnabled() || keys) {
+            return !!keys;
+        }
+        if (!hasCrypto()) {
+            status.error = 'Sync needs a secure (HTTPS) connection';
+            return false;
+        }
+        const loaded = await loadKeys();
+        // Sync may have been turned off, or on again, while the key was loading
+        if (!isEnabled() || keys) {
+            return !!keys;
+        }
+        if (!loaded) {
+            status.error = 'The sync key is not saved on this device; turn sync off and on again with your passphrase';
+            return false;
+        }
+        keys = loaded;
+        await connect();
+        return true;
+    }
+
+    // Disconnects and forgets the key and sync state; the stored CryptoKeys are left alone
+    function stop() {
+        disconnect();
+        keys = null;
+        nodeNames.clear();
+        state = emptyState();
+        localStorage.removeItem(STORAGE_KEY);
+        status.recordsSent = 0;
+        status.recordsReceived = 0;
+        status.lastSync = null;
+        status.error = null;
+    }
+
+    /**
+     * Turns sync on with a passphrase; use the same passphrase on every device
+     * @param {string} passphrase - At least MIN_PASSPHRASE_LENGTH characters
+     * @returns {Promise<void>}
+     * @throws {Error} If the passphrase is too short or WebCrypto is unavailable
+     */
+    async function enable(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        }
+        if (!hasCrypto()) {
+            throw new Error('Sync needs a secure (HTTPS) connection.');
+        }
+
+        stop();
+        const material = await deriveKeyMaterial(passphrase);
+        keys = await importKeys(material);
+        material.fill(0);
+        state = { ...emptyState(), enabled: true };
+        saveState();
+        await storeKeys(keys);
+        await connect();
+    }
+
+    /**
+     * Turns sync off on this device and forgets the key; progress already synced stays
+     */
+    function disable() {
+        stop();
+        DBUtils.remove(KEYS_STORE, PROFILE).catch(e => {
+            console.error('ProgressSync: Error removing the saved sync key:', e);
+        });
+    }
+
+    /**
+     * Pushes local changes now instead of after the usual delay
+     * @returns {Promise<number>} Number of records written
+     */
+    function syncNow() {
+        clearTimeout(pushTimer);
+        return push();
+    }
+
+    /**
+     * Whether sync is turned on for this device
+     * @returns {boolean}
+     */
+    function isEnabled() {
+        return !!loadState().enabled;
+    }
+
+    /**
+     * Get sync status for display
+     * @returns {Object} { enabled, connected, recordsSent, recordsReceived, lastSync, error }
+     */
+    function getStatus() {
+        return { ...status, enabled: isEnabled() };
+    }
+
+    /**
+     * Register a callback for progress merged in from another device
+     * @param {Function} callback - Called with { types, questionIds, attempts } after the store is updated
+     */
+    function onRemoteChange(callback) {
+        if (typeof callback === 'function') {
+            changeListeners.push(callback);
+        }
+    }
+
+    /**
+     * Remove a remote change callback
+     */
+    function offRemoteChange(callback) {
+        const index = changeListeners.indexOf(callback);
+        if (index > -1) {
+            changeListeners.splice(index, 1);
+        }
+    }
+
+    return {
+        start,
+        enable,
+        disable,
+        syncNow,
+        isEnabled,
+        getStatus,
+        onRemoteChange,
+        offRemoteChange,
+        MIN_PASSPHRASE_LENGTH
+    };
+})();
+
+// Make ProgressSync available globally
+if (typeof window !== 'undefined') {
+    window.ProgressSync = ProgressSync;
+}
@@ -0,0 +1,368 @@
+/**
+ * Cross-tab progress coordination for CREST CPSA Quiz
+ * Each tab keeps its own copy of the learner's progress in memory, so without this a tab
+ * saving its answers would overwrite what another tab saved since it loaded. Every change a
+ * tab makes to ProgressStore is sent to the other tabs of the same profile over a
+ * BroadcastChannel as a delta (answers set or cleared, flags added or removed, XP and study
+ * time gained, daily counts added), and each tab applies it on top of its own progress
+ * instead of replacing it. Sections that only grow (streak, badges, exam history) are sent
+ * whole and combined with the ProgressBackup merge rules.
+ * The attempt log is shared as the attempts each change appends (and the questions it drops),
+ * which other tabs merge with AttemptLog.mergeMany. The review schedule and misconception
+ * notes keep their own localStorage records; their cards and notes are taken per question or
+ * confusion, the most recent copy winning.
+ */
+
+const ProgressTabs = (function() {
+    const CHANNEL_NAME = Profiles.key('cpsa_progress_tabs');
+    const TYPES = ProgressStore.TYPES;
+
+    let channel = null;
+    // Progress as this tab last sent or received it, to work out what a change did
+    const known = {};
+    // The same for the STORES diffed between exportState() copies, by name
+    const knownStores = {};
+    let applying = false;
+    const changeListeners = [];
+
+    function isEmptyObject(value) {
+        return Object.keys(value).length === 0;
+    }
+
+    // Answers that were set (new or changed) and cleared; cleared ones keep their timestamp so
+    // a newer answer given meanwhile in another tab is not thrown away
+    function diffAnswers(previous, next) {
+        const set = {};
+        const cleared = {};
+        Object.entries(next).forEach(([questionId, state]) => {
+            if (ProgressBackup.canonicalJson(state) !== ProgressBackup.canonicalJson(previous[questionId])) {
+                set[questionId] = state;
+            }
+        });
+        Object.entries(previous).forEach(([questionId, state]) => {
+            if (!next[questionId]) {
+                cleared[questionId] = state.timestamp || 0;
+            }
+        });
+        return { set, cleared };
+    }
+
+    function applyAnswers(answerState, delta) {
+        const merged = { ...answerState };
+        Object.entries(delta.set).forEach(([questionId, state]) => {
+            merged[questionId] = ProgressBackup.newerAnswer(merged[questionId], state);
+        });
+        Object.entries(delta.cleared).forEach(([questionId, timestamp]) => {
+            if (merged[questionId] && (merged[questionId].timestamp || 0) <= timestamp) {
+                delete merged[questionId];
+            }
+        });
+        return merged;
+    }
+
+    function countCorrect(answerState) {
+        return Object.values(answerState).filter(state => state.correct).length;
+    }
+
+    function answersChanged(delta) {
+        return !isEmptyObject(delta.set) || !isEmptyObject(delta.cleared);
+    }
+
+    // Per section: diff(previous, next) -> delta or null when nothing changed,
+    // apply(current, delta) -> new data
+    const DELTAS = {
+        [TYPES.PROGRESS]: {
+            diff: (previous, next) => {
+                const answers = diffAnswers(previous.answerState, next.answerState);
+                const flagged = {
+                    added: next.flagged.filter(id => !previous.flagged.includes(id)),
+                    removed: previous.flagged.filter(id => !next.flagged.includes(id))
+                };
+                return answersChanged(answers) || flagged.added.length || flagged.removed.length
+                    ? { answers, flagged }
+                    : null;
+            },
+            apply: (current, delta) => {
+                const answerState = applyAnswers(current.answerState, delta.answers);
+                const flagged = current.flagged
+                    .filter(id => !delta.flagged.removed.includes(id))
+                    .concat(delta.flagged.added.filter(id => !current.flagged.includes(id)));
+                return { score: countCorrect(answerState), answerState, flagged };
+            }
+        },
+        [TYPES.EXAM_PROGRESS]: {
+            diff: (previous, next) => {
+                const answers = diffAnswers(previous.answerState, next.answerState);
+                return answersChanged(answers) ? { answers } : null;
+            },
+            apply: (current, delta) => {
+                const answerState = applyAnswers(current.answerState, delta.answers);
+                return { score: countCorrect(answerState), answerState };
+            }
+        },
+        // XP and study time are counters: two tabs earning at once should both count
+        [TYPES.XP]: {
+            diff: (previous, next) => (next.xp !== previous.xp || next.level !== previous.level
+                ? { xp: next.xp - previous.xp, level: next.level }
+                : null),
+            apply: (current, delta) => ({
+                xp: Math.max(0, current.xp + delta.xp),
+                level: Math.max(current.level, delta.level)
+            })
+        },
+        [TYPES.STUDY_TIME]: {
+            diff: (previous, next) => (next.seconds !== previous.seconds ? { seconds: next.seconds - previous.seconds } : null),
+            apply: (current, delta) => ({ seconds: Math.max(0, current.seconds + delta.seconds) })
+        },
+        [TYPES.DAILY_STATS]: {
+            diff: (previous, next) => {
+                const days = {};
+                Object.entries(next).forEach(([day, stats]) => {
+                    const before = previous[day] || {};
+                    const change = {
+                        correct: (stats.correct || 0) - (before.correct || 0),
+                        total: (stats.total || 0) - (before.total || 0),
+                        count: (stats.count || 0) - (before.count || 0)
+                    };
+                    if (change.correct || change.total || change.count) {
+                        days[day] = change;
+                    }
+                });
+                return isEmptyObject(days) ? null : { days };
+            },
+            apply: (current, delta) => {
+                const merged = { ...current };
+                Object.entries(delta.days).forEach(([day, change]) => {
+                    const stats = { correct: 0, total: 0, accuracy: 0, count: 0, ...merged[day] };
+                    stats.correct = Math.max(0, stats.correct + change.correct);
+                    stats.total = Math.max(0, stats.total + change.total);
+                    stats.count = Math.max(0, stats.count + change.count);
+                    stats.accuracy = stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0;
+                    merged[day] = stats;
+                });
+                return merged;
+            }
+        }
+    };
+
+    function wholeSection(type) {
+        return {
+            diff: (previous, next) => (ProgressBackup.canonicalJson(previous) !== ProgressBackup.canonicalJson(next) ? { data: next } : null),
+            apply: (current, delta) => ProgressBackup.mergeSection(type, current, delta.data)
+        };
+    }
+
+    function deltaFor(type) {
+        return DELTAS[type] || wholeSection(type);
+    }
+
+    // Entries (cards, notes) that were set or changed, and keys that were removed
+    function diffEntries(previous, next) {
+        const set = {};
+        Object.entries(next).forEach(([key, value]) => {
+            if (ProgressBackup.canonicalJson(value) !== ProgressBackup.canonicalJson(previous[key])) {
+                set[key] = value;
+            }
+        });
+        const removed = Object.keys(previous).filter(key => !next[key]);
+        return isEmptyObject(set) && removed.length === 0 ? null : { set, removed };
+    }
+
+    // Modules that report their own changes, by name: module() -> the module (it has onChange()),
+    // then either delta(change) -> delta or null from what onChange() reports, or
+    // diff(previous, next) -> delta or null between exportState() copies; apply(delta) merges
+    // it into the module
+    const STORES = {
+        attemptLog: {
+            module: () => AttemptLog,
+            delta: change => (isEmptyObject(change.added) && change.removed.length === 0 ? null : change),
+            apply: delta => {
+                AttemptLog.removeQuestions(delta.removed);
+                AttemptLog.mergeMany(delta.added);
+            }
+        },
+        srsSchedule: {
+            module: () => SpacedRepetition,
+            diff: diffEntries,
+            apply: delta => {
+                SpacedRepetition.removeCards(delta.removed);
+                SpacedRepetition.mergeCards(delta.set);
+            }
+        },
+        misconceptionNotes: {
+            module: () => Misconceptions,
+            diff: diffEntries,
+            apply: delta => {
+                Misconceptions.removeNotes(delta.removed);
+                Misconceptions.mergeNotes(delta.set);
+            }
+        }
+    };
+
+    function post(message) {
+        try {
+            channel.postMessage(message);
+        } catch (e) {
+            console.warn('ProgressTabs: Failed to broadcast change:', e);
+        }
+    }
+
+    function handleLocalChange(type) {
+        if (!(type in known)) {
+            return;
+        }
+        // get() gives the section's empty value once a record is removed
+        const previous = known[type];
+        const next = ProgressStore.get(type);
+        known[type] = next;
+        if (applying) {
+            return;
+        }
+        if (ProgressStore.getUpdatedAt(type) === null) {
+            post({ type: 'remove', recordType: type });
+            return;
+        }
+        const delta = deltaFor(type).diff(previous, next);
+        if (delta) {
+            post({ type: 'delta', recordType: type, delta });
+        }
+    }
+
+    function handleStoreChange(name, change) {
+        const store = STORES[name];
+        let delta;
+        if (store.delta) {
+            if (applying) {
+                return;
+            }
+            delta = store.delta(change);
+        } else {
+            const previous = knownStores[name];
+            const next = store.module().exportState();
+            knownStores[name] = next;
+            if (applying) {
+                return;
+            }
+            delta = store.diff(previous, next);
+        }
+        if (delta) {
+            post({ type: 'store', store: name, delta });
+        }
+    }
+
+    function applyStoreDelta(name, delta) {
+        if (!Object.prototype.hasOwnProperty.call(STORES, name)) {
+            return;
+        }
+        applying = true;
+        try {
+            STORES[name].apply(delta);
+        } catch (e) {
+            console.error(`ProgressTabs: Could not apply ${name} from another tab:`, e);
+            return;
+        } finally {
+            applying = false;
+        }
+        notifyChange(name);
+    }
+
+    function handleBroadcastMessage(event) {
+        const { type, recordType, store, delta } = event.data || {};
+        if (type === 'store') {
+            applyStoreDelta(store, delta);
+            return;
+        }
+        if (!(recordType in known)) {
+            return;
+        }
+        applying = true;
+        try {
+            if (type === 'remove') {
+                ProgressStore.remove(recordType);
+            } else if (type === 'delta') {
+                ProgressStore.set(recordType, deltaFor(recordType).apply(ProgressStore.get(recordType), delta));
+            } else {
+                return;
+            }
+        } catch (e) {
+            console.error(`ProgressTabs: Could not apply ${recordType} from another tab:`, e);
+            return;
+        } finally {
+            applying = false;
+        }
+        notifyChange(recordType);
+    }
+
+    // Listeners run straight away: the app's in-memory copy must be current before its next
+    // save, or that save would undo the change just received
+    function notifyChange(recordType) {
+        const change = { types: [recordType] };
+        changeListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (e) {
+                console.error('ProgressTabs: Change listener failed:', e);
+            }
+        });
+    }
+
+    /**
+     * Starts sending and receiving changes; call once progress has loaded
+     * @returns {boolean} False if this browser has no BroadcastChannel
+     */
+    function start() {
+        if (channel) {
+            return true;
+        }
+        try {
+            channel = new BroadcastChannel(CHANNEL_NAME);
+        } catch (e) {
+            console.warn('BroadcastChannel not available, progress will not be shared between tabs');
+            return false;
+        }
+        ProgressBackup.SECTIONS.forEach(type => {
+            known[type] = ProgressStore.get(type);
+        });
+        Object.entries(STORES).forEach(([name, store]) => {
+            if (!store.delta) {
+                knownStores[name] = store.module().exportState();
+            }
+            store.module().onChange(change => handleStoreChange(name, change));
+        });
+        channel.onmessage = handleBroadcastMessage;
+        ProgressStore.onChange(handleLocalChange);
+        return true;
+    }
+
+    /**
+     * Register a callback for progress merged in from another tab
+     * @param {Function} callback - Called with { types } after the store is updated; types holds
+     *   ProgressStore types or STORES names (attemptLog, srsSchedule, misconceptionNotes)
+     */
+    function onRemoteChange(callback) {
+        if (typeof callback === 'function') {
+            changeListeners.push(callback);
+        }
+    }
+
+    /**
+     * Remove a remote change callback
+     */
+    function offRemoteChange(callback) {
+        const index = changeListeners.indexOf(callback);
+        if (index > -1) {
+            changeListeners.splice(index, 1);
+        }
+    }
+
+    return {
+        start,
+        onRemoteChange,
+        offRemoteChange
+    };
+})();
+
+// Make ProgressTabs available globally
+if (typeof window !== 'undefined') {
+    window.ProgressTabs = ProgressTabs;
+}
@@ -8,15 +8,14 @@
  * - Pagination: 20 questions per page
  * - Progressive topic advancement: chunks are processed in order
  * - Duplicate detection: questions are hashed to avoid repeats
+ * - Stable IDs: question IDs are content hashes, not per-session counters
+ * - Cancellation: generation for an appendix stops when the learner navigates away from it
  * - Minimum 120 questions target (6 pages)
  */
 
 // Empty quizData - will be populated dynamically from RAG
 const quizData = {};
 
-// Question ID counter for unique IDs
-let questionIdCounter = 0;
-
 // Pagination state per appendix
 const appendixState = {};
 
@@ -26,6 +25,72 @@ const PAGE_SIZE = 20;
 // Additional questions are generated only on explicit user action (clicking "Load More")
 const MIN_QUESTIONS_TARGET = 20;
 
+// Generating for one section (ensureAppendixQuestions): chunks per request and the most
+// questions asked of them, as in RAG's batched generation
+const SECTION_CHUNKS_PER_BATCH = 3;
+const SECTION_QUESTIONS_PER_BATCH = 15;
+
+// In-flight generation per appendix: letter -> Set of AbortControllers
+const generationRuns = {};
+let watchingNavigation = false;
+
+/**
+ * Start tracking a generation run for an appendix
+ * @param {string} appendixLetter - The appendix letter
+ * @returns {AbortController} - Pass its signal to RAG; call endGeneration() when done
+ */
+function beginGeneration(appendixLetter) {
+    watchNavigation();
+    const run = new AbortController();
+    if (!generationRuns[appendixLetter]) {
+        generationRuns[appendixLetter] = new Set();
+    }
+    generationRuns[appendixLetter].add(run);
+    return run;
+}
+
+function endGeneration(appendixLetter, run) {
+    const runs = generationRuns[appendixLetter];
+    if (runs) {
+        runs.delete(run);
+        if (runs.size === 0) {
+            delete generationRuns[appendixLetter];
+        }
+    }
+}
+
+/**
+ * Cancel all in-flight generation for an appendix
+ * Queued LLM requests are dropped and active ones aborted; the loaders resolve with
+ * cancelled: true and keep the questions generated so far.
+ * @param {string} appendixLetter - The appendix letter
+ * @returns {number} - Number of runs cancelled
+ */
+function cancelAppendixGeneration(appendixLetter) {
+    const runs = generationRuns[appendixLetter];
+    if (!runs) {
+        return 0;
+    }
+    delete generationRuns[appendixLetter];
+    runs.forEach(run => run.abort());
+    console.log(`Cancelled ${runs.size} generation run(s) for Appendix ${appendixLetter}`);
+    return runs.size;
+}
+
+// Cancel an appendix's generation once the Router leaves it (the Router is defined in
+// app.js, which loads after this file, so this hooks in on first use)
+function watchNavigation() {
+    if (watchingNavigation || typeof window === 'undefined' || !window.Router) {
+        return;
+    }
+    watchingNavigation = true;
+    window.Router.onChange((to, from) => {
+        if (from && from.type === 'appendix' && !(to && to.type === 'appendix' && to.value === from.value)) {
+            cancelAppendixGeneration(from.value);
+        }
+    });
+}
+
 /**
  * Simple hash function for question deduplication
  */
@@ -40,6 +105,83 @@ function hashQuestion(text) {
     return hash.toString(36);
 }
 
+/**
+ * FNV-1a hash of normalized text (same normalization as RAG/P2P dedup hashes)
+ */
+function fnv1aHex(text) {
+    const normalized = (text || '').toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+    let hash = 2166136261;
+    for (let i = 0; i < normalized.length; i++) {
+        hash ^= normalized.charCodeAt(i);
+        hash = (hash * 16777619) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Stable question ID derived from content, so answerState, flags and challenge
+ * links keep pointing at the same question across reloads and P2P peers.
+ * Keyed on question + correct answer, plus the source chunk when known so the
+ * same wording generated from two different chunks stays two questions.
+ * @param {Object} question - Quiz-format question ({question, answer, source_chunk_id})
+ * @returns {string} - ID like "q_1a2b3c4d5e6f7a8b9c0d1e2f"
+ */
+function getQuestionId(question) {
+    const legacyId = getLegacyQuestionId(question);
+    if (question.source_chunk_id === undefined || question.source_chunk_id === null) {
+        return legacyId;
+    }
+    return legacyId + fnv1aHex(String(question.source_chunk_id));
+}
+
+/**
+ * Question + correct answer ID. Saved answers record only those two fields, so
+ * this is the form progress from the old counter-based IDs is re-keyed to.
+ * @param {Object} question - Quiz-format question ({question, answer})
+ * @returns {string} - ID like "q_1a2b3c4d5e6f7a8b"
+ */
+function getLegacyQuestionId(question) {
+    return `q_${fnv1aHex(question.question)}${fnv1aHex(question.answer)}`;
+}
+
+// Question + answer IDs that saved progress still uses, and the chunk that
+// claimed each one this session
+const savedLegacyIds = new Set();
+const legacyIdClaims = new Map();
+
+/**
+ * Tell the loader which IDs saved progress uses, so questions re-keyed from the
+ * old counter IDs keep their question + answer ID instead of a chunk-scoped one.
+ * @param {Iterable<string>} ids - Question IDs from saved progress
+ */
+function registerSavedQuestionIds(ids) {
+    for (const id of ids) {
+        if (/^q_[0-9a-f]{16}$/.test(id)) {
+            savedLegacyIds.add(id);
+        }
+    }
+}
+
+/**
+ * ID for a freshly loaded question: its legacy ID if saved progress refers to
+ * it (first chunk to claim it wins), otherwise getQuestionId.
+ * @param {Object} question - Quiz-format question
+ * @returns {string}
+ */
+function assignQuestionId(question) {
+    const legacyId = getLegacyQuestionId(question);
+    if (savedLegacyIds.has(legacyId)) {
+        const chunk = question.source_chunk_id === undefined ? null : question.source_chunk_id;
+        if (!legacyIdClaims.has(legacyId)) {
+            legacyIdClaims.set(legacyId, chunk);
+        }
+        if (legacyIdClaims.get(legacyId) === chunk) {
+            return legacyId;
+        }
+    }
+    return getQuestionId(question);
+}
+
 /**
  * Initialize or get state for an appendix
  */
@@ -52,7 +194,9 @@ function getAppendixState(appendixLetter) {
             questionHashes: new Set(),
             currentPage: 0,
             exhausted: false,
-            totalChunks: 0
+            totalChunks: 0,
+            // IDs of chunks generateSectionQuestions() has used
+            sectionChunksUsed: new Set()
         };
     }
     return appendixState[appendixLetter];
@@ -100,6 +244,7 @@ async function loadAppendixFirstPage(appendixLetter, onProgress = null) {
     state.currentPage = 0;
     state.exhausted = false;
     state.totalChunks = RAG.getAppendixChunkCount(appendixLetter);
+    state.sectionChunksUsed = new Set();
 
     // Clear any existing questions for this appendix from quizData
     Object.keys(quizData).forEach(key => {
@@ -109,13 +254,20 @@ async function loadAppendixFirstPage(appendixLetter, onProgress = null) {
     });
 
     // Generate first batch
-    const result = await RAG.generateQuestionsBatch(
-        appendixLetter,
-        state.nextChunkIdx,
-        PAGE_SIZE,
-        state.questionHashes,
-        onProgress
-    );
+    const run = beginGeneration(appendixLetter);
+    let result;
+    try {
+        result = await RAG.generateQuestionsBatch(
+            appendixLetter,
+            state.nextChunkIdx,
+            PAGE_SIZE,
+            state.questionHashes,
+            onProgress,
+            { signal: run.signal }
+        );
+    } finally {
+        endGeneration(appendixLetter, run);
+    }
 
     // Update state
     state.nextChunkIdx = result.nextChunkIdx;
@@ -125,8 +277,8 @@ async function loadAppendixFirstPage(appendixLetter, onProgress = null) {
     // Convert and store questions
     const pageQuestions = {};
     result.questions.forEach(q => {
-        const id = String(questionIdCounter++);
         const converted = convertToQuizFormat(q);
+        const id = assignQuestionId(converted);
         quizData[id] = converted;
         state.allQuestions.push({ id, ...converted });
         pageQuestions[id] = converted;
@@ -142,7 +294,8 @@ async function loadAppendixFirstPage(appendixLetter, onProgress = null) {
         totalQuestions: state.allQuestions.length,
         exhausted: state.exhausted,
         chunksProcessed: state.nextChunkIdx,
-        totalChunks: state.totalChunks
+        totalChunks: state.totalChunks,
+        cancelled: !!result.cancelled
     };
 }
 
@@ -176,13 +329,20 @@ async function loadAppendixNextPage(appendixLetter, onProgress = null) {
     await RAG.initialize();
 
     // Generate next batch
-    const result = await RAG.generateQuestionsBatch(
-        appendixLetter,
-        state.nextChunkIdx,
-        PAGE_SIZE,
-        state.questionHashes,
-        onProgress
-    );
+    const run = beginGeneration(appendixLetter);
+    let result;
+    try {
+        result = await RAG.generateQuestionsBatch(
+            appendixLetter,
+            state.nextChunkIdx,
+            PAGE_SIZE,
+            state.questionHashes,
+            onProgress,
+            { signal: run.signal }
+        );
+    } finally {
+        endGeneration(appendixLetter, run);
+    }
 
     // Update state
     state.nextChunkIdx = result.nextChunkIdx;
@@ -192,8 +352,8 @@ async function loadAppendixNextPage(appendixLetter, onProgress = null) {
     // Convert and store questions
     const pageQuestions = {};
     result.questions.forEach(q => {
-        const id = String(questionIdCounter++);
         const converted = convertToQuizFormat(q);
+        const id = assignQuestionId(converted);
         quizData[id] = converted;
         state.allQuestions.push({ id, ...converted });
         pageQuestions[id] = converted;
@@ -209,10 +369,121 @@ async function loadAppendixNextPage(appendixLetter, onProgress = null) {
         totalQuestions: state.allQuestions.length,
         exhausted: state.exhausted,
         chunksProcessed: state.nextChunkIdx,
-        totalChunks: state.totalChunks
+        totalChunks: state.totalChunks,
+        cancelled: !!result.cancelled
     };
 }
 
+/**
+ * Generate questions from one section's chunks, skipping those the appendix's pages have
+ * already been through and those used before
+ * @param {string} appendixLetter - The appendix letter (A-J)
+ * @param {string} sectionId - The section's ID
+ * @param {number} count - Number of new questions wanted
+ * @param {number} maxBatches - Most LLM batches to run
+ * @param {function} onProgress - Progress callback
+ * @returns {Promise<number>} - Number of questions added to quizData
+ */
+async function generateSectionQuestions(appendixLetter, sectionId, count, maxBatches, onProgress = null) {
+    if (typeof RAG === 'undefined') {
+        console.error('RAG module not loaded');
+        return 0;
+    }
+
+    await RAG.initialize();
+
+    const state = getAppendixState(appendixLetter);
+    const remaining = RAG.getChunksForAppendix(appendixLetter).filter((chunk, index) =>
+        chunk.section_id === sectionId && index >= state.nextChunkIdx && !state.sectionChunksUsed.has(chunk.id));
+    if (remaining.length === 0) {
+        console.log(`No chunks left to generate from for section ${sectionId} of Appendix ${appendixLetter}`);
+        return 0;
+    }
+
+    let added = 0;
+    for (let batch = 0; batch < maxBatches && added < count && remaining.length > 0; batch++) {
+        const chunks = remaining.splice(0, SECTION_CHUNKS_PER_BATCH);
+        chunks.forEach(chunk => state.sectionChunksUsed.add(chunk.id));
+        if (onProgress) {
+            onProgress({
+                section: sectionId,
+                questionsGenerated: added,
+                targetCount: count,
+                status: 'generating',
+                batchSize: chunks.length
+            });
+        }
+
+        const run = beginGeneration(appendixLetter);
+        let questions;
+        try {
+            questions = await RAG.generateQuestionsFromMultipleChunks(
+                chunks,
+                Math.min(SECTION_QUESTIONS_PER_BATCH, count - added),
+                { signal: run.signal }
+            );
+        } finally {
+            endGeneration(appendixLetter, run);
+        }
+
+        questions.forEach(q => {
+            const converted = convertToQuizFormat(q);
+            const id = assignQuestionId(converted);
+            if (!quizData[id]) {
+                quizData[id] = converted;
+                added++;
+            }
+        });
+        if (run.signal.aborted) {
+            break;
+        }
+    }
+
+    console.log(`Generated ${added} questions for section ${sectionId} of Appendix ${appendixLetter}`);
+    return added;
+}
+
+/**
+ * Generate questions for an appendix until enough exist for a blueprint slot
+ * Used by mock exam templates to top up generated questions on demand. For a section, only
+ * its own chunks are used; otherwise the appendix's next pages are loaded.
+ * @param {string} appendixLetter - The appendix letter (A-J)
+ * @param {number} minCount - Number of matching questions wanted
+ * @param {Object} options - { sectionId, maxBatches, onProgress }
+ * @returns {Promise<Array>} - Matching questions as { id, ...question }
+ */
+async function ensureAppendixQuestions(appendixLetter, minCount, options = {}) {
+    const { sectionId = null, maxBatches = 3, onProgress = null } = options;
+    const findMatching = () => Object.entries(quizData)
+        .filter(([, q]) => q.appendix === appendixLetter && (!sectionId || q.section_id === sectionId))
+        .map(([id, q]) => ({ id, ...q }));
+
+    let matching = findMatching();
+    if (sectionId) {
+        if (matching.length < minCount) {
+            await generateSectionQuestions(appendixLetter, sectionId, minCount - matching.length, maxBatches, onProgress);
+        }
+        return findMatching();
+    }
+    for (let batch = 0; batch < maxBatches && matching.length < minCount; batch++) {
+        const state = getAppendixState(appendixLetter);
+        if (state.exhausted) {
+            break;
+        }
+        // Only start from page one when nothing is loaded; the first-page loader clears quizData for the appendix
+        const hasQuestions = Object.values(quizData).some(q => q.appendix === appendixLetter);
+        const result = state.currentPage === 0 && !hasQuestions
+            ? await loadAppendixFirstPage(appendixLetter, onProgress)
+            : await loadAppendixNextPage(appendixLetter, onProgress);
+        matching = findMatching();
+        if (result.exhausted) {
+            break;
+        }
+    }
+
+    return matching;
+}
+
 /**
  * Get current page questions for an appendix
  * @param {string} appendixLetter - The appendix letter
@@ -307,7 +578,6 @@ function getTotalQuestionCount() {
 function clearAllQuestions() {
     Object.keys(quizData).forEach(key => delete quizData[key]);
     Object.keys(appendixState).forEach(key => delete appendixState[key]);
-    questionIdCounter = 0;
 }
 
 /**
@@ -338,6 +608,8 @@ async function clearQuestionsCache() {
 let preloadingInProgress = false;
 let preloadedAppendices = new Set();
 let preloadingPaused = false;
+// Aborted by stopPreloading() to drop the preload's queued and active requests
+let preloadRun = null;
 let lastRateLimitTime = 0;
 
 // Concurrency limit for parallel preloading - reduced to 1 to avoid competing with foreground
@@ -399,6 +671,9 @@ async function preloadSingleAppendix(appendix, onAppendixLoaded) {
         return;
     }
     
+    // An earlier appendix may have ended the run (daily budget reached)
+    if (!preloadingInProgress) return;
+    
     // Check if we should pause before starting
     while (shouldPausePreloading()) {
         await new Promise(resolve => setTimeout(resolve, 2000));
@@ -425,7 +700,7 @@ async function preloadSingleAppendix(appendix, onAppendixLoaded) {
             PAGE_SIZE,
             state.questionHashes,
             null, // No progress callback for background loading
-            { priority: 'low', isBackground: true }
+            { priority: 'low', isBackground: true, signal: preloadRun && preloadRun.signal }
         );
 
         // Update state
@@ -435,13 +710,23 @@ async function preloadSingleAppendix(appendix, onAppendixLoaded) {
 
         // Convert and store questions
         result.questions.forEach(q => {
-            const id = String(questionIdCounter++);
             const converted = convertToQuizFormat(q);
+            const id = assignQuestionId(converted);
             quizData[id] = converted;
             state.allQuestions.push({ id, ...converted });
         });
 
         state.currentPage = 1;
+        if (result.budgetReached) {
+            // LLMClient refuses background requests until the budget resets, so end the run
+            console.log('Preloading stopped - daily request budget reached');
+            preloadingInProgress = false;
+            return;
+        }
+        if (result.cancelled || !preloadingInProgress) {
+            // Stopped part way; the learner's own load will pick up from nextChunkIdx
+            return;
+        }
         preloadedAppendices.add(appendix.letter);
         
         const stats = result.stats || { cacheHits: 0, apiCalls: 0 };
@@ -519,6 +804,7 @@ async function preloadAllAppendixes(onAppendixLoaded = null, options = {}) {
     }
 
     preloadingInProgress = true;
+    preloadRun = new AbortController();
     
     // Wait before starting preload to let foreground requests complete
     if (!skipDelay) {
@@ -556,6 +842,7 @@ async function preloadAllAppendixes(onAppendixLoaded = null, options = {}) {
         console.error('Error during preload:', error);
     } finally {
         preloadingInProgress = false;
+        preloadRun = null;
     }
 }
 
@@ -567,6 +854,9 @@ function stopPreloading() {
         console.log('Stopping preloading...');
         preloadingInProgress = false;
         preloadingPaused = true;
+        if (preloadRun) {
+            preloadRun.abort();
+        }
     }
 }
 
@@ -610,7 +900,9 @@ function getPreloadStatus() {
  * @param {function} options.onComplete - Called when generation is complete
  * @param {function} options.onError - Called on errors
  * @param {number} options.targetCount - Target number of questions (default 20)
- * @returns {Promise<Object>} - Final result with all questions
+ * @returns {Promise<Object>} - Final result with all questions; if the learner navigates away
+ *   from the appendix first, generation stops and it resolves with cancelled: true without
+ *   calling onComplete
  */
 async function loadAppendixStreaming(appendixLetter, options = {}) {
     const {
@@ -637,6 +929,7 @@ async function loadAppendixStreaming(appendixLetter, options = {}) {
     state.currentPage = 0;
     state.exhausted = false;
     state.totalChunks = RAG.getAppendixChunkCount(appendixLetter);
+    state.sectionChunksUsed = new Set();
 
     // Clear any existing questions for this appendix from quizData
     Object.keys(quizData).forEach(key => {
@@ -672,8 +965,8 @@ async function loadAppendixStreaming(appendixLetter, options = {}) {
                 
                 // Display cached questions immediately
                 cachedQuestions.forEach((q, idx) => {
-                    const id = String(questionIdCounter++);
                     const converted = convertToQuizFormat(q);
+                    const id = assignQuestionId(converted);
                     quizData[id] = converted;
                     state.allQuestions.push({ id, ...converted });
                     pageQuestions[id] = converted;
@@ -767,8 +1060,8 @@ async function loadAppendixStreaming(appendixLetter, options = {}) {
                 // Use P2P questions - convert and store them
                 const questionsToUse = p2pQuestions.slice(0, targetCount);
                 questionsToUse.forEach((q, idx) => {
-                    const id = String(questionIdCounter++);
                     const converted = convertToQuizFormat(q);
+                    const id = assignQuestionId(converted);
                     quizData[id] = converted;
                     state.allQuestions.push({ id, ...converted });
                     pageQuestions[id] = converted;
@@ -808,17 +1101,19 @@ async function loadAppendixStreaming(appendixLetter, options = {}) {
     }
 
     // Use LLM (either with user API key or LLM7 anonymous mode)
+    const run = beginGeneration(appendixLetter);
     let result;
     try {
         result = await RAG.generateQuestionsStreaming(appendixLetter, {
             targetCount,
             startChunkIdx: state.nextChunkIdx,
             existingHashes: state.questionHashes,
+            signal: run.signal,
             
             // Called for each question immediately - REALTIME streaming
             onQuestion: (ragQuestion, currentCount, total) => {
-                const id = String(questionIdCounter++);
                 const converted = convertToQuizFormat(ragQuestion);
+                const id = assignQuestionId(converted);
                 quizData[id] = converted;
                 state.allQuestions.push({ id, ...converted });
                 pageQuestions[id] = converted;
@@ -852,6 +1147,7 @@ async function loadAppendixStreaming(appendixLetter, options = {}) {
             }
         });
     } catch (e) {
+        endGeneration(appendixLetter, run);
         console.error('LLM generation failed:', e);
         llmFailed = true;
         
@@ -868,8 +1164,8 @@ async function loadAppendixStreaming(appendixLetter, options = {}) {
                     
                     const questionsToUse = p2pQuestions.slice(0, targetCount);
                     questionsToUse.forEach((q, idx) => {
-                        const id = String(questionIdCounter++);
                         const converted = convertToQuizFormat(q);
+                        const id = assignQuestionId(converted);
                         quizData[id] = converted;
                         state.allQuestions.push({ id, ...converted });
                         pageQuestions[id] = converted;
@@ -915,6 +1211,8 @@ async function loadAppendixStreaming(appendixLetter, options = {}) {
         };
     }
 
+    endGeneration(appendixLetter, run);
+
     // Update state
     state.nextChunkIdx = result.nextChunkIdx;
     state.exhausted = result.exhausted;
@@ -938,6 +1236,12 @@ async function loadAppendixStreaming(appendixLetter, options = {}) {
         }
     };
 
+    // Cancelled because the learner left the appendix: nothing is waiting for completion
+    if (result.cancelled) {
+        finalResult.cancelled = true;
+        return finalResult;
+    }
+
     if (onComplete) {
         onComplete(finalResult);
     }
@@ -996,31 +1300,38 @@ async function loadAppendixNextPageStreaming(appendixLetter, options = {}) {
     const hasUserApiKey = typeof LLMClient !== 'undefined' && LLMClient.hasApiKey();
     
     // Use streaming RAG for next page with REALTIME P2P sync
-    const result = await RAG.generateQuestionsStreaming(appendixLetter, {
-        targetCount,
-        startChunkIdx: state.nextChunkIdx,
-        existingHashes: state.questionHashes,
-        
-        onQuestion: (ragQuestion, currentCount, total) => {
-            const id = String(questionIdCounter++);
-            const converted = convertToQuizFormat(ragQuestion);
-            quizData[id] = converted;
-            state.allQuestions.push({ id, ...converted });
-            pageQuestions[id] = converted;
+    const run = beginGeneration(appendixLetter);
+    let result;
+    try {
+        result = await RAG.generateQuestionsStreaming(appendixLetter, {
+            targetCount,
+            startChunkIdx: state.nextChunkIdx,
+            existingHashes: state.questionHashes,
+            signal: run.signal,
             
-            if (onQuestion) {
-                onQuestion(converted, id, currentCount, total);
-            }
+            onQuestion: (ragQuestion, currentCount, total) => {
+                const converted = convertToQuizFormat(ragQuestion);
+                const id = assignQuestionId(converted);
+                quizData[id] = converted;
+                state.allQuestions.push({ id, ...converted });
+                pageQuestions[id] = converted;
             
-            // REALTIME DUAL SYNC: Share each question to P2P as it's generated
-            if (typeof P2PSync !== 'undefined' && P2PSync.isAvailable()) {
-                P2PSync.shareQuestions([ragQuestion], appendixLetter).catch(() => {});
-            }
-        },
-        
-        onProgress,
-        onError
-    });
+                if (onQuestion) {
+                    onQuestion(converted, id, currentCount, total);
+                }
+            
+                // REALTIME DUAL SYNC: Share each question to P2P as it's generated
+                if (typeof P2PSync !== 'undefined' && P2PSync.isAvailable()) {
+                    P2PSync.shareQuestions([ragQuestion], appendixLetter).catch(() => {});
+                }
+            },
+            
+            onProgress,
+            onError
+        });
+    } finally {
+        endGeneration(appendixLetter, run);
+    }
 
     // Update state
     state.nextChunkIdx = result.nextChunkIdx;
@@ -1045,6 +1356,12 @@ async function loadAppendixNextPageStreaming(appendixLetter, options = {}) {
         }
     };
 
+    // Cancelled because the learner left the appendix: nothing is waiting for completion
+    if (result.cancelled) {
+        finalResult.cancelled = true;
+        return finalResult;
+    }
+
     if (onComplete) {
         onComplete(finalResult);
     }
@@ -1060,6 +1377,7 @@ window.QuizDataLoader = {
     // Legacy pagination functions (waits for all questions before returning)
     loadAppendixFirstPage,
     loadAppendixNextPage,
+    ensureAppendixQuestions,
     getPageQuestions,
     getPaginationInfo,
     // Preloading functions
@@ -1070,6 +1388,10 @@ window.QuizDataLoader = {
     resumePreloading,
     // Rate limit handling
     recordRateLimit,
+    // Stable question IDs
+    getQuestionId,
+    getLegacyQuestionId,
+    registerSavedQuestionIds,
     // Legacy/utility functions
     getAvailableAppendices,
     isAppendixStarted,
@@ -1078,6 +1400,8 @@ window.QuizDataLoader = {
     clearAllQuestions,
     clearAppendixQuestions,
     clearQuestionsCache,
+    // Cancellation
+    cancelAppendixGeneration,
     // Constants
     PAGE_SIZE,
     MIN_QUESTIONS_TARGET
@@ -38,6 +38,56 @@ const RAG = (function() {
         /according to the.*material/i
     ];
 
+    // What a generated question must contain; checked locally on every question however it
+    // was produced. Extra properties (section, index) are allowed.
+    const QUESTION_SCHEMA = {
+        type: 'object',
+        properties: {
+            question: { type: 'string', minLength: 1 },
+            options: { type: 'array', items: { type: 'string' }, minItems: 4, maxItems: 4 },
+            correct: { type: 'integer', minimum: 0, maximum: 3 },
+            explanation: { type: 'string' }
+        },
+        required: ['question', 'options', 'correct']
+    };
+
+    /**
+     * Schema for providers that can enforce structured output: the questions wrapped in an
+     * object (OpenAI and Anthropic need an object at the top), every property required and no
+     * others, as OpenAI's strict mode expects
+     * @param {string} name - Schema name (letters, digits, _ and -)
+     * @param {Object} [extraProperties] - Properties each question also has, e.g. section
+     * @returns {{name: string, schema: Object}} For LLMClient's payload.responseSchema
+     */
+    function questionListSchema(name, extraProperties = {}) {
+        const properties = {
+            ...QUESTION_SCHEMA.properties,
+            // The options and correct bounds carry over; strict mode has no string minLength,
+            // so validateQuestion still checks that locally
+            question: { type: 'string' },
+            explanation: { type: 'string' },
+            ...extraProperties
+        };
+        return {
+            name,
+            schema: {
+                type: 'object',
+                properties: {
+                    questions: {
+                        type: 'array',
+                        items: { type: 'object', properties, required: Object.keys(properties), additionalProperties: false }
+                    }
+                },
+                required: ['questions'],
+                additionalProperties: false
+            }
+        };
+    }
+
+    const QUESTION_LIST_SCHEMA = questionListSchema('cpsa_questions');
+    const SECTIONED_QUESTION_LIST_SCHEMA = questionListSchema('cpsa_sectioned_questions', { section: { type: 'integer', minimum: 1 } });
+    const REPAIRED_QUESTION_LIST_SCHEMA = questionListSchema('cpsa_repaired_questions', { index: { type: 'integer', minimum: 0 } });
+
     /**
      * ENHANCED: Check if a chunk contains meta-content that shouldn't be used for question generation
      * Now less aggressive - only skips true placeholder content, not short but valid chunks
@@ -218,6 +268,25 @@ const RAG = (function() {
         return salvaged;
     }
 
+    /**
+     * Read the questions out of a generation response
+     * Structured responses (a complete object following the schema) are read as they are;
+     * anything else, including a structured reply cut off at max_tokens, goes through
+     * parseJsonArrayRobust.
+     * @param {Object} data - LLMClient response
+     * @returns {Array} - Question objects, not yet validated
+     */
+    function readQuestions(data) {
+        const content = data.choices?.[0]?.message?.content?.trim() || '';
+        if (data.structured) {
+            const parsed = JSON.parse(content);
+            if (Array.isArray(parsed.questions)) {
+                return parsed.questions;
+            }
+        }
+        return parseJsonArrayRobust(content);
+    }
+
     // Token budget configuration (8000 total limit)
     // ENHANCED: Increased context budget for better coverage
     const TOKEN_CONFIG = {
@@ -857,10 +926,12 @@ const RAG = (function() {
      * Now uses LLMClient for rate limiting and QuestionCache for persistence
      * @param {Object} chunk - The chunk to generate questions from
      * @param {number} questionsPerChunk - Number of questions to generate
-     * @param {Object} options - Options (priority: 'high'|'low', skipCache: boolean)
+     * @param {Object} options - Options (priority: 'high'|'low', skipCache: boolean, and signal/tag
+     *   passed on to LLMClient so the request can be cancelled)
+     * @throws {Error} LLMClient's BudgetError for a low priority request past the daily budget
      */
     async function generateQuestionsFromChunk(chunk, questionsPerChunk = 5, options = {}) {
-        const { priority = 'normal', skipCache = false } = options;
+        const { priority = 'normal', skipCache = false, signal = null, tag = null } = options;
         
         // Check cache first (unless skipCache is true)
         if (!skipCache && typeof QuestionCache !== 'undefined') {
@@ -981,13 +1052,12 @@ Output ONLY the JSON array.`;
                     { role: 'user', content: userPrompt }
                 ],
                 max_tokens: 800,
-                temperature: 0.7
-            });
-
-            const content = data.choices?.[0]?.message?.content?.trim() || '';
+                temperature: 0.7,
+                task: LLMClient.TASKS.GENERATION,
+                responseSchema: QUESTION_LIST_SCHEMA
+            }, { signal, tag });
 
-            // Parse JSON from response using robust parser that handles truncation
-            const questions = parseJsonArrayRobust(content);
+            const questions = readQuestions(data);
 
             // Separate valid and invalid questions, filtering out meta-questions
             const validQuestions = [];
@@ -1008,7 +1078,7 @@ Output ONLY the JSON array.`;
             let repairedQuestions = [];
             if (invalidQuestions.length > 0 && invalidQuestions.length <= 3) {
                 console.log(`Attempting to repair ${invalidQuestions.length} questions with unbalanced options`);
-                repairedQuestions = await repairQuestionOptions(invalidQuestions, { priority });
+                repairedQuestions = await repairQuestionOptions(invalidQuestions, { priority, signal, tag });
             }
             
             // Combine valid and repaired questions
@@ -1037,27 +1107,27 @@ Output ONLY the JSON array.`;
                 section_title: chunk.section_title
             }));
         } catch (error) {
-            console.error('Question generation error:', error);
+            if (error.name === 'BudgetError') {
+                throw error;
+            }
+            if (error.name !== 'AbortError') {
+                console.error('Question generation error:', error);
+            }
             return [];
         }
     }
 
     /**
-     * Validate a question has required fields and balanced option lengths
+     * Validate a question against QUESTION_SCHEMA and check its option lengths are balanced
      * Returns { valid: boolean, reason?: string } for detailed feedback
      */
     function validateQuestion(q, returnDetails = false) {
         const fail = (reason) => returnDetails ? { valid: false, reason } : false;
         const pass = () => returnDetails ? { valid: true } : true;
         
-        if (!q.question || !q.options || !Array.isArray(q.options)) {
-            return fail('missing_fields');
-        }
-        if (q.options.length !== 4) {
-            return fail('wrong_option_count');
-        }
-        if (typeof q.correct !== 'number' || q.correct < 0 || q.correct > 3) {
-            return fail('invalid_correct_index');
+        const schemaCheck = JsonSchema.validate(q, QUESTION_SCHEMA);
+        if (!schemaCheck.valid) {
+            return fail(`schema: ${schemaCheck.errors[0]}`);
         }
         
         // Extract option texts (remove A), B), etc. prefixes)
@@ -1106,13 +1176,13 @@ Output ONLY the JSON array.`;
      * Repair questions with unbalanced options by calling LLM to rewrite them
      * Only rewrites the options, preserving the question and correct answer index
      * @param {Array} questions - Questions that failed validation
-     * @param {Object} options - Options (priority)
+     * @param {Object} options - Options (priority, signal, tag)
      * @returns {Promise<Array>} - Repaired questions
      */
     async function repairQuestionOptions(questions, options = {}) {
         if (!questions || questions.length === 0) return [];
         
-        const { priority = 'normal' } = options;
+        const { priority = 'normal', signal = null, tag = null } = options;
         
         // Build repair prompt
         const questionsToRepair = questions.map((q, i) => ({
@@ -1159,18 +1229,12 @@ Output ONLY the JSON array with repaired questions. Keep the same structure, jus
                     { role: 'user', content: userPrompt }
                 ],
                 max_tokens: 1500,
-                temperature: 0.3  // Lower temperature for more consistent repairs
-            });
+                temperature: 0.3,  // Lower temperature for more consistent repairs
+                task: LLMClient.TASKS.GENERATION,
+                responseSchema: REPAIRED_QUESTION_LIST_SCHEMA
+            }, { signal, tag });
 
-            let content = data.choices?.[0]?.message?.content?.trim() || '';
-            
-            // Parse JSON from response
-            if (content.startsWith('```json')) content = content.slice(7);
-            if (content.startsWith('```')) content = content.slice(3);
-            if (content.endsWith('```')) content = content.slice(0, -3);
-            content = content.trim();
-
-            const repairedQuestions = JSON.parse(content);
+            const repairedQuestions = readQuestions(data);
             
             // Validate repaired questions and merge back metadata
             const validRepaired = [];
@@ -1196,7 +1260,9 @@ Output ONLY the JSON array with repaired questions. Keep the same structure, jus
             
             return validRepaired;
         } catch (error) {
-            console.error('Question repair error:', error);
+            if (error.name !== 'AbortError' && error.name !== 'BudgetError') {
+                console.error('Question repair error:', error);
+            }
             return [];
         }
     }
@@ -1208,11 +1274,12 @@ Output ONLY the JSON array with repaired questions. Keep the same structure, jus
      * 
      * @param {Array} chunksToProcess - Array of chunks to process together
      * @param {number} totalQuestions - Total questions to generate across all chunks
-     * @param {Object} options - Options (priority, skipCache)
+     * @param {Object} options - Options (priority, skipCache, signal, tag)
      * @returns {Promise<Array>} - Generated questions with source info
+     * @throws {Error} LLMClient's BudgetError for a low priority request past the daily budget
      */
     async function generateQuestionsFromMultipleChunks(chunksToProcess, totalQuestions = 15, options = {}) {
-        const { priority = 'high', skipCache = false } = options;
+        const { priority = 'high', skipCache = false, signal = null, tag = null } = options;
         
         if (!chunksToProcess || chunksToProcess.length === 0) {
             return [];
@@ -1369,13 +1436,12 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
                     { role: 'user', content: userPrompt }
                 ],
                 max_tokens: 1500,
-                temperature: 0.7
-            });
-
-            const content = data.choices?.[0]?.message?.content?.trim() || '';
+                temperature: 0.7,
+                task: LLMClient.TASKS.GENERATION,
+                responseSchema: SECTIONED_QUESTION_LIST_SCHEMA
+            }, { signal, tag });
 
-            // Parse JSON from response using robust parser that handles truncation
-            const questions = parseJsonArrayRobust(content);
+            const questions = readQuestions(data);
             
             // Separate valid and invalid questions, filtering out meta-questions
             const validQuestions = [];
@@ -1396,7 +1462,7 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
             let repairedQuestions = [];
             if (invalidQuestions.length > 0 && invalidQuestions.length <= 5) {
                 console.log(`Attempting to repair ${invalidQuestions.length} questions with unbalanced options`);
-                repairedQuestions = await repairQuestionOptions(invalidQuestions, { priority });
+                repairedQuestions = await repairQuestionOptions(invalidQuestions, { priority, signal, tag });
             }
             
             // Combine valid and repaired questions
@@ -1457,7 +1523,12 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
             // Combine cached and newly generated questions
             return [...cachedQuestions, ...enrichedQuestions];
         } catch (error) {
-            console.error('Multi-chunk question generation error:', error);
+            if (error.name === 'BudgetError') {
+                throw error;
+            }
+            if (error.name !== 'AbortError') {
+                console.error('Multi-chunk question generation error:', error);
+            }
             // Return cached questions if we have any
             return cachedQuestions;
         }
@@ -1494,6 +1565,9 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
         try {
             return await generateQuestionsFromChunk(chunk, questionsPerChunk, options);
         } catch (error) {
+            if (error.name === 'BudgetError') {
+                throw error;
+            }
             console.error(`Error processing chunk ${chunk.section_id}:`, error);
             return [];
         }
@@ -1507,15 +1581,19 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
      * @param {number} targetCount - Target number of questions to generate (default 20)
      * @param {Set} existingHashes - Set of existing question hashes to avoid duplicates
      * @param {function} onProgress - Progress callback
-     * @param {Object} options - Options (priority: 'high'|'low'|'normal', isBackground: boolean)
-     * @returns {Promise<{questions: Array, nextChunkIdx: number, newHashes: Array, exhausted: boolean}>}
+     * @param {Object} options - Options (priority: 'high'|'low'|'normal', isBackground: boolean,
+     *   signal: AbortSignal that stops the batch, tag: LLMClient request tag)
+     * @returns {Promise<{questions: Array, nextChunkIdx: number, newHashes: Array, exhausted: boolean,
+     *   cancelled: boolean, budgetReached: boolean}>} budgetReached is set when a low priority
+     *   batch stopped because LLMClient refused requests past the daily budget
      */
     async function generateQuestionsBatch(appendixLetter, startChunkIdx = 0, targetCount = 20, existingHashes = new Set(), onProgress = null, options = {}) {
         if (!isInitialized) {
             await initialize();
         }
 
-        const { priority = 'normal', isBackground = false } = options;
+        const { priority = 'normal', isBackground = false, signal = null, tag = null } = options;
+        const isCancelled = () => !!(signal && signal.aborted);
         const appendixChunks = getChunksForAppendix(appendixLetter);
         if (appendixChunks.length === 0) {
             return { questions: [], nextChunkIdx: 0, newHashes: [], exhausted: true };
@@ -1524,6 +1602,7 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
         const questions = [];
         const newHashes = [];
         let currentChunkIdx = startChunkIdx;
+        let budgetReached = false;
         const questionsPerChunk = 5; // Generate 5 questions per chunk for better yield
         
         // Track cache hits for progress reporting
@@ -1531,7 +1610,7 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
         let apiCalls = 0;
 
         // Process chunks one at a time (LLMClient handles rate limiting)
-        while (questions.length < targetCount && currentChunkIdx < appendixChunks.length) {
+        while (questions.length < targetCount && currentChunkIdx < appendixChunks.length && !isCancelled()) {
             const chunk = appendixChunks[currentChunkIdx];
             
             if (onProgress) {
@@ -1548,7 +1627,19 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
             }
 
             // Generate questions for this chunk (cache-first via generateQuestionsFromChunk)
-            const generatedQuestions = await processChunkForQuestions(chunk, questionsPerChunk, { priority });
+            let generatedQuestions;
+            try {
+                generatedQuestions = await processChunkForQuestions(chunk, questionsPerChunk, { priority, signal, tag });
+            } catch (error) {
+                if (error.name !== 'BudgetError') {
+                    throw error;
+                }
+                budgetReached = true;
+                break; // Leave the chunk for when the budget allows it
+            }
+            if (isCancelled()) {
+                break; // Leave the chunk to be generated next time
+            }
             
             // Track if this was a cache hit
             if (generatedQuestions.length > 0 && generatedQuestions[0].cached) {
@@ -1603,6 +1694,8 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
             nextChunkIdx: currentChunkIdx,
             newHashes,
             exhausted: currentChunkIdx >= appendixChunks.length,
+            cancelled: isCancelled(),
+            budgetReached,
             stats: { cacheHits, apiCalls }
         };
     }
@@ -1642,7 +1735,10 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
      * @param {function} options.onProgress - Progress callback
      * @param {function} options.onComplete - Called when generation is complete
      * @param {function} options.onError - Called on errors
-     * @returns {Promise<{questions: Array, nextChunkIdx: number, exhausted: boolean}>}
+     * @param {AbortSignal} options.signal - Stops generation (and its requests) when aborted;
+     *   the result then has cancelled: true and onError is not called
+     * @param {string} options.tag - LLMClient request tag
+     * @returns {Promise<{questions: Array, nextChunkIdx: number, exhausted: boolean, cancelled: boolean}>}
      */
     async function generateQuestionsStreaming(appendixLetter, options = {}) {
         const {
@@ -1654,8 +1750,11 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
             onComplete = null,
             onError = null,
             priority = 'high',
-            useBatching = true      // Use batched generation for fewer API calls
+            useBatching = true,     // Use batched generation for fewer API calls
+            signal = null,
+            tag = null
         } = options;
+        const isCancelled = () => !!(signal && signal.aborted);
 
         if (!isInitialized) {
             await initialize();
@@ -1680,7 +1779,7 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
         const CHUNKS_PER_BATCH = 3;  // Process 3 chunks per API call (fits in 8k tokens)
         const QUESTIONS_PER_BATCH = 15; // Generate ~15 questions per batch
 
-        while (questions.length < targetCount && currentChunkIdx < appendixChunks.length) {
+        while (questions.length < targetCount && currentChunkIdx < appendixChunks.length && !isCancelled()) {
             // Get the next batch of chunks
             const batchEndIdx = Math.min(currentChunkIdx + CHUNKS_PER_BATCH, appendixChunks.length);
             const chunksToProcess = appendixChunks.slice(currentChunkIdx, batchEndIdx);
@@ -1703,8 +1802,11 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
                 // Generate questions from multiple chunks in ONE API call
                 const questionsNeeded = Math.min(QUESTIONS_PER_BATCH, targetCount - questions.length);
                 const generatedQuestions = useBatching 
-                    ? await generateQuestionsFromMultipleChunks(chunksToProcess, questionsNeeded, { priority })
-                    : await processChunkForQuestions(chunksToProcess[0], 5, { priority });
+                    ? await generateQuestionsFromMultipleChunks(chunksToProcess, questionsNeeded, { priority, signal, tag })
+                    : await processChunkForQuestions(chunksToProcess[0], 5, { priority, signal, tag });
+                if (isCancelled()) {
+                    break; // Not a failure; leave these chunks to be generated next time
+                }
                 
                 if (generatedQuestions.length === 0) {
                     consecutiveFailures++;
@@ -1759,6 +1861,7 @@ Output ONLY the JSON array with ${questionsNeeded} questions distributed across
             nextChunkIdx: currentChunkIdx,
             newHashes: Array.from(newHashes),
             exhausted: currentChunkIdx >= appendixChunks.length,
+            cancelled: isCancelled(),
             stats: { cacheHits, apiCalls, consecutiveFailures }
         };
 
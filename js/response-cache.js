@@ -0,0 +1,122 @@
+/**
+ * LLM response cache for CREST CPSA Quiz
+ * Completed responses to idempotent requests (explanations, summaries) kept in IndexedDB
+ * under LLMClient's request key, so asking for the same thing again, in this tab or
+ * another, is answered without a request. Entries are fresh for their task's TTL; after
+ * that they are only used when the request cannot be sent (offline), and they are
+ * deleted once MAX_AGE_MS old or when the cache grows past MAX_ENTRIES.
+ */
+
+const ResponseCache = (function() {
+    const STORE = DBUtils.STORES.RESPONSES;
+
+    const MAX_ENTRIES = 500;
+    const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+    // Prune after this many writes rather than on every one
+    const PRUNE_EVERY = 20;
+
+    let writesSincePrune = 0;
+
+    /**
+     * Looks up a cached response
+     * @param {string} key - Request key (see LLMClient.requestKey)
+     * @param {number} ttlMs - How long the response counts as fresh
+     * @returns {Promise<{response: Object, createdAt: number, fresh: boolean}|null>} Null if
+     *   nothing is cached or it is past MAX_AGE_MS
+     */
+    async function get(key, ttlMs) {
+        try {
+            const record = await DBUtils.get(STORE, key);
+            if (!record) {
+                return null;
+            }
+            const age = Date.now() - record.createdAt;
+            if (age >= MAX_AGE_MS) {
+                return null;
+            }
+            return { response: record.response, createdAt: record.createdAt, fresh: age < ttlMs };
+        } catch (e) {
+            console.warn('ResponseCache: Lookup failed:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Caches a completed response
+     * @param {string} key - Request key
+     * @param {string} task - The request's task, for the stats
+     * @param {Object} response - OpenAI-shaped completion (with servedBy)
+     * @returns {Promise<void>}
+     */
+    async function set(key, task, response) {
+        const record = {
+            key,
+            task: task || null,
+            createdAt: Date.now(),
+            response: {
+                model: response.model || null,
+                choices: response.choices,
+                usage: response.usage || null,
+                servedBy: response.servedBy || null,
+                structured: !!response.structured
+            }
+        };
+        try {
+            await DBUtils.put(STORE, record);
+            if (++writesSincePrune >= PRUNE_EVERY) {
+                writesSincePrune = 0;
+                await prune();
+            }
+        } catch (e) {
+            console.warn('ResponseCache: Could not cache response:', e);
+        }
+    }
+
+    /**
+     * Deletes entries past MAX_AGE_MS and the oldest ones beyond MAX_ENTRIES
+     * @returns {Promise<number>} How many entries were deleted
+     */
+    async function prune() {
+        const records = (await DBUtils.getAll(STORE)).sort((a, b) => b.createdAt - a.createdAt);
+        const now = Date.now();
+        const doomed = records.filter((record, index) => index >= MAX_ENTRIES || now - record.createdAt >= MAX_AGE_MS);
+        await Promise.all(doomed.map(record => DBUtils.remove(STORE, record.key)));
+        return doomed.length;
+    }
+
+    /**
+     * Deletes every cached response
+     * @returns {Promise<void>}
+     */
+    function clear() {
+        return DBUtils.clear(STORE);
+    }
+
+    /**
+     * Counts cached responses per task
+     * @returns {Promise<{total: number, byTask: Object<string, number>}>}
+     */
+    async function getStats() {
+        const records = await DBUtils.getAll(STORE);
+        const byTask = {};
+        records.forEach(record => {
+            const task = record.task || 'other';
+            byTask[task] = (byTask[task] || 0) + 1;
+        });
+        return { total: records.length, byTask };
+    }
+
+    return {
+        get,
+        set,
+        prune,
+        clear,
+        getStats,
+        MAX_AGE_MS
+    };
+})();
+
+// Make ResponseCache available globally
+if (typeof window !== 'undefined') {
+    window.ResponseCache = ResponseCache;
+}
@@ -0,0 +1,369 @@
+/**
+ * Spaced repetition scheduler for CREST CPSA Quiz
+ * SM-2 style scheduling with per-question ease, interval, due date and lapse count.
+ * Cards are keyed by the same question IDs used in answerState (practice and exam_ IDs).
+ */
+
+const SpacedRepetition = (function() {
+    const STORAGE_KEY = Profiles.key('cpsa_srs_state');
+    const STATE_VERSION = 1;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const INITIAL_EASE = 2.5;
+    const MIN_EASE = 1.3;
+    const MATURE_INTERVAL_DAYS = 21;
+    // Failed cards come back in the same day's queue after a short delay
+    const RELEARN_DELAY_MS = 10 * 60 * 1000;
+
+    // SM-2 answer quality (0-5). Anything below PASSING_QUALITY is a lapse.
+    const Quality = {
+        AGAIN: 1,
+        HARD: 3,
+        GOOD: 4,
+        EASY: 5
+    };
+    const PASSING_QUALITY = 3;
+
+    let cards = null;
+    const changeListeners = [];
+
+    function load() {
+        if (cards) {
+            return cards;
+        }
+        cards = {};
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                if (data && data.version === STATE_VERSION && data.cards) {
+                    cards = data.cards;
+                }
+            }
+        } catch (e) {
+            console.error('SpacedRepetition: Error loading state:', e);
+        }
+        return cards;
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: STATE_VERSION,
+                cards: load(),
+                lastUpdated: Date.now()
+            }));
+        } catch (e) {
+            console.error('SpacedRepetition: Error saving state:', e);
+        }
+        notifyChange();
+    }
+
+    function notifyChange() {
+        changeListeners.forEach(listener => {
+            try {
+                listener();
+            } catch (e) {
+                console.error('SpacedRepetition: Change listener failed:', e);
+            }
+        });
+    }
+
+    function createCard(now) {
+        return {
+            ease: INITIAL_EASE,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            due: now,
+            lastReviewed: null
+        };
+    }
+
+    function endOfDay(now) {
+        const date = new Date(now);
+        date.setHours(23, 59, 59, 999);
+        return date.getTime();
+    }
+
+    /**
+     * Applies one SM-2 review to a card
+     * @param {Object} card - Card to update in place
+     * @param {number} quality - Answer quality 0-5
+     * @param {number} now - Review timestamp (ms)
+     * @returns {Object} The updated card
+     */
+    function applyReview(card, quality, now) {
+        const q = Math.max(0, Math.min(5, Math.round(quality)));
+
+        if (q < PASSING_QUALITY) {
+            if (card.repetitions > 0) {
+                card.lapses++;
+            }
+            card.repetitions = 0;
+            card.interval = 0;
+            card.due = now + RELEARN_DELAY_MS;
+        } else {
+            if (card.repetitions === 0) {
+                card.interval = 1;
+            } else if (card.repetitions === 1) {
+                card.interval = 6;
+            } else {
+                card.interval = Math.round(card.interval * card.ease);
+            }
+            card.repetitions++;
+            card.due = now + card.interval * DAY_MS;
+        }
+
+        card.ease = Math.max(MIN_EASE, card.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+        card.ease = Math.round(card.ease * 100) / 100;
+        card.lastReviewed = now;
+        return card;
+    }
+
+    /**
+     * Reviews a question with an explicit SM-2 quality grade
+     * @param {string} questionId - Question ID (practice or exam_ prefixed)
+     * @param {number} quality - Answer quality 0-5 (see Quality)
+     * @param {number} [now] - Review timestamp, defaults to Date.now()
+     * @returns {Object} Copy of the updated card
+     */
+    function review(questionId, quality, now = Date.now()) {
+        const all = load();
+        if (!all[questionId]) {
+            all[questionId] = createCard(now);
+        }
+        applyReview(all[questionId], quality, now);
+        save();
+        return { ...all[questionId] };
+    }
+
+    /**
+     * Records a multiple-choice answer, mapping correctness to a quality grade
+     * @param {string} questionId - Question ID
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @param {Object} [options] - { quality } to override the default mapping
+     * @returns {Object} Copy of the updated card
+     */
+    function recordAnswer(questionId, isCorrect, options = {}) {
+        const quality = typeof options.quality === 'number'
+            ? options.quality
+            : (isCorrect ? Quality.GOOD : Quality.AGAIN);
+        return review(questionId, quality);
+    }
+
+    /**
+     * Creates cards for answers recorded before the scheduler existed
+     * Wrong answers are due immediately, right answers start at a one-day interval.
+     * @param {Object} answers - answerState-shaped map of questionId -> { correct, timestamp }
+     * @returns {number} Number of cards created
+     */
+    function seedFromAnswers(answers) {
+        const all = load();
+        let created = 0;
+
+        Object.entries(answers || {}).forEach(([questionId, state]) => {
+            if (all[questionId] || !state) {
+                return;
+            }
+            const answeredAt = state.timestamp || Date.now();
+            all[questionId] = applyReview(createCard(answeredAt), state.correct ? Quality.GOOD : Quality.AGAIN, answeredAt);
+            created++;
+        });
+
+        if (created > 0) {
+            save();
+        }
+        return created;
+    }
+
+    /**
+     * Gets the scheduling card for a question
+     * @param {string} questionId - Question ID
+     * @returns {Object|null} Copy of the card, or null if never reviewed
+     */
+    function getCard(questionId) {
+        const card = load()[questionId];
+        return card ? { ...card } : null;
+    }
+
+    /**
+     * Gets IDs of cards due by the end of the current day, most overdue first
+     * @param {number} [now] - Reference timestamp, defaults to Date.now()
+     * @returns {string[]}
+     */
+    function getDueIds(now = Date.now()) {
+        const cutoff = endOfDay(now);
+        return Object.entries(load())
+            .filter(([, card]) => card.due <= cutoff)
+            .sort((a, b) => a[1].due - b[1].due)
+            .map(([questionId]) => questionId);
+    }
+
+    /**
+     * Summarizes the card collection for dashboards
+     * @param {number} [now] - Reference timestamp, defaults to Date.now()
+     * @returns {{total: number, dueToday: number, overdue: number, learning: number, young: number, mature: number, lapses: number}}
+     */
+    function getStats(now = Date.now()) {
+        const cutoff = endOfDay(now);
+        const stats = { total: 0, dueToday: 0, overdue: 0, learning: 0, young: 0, mature: 0, lapses: 0 };
+
+        Object.values(load()).forEach(card => {
+            stats.total++;
+            stats.lapses += card.lapses;
+            if (card.due <= cutoff) {
+                stats.dueToday++;
+            }
+            if (card.due < now) {
+                stats.overdue++;
+            }
+            if (card.repetitions === 0) {
+                stats.learning++;
+            } else if (card.interval < MATURE_INTERVAL_DAYS) {
+                stats.young++;
+            } else {
+                stats.mature++;
+            }
+        });
+
+        return stats;
+    }
+
+    /**
+     * Removes cards, e.g. when progress for a category is reset
+     * @param {string[]} questionIds - IDs to remove
+     */
+    function removeCards(questionIds) {
+        const all = load();
+        let removed = 0;
+        questionIds.forEach(questionId => {
+            if (all[questionId]) {
+                delete all[questionId];
+                removed++;
+            }
+        });
+        if (removed > 0) {
+            save();
+        }
+    }
+
+    /**
+     * Moves cards to new IDs, e.g. when question IDs are migrated
+     * @param {Object} idMap - Map of oldId -> newId
+     */
+    function renameCards(idMap) {
+        const all = load();
+        let renamed = 0;
+        Object.entries(idMap).forEach(([oldId, newId]) => {
+            const card = all[oldId];
+            if (!card) {
+                return;
+            }
+            delete all[oldId];
+            // Keep the more recently reviewed card if two old IDs collapse into one
+            if (!all[newId] || (all[newId].lastReviewed || 0) < (card.lastReviewed || 0)) {
+                all[newId] = card;
+            }
+            renamed++;
+        });
+        if (renamed > 0) {
+            save();
+        }
+    }
+
+    /**
+     * Takes cards scheduled elsewhere (e.g. in a backup from another device); where both have
+     * a card for a question, the one reviewed last is kept
+     * @param {Object} incoming - Map of questionId -> card, as in exportState()
+     * @returns {number} Number of cards taken
+     */
+    function mergeCards(incoming) {
+        const all = load();
+        let taken = 0;
+        Object.entries(incoming || {}).forEach(([questionId, card]) => {
+            if (!card || typeof card.due !== 'number') {
+                return;
+            }
+            const current = all[questionId];
+            if (!current || (card.lastReviewed || 0) > (current.lastReviewed || 0)) {
+                all[questionId] = { ...card };
+                taken++;
+            }
+        });
+        if (taken > 0) {
+            save();
+        }
+        return taken;
+    }
+
+    /**
+     * Gets a copy of all scheduling data, e.g. for a progress backup
+     * @returns {Object}
+     */
+    function exportState() {
+        return JSON.parse(JSON.stringify(load()));
+    }
+
+    /**
+     * Replaces all scheduling data with a copy taken by exportState()
+     * @param {Object} data - Result of exportState()
+     */
+    function importState(data) {
+        cards = data && typeof data === 'object' ? JSON.parse(JSON.stringify(data)) : {};
+        save();
+    }
+
+    /**
+     * Clears all scheduling data
+     */
+    function reset() {
+        cards = {};
+        localStorage.removeItem(STORAGE_KEY);
+        notifyChange();
+    }
+
+    /**
+     * Registers a callback for every change saved to the schedule, including reset()
+     * @param {Function} callback - Called with no arguments
+     */
+    function onChange(callback) {
+        if (typeof callback === 'function') {
+            changeListeners.push(callback);
+        }
+    }
+
+    /**
+     * Removes a change callback
+     * @param {Function} callback - Callback passed to onChange()
+     */
+    function offChange(callback) {
+        const index = changeListeners.indexOf(callback);
+        if (index > -1) {
+            changeListeners.splice(index, 1);
+        }
+    }
+
+    return {
+        review,
+        recordAnswer,
+        seedFromAnswers,
+        getCard,
+        getDueIds,
+        getStats,
+        removeCards,
+        renameCards,
+        mergeCards,
+        exportState,
+        importState,
+        reset,
+        onChange,
+        offChange,
+        Quality
+    };
+})();
+
+// Make SpacedRepetition available globally
+if (typeof window !== 'undefined') {
+    window.SpacedRepetition = SpacedRepetition;
+}
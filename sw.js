@@ -1,4 +1,4 @@
-const CACHE_NAME = 'cpsa-quiz-v36';
+const CACHE_NAME = 'cpsa-quiz-v60';
 
 // Relative paths to cache - will be resolved to absolute URLs at install time
 const ASSETS_TO_CACHE = [
@@ -7,12 +7,28 @@ const ASSETS_TO_CACHE = [
     'pdfjs-viewer.html',
     'styles/main.css',
     'js/config.js',
+    'js/profiles.js',
     'js/db-utils.js',
+    'js/progress-store.js',
+    'js/progress-backup.js',
+    'js/progress-snapshots.js',
+    'js/response-cache.js',
+    'js/llm-usage.js',
+    'js/key-vault.js',
+    'js/llm-providers.js',
     'js/llm-client.js',
     'js/question-cache.js',
     'js/p2p-sync.js',
+    'js/progress-sync.js',
+    'js/progress-tabs.js',
+    'js/spaced-repetition.js',
+    'js/attempt-log.js',
+    'js/misconceptions.js',
+    'js/exam-mapping.js',
+    'js/exam-blueprint.js',
     'js/app.js',
     'js/quiz-data.js',
+    'js/json-schema.js',
     'js/rag.js',
     'manifest.json',
     'icon-192.svg',